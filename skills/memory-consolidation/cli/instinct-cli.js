@@ -11,9 +11,10 @@
  *   instinct stats                   # Show statistics
  */
 
-const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { MemoryStore } = require(path.join(__dirname, '..', 'src', 'memory-store.js'));
+const { openDatabase } = require(path.join(__dirname, '..', 'src', 'migrations.js'));
 
 const dbPath = process.env.MEMORY_DB_PATH || path.join(__dirname, '..', 'memory.db');
 
@@ -22,10 +23,7 @@ function getDb(readonly = true) {
         console.error('Database not found:', dbPath);
         process.exit(1);
     }
-    const db = new Database(dbPath, { readonly });
-    db.pragma('busy_timeout = 10000');
-    if (!readonly) db.pragma('journal_mode = WAL');
-    return db;
+    return openDatabase(dbPath, { readonly });
 }
 
 function listInstincts(domain = null) {
@@ -124,17 +122,11 @@ function showInstinct(key) {
 }
 
 function deleteInstinct(key) {
-    const db = getDb(false);
-    const now = new Date().toISOString();
+    const store = new MemoryStore(getDb(false));
+    const changes = store.delete(key);
+    store.close();
 
-    const result = db.prepare(`
-        UPDATE memories SET end_time = ?
-        WHERE key = ? AND end_time IS NULL
-    `).run(now, key);
-
-    db.close();
-
-    if (result.changes > 0) {
+    if (changes > 0) {
         console.log(`✓ Deleted: ${key}`);
     } else {
         console.log(`✗ Not found: ${key}`);
@@ -8,103 +8,73 @@
 //   node memory-cli.js search --query <text>
 //   node memory-cli.js search --semantic <text>
 //   node memory-cli.js search --key <key>
+//   node memory-cli.js search ... --as-of <timestamp>   # what memory believed then
+//   node memory-cli.js search ... --min-confidence 0.7 --trust user-stated,manual --rank-trust
+//   node memory-cli.js history <key>
+//   node memory-cli.js history --prefix <prefix>
+//   node memory-cli.js show <key>         # active value and where it was stated
+//   node memory-cli.js revert <run-id>    # undo a pipeline run
+//   node memory-cli.js revert <key>       # undo the latest change to a key
+//   node memory-cli.js runs [--limit N]   # pipeline run ledger
+//   node memory-cli.js runs <run-id>      # one run, per-step metrics
+//   node memory-cli.js sessions [--failed] [--limit N]   # session extraction state
+//   node memory-cli.js sessions retry <session-id>       # retry a session that gave up
+//   node memory-cli.js conflicts [--all] [--limit N]          # facts that disagree, for review
+//   node memory-cli.js conflicts resolve <id> keep|replace|both
+//   node memory-cli.js dedup-sweep [--apply] [--prefix P] [--threshold N]   # merge near-duplicate facts
+//   node memory-cli.js rekey [--dry-run]   # move keys to their canonical taxonomy form
 //   node memory-cli.js summary
+//   node memory-cli.js stats [--limit N]
 
 const path = require('path');
-const Database = require(path.join(__dirname, '..', 'src', 'node_modules', 'better-sqlite3'));
-const { embedTexts, cosineSimilarity } = require(path.join(__dirname, '..', 'src', 'embed.js'));
+const { MemoryStore, formatProvenance } = require(path.join(__dirname, '..', 'src', 'memory-store.js'));
+const { openDatabase } = require(path.join(__dirname, '..', 'src', 'migrations.js'));
 const { applyVerdict } = require(path.join(__dirname, '..', 'src', 'verdict.js'));
+const { AccessTracker, drainAccessLog, getAccessStats, accessLogFor } = require(path.join(__dirname, '..', 'src', 'access-tracker.js'));
+const { listRuns, getRun, formatRunLine, formatRunDetail } = require(path.join(__dirname, '..', 'src', 'run-ledger.js'));
+const { listSessions, retrySession, MAX_ATTEMPTS } = require(path.join(__dirname, '..', 'src', 'session-tracker.js'));
+const { canonicalizeKey, enforceKey, loadTaxonomy } = require(path.join(__dirname, '..', 'src', 'taxonomy.js'));
+const { formatConflict } = require(path.join(__dirname, '..', 'src', 'conflict-detector.js'));
+const { runSweep, printReport: printSweep, parseArgs: parseSweepArgs } = require(path.join(__dirname, '..', 'src', 'dedup-sweep.js'));
 
 const DB_PATH = path.join(__dirname, '..', 'memory.db');
 const MAX_ROWS = 50;
+const ACCESS_LOG = accessLogFor(DB_PATH);
 
+// Migrates older databases to the current schema on open
 function openDb(readonly = true) {
-  const db = new Database(DB_PATH, { readonly });
-  db.pragma('busy_timeout = 10000');
-  if (!readonly) db.pragma('journal_mode = WAL');
-  return db;
+  return openDatabase(DB_PATH, { readonly });
 }
 
-async function cmdStore(key, value) {
-  const db = openDb(false);
-  const now = new Date().toISOString();
-
-  const oldRow = db.prepare(
-    'SELECT rowid, key, value FROM memories WHERE key = ? AND end_time IS NULL'
-  ).get(key);
-
-  if (oldRow) {
-    db.prepare(
-      "INSERT INTO memories_fts(memories_fts, rowid, key, value) VALUES('delete', ?, ?, ?)"
-    ).run(oldRow.rowid, oldRow.key, oldRow.value);
-  }
-
-  db.prepare(
-    'UPDATE memories SET end_time = ? WHERE key = ? AND end_time IS NULL'
-  ).run(now, key);
-
-  db.prepare(
-    'INSERT INTO memories (key, value, source, start_time, end_time) VALUES (?, ?, ?, ?, NULL)'
-  ).run(key, value, 'cli:memory_store', now);
-
-  const newRow = db.prepare(
-    'SELECT rowid FROM memories WHERE key = ? AND start_time = ?'
-  ).get(key, now);
-
-  if (newRow) {
-    db.prepare(
-      'INSERT INTO memories_fts(rowid, key, value) VALUES (?, ?, ?)'
-    ).run(newRow.rowid, key, value);
-
-    try {
-      const [emb] = await embedTexts([`${key}: ${value}`]);
-      const buf = Buffer.from(emb.buffer);
-      db.prepare('UPDATE memories SET embedding = ? WHERE rowid = ?').run(buf, newRow.rowid);
-    } catch {}
-  }
-
-  db.close();
-  console.log(`Stored: ${key} = ${value}`);
+async function cmdStore(requested, value) {
+  const key = enforceKey(requested);
+  const store = new MemoryStore(openDb(false));
+  const row = store.put(key, value, { source: 'cli:memory_store' });
+  try { await store.embed([row]); } catch {}
+  store.close();
+  console.log(`Stored: ${key} = ${value}${key !== requested ? ` (key canonicalized from ${requested})` : ''}`);
 }
 
 async function cmdSearch(opts) {
-  const db = openDb(true);
+  const store = new MemoryStore(openDb(true));
   let rows;
-
-  if (opts.key) {
-    rows = db.prepare(
-      'SELECT key, value, start_time FROM memories WHERE end_time IS NULL AND key = ? ORDER BY start_time DESC LIMIT ?'
-    ).all(opts.key, MAX_ROWS);
-  } else if (opts.semantic) {
-    const [queryEmb] = await embedTexts([opts.semantic]);
-    const allRows = db.prepare(
-      'SELECT key, value, start_time, embedding FROM memories WHERE embedding IS NOT NULL AND end_time IS NULL'
-    ).all();
-    const scored = [];
-    for (const r of allRows) {
-      const emb = new Float32Array(r.embedding.buffer, r.embedding.byteOffset, r.embedding.byteLength / 4);
-      const sim = cosineSimilarity(queryEmb, emb);
-      if (sim >= 0.3) scored.push({ key: r.key, value: r.value, start_time: r.start_time, sim });
-    }
-    scored.sort((a, b) => b.sim - a.sim);
-    rows = scored.slice(0, MAX_ROWS);
-  } else if (opts.query) {
-    const safeQuery = opts.query.split(/\s+/).filter(Boolean).map(t => `"${t.replace(/"/g, '""')}"`).join(' ');
-    rows = db.prepare(
-      'SELECT m.key, m.value, m.start_time FROM memories m JOIN memories_fts fts ON m.rowid = fts.rowid WHERE memories_fts MATCH ? AND m.end_time IS NULL ORDER BY rank LIMIT ?'
-    ).all(safeQuery, MAX_ROWS);
-  } else if (opts.prefix) {
-    rows = db.prepare(
-      'SELECT key, value, start_time FROM memories WHERE end_time IS NULL AND key LIKE ? ORDER BY start_time DESC LIMIT ?'
-    ).all(opts.prefix + '%', MAX_ROWS);
-  } else {
-    rows = db.prepare(
-      'SELECT key, value, start_time FROM memories WHERE end_time IS NULL ORDER BY start_time DESC LIMIT ?'
-    ).all(MAX_ROWS);
+  try {
+    rows = await store.search({
+      keys: opts.key ? [opts.key] : undefined,
+      semantic: opts.semantic,
+      vectorOnly: true,
+      query: opts.query,
+      prefix: opts.prefix,
+      asOf: opts.asOf,
+      limit: MAX_ROWS,
+      minConfidence: opts.minConfidence,
+      trustClasses: opts.trust,
+      rankByTrust: opts.rankTrust,
+    });
+  } finally {
+    store.close();
   }
 
-  db.close();
-
   // Apply Four-Step Verdict filtering
   if (opts.verified || opts.subject || opts.maxAge) {
     rows = applyVerdict(rows, {
@@ -119,9 +89,96 @@ async function cmdSearch(opts) {
     return;
   }
 
+  // Looking back in time is inspection, not retrieval of current facts
+  if (!opts.asOf) {
+    const tracker = new AccessTracker(ACCESS_LOG);
+    tracker.record(rows);
+    tracker.flush();
+  }
+
+  for (const r of rows) {
+    const validity = opts.asOf ? ` [${r.start_time} → ${r.end_time || 'now'}]` : '';
+    const suffix = r.similarity !== undefined ? ` (similarity: ${r.similarity.toFixed(3)})` : '';
+    const trust = opts.minConfidence || opts.trust || opts.rankTrust
+      ? ` [${r.trust_class || '?'} ${r.confidence != null ? r.confidence.toFixed(2) : '?'}]`
+      : '';
+    console.log(`${r.key}: ${r.value}${validity}${suffix}${trust}`);
+  }
+}
+
+function cmdHistory(target, { prefix = false } = {}) {
+  const store = new MemoryStore(openDb(true));
+  const rows = store.history(target, { prefix });
+  store.close();
+
+  if (rows.length === 0) {
+    console.log('No history found.');
+    return;
+  }
+
+  let lastKey = null;
   for (const r of rows) {
-    const suffix = r.sim !== undefined ? ` (similarity: ${r.sim.toFixed(3)})` : '';
-    console.log(`${r.key}: ${r.value}${suffix}`);
+    if (r.key !== lastKey) {
+      console.log(r.key);
+      lastKey = r.key;
+    }
+    const marker = r.end_time ? ' ' : '*';
+    const run = r.run_id ? `, run ${r.run_id}` : '';
+    console.log(`  ${marker} ${r.start_time} → ${r.end_time || 'now'}  ${r.value}  (${r.source || '?'}${run})`);
+    if (r.original_text) console.log(`      as stated: ${r.original_text}`);
+  }
+}
+
+function cmdShow(key) {
+  const store = new MemoryStore(openDb(true));
+  const row = store.get(key);
+  const [version] = row ? store.history(key).filter(r => r.rowid === row.rowid) : [];
+  const provenance = row ? store.provenance(key) : [];
+  store.close();
+
+  if (!row) {
+    console.log(`No active fact ${key}.`);
+    return;
+  }
+  console.log(`${key}: ${row.value}`);
+  console.log(`  since ${row.start_time}  (${row.source || '?'}${version.run_id ? `, run ${version.run_id}` : ''})`);
+  console.log(`  trust: ${row.trust_class || '?'}, confidence ${row.confidence != null ? row.confidence.toFixed(2) : '?'}`);
+  if (version.original_text) console.log(`  as stated: ${version.original_text}`);
+  if (provenance.length === 0) {
+    console.log('  No provenance recorded.');
+    return;
+  }
+  console.log(`  Stated ${provenance.length} time(s):`);
+  for (const p of provenance) console.log(`    ${formatProvenance(p)}`);
+}
+
+function cmdRevert(target) {
+  const store = new MemoryStore(openDb(false), { runId: null });
+  try {
+    const isRun = store.db.prepare(`
+      SELECT 1 FROM memories WHERE run_id = ? OR closed_by_run = ?
+      UNION SELECT 1 FROM memories_archive WHERE replaced_by_run = ?
+      UNION SELECT 1 FROM provenance WHERE run_id = ?
+    `).get(target, target, target, target);
+
+    if (isRun) {
+      const r = store.revertRun(target);
+      console.log(`Reverted run ${target}: ${r.keys} key(s), ${r.removed} row(s) removed, ${r.reopened} reopened.`);
+      if (r.conflicts.length > 0) {
+        console.log(`Skipped ${r.conflicts.length} key(s) changed by a later run: ${r.conflicts.join(', ')}`);
+      }
+      return;
+    }
+
+    const r = store.revertKey(target);
+    if (r.removed === 0 && r.reopened === 0) {
+      console.log(`Nothing to revert: no run or key named ${target}.`);
+      return;
+    }
+    const now = store.get(target);
+    console.log(`Reverted ${target}: now ${now ? `= ${now.value}` : 'deleted'}.`);
+  } finally {
+    store.close();
   }
 }
 
@@ -136,6 +193,132 @@ function cmdSummary() {
   console.log(`[Memory | ${total} facts] ${catLine}`);
 }
 
+function cmdStats(limit) {
+  const db = openDb(false);
+  drainAccessLog(db, ACCESS_LOG);
+  const stats = getAccessStats(db, { limit });
+  db.close();
+
+  const pct = stats.active > 0 ? ((stats.accessed / stats.active) * 100).toFixed(1) : '0.0';
+  console.log(`Active facts:    ${stats.active}`);
+  console.log(`Retrieved:       ${stats.accessed} (${pct}%)`);
+  console.log(`Total hits:      ${stats.hits}`);
+  console.log(`Never retrieved: ${stats.neverAccessed}`);
+  if (stats.top.length > 0) {
+    console.log(`\nMost retrieved:`);
+    for (const r of stats.top) {
+      console.log(`  ${String(r.access_count).padStart(5)}  ${r.key}  (last ${r.last_accessed.slice(0, 10)})`);
+    }
+  }
+}
+
+function cmdRuns(runId, limit) {
+  const db = openDb(true);
+  const runs = runId ? [getRun(db, runId)].filter(Boolean) : listRuns(db, { limit });
+  db.close();
+
+  if (runs.length === 0) {
+    console.log(runId ? `No run ${runId}.` : 'No pipeline runs recorded.');
+    return;
+  }
+  if (runId) console.log(formatRunDetail(runs[0]));
+  else for (const r of runs) console.log(formatRunLine(r));
+}
+
+function cmdSessions({ failed, limit }) {
+  const db = openDb(true);
+  const sessions = listSessions(db, { status: failed ? 'failed' : null, limit });
+  db.close();
+
+  if (sessions.length === 0) {
+    console.log(failed ? 'No failed sessions.' : 'No sessions recorded.');
+    return;
+  }
+  for (const s of sessions) {
+    const state = s.status === 'failed'
+      ? `failed ${s.attempts}/${MAX_ATTEMPTS}${s.attempts >= MAX_ATTEMPTS ? ' (gave up)' : ''}: ${s.error}`
+      : `done, ${s.fact_count || 0} facts`;
+    const offset = s.byte_offset != null ? ` @${s.byte_offset}` : '';
+    console.log(`${s.updated_at.slice(0, 16)}  ${s.session_id}  [${s.source || '?'}]${offset}  ${state}`);
+  }
+}
+
+function cmdRetrySession(sessionId) {
+  const db = openDb(false);
+  const ok = retrySession(db, sessionId);
+  db.close();
+  console.log(ok ? `Session ${sessionId} will be retried on the next run.` : `No failed session ${sessionId}.`);
+}
+
+function cmdConflicts({ all, limit }) {
+  const store = new MemoryStore(openDb(true));
+  const conflicts = store.conflicts({ status: all ? 'all' : 'open', limit });
+  store.close();
+
+  if (conflicts.length === 0) {
+    console.log(all ? 'No conflicts recorded.' : 'No open conflicts.');
+    return;
+  }
+  for (const c of conflicts) console.log(formatConflict(c));
+  if (!all) console.log('Resolve with: memory-cli.js conflicts resolve <id> keep|replace|both');
+}
+
+function cmdResolveConflict(id, action) {
+  const store = new MemoryStore(openDb(false), { runId: null });
+  try {
+    const c = store.resolveConflict(id, action);
+    const describe = key => {
+      const row = store.get(key);
+      return `${key} ${row ? `= ${row.value}` : 'closed'}`;
+    };
+    const keys = [...new Set([c.key, c.other_key])];
+    console.log(`Resolved conflict #${id} (${c.status}): now ${keys.map(describe).join(', ')}.`);
+  } finally {
+    store.close();
+  }
+}
+
+function cmdDedupSweep(opts) {
+  const db = openDb(!opts.apply);
+  try {
+    printSweep(runSweep(db, opts));
+  } finally {
+    db.close();
+  }
+}
+
+function cmdRekey({ dryRun }) {
+  const store = new MemoryStore(openDb(dryRun), { runId: null });
+  try {
+    const taxonomy = loadTaxonomy();
+    const keys = store.db.prepare('SELECT DISTINCT key FROM memories ORDER BY key').pluck().all();
+    const moves = [];
+    const offTaxonomy = [];
+    for (const key of keys) {
+      const canonical = canonicalizeKey(key, taxonomy);
+      if (!canonical.allowed) offTaxonomy.push(key);
+      else if (canonical.changed) moves.push([key, canonical.key]);
+    }
+
+    for (const [from, to] of moves) {
+      if (dryRun) {
+        console.log(`  ${from} → ${to}`);
+        continue;
+      }
+      const r = store.rekey(from, to);
+      const extra = [r.archived && `${r.archived} archived`, r.closed && `${r.closed} closed`].filter(Boolean);
+      console.log(`  ${from} → ${to}  (${r.moved} row(s)${extra.length ? `, ${extra.join(', ')}` : ''})`);
+    }
+    console.log(`${dryRun ? 'Would rekey' : 'Rekeyed'} ${moves.length} key(s).${moves.length && !dryRun ? ' Run the embed step to re-embed them.' : ''}`);
+    if (offTaxonomy.length > 0) {
+      console.log(`${offTaxonomy.length} key(s) outside the taxonomy (add a category or alias, or delete them):`);
+      for (const key of offTaxonomy) console.log(`  ${key}`);
+    }
+  } finally {
+    store.close();
+  }
+}
+
 async function main() {
   const [cmd, ...rest] = process.argv.slice(2);
 
@@ -155,15 +338,71 @@ async function main() {
       else if (rest[i] === '--verified') { opts.verified = true; }
       else if (rest[i] === '--subject' && rest[i + 1]) { opts.subject = rest[++i]; }
       else if (rest[i] === '--max-age' && rest[i + 1]) { opts.maxAge = parseInt(rest[++i], 10); }
+      else if (rest[i] === '--as-of' && rest[i + 1]) { opts.asOf = rest[++i]; }
+      // Trust
+      else if (rest[i] === '--min-confidence' && rest[i + 1]) { opts.minConfidence = parseFloat(rest[++i]); }
+      else if (rest[i] === '--trust' && rest[i + 1]) { opts.trust = rest[++i].split(','); }
+      else if (rest[i] === '--rank-trust') { opts.rankTrust = true; }
     }
     await cmdSearch(opts);
+  } else if (cmd === 'history') {
+    const prefixed = rest[0] === '--prefix';
+    const target = prefixed ? rest[1] : rest[0];
+    if (!target) { console.error('Usage: memory-cli.js history <key> | --prefix <prefix>'); process.exit(1); }
+    cmdHistory(target, { prefix: prefixed });
+  } else if (cmd === 'show') {
+    if (!rest[0]) { console.error('Usage: memory-cli.js show <key>'); process.exit(1); }
+    cmdShow(rest[0]);
+  } else if (cmd === 'runs') {
+    const i = rest.indexOf('--limit');
+    const limit = i >= 0 ? parseInt(rest[i + 1], 10) || 20 : 20;
+    cmdRuns(rest[0] && !rest[0].startsWith('--') ? rest[0] : null, limit);
+  } else if (cmd === 'sessions') {
+    if (rest[0] === 'retry') {
+      if (!rest[1]) { console.error('Usage: memory-cli.js sessions retry <session-id>'); process.exit(1); }
+      cmdRetrySession(rest[1]);
+    } else {
+      const i = rest.indexOf('--limit');
+      cmdSessions({ failed: rest.includes('--failed'), limit: i >= 0 ? parseInt(rest[i + 1], 10) || 50 : 50 });
+    }
+  } else if (cmd === 'revert') {
+    if (!rest[0]) { console.error('Usage: memory-cli.js revert <run-id|key>'); process.exit(1); }
+    cmdRevert(rest[0]);
+  } else if (cmd === 'conflicts') {
+    if (rest[0] === 'resolve') {
+      const id = parseInt(rest[1], 10);
+      if (!id || !['keep', 'replace', 'both'].includes(rest[2])) {
+        console.error('Usage: memory-cli.js conflicts resolve <id> keep|replace|both'); process.exit(1);
+      }
+      cmdResolveConflict(id, rest[2]);
+    } else {
+      const i = rest.indexOf('--limit');
+      cmdConflicts({ all: rest.includes('--all'), limit: i >= 0 ? parseInt(rest[i + 1], 10) || 50 : 50 });
+    }
+  } else if (cmd === 'dedup-sweep') {
+    cmdDedupSweep(parseSweepArgs(rest));
+  } else if (cmd === 'rekey') {
+    cmdRekey({ dryRun: rest.includes('--dry-run') });
   } else if (cmd === 'summary') {
     cmdSummary();
+  } else if (cmd === 'stats') {
+    const i = rest.indexOf('--limit');
+    cmdStats(i >= 0 ? parseInt(rest[i + 1], 10) || 10 : 10);
   } else {
     console.error('Usage:');
     console.error('  memory-cli.js store <key> <value>');
-    console.error('  memory-cli.js search --prefix|--query|--semantic|--key <value>');
+    console.error('  memory-cli.js search --prefix|--query|--semantic|--key <value> [--as-of <timestamp>]');
+    console.error('                       [--min-confidence N] [--trust <class,...>] [--rank-trust]');
+    console.error('  memory-cli.js history <key> | --prefix <prefix>');
+    console.error('  memory-cli.js show <key>');
+    console.error('  memory-cli.js revert <run-id|key>');
+    console.error('  memory-cli.js runs [<run-id>] [--limit N]');
+    console.error('  memory-cli.js sessions [--failed] [--limit N] | retry <session-id>');
+    console.error('  memory-cli.js conflicts [--all] [--limit N] | resolve <id> keep|replace|both');
+    console.error('  memory-cli.js dedup-sweep [--apply] [--prefix <prefix>] [--threshold N]');
+    console.error('  memory-cli.js rekey [--dry-run]');
     console.error('  memory-cli.js summary');
+    console.error('  memory-cli.js stats [--limit N]');
     process.exit(1);
   }
 }
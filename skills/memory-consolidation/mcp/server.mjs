@@ -2,33 +2,72 @@ import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
 import { createRequire } from "node:module";
-import { readFileSync } from "node:fs";
+import { existsSync, readFileSync } from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 
-// better-sqlite3 is a native module that needs require()
+// src/ modules are CommonJS (and load the native better-sqlite3) — need require()
 const require = createRequire(import.meta.url);
-const Database = require("better-sqlite3");
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const { embedTexts, cosineSimilarity } = require(
-  path.join(__dirname, "..", "src", "embed.js")
+const { MemoryStore, formatProvenance } = require(
+  path.join(__dirname, "..", "src", "memory-store.js")
+);
+const { openDatabase } = require(
+  path.join(__dirname, "..", "src", "migrations.js")
 );
 const { applyVerdict } = require(
   path.join(__dirname, "..", "src", "verdict.js")
 );
-const { hybridSearch } = require(
-  path.join(__dirname, "..", "src", "hybrid-search.js")
+const { AccessTracker, drainAccessLog, getAccessStats, accessLogFor } = require(
+  path.join(__dirname, "..", "src", "access-tracker.js")
+);
+const { listRuns, getRun, formatRunLine, formatRunDetail } = require(
+  path.join(__dirname, "..", "src", "run-ledger.js")
+);
+const { enforceKey } = require(
+  path.join(__dirname, "..", "src", "taxonomy.js")
+);
+const { formatConflict } = require(
+  path.join(__dirname, "..", "src", "conflict-detector.js")
 );
 const DB_PATH = path.join(__dirname, "..", "memory.db");
+const ACCESS_LOG = accessLogFor(DB_PATH);
+const ACCESS_DRAIN_MS = 60_000;
 const DIGEST_PATH = path.join(__dirname, "..", "memory_digest.json");
 const CONFIG_PATH = path.join(__dirname, "..", "digest-config.json");
 
+// Migrates older databases to the current schema on open
 function openDb(readonly = true) {
-  const db = new Database(DB_PATH, { readonly });
-  db.pragma('busy_timeout = 10000');
-  if (!readonly) db.pragma('journal_mode = WAL');
-  return db;
+  return openDatabase(DB_PATH, { readonly });
+}
+
+// Hits are spooled per search and applied to the DB in batches
+const tracker = new AccessTracker(ACCESS_LOG);
+
+function drainAccess() {
+  if (!existsSync(ACCESS_LOG)) return;
+  let db;
+  try {
+    db = openDb(false);
+    drainAccessLog(db, ACCESS_LOG);
+  } catch (err) {
+    console.error("Access drain failed (non-fatal):", err.message);
+  } finally {
+    db?.close();
+  }
+}
+
+function accessLine() {
+  try {
+    const db = openDb(true);
+    const stats = getAccessStats(db, { limit: 5 });
+    db.close();
+    const top = stats.top.map((r) => `${r.key}(${r.access_count})`).join(" ");
+    return `[Access — ${stats.accessed}/${stats.active} facts retrieved, ${stats.hits} hits] ${top}`.trimEnd();
+  } catch {
+    return null;
+  }
 }
 
 function loadConfig() {
@@ -60,7 +99,7 @@ server.registerTool(
   "memory_summary",
   {
     description:
-      "Get a compact one-line summary of the memory database — total fact count and top categories by frequency.",
+      "Get a compact summary of the memory database — total fact count, top categories by frequency, and the most-retrieved facts.",
     inputSchema: {},
   },
   async () => {
@@ -83,8 +122,9 @@ server.registerTool(
     const totalFacts = filtered.reduce((sum, [, v]) => sum + v.count, 0);
     const catLine = filtered.map(([k, v]) => `${k}(${v.count})`).join(" ");
     const summary = `[Memory — ${digest.generated_at.slice(0, 10)} | ${totalFacts} facts] ${catLine}`;
+    const access = accessLine();
 
-    return { content: [{ type: "text", text: summary }] };
+    return { content: [{ type: "text", text: access ? `${summary}\n${access}` : summary }] };
   }
 );
 
@@ -94,90 +134,46 @@ server.registerTool(
   "memory_search",
   {
     description:
-      "Search memory facts. Filter by category prefix (e.g. 'user.'), specific keys, full-text query, semantic meaning, or list all. Priority: keys > semantic > query > prefix > all.",
+      "Search memory facts. Filter by category prefix (e.g. 'user.'), specific keys, full-text query, semantic meaning, or list all. Priority: keys > semantic > query > prefix > all. Pass asOf to search what memory believed at an earlier time. Every fact has a trust class (manual, user-stated, tool-observed, rule-derived, assistant-inferred) and a confidence; filter or rank by them to prefer facts you can rely on.",
     inputSchema: {
       prefix: z.string().optional().describe("Category prefix to filter by, e.g. 'user.' or 'project.'"),
       keys: z.array(z.string()).optional().describe("Specific dot-notation keys to fetch, e.g. ['user.name', 'user.language']"),
       semantic: z.string().optional().describe("Semantic search — find facts by meaning, not exact words (e.g. 'editor' finds 'user.ide: vscode')"),
       query: z.string().optional().describe("Full-text search across keys and values (FTS5)"),
       limit: z.number().int().min(1).max(500).optional().describe("Max results to return (default 50)"),
+      asOf: z.string().optional().describe("ISO timestamp or date, e.g. '2026-03-01' — return the facts that were active then instead of now"),
+      withProvenance: z.boolean().optional().describe("Also list where each fact was stated: session, agent, message IDs and a supporting quote"),
       // Four-Step Verdict parameters
-      sourceVerified: z.boolean().optional().describe("Exclude inferred.* keys (only return user-stated facts)"),
+      sourceVerified: z.boolean().optional().describe("Exclude inferred.* keys and assistant-inferred facts"),
+      // Trust (confidence / trust_class on every fact)
+      minConfidence: z.number().min(0).max(1).optional().describe("Only return facts with at least this confidence (0-1)"),
+      trust: z.array(z.enum(["manual", "user-stated", "tool-observed", "rule-derived", "assistant-inferred"])).optional().describe("Only return facts of these trust classes"),
+      rankByTrust: z.boolean().optional().describe("Order results by confidence (times similarity for semantic search) instead of the search's own order"),
       subject: z.string().optional().describe("Filter by subject (key must include this string)"),
       maxAgeDays: z.number().optional().describe("Filter by age (only return facts from last N days)"),
       // Type filtering (uses type_mappings from config)
       type: z.enum(["fact", "pref", "entity", "event", "agent", "inferred", "error", "all"]).optional().describe("Filter by memory type: fact, pref, entity, event, agent, inferred, error, or all"),
     },
   },
-  async ({ prefix, keys, semantic, query, limit, sourceVerified, subject, maxAgeDays, type }) => {
-    const db = openDb(true);
-    const maxRows = limit || 50;
+  async ({ prefix, keys, semantic, query, limit, asOf, withProvenance, sourceVerified, minConfidence, trust, rankByTrust: byTrust, subject, maxAgeDays, type }) => {
+    const store = new MemoryStore(openDb(true));
     let rows;
-
-    if (keys && keys.length > 0) {
-      const placeholders = keys.map(() => "?").join(",");
-      rows = db
-        .prepare(
-          `SELECT key, value, start_time FROM memories
-           WHERE end_time IS NULL AND key IN (${placeholders})
-           ORDER BY start_time DESC
-           LIMIT ?`
-        )
-        .all(...keys, maxRows);
-    } else if (semantic) {
-      // Hybrid search: combine vector similarity + BM25 (FTS5)
-      const [queryEmb] = await embedTexts([semantic]);
-      const hybridResults = hybridSearch(db, semantic, queryEmb, { limit: maxRows });
-      rows = hybridResults.map(r => ({
-        key: r.key,
-        value: r.value,
-        start_time: r.start_time,
-        similarity: r.score,
-        bm25Hit: r.bm25Hit,
-      }));
-    } else if (query) {
-      // Quote each token to prevent FTS5 syntax errors (e.g. "-" as NOT operator)
-      const safeQuery = query
-        .split(/\s+/)
-        .filter(Boolean)
-        .map((t) => `"${t.replace(/"/g, '""')}"`)
-        .join(" ");
-      rows = db
-        .prepare(
-          `SELECT m.key, m.value, m.start_time
-           FROM memories m
-           JOIN memories_fts fts ON m.rowid = fts.rowid
-           WHERE memories_fts MATCH ? AND m.end_time IS NULL
-           ORDER BY rank
-           LIMIT ?`
-        )
-        .all(safeQuery, maxRows);
-    } else if (prefix) {
-      rows = db
-        .prepare(
-          `SELECT key, value, start_time FROM memories
-           WHERE end_time IS NULL AND key LIKE ?
-           ORDER BY start_time DESC
-           LIMIT ?`
-        )
-        .all(prefix + "%", maxRows);
-    } else {
-      rows = db
-        .prepare(
-          `SELECT key, value, start_time FROM memories
-           WHERE end_time IS NULL
-           ORDER BY start_time DESC
-           LIMIT ?`
-        )
-        .all(maxRows);
+    try {
+      rows = await store.search({
+        keys, semantic, query, prefix, asOf, limit: limit || 50,
+        minConfidence, trustClasses: trust, rankByTrust: byTrust,
+      });
+    } catch (err) {
+      return { content: [{ type: "text", text: err.message }], isError: true };
+    } finally {
+      store.close();
     }
 
-    db.close();
-
     // Apply Four-Step Verdict filtering
     if (sourceVerified || subject || maxAgeDays) {
       rows = applyVerdict(rows, { sourceVerified, subject, maxAgeDays });
     }
+    const showTrust = Boolean(minConfidence || trust || byTrust);
 
     // Apply type filtering using type_mappings from config
     if (type && type !== "all") {
@@ -193,84 +189,186 @@ server.registerTool(
       return { content: [{ type: "text", text: "No matching facts found." }] };
     }
 
+    // Looking back in time is inspection, not retrieval of current facts
+    if (!asOf) {
+      tracker.record(rows);
+      tracker.flush();
+    }
+
+    let provenance = null;
+    if (withProvenance) {
+      const reader = new MemoryStore(openDb(true));
+      try {
+        provenance = rows.map((r) => reader.provenance(r.key, { startTime: r.start_time }));
+      } finally {
+        reader.close();
+      }
+    }
+
     const text = rows
-      .map((r) => {
+      .map((r, i) => {
+        const validity = asOf ? ` [${r.start_time} → ${r.end_time || "now"}]` : "";
+        let line = `${r.key}: ${r.value}${validity}`;
         if (r.similarity !== undefined) {
           const bm25Tag = r.bm25Hit ? " +bm25" : "";
-          return `${r.key}: ${r.value} (score: ${r.similarity.toFixed(3)}${bm25Tag})`;
+          line += ` (score: ${r.similarity.toFixed(3)}${bm25Tag})`;
         }
-        return `${r.key}: ${r.value}`;
+        if (showTrust) line += ` [${r.trust_class || "?"} ${r.confidence != null ? r.confidence.toFixed(2) : "?"}]`;
+        if (!provenance) return line;
+        const from = provenance[i].length > 0
+          ? provenance[i].map((p) => `  from ${formatProvenance(p)}`)
+          : ["  (no provenance recorded)"];
+        return [line, ...from].join("\n");
       })
       .join("\n");
     return { content: [{ type: "text", text }] };
   }
 );
 
-// ── Tool: memory_store ──────────────────────────────────────────────────────
+// ── Tool: memory_history ────────────────────────────────────────────────────
 
 server.registerTool(
-  "memory_store",
+  "memory_history",
   {
     description:
-      "Store or update a memory fact. Key should use dot-notation (e.g. 'user.name', 'project.stack'). Existing active facts with the same key will be closed (end_time set).",
+      "Show how a fact changed over time: every version of a key (or of all keys under a prefix such as 'user.') with its validity interval and source. Use it to audit updates and debug bad merges.",
     inputSchema: {
-      key: z.string().min(1).describe("Dot-notation key, e.g. 'user.preferred_editor'"),
-      value: z.string().min(1).describe("The value to store"),
+      key: z.string().optional().describe("Exact dot-notation key, e.g. 'user.city'"),
+      prefix: z.string().optional().describe("Key prefix, e.g. 'project.' — history of every matching key"),
+      limit: z.number().int().min(1).max(1000).optional().describe("Max versions to return (default 200)"),
     },
   },
-  async ({ key, value }) => {
-    const db = openDb(false);
-    const now = new Date().toISOString();
-
-    // Find existing active fact for FTS cleanup
-    const oldRow = db.prepare(
-      `SELECT rowid, key, value FROM memories WHERE key = ? AND end_time IS NULL`
-    ).get(key);
-
-    if (oldRow) {
-      // Remove old entry from FTS index
-      db.prepare(
-        "INSERT INTO memories_fts(memories_fts, rowid, key, value) VALUES('delete', ?, ?, ?)"
-      ).run(oldRow.rowid, oldRow.key, oldRow.value);
+  async ({ key, prefix, limit }) => {
+    if (!key && !prefix) {
+      return { content: [{ type: "text", text: "Pass key or prefix." }], isError: true };
     }
 
-    // Close any existing active fact with the same key
-    db.prepare(
-      `UPDATE memories SET end_time = ? WHERE key = ? AND end_time IS NULL`
-    ).run(now, key);
-
-    // Insert the new fact
-    db.prepare(
-      `INSERT INTO memories (key, value, source, start_time, end_time)
-       VALUES (?, ?, ?, ?, NULL)`
-    ).run(key, value, "mcp:memory_store", now);
-
-    // Add new entry to FTS index
-    const newRow = db.prepare(
-      `SELECT rowid FROM memories WHERE key = ? AND start_time = ?`
-    ).get(key, now);
-    if (newRow) {
-      db.prepare(
-        `INSERT INTO memories_fts(rowid, key, value) VALUES (?, ?, ?)`
-      ).run(newRow.rowid, key, value);
+    const store = new MemoryStore(openDb(true));
+    let rows;
+    try {
+      rows = key
+        ? store.history(key, { limit: limit || 200 })
+        : store.history(prefix, { prefix: true, limit: limit || 200 });
+    } finally {
+      store.close();
     }
 
-    // Auto-embed the new fact
+    if (rows.length === 0) {
+      return { content: [{ type: "text", text: "No history found." }] };
+    }
+
+    const text = rows
+      .map((r) => `${r.key} [${r.start_time} → ${r.end_time || "now"}] ${r.value}  (source: ${r.source || "?"}${r.original_text ? `; as stated: ${r.original_text}` : ""})`)
+      .join("\n");
+    return { content: [{ type: "text", text }] };
+  }
+);
+
+// ── Tool: memory_runs ───────────────────────────────────────────────────────
+
+server.registerTool(
+  "memory_runs",
+  {
+    description:
+      "Pipeline run ledger: recent consolidation runs with mode, status, duration, sessions, LLM calls, failures and fact counts. Pass runId for per-step metrics of one run.",
+    inputSchema: {
+      runId: z.string().optional().describe("Run ID to show in detail"),
+      limit: z.number().int().min(1).max(200).optional().describe("Number of recent runs to list (default 20)"),
+    },
+  },
+  async ({ runId, limit }) => {
+    const db = openDb(true);
+    let text;
     try {
-      const [emb] = await embedTexts([`${key}: ${value}`]);
-      const buf = Buffer.from(emb.buffer);
-      db.prepare(`UPDATE memories SET embedding = ? WHERE rowid = ?`).run(
-        buf,
-        newRow.rowid
-      );
+      if (runId) {
+        const run = getRun(db, runId);
+        text = run ? formatRunDetail(run) : `No run ${runId}.`;
+      } else {
+        const runs = listRuns(db, { limit: limit || 20 });
+        text = runs.length > 0 ? runs.map(formatRunLine).join("\n") : "No pipeline runs recorded.";
+      }
+    } finally {
+      db.close();
+    }
+    return { content: [{ type: "text", text }] };
+  }
+);
+
+// ── Tool: memory_conflicts ──────────────────────────────────────────────────
+
+server.registerTool(
+  "memory_conflicts",
+  {
+    description:
+      "Review queue of conflicting facts found at commit time: a key whose new value replaced a more trusted one (supersede), or a similar fact under another key that the new one contradicts (contradiction). Lists open conflicts; pass id and resolve to settle one — keep (keep the existing fact, withdraw the new one), replace (keep the new fact, close the existing one) or both (both stand).",
+    inputSchema: {
+      status: z.enum(["open", "kept", "replaced", "both", "all"]).optional().describe("Which conflicts to list (default open)"),
+      id: z.number().int().optional().describe("Conflict to resolve"),
+      resolve: z.enum(["keep", "replace", "both"]).optional().describe("Resolution for conflict id"),
+      limit: z.number().int().min(1).max(500).optional().describe("Max conflicts to list (default 50)"),
+    },
+  },
+  async ({ status, id, resolve, limit }) => {
+    if ((id === undefined) !== (resolve === undefined)) {
+      return { content: [{ type: "text", text: "Pass id and resolve together." }], isError: true };
+    }
+
+    const store = new MemoryStore(openDb(resolve === undefined), { runId: null });
+    try {
+      if (resolve) {
+        const conflict = store.resolveConflict(id, resolve);
+        return { content: [{ type: "text", text: `Resolved: ${formatConflict(conflict)}` }] };
+      }
+      const conflicts = store.conflicts({ status: status || "open", limit: limit || 50 });
+      const text = conflicts.length > 0 ? conflicts.map(formatConflict).join("\n") : "No conflicts.";
+      return { content: [{ type: "text", text }] };
     } catch (err) {
-      console.error("Auto-embed failed (non-fatal):", err.message);
+      return { content: [{ type: "text", text: err.message }], isError: true };
+    } finally {
+      store.close();
     }
+  }
+);
 
-    db.close();
+// ── Tool: memory_store ──────────────────────────────────────────────────────
+
+server.registerTool(
+  "memory_store",
+  {
+    description:
+      "Store or update a memory fact. Key should use dot-notation (e.g. 'user.name', 'project.stack'); it is rewritten to its canonical form (snake_case, singular category, aliases from the taxonomy config) and rejected if its category is outside the taxonomy. Existing active facts with the same key will be closed (end_time set).",
+    inputSchema: {
+      key: z.string().min(1).describe("Dot-notation key, e.g. 'user.preferred_editor'"),
+      value: z.string().min(1).describe("The value to store"),
+    },
+  },
+  async ({ key: requested, value }) => {
+    let key;
+    try {
+      key = enforceKey(requested);
+    } catch (err) {
+      return { content: [{ type: "text", text: err.message }], isError: true };
+    }
+
+    const store = new MemoryStore(openDb(false));
+    try {
+      const row = store.put(key, value, { source: "mcp:memory_store" });
+
+      // Auto-embed the new fact
+      try {
+        await store.embed([row]);
+      } catch (err) {
+        console.error("Auto-embed failed (non-fatal):", err.message);
+      }
+    } finally {
+      store.close();
+    }
 
     return {
-      content: [{ type: "text", text: `Stored: ${key} = ${value}` }],
+      content: [{
+        type: "text",
+        text: `Stored: ${key} = ${value}${key !== requested ? ` (key canonicalized from ${requested})` : ""}`,
+      }],
     };
   }
 );
@@ -278,6 +376,9 @@ server.registerTool(
 // ── Start ───────────────────────────────────────────────────────────────────
 
 async function main() {
+  setInterval(drainAccess, ACCESS_DRAIN_MS).unref();
+  process.on("exit", drainAccess);
+
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error("Memory MCP Server running on stdio");
@@ -1,103 +1,225 @@
 /**
- * Step 1: Extract facts from a session JSONL file using Gemini CLI (flash-lite).
+ * Step 1: Extract facts from a session JSONL file via the configured LLM provider.
  *
  * Usage: node 1-extract-facts.js <session.jsonl>
  * Output: appends to facts.jsonl (path via FACTS_FILE env or default)
+ * Provider: digest-config.json llm.tasks.extract (default: gemini-cli, flash-lite)
+ *
+ * Progress is tracked in the sessions table (session-tracker.js): only the
+ * part of a session appended since its last extraction is read, and a session
+ * whose chunks failed writes no facts and is retried on the next run. The last
+ * CONTEXT_MESSAGES already-extracted messages are re-sent ahead of the new ones
+ * as context only, so a session extracted on every /compact costs one pass
+ * over its transcript instead of one per trigger.
+ *
+ * New messages are numbered ("[#12 user] ...") and the LLM cites the number
+ * of the message each fact comes from ("msg": 12), so every fact is stamped
+ * with the timestamp of the message that stated it rather than the session's
+ * first timestamp, and step 2 can order value changes within a session.
+ *
+ * Each fact also carries its provenance: the full session ID, the agent, the
+ * cited message's ID and a short supporting quote (the LLM's "quote", else
+ * the start of the cited message). Step 3 stores it in the provenance table.
+ *
+ * Each fact is scored (trust.js): user-stated when it cites a user message,
+ * assistant-inferred otherwise, with a lower confidence if it needed repair.
+ *
+ * Relative dates in extracted items ("event.yesterday.deploy") are resolved
+ * against that timestamp first (date-resolver.js). Items are then
+ * validated against fact-schema.js; invalid ones get one repair re-prompt,
+ * and those that still fail are appended to the quarantine file
+ * (MEMORY_QUARANTINE_FILE or ../quarantine.jsonl) instead of the facts.
+ *
+ * Any transcript format session-adapters.js knows is accepted (Claude Code,
+ * OpenClaw, Codex CLI, Gemini, generic role/content JSONL).
+ *
+ *   const { extractFacts } = require('./1-extract-facts.js');
+ *   const metrics = await extractFacts(file, { factsFile });   // used by pipeline.js
  */
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { spawnSync } = require('child_process');
 const { filterConversation, getNoiseStats } = require('./noise-filter.js');
+const { getProvider } = require('./llm-provider.js');
+const { RateLimitError } = require('./rate-limiter.js');
+const { recordStepForRun } = require('./run-ledger.js');
+const { openDatabase, DB_PATH } = require('./migrations.js');
+const { importLegacy, planSession, markSession } = require('./session-tracker.js');
+const { detectFile, parseLines, formatTranscript, transcriptMessages } = require('./session-adapters.js');
+const { validateFact, categoryPromptLines, appendQuarantine, QUARANTINE_FILE } = require('./fact-schema.js');
+const { loadTaxonomy } = require('./taxonomy.js');
+const { resolveFactDates, loadTimeZone } = require('./date-resolver.js');
+const { scoreExtracted } = require('./trust.js');
 
 const MIN_FREE_MB = 300; // Abort if free RAM drops below this
 
 const FACTS_FILE = process.env.FACTS_FILE || path.join(__dirname, 'facts.jsonl');
-const PROCESSED_FILE = path.join(__dirname, '..', '.processed_sessions');
 const CHUNK_LIMIT = 30_000; // chars
+const CONTEXT_MESSAGES = 4; // already-extracted messages re-sent as context
+const CONTEXT_LIMIT = 4_000; // chars
+const QUOTE_LIMIT = 200; // chars
 
-// Headless HOME for gemini -p: OAuth auth, no hooks, no MCP, no fake sessions
-const HEADLESS_HOME = '/tmp/gemini-headless';
-const HEADLESS_GEMINI = path.join(HEADLESS_HOME, '.gemini');
-const REAL_GEMINI = path.join(os.homedir(), '.gemini');
-if (!fs.existsSync(HEADLESS_GEMINI)) {
-    fs.mkdirSync(HEADLESS_GEMINI, { recursive: true });
+function getSessionId(filePath) {
+    return path.basename(filePath, '.jsonl');
 }
-// Always sync settings + OAuth creds from real HOME
-fs.writeFileSync(path.join(HEADLESS_GEMINI, 'settings.json'),
-    '{"security":{"auth":{"selectedType":"oauth-personal"}},"hooks":{},"mcpServers":{}}');
-for (const f of ['google_accounts.json', 'oauth_creds.json']) {
-    const src = path.join(REAL_GEMINI, f);
-    if (fs.existsSync(src)) fs.copyFileSync(src, path.join(HEADLESS_GEMINI, f));
+
+// Which agent wrote the session: from where it lives, else its format
+function sessionSource(filePath, adapter) {
+    const agent = filePath.match(/agents[\\/]([^\\/]+)[\\/]sessions[\\/]/);
+    if (agent) return `openclaw:${agent[1]}`;
+    if (path.basename(filePath).startsWith('gemini-')) return 'gemini';
+    if (filePath.includes(`${path.sep}.claude${path.sep}`)) return 'claude-code';
+    return adapter && adapter.name !== 'generic' ? adapter.name : null;
 }
 
-function getSessionId(filePath) {
-    return path.basename(filePath, '.jsonl');
+/**
+ * Complete lines from byte `from` on, with their byte ranges. A trailing line
+ * without its newline is still being written and is left for the next run.
+ * @returns {{ lines: Array<{ text: string, start: number, end: number }>, end: number }}
+ *   end: offset after the last complete line
+ */
+function readSessionLines(filePath, from) {
+    const fd = fs.openSync(filePath, 'r');
+    let buf;
+    try {
+        const size = fs.fstatSync(fd).size;
+        buf = Buffer.alloc(Math.max(0, size - from));
+        fs.readSync(fd, buf, 0, buf.length, from);
+    } finally {
+        fs.closeSync(fd);
+    }
+    const lines = [];
+    let start = 0;
+    for (let nl = buf.indexOf(0x0a); nl !== -1; nl = buf.indexOf(0x0a, start)) {
+        if (nl > start) lines.push({ text: buf.toString('utf8', start, nl), start: from + start, end: from + nl + 1 });
+        start = nl + 1;
+    }
+    return { lines, end: from + start };
 }
 
-function isProcessed(sessionId, mtime) {
-    if (!fs.existsSync(PROCESSED_FILE)) return false;
-    const processed = fs.readFileSync(PROCESSED_FILE, 'utf8').split('\n');
-    return processed.includes(`${sessionId}|${mtime}`);
+// Claude Code records carry `uuid`, OpenClaw records `id`
+function messageId(line) {
+    try {
+        const record = JSON.parse(line);
+        return record.uuid || record.id || null;
+    } catch {
+        return null;
+    }
 }
 
-function markProcessed(sessionId, mtime) {
-    fs.appendFileSync(PROCESSED_FILE, `${sessionId}|${mtime}\n`);
+/**
+ * Split a session into already-extracted context and new lines, resuming
+ * from a planSession() result. If the message before the stored offset is no
+ * longer the one recorded as last extracted, the file changed in place: look
+ * the message up again, or start over when it is gone.
+ * @returns {{ context: Array, fresh: Array, offset: number, end: number, next: Object }}
+ *   next: { contextOffset, lastUuid } to record once the new lines are extracted
+ */
+function locateTail(filePath, { offset, contextOffset, lastUuid }, adapter) {
+    let { lines, end } = readSessionLines(filePath, contextOffset ?? offset);
+    if (offset > 0 && lastUuid) {
+        const lastId = lines.filter(l => l.end <= offset).map(l => messageId(l.text)).filter(Boolean).pop();
+        if (lastId !== lastUuid) {
+            ({ lines, end } = readSessionLines(filePath, 0));
+            const at = lines.findIndex(l => messageId(l.text) === lastUuid);
+            offset = at >= 0 ? lines[at].end : 0;
+            console.log(at >= 0 ? `  Session changed; resuming after message ${lastUuid}` : '  Session rewritten; extracting from the start');
+        }
+    }
+    const messages = lines.filter(l => isMessage(l.text, adapter));
+    const recent = messages.slice(-CONTEXT_MESSAGES);
+    return {
+        context: messages.filter(l => l.end <= offset).slice(-CONTEXT_MESSAGES),
+        fresh: lines.filter(l => l.end > offset),
+        offset,
+        end,
+        next: {
+            contextOffset: recent.length > 0 ? recent[0].start : end,
+            lastUuid: lines.map(l => messageId(l.text)).filter(Boolean).pop() || null,
+        },
+    };
 }
 
 const PROMPT = `Extract persistent factual information from this conversation as a JSON array.
-Each fact must be an object with "key" (string, dot-notation category.field) and "value" (string).
+Each fact must be an object with "key" (string, dot-notation category.field), "value" (string),
+"msg" (number): messages start with "[#N role]"; msg is the N of the message that states the fact,
+and "quote" (string): the words of that message that support the fact, verbatim, at most 20 words.
 
 Categories (use ONLY these exact forms):
-- user.* / pref.* - User identity and preferences
-- entity.<name>.* - Entity records (people, projects, organizations)
-- event.<date>.<topic> - Events/decisions (immutable)
-- agent.case.<id> - Learned cases (problem + solution, as JSON object)
-- agent.pattern.<name> - Reusable patterns discovered
-- error.* / correction.* - Errors and corrections
-- project.*, task.*, system.*, config.* - Standard categories
+${categoryPromptLines()}
 
 For agent.case.*, use JSON object value: {"problem": "...", "solution": "...", "outcome": "success|failure"}
 For agent.pattern.*, use descriptive string: "Always use pnpm in this project"
 
 NEVER use plural forms. Only persistent facts, NOT transient conversation.
+If the conversation starts with an [earlier context] section, it was already processed: use it only
+to understand what follows [new messages], and extract facts ONLY from the new messages.
 Output ONLY a raw JSON array. NO markdown fences, NO preamble, NO explanations, NO footer.
 If no facts: []`;
 
-function readSessionMessages(filePath) {
-    const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
-    const textParts = [];
+const REPAIR_PROMPT = `These extracted facts failed validation. Each input item has the "fact" and its "errors".
+Fix each fact and output a JSON array with exactly one entry per input item, in the same order:
+the fixed {"key": "...", "value": ...} object, or null if it cannot be fixed.
 
-    for (const line of lines) {
-        let record;
-        try { record = JSON.parse(line); } catch { continue; }
-        if (record.type !== 'message') continue;
+Categories (use ONLY these exact forms):
+${categoryPromptLines()}
 
-        const role = record.message?.role;
-        if (!role) continue;
+Keys are lowercase dot-notation with singular categories and no spaces.
+event.<date> is an absolute date, YYYY-MM-DD.
+For agent.case.*, the value is a JSON object: {"problem": "...", "solution": "...", "outcome": "success|failure"}
+Output ONLY a raw JSON array. NO markdown fences, NO preamble, NO explanations, NO footer.`;
 
-        const content = record.message?.content;
-        if (!content) continue;
+function isMessage(line, adapter) {
+    return readSessionMessages([line], adapter).length > 0;
+}
 
-        const texts = [];
-        if (typeof content === 'string') {
-            texts.push(content);
-        } else if (Array.isArray(content)) {
-            for (const block of content) {
-                if (block.type === 'text' && block.text) {
-                    texts.push(block.text);
-                }
-            }
-        }
+// "[user] ..." / "[assistant] ..." text of the lines, in the session's format
+function readSessionMessages(lines, adapter) {
+    return formatTranscript(parseLines(lines, adapter));
+}
 
-        if (texts.length > 0) {
-            const label = role === 'user' ? '[user]' : '[assistant]';
-            textParts.push(`${label} ${texts.join('\n')}`);
-        }
-    }
+/**
+ * "[#1 user] ..." transcript of the lines, and each numbered message's ID,
+ * role, text and timestamp (a message without a timestamp takes the one
+ * before it, or fallback).
+ * @returns {{ text: string, numbered: Array<{ id, role, text, timestamp }> }} - numbered[N - 1] is message #N
+ */
+function numberSessionMessages(lines, adapter, fallback) {
+    const messages = parseLines(lines, adapter);
+    let last = fallback;
+    const numbered = transcriptMessages(messages)
+        .map(m => ({ id: m.id || null, role: m.role, text: m.text, timestamp: (last = m.timestamp || last) }));
+    return { text: formatTranscript(messages, { numbered: true }), numbered };
+}
+
+function clip(text, limit) {
+    const flat = String(text).replace(/\s+/g, ' ').trim();
+    return flat.length > limit ? `${flat.slice(0, limit - 1)}…` : flat;
+}
 
-    return textParts.join('\n\n');
+/**
+ * The item without its "msg" / "quote" citation, stamped with the cited
+ * message's timestamp (fallback when the citation is missing or out of
+ * range), ID, role and quote.
+ * @returns {{ item: *, cited: boolean }}
+ */
+function placeItem(item, numbered, fallback) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return { item, cited: false };
+    const { msg, quote, ...fact } = item;
+    const n = Number(msg);
+    const message = Number.isInteger(n) && n >= 1 && n <= numbered.length ? numbered[n - 1] : null;
+    const said = typeof quote === 'string' && quote.trim() ? quote : message?.text;
+    return {
+        item: {
+            ...fact,
+            message_timestamp: message ? message.timestamp : fallback,
+            message_id: message?.id || null,
+            message_role: message?.role || null,
+            quote: said ? clip(said, QUOTE_LIMIT) : null,
+        },
+        cited: Boolean(message),
+    };
 }
 
 function chunkText(text) {
@@ -124,33 +246,16 @@ function checkRam() {
     return true;
 }
 
-function callGeminiOnce(text) {
-    const result = spawnSync('gemini', ['-p', PROMPT, '-m', 'gemini-2.5-flash-lite'], {
-        input: text,
-        encoding: 'utf8',
-        stdio: ['pipe', 'pipe', 'pipe'],  // Explicitly separate stdout/stderr
-        cwd: HEADLESS_HOME,
-        env: {
-            ...process.env,
-            HOME: HEADLESS_HOME,
-        },
-        timeout: 45_000,
-        maxBuffer: 10 * 1024 * 1024,
-        killSignal: 'SIGKILL',
-    });
-
-    // Log stderr separately (not mixed with stdout)
-    const stderr = (result.stderr || '').trim();
-    if (stderr) {
-        console.error('  Gemini stderr:', stderr.slice(0, 200));
-    }
-
-    if (result.status !== 0) {
-        return { ok: false, error: `status ${result.status}` };
+async function callLlmOnce(llm, text, prompt) {
+    let output;
+    try {
+        output = (await llm.generate(prompt, { input: text })).trim();
+    } catch (e) {
+        // Out of daily quota: stop the session, don't count it as a failed chunk
+        if (e instanceof RateLimitError) throw e;
+        return { ok: false, error: e.message };
     }
 
-    let output = (result.stdout || '').trim();
-
     // Extract JSON array from potential preamble/footer
     const firstBracket = output.indexOf('[');
     const lastBracket = output.lastIndexOf(']');
@@ -162,76 +267,118 @@ function callGeminiOnce(text) {
     try {
         const parsed = JSON.parse(output);
         if (!Array.isArray(parsed)) return { ok: false, error: 'not an array' };
-        return { ok: true, facts: parsed.filter(f => f && typeof f.key === 'string' && f.value !== undefined) };
+        // Items are checked by validateFacts(), not here
+        return { ok: true, facts: parsed };
     } catch (e) {
         return { ok: false, error: e.message, raw: output.slice(0, 300) };
     }
 }
 
-function callGemini(text, maxRetries = 1) {
-    if (!checkRam()) return [];
+// Items from one chunk (or repair request), or null if every attempt failed
+async function callLlm(llm, text, { prompt = PROMPT, maxRetries = 1 } = {}) {
+    if (!checkRam()) return null;
 
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
         if (attempt > 0) {
             console.log(`  Retry ${attempt}/${maxRetries}...`);
             // Brief pause before retry
-            spawnSync('sleep', ['2']);
+            await new Promise(r => setTimeout(r, 2000));
         }
 
-        const result = callGeminiOnce(text);
+        const result = await callLlmOnce(llm, text, prompt);
         if (result.ok) return result.facts;
 
-        console.error(`  Gemini attempt ${attempt + 1} failed:`, result.error);
+        console.error(`  ${llm.name} attempt ${attempt + 1} failed:`, result.error);
         if (result.raw) console.error('  Raw (truncated):', result.raw);
     }
 
-    return [];
-}
-
-function extractSource(filePath) {
-    const basename = path.basename(filePath, '.jsonl');
-    // Use first segment of UUID-style filenames
-    const firstSeg = basename.split('-')[0];
-    return `session:${firstSeg}`;
+    return null;
 }
 
-function extractTimestamp(filePath) {
-    const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
-    for (const line of lines) {
-        try {
-            const record = JSON.parse(line);
-            if (record.timestamp) return record.timestamp;
-        } catch { /* skip */ }
+/**
+ * Split a chunk's items into valid facts and invalid ones, send the invalid
+ * ones back to the LLM once for repair, and quarantine what still fails.
+ * @param {Object} llm
+ * @param {Array} items - placeItem() results: facts with message_timestamp
+ * @param {string} timestamp - session timestamp, for the repair prompt
+ * @returns {Promise<{ facts: Array, quarantined: Array, invalid: number, repaired: number }>}
+ *   quarantined: [{ fact, errors }]
+ */
+async function validateFacts(llm, items, timestamp) {
+    const date = timestamp.slice(0, 10);
+    const timeZone = loadTimeZone();
+    const taxonomy = loadTaxonomy();
+    const resolve = item => (item && typeof item === 'object' && typeof item.key === 'string'
+        ? resolveFactDates(item, { timeZone }).fact
+        : item);
+
+    const facts = [];
+    const invalid = [];
+    for (let item of items) {
+        item = resolve(item);
+        const result = validateFact(item, taxonomy);
+        if (result.ok) facts.push(result.fact);
+        else invalid.push({ fact: item, errors: result.errors });
     }
-    return new Date().toISOString();
+    if (invalid.length === 0) return { facts, quarantined: [], invalid: 0, repaired: 0 };
+
+    console.log(`  ${invalid.length} invalid fact(s); asking ${llm.name} to repair...`);
+    const input = `The conversation took place on ${date}.\n${JSON.stringify(invalid)}`;
+    const fixed = await callLlm(llm, input, { prompt: REPAIR_PROMPT, maxRetries: 0 });
+
+    const quarantined = [];
+    let repaired = 0;
+    invalid.forEach((entry, i) => {
+        if (!fixed || fixed.length !== invalid.length) {
+            quarantined.push({ ...entry, errors: [...entry.errors, fixed ? 'repair: wrong number of items' : 'repair: LLM call failed'] });
+            return;
+        }
+        if (fixed[i] === null) {
+            quarantined.push({ ...entry, errors: [...entry.errors, 'repair: dropped as unfixable'] });
+            return;
+        }
+        // A repaired fact was stated where the original was
+        const { message_timestamp, message_id, message_role, quote } = entry.fact && typeof entry.fact === 'object' ? entry.fact : {};
+        const repair = fixed[i] && typeof fixed[i] === 'object' && !Array.isArray(fixed[i])
+            ? resolve({ ...fixed[i], message_timestamp, message_id, message_role, quote })
+            : fixed[i];
+        const result = validateFact(repair, taxonomy);
+        if (result.ok) {
+            facts.push({ ...result.fact, repaired: true });
+            repaired++;
+        } else {
+            quarantined.push({ ...entry, repair: fixed[i], errors: [...entry.errors, ...result.errors.map(e => `repair: ${e}`)] });
+        }
+    });
+    if (quarantined.length > 0) console.log(`  ${repaired} repaired, ${quarantined.length} quarantined`);
+    return { facts, quarantined, invalid: invalid.length, repaired };
 }
 
-function main() {
-    const inputFile = process.argv[2];
-    if (!inputFile) {
-        console.error('Usage: node 1-extract-facts.js <session.jsonl>');
-        process.exit(1);
-    }
-
-    if (!fs.existsSync(inputFile)) {
-        console.error(`File not found: ${inputFile}`);
-        process.exit(1);
-    }
-
-    const sessionId = getSessionId(inputFile);
-    const stats = fs.statSync(inputFile);
-    const mtime = stats.mtimeMs.toString();
+function extractTimestamp(lines, adapter) {
+    const first = parseLines(lines, adapter).find(m => m.timestamp);
+    return first ? first.timestamp : new Date().toISOString();
+}
 
-    if (isProcessed(sessionId, mtime)) {
-        console.log(`Already processed: ${sessionId} (mtime match), skipping.`);
-        return;
-    }
+/**
+ * Facts from the session's lines after the planned offset, with the last few
+ * extracted messages in front of the first chunk as context.
+ * @param {string} inputFile
+ * @param {Object} plan - planSession() result
+ * @param {Object} adapter - session format (session-adapters.js)
+ * @param {{ sessionId: string, agent: string|null }} origin - for provenance
+ * @returns {Promise<{ metrics: Object, facts: Array, quarantined: Array, tail: Object, llm: Object|null }>}
+ *   tail: locateTail() result (offset may have moved)
+ */
+async function extractTail(inputFile, plan, adapter, { sessionId, agent }) {
+    const tail = locateTail(inputFile, plan, adapter);
+    const lines = tail.fresh.map(l => l.text);
+    const empty = { metrics: { sessions: 1 }, facts: [], quarantined: [], tail, llm: null };
 
-    const rawConversation = readSessionMessages(inputFile);
+    const timestamp = extractTimestamp(lines, adapter);
+    const { text: rawConversation, numbered } = numberSessionMessages(lines, adapter, timestamp);
     if (rawConversation.trim().length === 0) {
-        console.log('Empty session, skipping.');
-        markProcessed(sessionId, mtime);
-        return;
+        console.log(tail.offset > 0 ? 'No new messages, skipping.' : 'Empty session, skipping.');
+        return empty;
     }
 
     // Apply noise filter to remove low-quality content
@@ -243,41 +390,136 @@ function main() {
 
     if (conversationText.trim().length === 0) {
         console.log('All content filtered as noise, skipping.');
-        markProcessed(sessionId, mtime);
-        return;
+        return empty;
     }
 
-    const source = extractSource(inputFile);
-    const timestamp = extractTimestamp(inputFile);
+    const contextText = filterConversation(readSessionMessages(tail.context.map(l => l.text), adapter)).slice(-CONTEXT_LIMIT);
+    if (tail.offset > 0) {
+        console.log(`  New: ${conversationText.length} chars after byte ${tail.offset} (+${contextText.length} chars context)`);
+    }
+
+    const source = `session:${sessionId}`;
     const chunks = chunkText(conversationText);
+    if (contextText.trim().length > 0) {
+        chunks[0] = `[earlier context]\n${contextText}\n\n[new messages]\n${chunks[0]}`;
+    }
 
+    const llm = getProvider('extract');
     let allFacts = [];
+    let quarantined = [];
+    let failedChunks = 0, invalid = 0, repaired = 0, uncited = 0;
     for (let i = 0; i < chunks.length; i++) {
         console.log(`  Chunk ${i + 1}/${chunks.length} (${chunks[i].length} chars)...`);
-        const facts = callGemini(chunks[i]);
-        allFacts = allFacts.concat(facts);
-    }
-
-    if (allFacts.length === 0) {
-        console.log('No facts extracted.');
-        markProcessed(sessionId, mtime);
-        return;
+        const items = await callLlm(llm, chunks[i]);
+        if (!items) {
+            failedChunks++;
+            continue;
+        }
+        const placed = items.map(item => placeItem(item, numbered, timestamp));
+        uncited += placed.filter(p => !p.cited).length;
+        const checked = await validateFacts(llm, placed.map(p => p.item), timestamp);
+        allFacts = allFacts.concat(checked.facts);
+        quarantined = quarantined.concat(checked.quarantined);
+        invalid += checked.invalid;
+        repaired += checked.repaired;
     }
 
-    // Append to facts.jsonl
-    const lines = allFacts.map(f => JSON.stringify({
+    const stamp = f => ({
         key: f.key,
         value: f.value,
         source,
-        message_timestamp: timestamp,
-    }));
+        ...scoreExtracted({ key: String(f.key), role: f.message_role, repaired: f.repaired }),
+        message_timestamp: f.message_timestamp || timestamp,
+        ...(f.original_text ? { original_text: f.original_text } : {}),
+        provenance: {
+            session_id: sessionId,
+            agent,
+            message_ids: f.message_id ? [f.message_id] : [],
+            quote: f.quote || null,
+        },
+    });
+    const facts = allFacts.map(stamp);
+    const metrics = { sessions: 1, chunks: chunks.length, facts: facts.length, failures: failedChunks };
+    if (invalid > 0) Object.assign(metrics, { invalid, repaired, quarantined: quarantined.length });
+    if (tail.offset > 0) metrics.incremental = 1;
+    if (uncited > 0) metrics.uncited = uncited;
+    return {
+        metrics, facts, tail, llm,
+        quarantined: quarantined.map(q => ({ ...q, fact: q.fact && typeof q.fact === 'object' ? stamp(q.fact) : q.fact })),
+    };
+}
+
+/**
+ * Extract facts from the new part of one session file and append them to
+ * factsFile, recording progress in the sessions table.
+ * @param {string} inputFile - session JSONL
+ * @param {Object} [opts]
+ * @param {string} [opts.factsFile] - default FACTS_FILE env or src/facts.jsonl
+ * @param {string} [opts.dbPath] - DB holding the sessions table
+ * @param {string} [opts.quarantineFile] - facts that failed validation and repair
+ * @param {string} [opts.legacyFile] - .processed_sessions to import into an
+ *   empty sessions table (default: the skill root's)
+ * @returns {Promise<Object>} - metrics for the run ledger
+ */
+async function extractFacts(inputFile, {
+    factsFile = FACTS_FILE, dbPath = DB_PATH, quarantineFile = QUARANTINE_FILE, legacyFile,
+} = {}) {
+    if (!fs.existsSync(inputFile)) {
+        throw new Error(`File not found: ${inputFile}`);
+    }
+
+    const sessionId = getSessionId(inputFile);
+    const stats = fs.statSync(inputFile);
+    const adapter = detectFile(inputFile);
+    const session = { source: sessionSource(inputFile, adapter), path: path.resolve(inputFile), mtime: stats.mtimeMs.toString() };
 
-    fs.appendFileSync(FACTS_FILE, lines.join('\n') + '\n');
-    markProcessed(sessionId, mtime);
-    console.log(`Extracted ${allFacts.length} facts → ${FACTS_FILE}`);
+    const db = openDatabase(dbPath);
+    try {
+        importLegacy(db, legacyFile);
+        const plan = planSession(db, sessionId, { size: stats.size, mtime: session.mtime });
+        if (plan.skip) {
+            console.log(`Already processed: ${sessionId} (${plan.reason}), skipping.`);
+            return { skipped: 1 };
+        }
+        if (plan.offset > 0) console.log(`  Resuming ${sessionId} at byte ${plan.offset} of ${stats.size}`);
+
+        let result;
+        try {
+            result = await extractTail(inputFile, plan, adapter, { sessionId, agent: session.source });
+        } catch (err) {
+            // Quota exhaustion is not the session's fault: leave it for the next run
+            if (!(err instanceof RateLimitError)) markSession(db, sessionId, { ...session, error: err.message });
+            throw err;
+        }
+        const { metrics, facts, quarantined, tail, llm } = result;
+
+        if (metrics.failures > 0) {
+            // All-or-nothing per session: a retry re-reads the same tail
+            markSession(db, sessionId, { ...session, error: `${metrics.failures}/${metrics.chunks} chunks failed` });
+            console.log(`${metrics.failures}/${metrics.chunks} chunks failed; ${sessionId} will be retried.`);
+            return { ...metrics, facts: 0 };
+        }
 
-    // Clean up garbage sessions created by gemini -p
-    cleanGeminiSessions();
+        if (facts.length > 0) {
+            fs.appendFileSync(factsFile, facts.map(f => JSON.stringify(f)).join('\n') + '\n');
+            console.log(`Extracted ${facts.length} facts → ${factsFile}`);
+        } else if (metrics.chunks) {
+            console.log('No facts extracted.');
+        }
+        if (quarantined.length > 0) {
+            appendQuarantine(quarantined, { file: quarantineFile, extra: { session: sessionId } });
+            console.log(`Quarantined ${quarantined.length} invalid fact(s) → ${quarantineFile}`);
+        }
+        markSession(db, sessionId, {
+            ...session, ...tail.next, offset: tail.end, facts: facts.length, restart: tail.offset === 0,
+        });
+
+        // Clean up garbage sessions created by gemini -p
+        if (llm && llm.name === 'gemini-cli') cleanGeminiSessions();
+        return metrics;
+    } finally {
+        db.close();
+    }
 }
 
 /**
@@ -327,4 +569,18 @@ function cleanGeminiSessions() {
     if (deleted > 0) console.log(`  Cleaned ${deleted} garbage/old session(s)`);
 }
 
-main();
+module.exports = { extractFacts };
+
+if (require.main === module) {
+    const inputFile = process.argv[2];
+    if (!inputFile) {
+        console.error('Usage: node 1-extract-facts.js <session.jsonl>');
+        process.exit(1);
+    }
+
+    extractFacts(inputFile).then(metrics => recordStepForRun('extract', metrics)).catch(err => {
+        console.error('Error:', err.message);
+        recordStepForRun('extract', { failures: 1 });
+        process.exit(1);
+    });
+}
@@ -1,37 +1,32 @@
 /**
  * Step 2: Align facts temporally.
  *
- * Reads facts.jsonl, groups by key, deduplicates same-value entries,
- * assigns start_time/end_time for value transitions, outputs timed_facts.jsonl.
+ * Reads facts.jsonl, rewrites keys to their canonical form (taxonomy.js),
+ * resolves relative dates in keys and values against each fact's
+ * message_timestamp (date-resolver.js; the text as stated is kept in
+ * original_text), groups by key, deduplicates same-value entries, assigns
+ * start_time/end_time for value transitions, outputs timed_facts.jsonl. Each
+ * timed fact keeps the provenance of every sighting folded into it, and their
+ * combined trust (trust.js combineTrust). Facts
+ * whose category is outside the taxonomy go to the quarantine file instead.
+ *
+ * Usage: node 2-align-temporally.js   (FACTS_FILE / TIMED_FACTS_FILE env)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { recordStepForRun } = require('./run-ledger.js');
+const { canonicalizeFacts, loadTaxonomy } = require('./taxonomy.js');
+const { appendQuarantine, QUARANTINE_FILE } = require('./fact-schema.js');
+const { resolveFactDates, loadTimeZone } = require('./date-resolver.js');
+const { combineTrust } = require('./trust.js');
 
 const FACTS_FILE       = process.env.FACTS_FILE       || path.join(__dirname, 'facts.jsonl');
 const TIMED_FACTS_FILE = process.env.TIMED_FACTS_FILE || path.join(__dirname, 'timed_facts.jsonl');
 
-// Normalize plural category prefixes to singular
-const CATEGORY_ALIASES = {
-    agents: 'agent', models: 'model', channels: 'channel', bindings: 'binding',
-    plugins: 'plugin', commands: 'command', tools: 'tool', tasks: 'task',
-    projects: 'project', workflows: 'workflow', teams: 'team', users: 'user',
-    preferences: 'preference', locations: 'location', environments: 'environment',
-    configs: 'config', systems: 'system', skills: 'skill', errors: 'error',
-    conversations: 'conversation', messages: 'message', builds: 'build',
-};
-
-function normalizeKey(key) {
-    const dotIdx = key.indexOf('.');
-    if (dotIdx === -1) return key;
-    const prefix = key.slice(0, dotIdx);
-    const rest = key.slice(dotIdx);
-    return (CATEGORY_ALIASES[prefix] || prefix) + rest;
-}
-
-function readFacts() {
-    if (!fs.existsSync(FACTS_FILE)) return [];
-    const lines = fs.readFileSync(FACTS_FILE, 'utf8').split('\n').filter(Boolean);
+function readFacts(factsFile) {
+    if (!fs.existsSync(factsFile)) return [];
+    const lines = fs.readFileSync(factsFile, 'utf8').split('\n').filter(Boolean);
     const facts = [];
     for (const line of lines) {
         try { facts.push(JSON.parse(line)); } catch { /* skip malformed */ }
@@ -40,10 +35,8 @@ function readFacts() {
 }
 
 function alignFacts(facts) {
-    // Normalize keys then group
     const groups = {};
     for (const fact of facts) {
-        fact.key = normalizeKey(fact.key);
         if (!groups[fact.key]) groups[fact.key] = [];
         groups[fact.key].push(fact);
     }
@@ -54,20 +47,31 @@ function alignFacts(facts) {
         // Sort by message_timestamp ascending
         entries.sort((a, b) => (a.message_timestamp || '').localeCompare(b.message_timestamp || ''));
 
-        // Deduplicate: same key + same value → keep only the earliest
+        // Deduplicate: same key + same value → keep only the earliest, with
+        // where every sighting came from
         const deduped = [];
-        const seenValues = new Set();
+        const seenValues = new Map(); // value → { provenance, trust } of its sightings
         for (const entry of entries) {
             const valStr = JSON.stringify(entry.value);
-            if (seenValues.has(valStr)) continue;
-            seenValues.add(valStr);
-            deduped.push(entry);
+            if (!seenValues.has(valStr)) {
+                seenValues.set(valStr, { provenance: [], trust: null });
+                deduped.push(entry);
+            }
+            const seen = seenValues.get(valStr);
+            if (entry.provenance) {
+                seen.provenance.push({ ...entry.provenance, stated_at: entry.message_timestamp || null });
+            }
+            if (entry.trust_class) {
+                const trust = { trust_class: entry.trust_class, confidence: entry.confidence };
+                seen.trust = seen.trust ? combineTrust(seen.trust, trust) : trust;
+            }
         }
 
         // Assign start_time / end_time
         for (let i = 0; i < deduped.length; i++) {
             const current = deduped[i];
             const next = deduped[i + 1];
+            const { provenance, trust } = seenValues.get(JSON.stringify(current.value));
 
             timedFacts.push({
                 key: current.key,
@@ -75,6 +79,9 @@ function alignFacts(facts) {
                 source: current.source,
                 start_time: current.message_timestamp,
                 end_time: next ? next.message_timestamp : null,
+                ...(current.original_text ? { original_text: current.original_text } : {}),
+                ...(trust || {}),
+                ...(provenance.length > 0 ? { provenance } : {}),
             });
         }
     }
@@ -82,25 +89,54 @@ function alignFacts(facts) {
     return timedFacts;
 }
 
-function main() {
-    const facts = readFacts();
-    if (facts.length === 0) {
+/**
+ * Align factsFile into timedFactsFile.
+ * @param {Object} [opts]
+ * @param {string} [opts.quarantineFile] - where off-taxonomy facts go
+ * @param {Object} [opts.taxonomy] - loadTaxonomy() result
+ * @param {string} [opts.timeZone] - zone for relative dates (default dates.timezone)
+ * @returns {Object} - metrics for the run ledger
+ */
+function alignFile({
+    factsFile = FACTS_FILE, timedFactsFile = TIMED_FACTS_FILE,
+    quarantineFile = QUARANTINE_FILE, taxonomy = loadTaxonomy(), timeZone = loadTimeZone(),
+} = {}) {
+    const raw = readFacts(factsFile);
+    if (raw.length === 0) {
         console.log('No facts to align.');
-        fs.writeFileSync(TIMED_FACTS_FILE, '');
-        return;
+        fs.writeFileSync(timedFactsFile, '');
+        return { facts_in: 0, facts_out: 0 };
+    }
+
+    const { facts, rejected, rekeyed } = canonicalizeFacts(raw, taxonomy);
+    if (rejected.length > 0) {
+        appendQuarantine(rejected, { file: quarantineFile });
+        console.log(`Quarantined ${rejected.length} off-taxonomy fact(s) → ${quarantineFile}`);
     }
 
-    const timedFacts = alignFacts(facts);
+    let datesResolved = 0;
+    const resolved = facts.map(fact => {
+        const result = resolveFactDates(fact, { timeZone });
+        datesResolved += result.resolved;
+        return result.fact;
+    });
+
+    const timedFacts = alignFacts(resolved);
 
     const lines = timedFacts.map(f => JSON.stringify(f));
-    fs.writeFileSync(TIMED_FACTS_FILE, lines.join('\n') + '\n');
-    console.log(`Aligned ${timedFacts.length} timed facts → ${TIMED_FACTS_FILE}`);
+    fs.writeFileSync(timedFactsFile, lines.join('\n') + '\n');
+    console.log(`Aligned ${timedFacts.length} timed facts → ${timedFactsFile}`);
+    const metrics = { facts_in: raw.length, facts_out: timedFacts.length };
+    if (rekeyed > 0) metrics.rekeyed = rekeyed;
+    if (rejected.length > 0) metrics.off_taxonomy = rejected.length;
+    if (datesResolved > 0) metrics.dates_resolved = datesResolved;
+    return metrics;
 }
 
 // Export for testing
-module.exports = { alignFacts, normalizeKey };
+module.exports = { alignFacts, alignFile };
 
 // Run if executed directly
 if (require.main === module) {
-    main();
+    recordStepForRun('align', alignFile());
 }
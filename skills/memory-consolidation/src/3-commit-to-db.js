@@ -2,44 +2,47 @@
  * Step 3: Commit timed facts to SQLite memory.db.
  *
  * Reads timed_facts.jsonl, upserts into memory.db with deduplication.
- * Uses dedupDecision() for semantic dedup before commit.
+ * Uses dedupDecisions() for semantic dedup before commit.
  * Reports: N new, N updated, N merged, N skipped.
+ *
+ * Dedup decisions are made up front (planDecisions), in one embedding request
+ * and batched LLM requests, before the write transaction opens; the
+ * contradiction check runs after it commits. The writes themselves
+ * (writeFacts) are synchronous, so the DB lock is never held across a network
+ * call. A fact whose key's active row is no longer the one its decision was
+ * made against is written as a new version: either an earlier fact of the
+ * batch wrote that row (step 2 already ordered the two), or another writer
+ * changed the key in between.
+ *
+ * Each fact's provenance (timed_facts.jsonl "provenance") is recorded against
+ * the row it ends up in: the new version, the merge target, or the active row
+ * that already said the same thing. New rows take the fact's trust_class and
+ * confidence; a row that gains a new sighting combines its trust with the
+ * fact's (trust.js).
+ *
+ * Every row written is checked for conflicts (conflict-detector.js): a value
+ * that replaced a more trusted one, or a similar fact under another key that
+ * it contradicts. Conflicts are queued for review, not acted on.
+ *
+ * Rows are tagged with the run ID (the pipeline's MEMORY_RUN_ID, or a fresh
+ * one) so a bad run can be undone with `memory-cli.js revert <run-id>`.
  */
 
-const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
-const { dedupDecision } = require('./dedup-decision.js');
+const { dedupDecisions } = require('./dedup-decision.js');
+const { checkSupersede, findContradictions, loadConflictSettings } = require('./conflict-detector.js');
+const { MemoryStore, newRunId } = require('./memory-store.js');
+const { openDatabase, migrate } = require('./migrations.js');
+const { drainAccessLog, accessLogFor } = require('./access-tracker.js');
+const { startRun, recordStep, finishRun } = require('./run-ledger.js');
 
 const TIMED_FACTS_FILE = process.env.TIMED_FACTS_FILE || path.join(__dirname, 'timed_facts.jsonl');
 const DB_PATH          = process.env.MEMORY_DB_PATH   || path.join(__dirname, '..', 'memory.db');
 
-function ensureTable(db) {
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS memories (
-            key TEXT NOT NULL,
-            value TEXT,
-            source TEXT,
-            start_time TEXT NOT NULL,
-            end_time TEXT,
-            PRIMARY KEY (key, start_time)
-        )
-    `);
-    db.exec(`
-        CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts
-        USING fts5(key, value, content='memories', content_rowid='rowid')
-    `);
-    // Migration: add embedding column for semantic search
-    try {
-        db.exec(`ALTER TABLE memories ADD COLUMN embedding BLOB`);
-    } catch {
-        // Column already exists — ignore
-    }
-}
-
-function readTimedFacts() {
-    if (!fs.existsSync(TIMED_FACTS_FILE)) return [];
-    const lines = fs.readFileSync(TIMED_FACTS_FILE, 'utf8').split('\n').filter(Boolean);
+function readTimedFacts(timedFactsFile) {
+    if (!fs.existsSync(timedFactsFile)) return [];
+    const lines = fs.readFileSync(timedFactsFile, 'utf8').split('\n').filter(Boolean);
     const facts = [];
     for (const line of lines) {
         try { facts.push(JSON.parse(line)); } catch { /* skip malformed */ }
@@ -47,70 +50,119 @@ function readTimedFacts() {
     return facts;
 }
 
+function valueText(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
 /**
- * Commit facts with semantic deduplication.
- * @param {Database} db - better-sqlite3 instance
- * @param {Array} facts - array of fact objects
- * @returns {Promise<Object>} - { newCount, updatedCount, mergedCount, skippedCount }
+ * Dedup decisions for the facts that need one: those whose key has an active
+ * row with a different value. A key's facts after its first open one are not
+ * judged: by then the active row is that fact's. Reads only, so it runs
+ * outside any transaction.
+ * @param {Database} db
+ * @param {Array} facts
+ * @returns {Promise<Map<number, Object>>} - fact index → decision, with
+ *   against: the start_time of the active row it was made against
+ */
+async function planDecisions(db, facts) {
+    const store = new MemoryStore(db, { runId: null });
+    const pending = [];
+    const opened = new Set();
+    facts.forEach((fact, i) => {
+        if (opened.has(fact.key)) return;
+        if ((fact.end_time ?? null) === null) opened.add(fact.key);
+        const active = store.get(fact.key);
+        if (active && active.value !== valueText(fact.value)) pending.push({ i, against: active.start_time });
+    });
+
+    const decisions = await dedupDecisions(pending.map(p => facts[p.i]), db);
+    return new Map(pending.map((p, k) => [p.i, { ...decisions[k], against: p.against }]));
+}
+
+/**
+ * Queue contradictions for the written rows still active, and store the
+ * embeddings the check made for them so step 5 does not embed them again.
+ * @returns {Promise<number>} - conflicts newly queued
+ */
+async function flagContradictions(store, written, settings = loadConflictSettings()) {
+    const active = written.filter(r => r.end_time === null && store.get(r.key)?.start_time === r.start_time);
+    const { conflicts, vectors } = await findContradictions(store.db, active, settings);
+    if (vectors) await store.embed(active, vectors);
+    return store.transaction(() => conflicts.filter(c => store.addConflict(c) !== null).length);
+}
+
+/**
+ * Write facts with their planned dedup decisions. Synchronous: call it inside
+ * a transaction, with every embedding and LLM call already made.
+ * @param {MemoryStore} store
+ * @param {Array} facts
+ * @param {Map} decisions - planDecisions(db, facts)
+ * @param {Object} [conflictSettings] - loadConflictSettings()
+ * @returns {Object} - { newCount, updatedCount, mergedCount, skippedCount, conflictCount, written }
  */
-async function commitFacts(db, facts) {
-    const findActive = db.prepare(
-        'SELECT rowid, key, value, start_time FROM memories WHERE key = ? AND end_time IS NULL'
-    );
-    const deactivate = db.prepare(
-        'UPDATE memories SET end_time = ? WHERE key = ? AND start_time = ?'
-    );
-    const insert = db.prepare(
-        'INSERT OR REPLACE INTO memories (key, value, source, start_time, end_time) VALUES (?, ?, ?, ?, ?)'
-    );
-    const ftsInsert = db.prepare(
-        'INSERT INTO memories_fts(rowid, key, value) VALUES (?, ?, ?)'
-    );
-    const ftsDelete = db.prepare(
-        "INSERT INTO memories_fts(memories_fts, rowid, key, value) VALUES('delete', ?, ?, ?)"
-    );
-    const getRowid = db.prepare(
-        'SELECT rowid FROM memories WHERE key = ? AND start_time = ?'
-    );
-
-    let newCount = 0, updatedCount = 0, mergedCount = 0, skippedCount = 0;
-
-    for (const fact of facts) {
-        const valStr = typeof fact.value === 'string' ? fact.value : JSON.stringify(fact.value);
+function writeFacts(store, facts, decisions, conflictSettings = loadConflictSettings()) {
+    let newCount = 0, updatedCount = 0, mergedCount = 0, skippedCount = 0, conflictCount = 0;
+    const written = [];
+    const flag = conflict => {
+        if (conflict && store.addConflict(conflict) !== null) conflictCount++;
+    };
+
+    for (const [i, fact] of facts.entries()) {
+        const valStr = valueText(fact.value);
+        const putOpts = {
+            source: fact.source, startTime: fact.start_time, endTime: fact.end_time ?? null,
+            originalText: fact.original_text ?? null,
+            trustClass: fact.trust_class, confidence: fact.confidence,
+        };
+
+        const cite = row => store.addProvenance(row.key, row.start_time, fact.provenance);
+        // A new version of key, checked against the active row it replaces
+        const write = key => {
+            const previous = store.get(key);
+            const row = store.put(key, valStr, putOpts);
+            cite(row);
+            written.push(row);
+            flag(checkSupersede(previous, row, conflictSettings));
+        };
+        // An existing row seen again, from a message it had not been cited from
+        const confirm = row => {
+            if (cite(row) > 0 && fact.trust_class) {
+                store.confirm(row.key, row.start_time, { trust_class: fact.trust_class, confidence: fact.confidence });
+            }
+        };
 
         // Fast path: if no active row with same key, skip expensive dedup
-        const existingRow = findActive.get(fact.key);
+        const existingRow = store.get(fact.key);
         if (!existingRow) {
-            insert.run(fact.key, valStr, fact.source, fact.start_time, fact.end_time ?? null);
-            const newRow = getRowid.get(fact.key, fact.start_time);
-            if (newRow) ftsInsert.run(newRow.rowid, fact.key, valStr);
+            write(fact.key);
             newCount++;
             continue;
         }
         // Same key, same value → skip immediately
         if (existingRow.value === valStr) {
+            confirm(existingRow);
             skippedCount++;
             continue;
         }
 
-        // Run semantic dedup decision (only for same-key different-value)
-        const decision = await dedupDecision(fact, db);
+        // Semantic dedup decision (only for same-key different-value); one made
+        // against another active row no longer applies, so the fact is a new version
+        const planned = decisions.get(i);
+        const decision = planned?.against === existingRow.start_time
+            ? planned
+            : { action: 'create', reason: 'active row changed since planning' };
 
         if (decision.action === 'skip') {
+            // Redundant: the fact it repeats gains another sighting
+            confirm(store.get(decision.target || decision.similar?.[0]?.key) || existingRow);
             skippedCount++;
             continue;
         }
 
         if (decision.action === 'merge' && decision.target) {
-            // Merge: update the target key's value
-            const targetRow = findActive.get(decision.target);
-            if (targetRow) {
-                // Deactivate old, insert merged value under target key
-                ftsDelete.run(targetRow.rowid, targetRow.key, targetRow.value);
-                deactivate.run(fact.start_time, targetRow.key, targetRow.start_time);
-                insert.run(decision.target, valStr, fact.source, fact.start_time, fact.end_time ?? null);
-                const newRow = getRowid.get(decision.target, fact.start_time);
-                if (newRow) ftsInsert.run(newRow.rowid, decision.target, valStr);
+            // Merge: new version of the target key (closes the target's active row)
+            if (store.get(decision.target)) {
+                write(decision.target);
                 mergedCount++;
                 continue;
             }
@@ -118,84 +170,129 @@ async function commitFacts(db, facts) {
         }
 
         // action === 'create' (or merge fallback)
-        const activeRow = findActive.get(fact.key);
+        const activeRow = store.get(fact.key);
 
-        if (activeRow) {
-            // Same key exists with active (null end_time) row
-            if (activeRow.value === valStr) {
-                // Same value → skip
-                skippedCount++;
-                continue;
-            } else {
-                // Different value → deactivate old, insert new
-                ftsDelete.run(activeRow.rowid, activeRow.key, activeRow.value);
-                deactivate.run(fact.start_time, activeRow.key, activeRow.start_time);
-                insert.run(fact.key, valStr, fact.source, fact.start_time, fact.end_time ?? null);
-                const newRow = getRowid.get(fact.key, fact.start_time);
-                if (newRow) ftsInsert.run(newRow.rowid, fact.key, valStr);
-                updatedCount++;
-            }
+        if (activeRow && activeRow.value === valStr) {
+            // Same value → skip
+            confirm(activeRow);
+            skippedCount++;
         } else {
-            // No active row for this key → insert
-            insert.run(fact.key, valStr, fact.source, fact.start_time, fact.end_time ?? null);
-            const newRow = getRowid.get(fact.key, fact.start_time);
-            if (newRow) ftsInsert.run(newRow.rowid, fact.key, valStr);
-            newCount++;
+            // Different value closes the old row; no active row → plain insert
+            write(fact.key);
+            if (activeRow) updatedCount++;
+            else newCount++;
         }
     }
 
-    return { newCount, updatedCount, mergedCount, skippedCount };
+    return { newCount, updatedCount, mergedCount, skippedCount, conflictCount, written };
 }
 
-async function main() {
-    const facts = readTimedFacts();
+/**
+ * Commit facts with semantic deduplication: plan, write in one transaction,
+ * then check the written rows for contradictions.
+ * @param {Database} db - better-sqlite3 instance
+ * @param {Array} facts - array of fact objects
+ * @param {Object} [opts]
+ * @param {string} [opts.runId] - tag written rows (default MEMORY_RUN_ID)
+ * @param {Map} [opts.decisions] - planDecisions(db, facts); made here when omitted
+ * @param {boolean} [opts.contradictions] - check written rows for contradictions
+ *   (default true); false leaves them to flagContradictions(store, result.written)
+ * @returns {Promise<Object>} - { newCount, updatedCount, mergedCount, skippedCount, conflictCount, written }
+ */
+async function commitFacts(db, facts, { runId, decisions, contradictions = true } = {}) {
+    const store = new MemoryStore(db, { runId });
+    const conflictSettings = loadConflictSettings();
+    if (!decisions) decisions = await planDecisions(db, facts);
+
+    const result = store.transaction(() => writeFacts(store, facts, decisions, conflictSettings));
+    // Contradictions, for the written rows still active at the end of the batch
+    if (contradictions) result.conflictCount += await flagContradictions(store, result.written, conflictSettings);
+    return result;
+}
+
+/**
+ * Commit timedFactsFile to the DB in one transaction, recording the commit
+ * step in the run ledger as part of it. Dedup decisions are made before the
+ * transaction opens, contradictions checked after it commits.
+ * @param {Object} [opts]
+ * @param {string} [opts.timedFactsFile]
+ * @param {string} [opts.dbPath]
+ * @param {string} [opts.runId] - pipeline run; without one a standalone run is opened and closed
+ * @returns {Promise<Object|null>} - the recorded metrics, or null if there was nothing to commit
+ */
+async function commitFile({ timedFactsFile = TIMED_FACTS_FILE, dbPath = DB_PATH, runId: pipelineRun } = {}) {
+    const facts = readTimedFacts(timedFactsFile);
     if (facts.length === 0) {
         console.log('No timed facts to commit.');
-        return;
+        return null;
     }
 
-    const db = new Database(DB_PATH);
-    db.pragma('journal_mode = WAL');
-    db.pragma('busy_timeout = 10000');
-    ensureTable(db);
+    const db = openDatabase(dbPath);
+    // Apply retrievals recorded since the last run (see access-tracker.js)
+    drainAccessLog(db, accessLogFor(dbPath));
 
-    // commitFacts is async (due to dedupDecision), so we can't use db.transaction() directly
-    // Instead, we wrap the async call and handle transactions manually
+    const runId = pipelineRun || newRunId();
+    const store = new MemoryStore(db, { runId });
     try {
-        db.exec('BEGIN TRANSACTION');
-        const result = await commitFacts(db, facts);
-        db.exec('COMMIT');
-
-        console.log(`Committed: ${result.newCount} new, ${result.updatedCount} updated, ${result.mergedCount} merged, ${result.skippedCount} skipped.`);
-    } catch (err) {
-        db.exec('ROLLBACK');
-        throw err;
+        // Embedding and LLM judgments happen before the write lock is taken
+        const decisions = await planDecisions(db, facts);
+
+        // Writes and the ledger entry commit together; writeFacts is synchronous,
+        // so no network call is made while the write lock is held
+        const { result, metrics } = store.transaction(() => {
+            const result = writeFacts(store, facts, decisions);
+            const metrics = {
+                facts: facts.length,
+                new: result.newCount,
+                updated: result.updatedCount,
+                merged: result.mergedCount,
+                skipped: result.skippedCount,
+                conflicts: result.conflictCount,
+            };
+            // A standalone run opens its own
+            if (!pipelineRun) startRun(db, runId, { mode: 'commit' });
+            recordStep(db, runId, 'commit', metrics);
+            return { result, metrics };
+        });
+
+        // Contradiction checks embed and ask the LLM too: run them on the committed rows
+        const contradictions = await flagContradictions(store, result.written);
+        metrics.conflicts += contradictions;
+        store.transaction(() => {
+            recordStep(db, runId, 'commit', { conflicts: contradictions });
+            if (!pipelineRun) finishRun(db, runId);
+        });
+
+        console.log(`Committed: ${result.newCount} new, ${result.updatedCount} updated, ${result.mergedCount} merged, ${result.skippedCount} skipped, ${metrics.conflicts} conflicts (run ${runId}).`);
+        return metrics;
     } finally {
         db.close();
     }
 }
 
 function rebuildFts(dbOrPath) {
-    const db = typeof dbOrPath === 'string'
-        ? new Database(dbOrPath)
-        : (dbOrPath || new Database(DB_PATH));
     const ownDb = typeof dbOrPath === 'string' || !dbOrPath;
+    const db = ownDb ? openDatabase(dbOrPath || DB_PATH) : dbOrPath;
+    if (!ownDb) migrate(db);
 
-    ensureTable(db);
-
-    // Rebuild: drop all FTS content, re-insert from active memories
-    db.exec("INSERT INTO memories_fts(memories_fts) VALUES('rebuild')");
+    // Rebuild: drop all FTS content, re-insert active memories only
+    // (MemoryStore keeps memories_fts == active rows)
+    db.transaction(() => {
+        db.exec("INSERT INTO memories_fts(memories_fts) VALUES('delete-all')");
+        db.exec('INSERT INTO memories_fts(rowid, key, value) SELECT rowid, key, value FROM memories WHERE end_time IS NULL');
+    })();
 
     console.log('FTS5 index rebuilt from memories table.');
     if (ownDb) db.close();
 }
 
 // Export for testing
-module.exports = { ensureTable, commitFacts, rebuildFts };
+// ensureTable: pre-migrations name, kept for existing callers
+module.exports = { ensureTable: migrate, commitFacts, commitFile, planDecisions, writeFacts, flagContradictions, rebuildFts };
 
 // Run if executed directly
 if (require.main === module) {
-    main().catch(err => {
+    commitFile({ runId: process.env.MEMORY_RUN_ID }).catch(err => {
         console.error('Error:', err.message);
         process.exit(1);
     });
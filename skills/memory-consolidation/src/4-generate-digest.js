@@ -1,17 +1,29 @@
-const Database = require('better-sqlite3');
+/**
+ * Step 4: Generate the L0 memory digest (memory_digest.json) from the active
+ * facts: per-category counts plus up to 3 sample facts each.
+ *
+ * Usage: node 4-generate-digest.js   (MEMORY_DB_PATH / MEMORY_DIGEST_PATH env)
+ */
+
+const { openDatabase } = require('./migrations.js');
 const fs = require('fs');
 const path = require('path');
 
-const dbPath     = process.env.MEMORY_DB_PATH     || path.join(__dirname, '..', 'memory.db');
-const digestPath = process.env.MEMORY_DIGEST_PATH || path.join(__dirname, '..', 'memory_digest.json');
+const DB_PATH     = process.env.MEMORY_DB_PATH     || path.join(__dirname, '..', 'memory.db');
+const DIGEST_PATH = process.env.MEMORY_DIGEST_PATH || path.join(__dirname, '..', 'memory_digest.json');
 
-function generateDigest() {
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.dbPath]
+ * @param {string} [opts.digestPath]
+ * @returns {Object} - metrics for the run ledger
+ */
+function generateDigest({ dbPath = DB_PATH, digestPath = DIGEST_PATH } = {}) {
     if (!fs.existsSync(dbPath)) {
-        console.error(`DB not found: ${dbPath}`);
-        process.exit(1);
+        throw new Error(`DB not found: ${dbPath}`);
     }
 
-    const db = new Database(dbPath, { readonly: true });
+    const db = openDatabase(dbPath, { readonly: true });
     const rows = db.prepare(`
         SELECT key, value, start_time
         FROM memories
@@ -48,6 +60,16 @@ function generateDigest() {
 
     fs.writeFileSync(digestPath, JSON.stringify(digest, null, 2));
     console.log(`Digest: ${rows.length} facts across ${Object.keys(categories).length} categories.`);
+    return { facts: rows.length, categories: Object.keys(categories).length };
 }
 
-generateDigest();
+module.exports = { generateDigest };
+
+if (require.main === module) {
+    try {
+        generateDigest();
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+}
@@ -1,60 +1,88 @@
 #!/usr/bin/env node
 /**
- * Step 5: Backfill embeddings for facts that have none.
+ * Step 5: Backfill embeddings for facts that have none, or whose vector was
+ * produced by a different model than the configured one.
  *
- * Queries all active facts with embedding IS NULL, batch-embeds via
- * Gemini embedding-001, and writes the Float32Array BLOBs back to DB.
+ * Queries active facts with embedding IS NULL or a stale embedding_model,
+ * batch-embeds via the configured backend (see embed.js), and writes the
+ * Float32Array BLOBs back to DB with embedding_model / embedding_dim.
  *
- * Safe to re-run — only processes rows where embedding IS NULL.
+ * Then brings the ANN index up to date (see ann-index.js): builds it once the
+ * DB crosses ann.min_rows, otherwise assigns the new vectors to their lists.
+ *
+ * Safe to re-run — only processes rows missing a current-model vector.
+ *
+ * Usage: node 5-embed-facts.js   (MEMORY_DB_PATH env)
  */
 
-const Database = require("better-sqlite3");
 const path = require("path");
-const { embedTexts } = require("./embed");
-const { ensureTable } = require("./3-commit-to-db");
+const { getEmbeddingModel } = require("./embed");
+const { MemoryStore } = require("./memory-store");
+const { refreshIndex } = require("./ann-index");
+const { recordStepForRun } = require("./run-ledger");
 
 const DB_PATH =
   process.env.MEMORY_DB_PATH || path.join(__dirname, "..", "memory.db");
 
-async function main() {
-  const db = new Database(DB_PATH);
-  ensureTable(db);
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.dbPath]
+ * @returns {Promise<Object>} - metrics for the run ledger
+ */
+async function embedFacts({ dbPath = DB_PATH } = {}) {
+  const store = new MemoryStore(dbPath);
+  try {
+    return await embedPending(store);
+  } finally {
+    store.close();
+  }
+}
+
+async function embedPending(store) {
+  const db = store.db;
 
+  const model = getEmbeddingModel();
   const rows = db
     .prepare(
-      `SELECT rowid, key, value FROM memories
-       WHERE embedding IS NULL AND end_time IS NULL`
+      `SELECT rowid, key, value, embedding IS NOT NULL AS stale FROM memories
+       WHERE end_time IS NULL AND (embedding IS NULL OR embedding_model IS NOT ?)`
     )
-    .all();
+    .all(model);
 
   if (rows.length === 0) {
-    console.log("All active facts already have embeddings.");
-    db.close();
-    return;
+    console.log(`All active facts already have ${model} embeddings.`);
+    const index = refreshIndex(db, model);
+    reportIndex(index);
+    return { embedded: 0, index };
   }
 
-  console.log(`Embedding ${rows.length} facts...`);
-
-  const texts = rows.map((r) => `${r.key}: ${r.value}`);
-  const embeddings = await embedTexts(texts);
-
-  const update = db.prepare(
-    `UPDATE memories SET embedding = ? WHERE rowid = ?`
+  const stale = rows.filter((r) => r.stale).length;
+  console.log(
+    `Embedding ${rows.length} facts with ${model}` +
+      (stale > 0 ? ` (${stale} re-embedded from an older model)...` : "...")
   );
 
-  const run = db.transaction(() => {
-    for (let i = 0; i < rows.length; i++) {
-      const buf = Buffer.from(embeddings[i].buffer);
-      update.run(buf, rows[i].rowid);
-    }
-  });
-  run();
+  await store.embed(rows);
 
-  db.close();
   console.log(`Done — embedded ${rows.length} facts.`);
+  const index = refreshIndex(db, model);
+  reportIndex(index);
+  return { embedded: rows.length, reembedded: stale, index };
+}
+
+function reportIndex(status) {
+  if (status === "built") console.log("ANN index built.");
+  else if (status === "updated") console.log("ANN index updated.");
 }
 
-main().catch((err) => {
-  console.error("Error:", err);
-  process.exit(1);
-});
+module.exports = { embedFacts };
+
+if (require.main === module) {
+  embedFacts()
+    .then((metrics) => recordStepForRun("embed", metrics))
+    .catch((err) => {
+      console.error("Error:", err);
+      recordStepForRun("embed", { failures: 1 });
+      process.exit(1);
+    });
+}
@@ -0,0 +1,172 @@
+/**
+ * Access Tracker - maintain memories.access_count / last_accessed.
+ *
+ * Retrieval surfaces (memory_search, memory-cli search, SessionStart
+ * injection) open the DB read-only, so hits are not written inline. Each
+ * process buffers hits in memory and flush() appends one JSON line to a spool
+ * file (MEMORY_ACCESS_LOG or <memory.db>-access.jsonl). Writers drain the
+ * spool into the DB in a single transaction: the MCP server on a timer, step 3
+ * of the pipeline, `memory-cli.js stats` and the prune job.
+ *
+ * Counts belong to the key: they attach to the active row and carry over when
+ * MemoryStore.put() writes a new version.
+ *
+ * Usage:
+ *   const { AccessTracker, drainAccessLog } = require('./access-tracker.js');
+ *   const tracker = new AccessTracker();
+ *   tracker.record(rows);   // rows with .key, or plain keys
+ *   tracker.flush();
+ *   drainAccessLog(writableDb);
+ */
+
+const fs = require('fs');
+const { DB_PATH } = require('./migrations.js');
+
+/**
+ * Spool path for a DB: MEMORY_ACCESS_LOG or <dbPath>-access.jsonl.
+ */
+function accessLogFor(dbPath) {
+    return process.env.MEMORY_ACCESS_LOG || `${dbPath}-access.jsonl`;
+}
+
+const ACCESS_LOG = accessLogFor(DB_PATH);
+
+class AccessTracker {
+    constructor(spoolPath = ACCESS_LOG) {
+        this.spoolPath = spoolPath;
+        this.pending = new Map();
+    }
+
+    /**
+     * Count one hit per retrieved row.
+     * @param {Array<string|{key: string}>} rows
+     */
+    record(rows) {
+        for (const r of rows) {
+            const key = typeof r === 'string' ? r : r && r.key;
+            if (key) this.pending.set(key, (this.pending.get(key) || 0) + 1);
+        }
+    }
+
+    /**
+     * Append buffered hits to the spool. Never throws — tracking must not
+     * break a read path.
+     */
+    flush() {
+        if (this.pending.size === 0) return;
+        const line = JSON.stringify({ at: new Date().toISOString(), hits: Object.fromEntries(this.pending) });
+        this.pending.clear();
+        try {
+            fs.appendFileSync(this.spoolPath, line + '\n');
+        } catch (err) {
+            console.error(`[access-tracker] could not write ${this.spoolPath}: ${err.message}`);
+        }
+    }
+}
+
+// key → { count, last } summed over spool lines
+function sumHits(content) {
+    const totals = new Map();
+    for (const line of content.split('\n').filter(Boolean)) {
+        let entry;
+        try { entry = JSON.parse(line); } catch { continue; }
+        for (const [key, count] of Object.entries(entry.hits || {})) {
+            const t = totals.get(key) || { count: 0, last: '' };
+            t.count += count;
+            if (entry.at > t.last) t.last = entry.at;
+            totals.set(key, t);
+        }
+    }
+    return totals;
+}
+
+/**
+ * Spooled hits not yet drained, without touching the spool or the DB.
+ * @param {string} [spoolPath]
+ * @returns {Map<string, { count: number, last: string }>}
+ */
+function readAccessLog(spoolPath = ACCESS_LOG) {
+    try {
+        return sumHits(fs.readFileSync(spoolPath, 'utf8'));
+    } catch {
+        return new Map();
+    }
+}
+
+/**
+ * Apply spooled hits to the DB and clear the spool.
+ * @param {Database} db - writable better-sqlite3 instance
+ * @param {string} [spoolPath]
+ * @returns {{ keys: number, hits: number }}
+ */
+function drainAccessLog(db, spoolPath = ACCESS_LOG) {
+    // Claim the spool atomically; concurrent appenders start a fresh file
+    const draining = `${spoolPath}.${process.pid}.draining`;
+    try {
+        fs.renameSync(spoolPath, draining);
+    } catch {
+        return { keys: 0, hits: 0 };
+    }
+
+    const content = fs.readFileSync(draining, 'utf8');
+    const totals = sumHits(content);
+
+    const update = db.prepare(`
+        UPDATE memories
+        SET access_count = COALESCE(access_count, 0) + ?,
+            last_accessed = MAX(COALESCE(last_accessed, ''), ?)
+        WHERE key = ? AND end_time IS NULL
+    `);
+
+    let hits = 0;
+    try {
+        db.transaction(() => {
+            for (const [key, t] of totals) {
+                update.run(t.count, t.last, key);
+                hits += t.count;
+            }
+        })();
+    } catch (err) {
+        // Put the hits back for the next drain
+        fs.appendFileSync(spoolPath, content);
+        fs.unlinkSync(draining);
+        throw err;
+    }
+
+    fs.unlinkSync(draining);
+    return { keys: totals.size, hits };
+}
+
+/**
+ * Access statistics over active facts.
+ * @param {Database} db
+ * @param {Object} [opts]
+ * @param {number} [opts.limit] - size of the most-accessed list (default 10)
+ * @returns {{ active, accessed, hits, neverAccessed, top: Array<{key, access_count, last_accessed}> }}
+ */
+function getAccessStats(db, { limit = 10 } = {}) {
+    const totals = db.prepare(`
+        SELECT COUNT(*) AS active,
+               SUM(CASE WHEN access_count > 0 THEN 1 ELSE 0 END) AS accessed,
+               COALESCE(SUM(access_count), 0) AS hits
+        FROM memories WHERE end_time IS NULL
+    `).get();
+
+    const top = db.prepare(`
+        SELECT key, access_count, last_accessed FROM memories
+        WHERE end_time IS NULL AND access_count > 0
+        ORDER BY access_count DESC, last_accessed DESC
+        LIMIT ?
+    `).all(limit);
+
+    const accessed = totals.accessed || 0;
+    return {
+        active: totals.active,
+        accessed,
+        hits: totals.hits,
+        neverAccessed: totals.active - accessed,
+        top,
+    };
+}
+
+module.exports = { AccessTracker, drainAccessLog, readAccessLog, getAccessStats, accessLogFor, ACCESS_LOG };
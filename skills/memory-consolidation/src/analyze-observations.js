@@ -16,6 +16,7 @@
 const fs = require('fs');
 const path = require('path');
 const { spawnSync } = require('child_process');
+const { MemoryStore } = require('./memory-store.js');
 
 const MEMORY_ROOT = process.env.MEMORY_ROOT || path.join(require('os').homedir(), '.openclaw/workspace/skills/memory-consolidation');
 const OBSERVATIONS_FILE = path.join(MEMORY_ROOT, 'observations.jsonl');
@@ -159,32 +160,16 @@ function storePattern(key, value) {
         return true;
     }
 
-    const Database = require('better-sqlite3');
-    const db = new Database(DB_PATH);
+    const store = new MemoryStore(DB_PATH);
 
     try {
-        const valueStr = typeof value === 'string' ? value : JSON.stringify(value);
-        const now = new Date().toISOString();
-
-        // Check if exists
-        const existing = db.prepare('SELECT id FROM memories WHERE key = ? AND end_time IS NULL').get(key);
-
-        if (existing) {
-            // Update existing
-            db.prepare('UPDATE memories SET value = ?, start_time = ? WHERE id = ?')
-                .run(valueStr, now, existing.id);
-        } else {
-            // Insert new
-            db.prepare('INSERT INTO memories (key, value, start_time) VALUES (?, ?, ?)')
-                .run(key, valueStr, now);
-        }
-
+        store.put(key, value, { source: 'auto:analyze-observations' });
         return true;
     } catch (e) {
         console.error(`Failed to store ${key}:`, e.message);
         return false;
     } finally {
-        db.close();
+        store.close();
     }
 }
 
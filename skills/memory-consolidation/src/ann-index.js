@@ -0,0 +1,348 @@
+/**
+ * ANN Index - persistent IVF (inverted file) index over memories.embedding.
+ *
+ * Vectors are assigned to the nearest of ~sqrt(N) spherical k-means centroids.
+ * A query ranks the centroids, then scores only the rows in the `nprobe`
+ * closest lists instead of every BLOB in the database. The index lives in the
+ * same SQLite file (ann_centroids / ann_lists / ann_meta), one per embedding
+ * model, and is updated incrementally as rows are embedded.
+ *
+ * Falls back to an exact scan when fewer than ann.min_rows vectors exist for
+ * the model, or the index has not been built yet.
+ *
+ * Usage:
+ *   const { searchVectors, indexVectors, buildIndex } = require('./ann-index.js');
+ *   const hits = searchVectors(db, queryVec, { model, limit: 20, threshold: 0.3 });
+ */
+
+const { cosineSimilarity, fromBlob, getEmbeddingModel } = require('./embed.js');
+const { loadConfig } = require('./config.js');
+
+const DEFAULTS = {
+    enabled: true,
+    min_rows: 5000,      // below this, exact scan is fast enough
+    nprobe: 8,           // lists scanned per query
+    iterations: 8,       // k-means iterations when (re)building
+    sample_per_list: 16, // training sample size = nlist * sample_per_list
+    rebuild_growth: 4,   // rebuild once indexed rows exceed trained rows × this
+};
+
+// db.name + model → { builtAt, centroids }
+const centroidCache = new Map();
+
+function getAnnSettings() {
+    return { ...DEFAULTS, ...(loadConfig().ann || {}) };
+}
+
+function ensureAnnTables(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS ann_centroids (
+            model TEXT NOT NULL,
+            list_id INTEGER NOT NULL,
+            centroid BLOB NOT NULL,
+            PRIMARY KEY (model, list_id)
+        );
+        CREATE TABLE IF NOT EXISTS ann_lists (
+            memory_rowid INTEGER PRIMARY KEY,
+            model TEXT NOT NULL,
+            list_id INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_ann_lists_model_list ON ann_lists(model, list_id);
+        CREATE TABLE IF NOT EXISTS ann_meta (
+            model TEXT PRIMARY KEY,
+            nlist INTEGER NOT NULL,
+            trained_rows INTEGER NOT NULL,
+            built_at TEXT NOT NULL
+        );
+    `);
+}
+
+// ── Vector math ─────────────────────────────────────────────────────────────
+
+function normalize(vec) {
+    let norm = 0;
+    for (let i = 0; i < vec.length; i++) norm += vec[i] * vec[i];
+    norm = Math.sqrt(norm) || 1;
+    const out = new Float32Array(vec.length);
+    for (let i = 0; i < vec.length; i++) out[i] = vec[i] / norm;
+    return out;
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+function nearestList(centroids, unitVec) {
+    let best = 0, bestScore = -Infinity;
+    for (let c = 0; c < centroids.length; c++) {
+        const score = dot(centroids[c], unitVec);
+        if (score > bestScore) { bestScore = score; best = c; }
+    }
+    return best;
+}
+
+// Deterministic PRNG so rebuilds of the same data produce the same index
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 0x100000000;
+    };
+}
+
+/**
+ * Spherical k-means over unit vectors.
+ * @param {Float32Array[]} vectors - normalized training sample
+ * @param {number} nlist
+ * @param {number} iterations
+ * @returns {Float32Array[]} normalized centroids
+ */
+function trainCentroids(vectors, nlist, iterations) {
+    const random = seededRandom(vectors.length);
+    const dim = vectors[0].length;
+
+    // Init from distinct random samples
+    const picked = new Set();
+    while (picked.size < nlist) picked.add(Math.floor(random() * vectors.length));
+    let centroids = [...picked].map(i => Float32Array.from(vectors[i]));
+
+    for (let iter = 0; iter < iterations; iter++) {
+        const sums = Array.from({ length: nlist }, () => new Float32Array(dim));
+        const counts = new Array(nlist).fill(0);
+
+        for (const v of vectors) {
+            const c = nearestList(centroids, v);
+            counts[c]++;
+            const sum = sums[c];
+            for (let i = 0; i < dim; i++) sum[i] += v[i];
+        }
+
+        centroids = sums.map((sum, c) => counts[c] > 0
+            ? normalize(sum)
+            // Empty list: reseed from a random sample
+            : Float32Array.from(vectors[Math.floor(random() * vectors.length)]));
+    }
+    return centroids;
+}
+
+// ── Index maintenance ───────────────────────────────────────────────────────
+
+function loadCentroids(db, model) {
+    const meta = db.prepare('SELECT built_at FROM ann_meta WHERE model = ?').get(model);
+    if (!meta) return null;
+
+    const cacheKey = `${db.name}|${model}`;
+    const cached = centroidCache.get(cacheKey);
+    if (cached && cached.builtAt === meta.built_at) return cached.centroids;
+
+    const centroids = db.prepare(
+        'SELECT centroid FROM ann_centroids WHERE model = ? ORDER BY list_id'
+    ).all(model).map(r => Float32Array.from(fromBlob(r.centroid)));
+    centroidCache.set(cacheKey, { builtAt: meta.built_at, centroids });
+    return centroids;
+}
+
+/**
+ * (Re)build the index for a model: train centroids on a sample, then assign
+ * every embedded row. Streams rows so memory stays bounded on large DBs.
+ * @returns {{ nlist: number, indexed: number }}
+ */
+function buildIndex(db, { model = getEmbeddingModel(), settings = getAnnSettings() } = {}) {
+    ensureAnnTables(db);
+
+    const rowids = db.prepare(
+        'SELECT rowid FROM memories WHERE embedding IS NOT NULL AND embedding_model = ?'
+    ).pluck().all(model);
+    if (rowids.length === 0) return { nlist: 0, indexed: 0 };
+
+    const nlist = Math.max(1, Math.min(1024, Math.round(Math.sqrt(rowids.length))));
+    const sampleSize = Math.min(rowids.length, nlist * settings.sample_per_list);
+
+    // Training sample (evenly strided over rowids)
+    const getEmbedding = db.prepare('SELECT embedding FROM memories WHERE rowid = ?').pluck();
+    const stride = rowids.length / sampleSize;
+    const sample = [];
+    for (let i = 0; i < sampleSize; i++) {
+        sample.push(normalize(fromBlob(getEmbedding.get(rowids[Math.floor(i * stride)]))));
+    }
+    const centroids = trainCentroids(sample, nlist, settings.iterations);
+
+    // Assign all rows (iterate first, write after — connection is busy while iterating)
+    const assignments = [];
+    const iter = db.prepare(
+        'SELECT rowid, embedding FROM memories WHERE embedding IS NOT NULL AND embedding_model = ?'
+    ).iterate(model);
+    for (const r of iter) {
+        assignments.push([r.rowid, nearestList(centroids, normalize(fromBlob(r.embedding)))]);
+    }
+
+    const builtAt = new Date().toISOString();
+    const insertCentroid = db.prepare('INSERT INTO ann_centroids (model, list_id, centroid) VALUES (?, ?, ?)');
+    const insertList = db.prepare('INSERT OR REPLACE INTO ann_lists (memory_rowid, model, list_id) VALUES (?, ?, ?)');
+
+    db.transaction(() => {
+        db.prepare('DELETE FROM ann_centroids WHERE model = ?').run(model);
+        db.prepare('DELETE FROM ann_lists WHERE model = ?').run(model);
+        centroids.forEach((c, i) => insertCentroid.run(model, i, Buffer.from(c.buffer)));
+        for (const [rowid, list] of assignments) insertList.run(rowid, model, list);
+        db.prepare(
+            'INSERT OR REPLACE INTO ann_meta (model, nlist, trained_rows, built_at) VALUES (?, ?, ?, ?)'
+        ).run(model, nlist, rowids.length, builtAt);
+    })();
+
+    return { nlist, indexed: assignments.length };
+}
+
+/**
+ * Add freshly embedded rows to the index. No-op until the index is built.
+ * @param {Database} db
+ * @param {Array<{rowid: number, embedding: Float32Array}>} items
+ * @param {string} [model]
+ */
+function indexVectors(db, items, model = getEmbeddingModel()) {
+    ensureAnnTables(db);
+    const centroids = loadCentroids(db, model);
+    if (!centroids || items.length === 0) return 0;
+
+    const insert = db.prepare('INSERT OR REPLACE INTO ann_lists (memory_rowid, model, list_id) VALUES (?, ?, ?)');
+    db.transaction(() => {
+        for (const { rowid, embedding } of items) {
+            insert.run(rowid, model, nearestList(centroids, normalize(embedding)));
+        }
+    })();
+    return items.length;
+}
+
+/**
+ * Drop deleted rows from the index.
+ * @param {Database} db
+ * @param {number[]} rowids
+ */
+function removeFromIndex(db, rowids) {
+    ensureAnnTables(db);
+    const del = db.prepare('DELETE FROM ann_lists WHERE memory_rowid = ?');
+    db.transaction(() => { for (const id of rowids) del.run(id); })();
+}
+
+/**
+ * Bring the index up to date after a batch of embeddings: build it once the
+ * DB crosses min_rows, rebuild when it has grown rebuild_growth× since
+ * training, otherwise index any embedded rows that are not yet assigned.
+ * @returns {string} - 'disabled' | 'exact' | 'built' | 'updated'
+ */
+function refreshIndex(db, model = getEmbeddingModel()) {
+    const settings = getAnnSettings();
+    if (!settings.enabled) return 'disabled';
+    ensureAnnTables(db);
+
+    const total = db.prepare(
+        'SELECT COUNT(*) FROM memories WHERE embedding IS NOT NULL AND embedding_model = ?'
+    ).pluck().get(model);
+    const meta = db.prepare('SELECT trained_rows FROM ann_meta WHERE model = ?').get(model);
+
+    if (!meta) {
+        if (total < settings.min_rows) return 'exact';
+        buildIndex(db, { model, settings });
+        return 'built';
+    }
+    if (total > meta.trained_rows * settings.rebuild_growth) {
+        buildIndex(db, { model, settings });
+        return 'built';
+    }
+
+    const pending = db.prepare(`
+        SELECT m.rowid, m.embedding FROM memories m
+        LEFT JOIN ann_lists a ON a.memory_rowid = m.rowid AND a.model = m.embedding_model
+        WHERE m.embedding IS NOT NULL AND m.embedding_model = ? AND a.memory_rowid IS NULL
+    `).all(model);
+    indexVectors(db, pending.map(r => ({ rowid: r.rowid, embedding: fromBlob(r.embedding) })), model);
+    return 'updated';
+}
+
+// ── Search ──────────────────────────────────────────────────────────────────
+
+function hasAnnTables(db) {
+    return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'ann_meta'").get();
+}
+
+/**
+ * Nearest active facts to a query vector.
+ * @param {Database} db - may be read-only
+ * @param {Float32Array} queryVec
+ * @param {Object} [opts]
+ * @param {string} [opts.model] - embedding model of queryVec (default: configured)
+ * @param {number} [opts.limit] - max results (default 50)
+ * @param {number} [opts.threshold] - minimum cosine similarity (default 0)
+ * @param {boolean} [opts.exact] - force exact scan
+ * @param {string} [opts.asOf] - search the rows that were active at this
+ *   timestamp instead of the current ones (always an exact scan: the lists
+ *   are only kept current for active rows)
+ * @returns {Array<{rowid, key, value, start_time, end_time, similarity}>} - sorted by similarity desc
+ */
+function searchVectors(db, queryVec, opts = {}) {
+    const model = opts.model || getEmbeddingModel();
+    const limit = opts.limit || 50;
+    const threshold = opts.threshold ?? 0;
+    const settings = getAnnSettings();
+
+    const centroids = !opts.exact && !opts.asOf && settings.enabled && hasAnnTables(db)
+        ? loadCentroids(db, model)
+        : null;
+
+    let rows;
+    if (centroids) {
+        const unit = normalize(queryVec);
+        const probes = centroids
+            .map((c, i) => [i, dot(c, unit)])
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, settings.nprobe)
+            .map(([i]) => i);
+
+        rows = db.prepare(`
+            SELECT m.rowid, m.key, m.value, m.start_time, m.end_time, m.embedding
+            FROM ann_lists a
+            JOIN memories m ON m.rowid = a.memory_rowid
+            WHERE a.model = ? AND a.list_id IN (${probes.map(() => '?').join(',')})
+              AND m.end_time IS NULL AND m.embedding_model = ?
+        `).iterate(model, ...probes, model);
+    } else if (opts.asOf) {
+        rows = db.prepare(`
+            SELECT rowid, key, value, start_time, end_time, embedding
+            FROM memories
+            WHERE embedding IS NOT NULL AND embedding_model = ?
+              AND julianday(start_time) <= julianday(?)
+              AND (end_time IS NULL OR julianday(end_time) > julianday(?))
+        `).iterate(model, opts.asOf, opts.asOf);
+    } else {
+        rows = db.prepare(`
+            SELECT rowid, key, value, start_time, end_time, embedding
+            FROM memories
+            WHERE embedding IS NOT NULL AND end_time IS NULL AND embedding_model = ?
+        `).iterate(model);
+    }
+
+    const scored = [];
+    for (const r of rows) {
+        const emb = fromBlob(r.embedding);
+        if (emb.length !== queryVec.length) continue;
+        const similarity = cosineSimilarity(queryVec, emb);
+        if (similarity >= threshold) {
+            scored.push({ rowid: r.rowid, key: r.key, value: r.value, start_time: r.start_time, end_time: r.end_time, similarity });
+        }
+    }
+
+    scored.sort((a, b) => b.similarity - a.similarity);
+    return scored.slice(0, limit);
+}
+
+module.exports = {
+    searchVectors,
+    buildIndex,
+    indexVectors,
+    removeFromIndex,
+    refreshIndex,
+    ensureAnnTables,
+    trainCentroids,
+};
@@ -1,4 +1,4 @@
-const Database = require('better-sqlite3');
+const { openDatabase } = require('./migrations.js');
 const path = require('path');
 const fs = require('fs'); // Added fs module
 
@@ -9,7 +9,7 @@ function main() {
         console.log("Memory DB not found.");
         return;
     }
-    const db = new Database(DB_PATH, { readonly: true });
+    const db = openDatabase(DB_PATH, { readonly: true });
     
     const totalFacts = db.prepare("SELECT count(*) FROM memories;").get()['count(*)'];
     const embeddedFacts = db.prepare("SELECT count(*) FROM memories WHERE embedding IS NOT NULL;").get()['count(*)'];
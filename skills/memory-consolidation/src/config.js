@@ -0,0 +1,22 @@
+/**
+ * Shared loader for digest-config.json.
+ *
+ * Path: MEMORY_CONFIG_PATH env or ../digest-config.json.
+ * Returns {} when the file is missing or invalid so callers can apply defaults.
+ *
+ * Usage:
+ *   const { loadConfig } = require('./config.js');
+ *   const llm = loadConfig().llm || {};
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_PATH = process.env.MEMORY_CONFIG_PATH || path.join(__dirname, '..', 'digest-config.json');
+
+function loadConfig() {
+    try { return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')); }
+    catch { return {}; }
+}
+
+module.exports = { loadConfig, CONFIG_PATH };
@@ -0,0 +1,176 @@
+/**
+ * Conflict Detector - flags facts that disagree with what memory already holds,
+ * for review with `memory_conflicts` (MCP) or `memory-cli.js conflicts`.
+ *
+ * Two kinds, both checked by step 3 (commitFacts) for the rows it writes:
+ *   supersede      the same key got a new value that is less trusted than the
+ *                  active row it replaced (trust.js confidence). Decided
+ *                  without the LLM; the new value is still written.
+ *   contradiction  a different key says the opposite (user.editor=vim vs
+ *                  pref.ide=vscode). Candidates are active facts whose
+ *                  embedding is within conflicts.similarity_threshold of the
+ *                  new fact; the conflict provider (llm.tasks.conflict) picks
+ *                  the ones that cannot both be true, for up to
+ *                  conflicts.batch_size new facts per request.
+ *
+ * Detection never blocks a commit: an embedding or LLM failure means no
+ * contradiction is recorded. With no embedded active rows for the current
+ * model there is nothing to compare against, so nothing is embedded. The
+ * vectors it does make are returned, for the caller to store rather than
+ * embed the rows again in step 5.
+ *
+ * Settings (digest-config.json "conflicts"): enabled, similarity_threshold,
+ * max_candidates, batch_size.
+ *
+ * Usage:
+ *   const { findContradictions } = require('./conflict-detector.js');
+ *   const { conflicts, vectors } = await findContradictions(db, rows);
+ *   for (const c of conflicts) store.addConflict(c);
+ *   if (vectors) await store.embed(rows, vectors);
+ */
+
+const { embedTexts, getEmbeddingModel } = require('./embed.js');
+const { searchVectors } = require('./ann-index.js');
+const { getProvider, parseJson } = require('./llm-provider.js');
+const { loadConfig } = require('./config.js');
+
+const DEFAULTS = {
+    enabled: true,
+    similarity_threshold: 0.8,
+    max_candidates: 5,
+    batch_size: 10,
+};
+
+/**
+ * Conflict settings: DEFAULTS overlaid with config.conflicts.
+ */
+function loadConflictSettings(config = loadConfig()) {
+    return { ...DEFAULTS, ...(config.conflicts || {}) };
+}
+
+/**
+ * A supersede conflict when row replaced a more trusted active version of its key.
+ * @param {{key, value, start_time, confidence}} previous - the active row before the write
+ * @param {{key, value, start_time, confidence}} row - the row put() wrote
+ * @returns {Object|null} - conflict for MemoryStore.addConflict(), or null
+ */
+function checkSupersede(previous, row, settings = loadConflictSettings()) {
+    if (!settings.enabled || !previous || row.end_time != null || previous.value === row.value) return null;
+    if ((row.confidence ?? 0) >= (previous.confidence ?? 0)) return null;
+    return {
+        kind: 'supersede',
+        key: row.key, value: row.value, start_time: row.start_time,
+        other_key: previous.key, other_value: previous.value, other_start_time: previous.start_time,
+        reason: `replaced a more trusted value (${previous.trust_class ?? '?'} ${previous.confidence} > ${row.trust_class ?? '?'} ${row.confidence})`,
+    };
+}
+
+/**
+ * Ask the conflict provider which existing facts each NEW fact contradicts,
+ * for a batch of new facts in one request. Any failure degrades to none.
+ * @param {Array<{ row, candidates }>} items
+ * @returns {Promise<Array<{ keys: string[], reason: string|null }>>} - one per item
+ */
+async function callLlmForConflicts(items) {
+    const none = () => items.map(() => ({ keys: [], reason: null }));
+    const facts = items.map(({ row, candidates }, i) => `${i + 1}. NEW: ${row.key} = ${row.value}
+   EXISTING:
+${candidates.map(c => `   - ${c.key} = ${c.value}`).join('\n')}`);
+    const prompt = `Do these new facts contradict any of their existing facts?
+
+${facts.join('\n\n')}
+
+Two facts contradict when they cannot both be true now (e.g. "user.editor = vim"
+and "pref.ide = vscode" as the user's one editor). Facts that add detail, or
+are about different things, do not contradict.
+
+Output a JSON array only, one entry per new fact:
+[{ "id": 1, "contradicts": ["existing key", ...], "reason": "brief reason" }]`;
+
+    let text;
+    try {
+        text = await getProvider('conflict').generate(prompt, { maxOutputTokens: 150 * items.length, temperature: 0.1 });
+    } catch {
+        return none();
+    }
+
+    const parsed = parseJson(text);
+    // An array of answers; a lone object is accepted for a single fact
+    const list = Array.isArray(parsed) ? parsed
+        : items.length === 1 && parsed && typeof parsed === 'object' ? [{ ...parsed, id: 1 }]
+        : [];
+    return items.map((_, i) => {
+        const answer = list.find(a => Number(a?.id) === i + 1);
+        if (!answer) return { keys: [], reason: null };
+        const keys = Array.isArray(answer.contradicts) ? answer.contradicts.filter(k => typeof k === 'string') : [];
+        return { keys, reason: typeof answer.reason === 'string' ? answer.reason : null };
+    });
+}
+
+/**
+ * Contradictions between newly written rows and other active facts.
+ * @param {Database} db - better-sqlite3 instance
+ * @param {Array<{key, value, start_time}>} rows - active rows just written (unembedded)
+ * @param {Object} [settings] - loadConflictSettings()
+ * @returns {Promise<{conflicts: Array<Object>, vectors: Array<number[]>|null}>} -
+ *   conflicts for MemoryStore.addConflict(), and the rows' embeddings (null
+ *   when none were made) for MemoryStore.embed()
+ */
+async function findContradictions(db, rows, settings = loadConflictSettings()) {
+    const none = { conflicts: [], vectors: null };
+    if (!settings.enabled || rows.length === 0) return none;
+
+    const model = getEmbeddingModel();
+    const embedded = db.prepare(
+        'SELECT 1 FROM memories WHERE end_time IS NULL AND embedding_model = ? LIMIT 1'
+    ).get(model);
+    if (!embedded) return none;
+
+    let vectors;
+    try {
+        vectors = await embedTexts(rows.map(r => `${r.key}: ${r.value}`));
+    } catch (err) {
+        console.error('Conflict check skipped, embedding failed:', err.message);
+        return none;
+    }
+
+    const items = [];
+    for (let i = 0; i < rows.length; i++) {
+        const candidates = searchVectors(db, vectors[i], {
+            model, limit: settings.max_candidates + 1, threshold: settings.similarity_threshold,
+        }).filter(c => c.key !== rows[i].key).slice(0, settings.max_candidates);
+        if (candidates.length > 0) items.push({ row: rows[i], candidates });
+    }
+
+    const conflicts = [];
+    const batchSize = Math.max(1, settings.batch_size);
+    for (let start = 0; start < items.length; start += batchSize) {
+        const batch = items.slice(start, start + batchSize);
+        const answers = await callLlmForConflicts(batch);
+        batch.forEach(({ row, candidates }, k) => {
+            const { keys, reason } = answers[k];
+            for (const c of candidates.filter(c => keys.includes(c.key))) {
+                conflicts.push({
+                    kind: 'contradiction',
+                    key: row.key, value: row.value, start_time: row.start_time,
+                    other_key: c.key, other_value: c.value, other_start_time: c.start_time,
+                    reason, similarity: Math.round(c.similarity * 1000) / 1000,
+                });
+            }
+        });
+    }
+    return { conflicts, vectors };
+}
+
+/**
+ * One-line description of a queued conflict, e.g.
+ * '#3 contradiction: user.editor = vim vs existing pref.ide = vscode (2026-10-19T09:00:00Z, similarity 0.91): one editor'.
+ */
+function formatConflict(c) {
+    const status = c.status === 'open' ? '' : ` [${c.status}]`;
+    const similarity = c.similarity != null ? `, similarity ${c.similarity}` : '';
+    return `#${c.id} ${c.kind}${status}: ${c.key} = ${c.value} vs existing ${c.other_key} = ${c.other_value}` +
+        ` (${c.detected_at}${similarity})${c.reason ? `: ${c.reason}` : ''}`;
+}
+
+module.exports = { loadConflictSettings, checkSupersede, findContradictions, formatConflict, DEFAULTS };
@@ -3,16 +3,19 @@
 // to a pipeline-compatible JSONL file.
 //
 // Usage: node convert-gemini-sessions.js --output-dir <dir>
+//        const { convertGeminiSessions } = require('./convert-gemini-sessions.js');
 //
-// Idempotency: uses .processed_sessions with "gemini:" prefix to skip
-// already-converted sessions.
+// Idempotency: each source file is tracked in the sessions table as
+// "gemini:<sessionId>" (by mtime) to skip already-converted sessions.
 
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const os = require('os');
+const { openDatabase, DB_PATH } = require('./migrations.js');
+const { importLegacy, planSession, markSession } = require('./session-tracker.js');
+const { getAdapter, toGenericLines } = require('./session-adapters.js');
 
-const PROCESSED_FILE = path.join(__dirname, '..', '.processed_sessions');
 const GEMINI_BASE = path.join(os.homedir(), '.gemini', 'tmp');
 
 function parseArgs() {
@@ -31,20 +34,6 @@ function parseArgs() {
     return { outputDir };
 }
 
-function getProcessedMap() {
-    if (!fs.existsSync(PROCESSED_FILE)) return new Map();
-    const map = new Map();
-    fs.readFileSync(PROCESSED_FILE, 'utf8').split('\n').filter(Boolean).forEach(line => {
-        const [id, mtime] = line.split('|');
-        map.set(id, mtime);
-    });
-    return map;
-}
-
-function markProcessed(sessionId, mtime) {
-    fs.appendFileSync(PROCESSED_FILE, `${sessionId}|${mtime}\n`);
-}
-
 // Markers found in fake sessions created by gemini -p extraction/instinct calls
 const FAKE_SESSION_MARKERS = [
     'Extract persistent factual information',
@@ -93,40 +82,33 @@ function convertSession(filePath) {
         return null;
     }
 
-    const messages = session.messages || [];
-    const startTime = session.startTime || new Date().toISOString();
-    const lines = [];
-
-    for (const msg of messages) {
-        if (msg.type !== 'user' && msg.type !== 'gemini') continue;
-
-        let content = msg.content;
-        // Normalize content: list of {text} → concatenated string
-        if (Array.isArray(content)) {
-            content = content
-                .filter(p => p && typeof p.text === 'string')
-                .map(p => p.text)
-                .join('\n');
-        }
-
-        if (!content || typeof content !== 'string' || content.trim().length === 0) continue;
-
-        const role = msg.type === 'user' ? 'user' : 'assistant';
-        lines.push(JSON.stringify({
-            type: 'message',
-            message: { role, content },
-            timestamp: startTime,
-        }));
-    }
-
+    const gemini = getAdapter('gemini');
+    if (!gemini.detectDocument(session)) return null;
+    const lines = toGenericLines(gemini.parseDocument(session));
     return lines.length > 0 ? lines : null;
 }
 
-function main() {
-    const { outputDir } = parseArgs();
+/**
+ * Convert new/changed Gemini sessions into outputDir.
+ * @param {string} outputDir
+ * @param {Object} [opts]
+ * @param {string} [opts.dbPath] - DB holding the sessions table
+ * @param {string} [opts.legacyFile] - .processed_sessions to import (default: the skill root's)
+ * @returns {{ converted: number, skipped: number }}
+ */
+function convertGeminiSessions(outputDir, { dbPath = DB_PATH, legacyFile } = {}) {
     fs.mkdirSync(outputDir, { recursive: true });
 
-    const processedMap = getProcessedMap();
+    const db = openDatabase(dbPath);
+    try {
+        importLegacy(db, legacyFile);
+        return convertAll(db, outputDir);
+    } finally {
+        db.close();
+    }
+}
+
+function convertAll(db, outputDir) {
     const sessionFiles = findGeminiSessions();
 
     console.log(`Found ${sessionFiles.length} Gemini sessions.`);
@@ -150,25 +132,31 @@ function main() {
         const trackedId = `gemini:${sessionId}`;
 
         // Skip only if the session exists and mtime matches
-        if (processedMap.has(trackedId) && processedMap.get(trackedId) === currentMtime) {
+        if (planSession(db, trackedId, { mtime: currentMtime }).skip) {
             skipped++;
             continue;
         }
 
+        const tracked = { source: 'gemini-json', path: filePath, mtime: currentMtime };
         const lines = convertSession(filePath);
         if (!lines) {
-            markProcessed(trackedId, currentMtime);
+            markSession(db, trackedId, tracked);
             skipped++;
             continue;
         }
 
         const outFile = path.join(outputDir, `gemini-${sessionId}.jsonl`);
         fs.writeFileSync(outFile, lines.join('\n') + '\n');
-        markProcessed(trackedId, currentMtime);
+        markSession(db, trackedId, tracked);
         converted++;
     }
 
     console.log(`Converted/Updated: ${converted}, Skipped: ${skipped}`);
+    return { converted, skipped };
 }
 
-main();
+module.exports = { convertGeminiSessions };
+
+if (require.main === module) {
+    convertGeminiSessions(parseArgs().outputDir);
+}
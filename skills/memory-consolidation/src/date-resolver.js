@@ -0,0 +1,249 @@
+/**
+ * Date Resolver - rewrite relative date expressions as absolute dates.
+ *
+ * Sessions mix English and Chinese, so both are recognised:
+ *   today / yesterday / the day before yesterday / tomorrow / tonight
+ *   3 days ago / in 2 weeks / a month ago    ("in": not after a past-tense verb)
+ *   next friday / last monday / this sunday      (weekday in that Mon-Sun week)
+ *   next week / last month / this year
+ *   今天 / 昨天 / 前天 / 大前天 / 明天 / 后天 / 三天前 / 两周后 / 上个月
+ *   上周五 / 下星期一 / 这周日 / 下周 / 去年 / 明年
+ * A day resolves to YYYY-MM-DD, a week to its Monday ("week of YYYY-MM-DD"),
+ * a month to YYYY-MM and a year to YYYY, all relative to the local date of
+ * the message timestamp in `timeZone` (digest-config.json `dates.timezone`,
+ * default the system time zone).
+ *
+ * In keys only whole segments are resolved ("event.yesterday.deploy" →
+ * "event.2026-10-18.deploy"; "event.next_week.launch" uses the Monday); in
+ * values every expression in the text is. resolveFactDates() keeps what the
+ * fact said before in `original_text`.
+ *
+ * Usage:
+ *   const { resolveDates, resolveFactDates } = require('./date-resolver.js');
+ *   resolveDates('deadline is next Friday', '2026-10-19T09:00:00Z', { timeZone: 'UTC' });
+ *   // { text: 'deadline is 2026-10-30', resolved: [{ original: 'next Friday', date: '2026-10-30' }] }
+ */
+
+const { loadConfig } = require('./config.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EN_WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const ZH_WEEKDAYS = { 一: 0, 二: 1, 三: 2, 四: 3, 五: 4, 六: 5, 日: 6, 天: 6 };
+const EN_NUMBERS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const ZH_DIGITS = { 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+// ── Calendar arithmetic (dates as UTC midnights) ──────────────────────────────
+
+/**
+ * Local calendar date of a timestamp, as a UTC-midnight Date.
+ */
+function referenceDate(timestamp, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+        timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+    }).formatToParts(new Date(timestamp));
+    const get = type => Number(parts.find(p => p.type === type).value);
+    return new Date(Date.UTC(get('year'), get('month') - 1, get('day')));
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+}
+
+function addMonths(date, months) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+}
+
+// Monday of the week `weeks` away from date's week
+function weekStart(date, weeks = 0) {
+    const monday = addDays(date, -((date.getUTCDay() + 6) % 7));
+    return addDays(monday, weeks * 7);
+}
+
+function formatDate(date, unit) {
+    const iso = date.toISOString();
+    if (unit === 'year') return iso.slice(0, 4);
+    if (unit === 'month') return iso.slice(0, 7);
+    return iso.slice(0, 10);
+}
+
+// ── Expressions ───────────────────────────────────────────────────────────────
+
+function enNumber(word) {
+    return /^\d+$/.test(word) ? Number(word) : EN_NUMBERS[word.toLowerCase()];
+}
+
+// 三 / 十 / 十五 / 二十 / 12
+function zhNumber(text) {
+    if (/^\d+$/.test(text)) return Number(text);
+    if (!text.includes('十')) return ZH_DIGITS[text];
+    const [tens, ones] = text.split('十');
+    return (tens ? ZH_DIGITS[tens] : 1) * 10 + (ones ? ZH_DIGITS[ones] : 0);
+}
+
+const ZH_NUM = '(\\d+|[一二两三四五六七八九十]+)';
+const SHIFT = { last: -1, this: 0, next: 1, 上: -1, 这: 0, 這: 0, 本: 0, 下: 1 };
+
+// An offset of `n` units from ref: days/weeks resolve to a day, months/years to the month/year
+function offset(ref, unit, n) {
+    if (unit === 'day') return { date: addDays(ref, n), unit: 'day' };
+    if (unit === 'week') return { date: addDays(ref, 7 * n), unit: 'day' };
+    if (unit === 'month') return { date: addMonths(ref, n), unit: 'month' };
+    return { date: new Date(Date.UTC(ref.getUTCFullYear() + n, 0, 1)), unit: 'year' };
+}
+
+// "in 2 days" after a past-tense verb is a duration ("the build finished in 2
+// days"), not a date, unless a future cue says otherwise ("we said it ships in 2 weeks")
+const PAST_VERB = /\b(?:(?!(?:need|feed|seed|speed|proceed|exceed|succeed)\b)\w+ed|took|was|were|did|done|ran|built|made|got|went|came|began|spent|wrote|had)\b/i;
+const FUTURE_CUE = /\b(?:will|shall|going to|gonna|due|deadline|ships?|launch(?:es)?|starts?|begins?|expires?|scheduled|planned|back|returns?)\b|'ll\b/i;
+
+function isDuration(before) {
+    const clause = before.split(/[.;:!?,]/).pop();
+    return PAST_VERB.test(clause) && !FUTURE_CUE.test(clause);
+}
+
+// Longer expressions first, so "the day before yesterday" / 大前天 win over yesterday / 前天
+const RULES = [
+    { lang: 'en', pattern: /\bthe day before yesterday\b/gi, resolve: (m, ref) => offset(ref, 'day', -2) },
+    { lang: 'en', pattern: /\bthe day after tomorrow\b/gi, resolve: (m, ref) => offset(ref, 'day', 2) },
+    { lang: 'en', pattern: /\b(today|tonight|this (?:morning|afternoon|evening))\b/gi, resolve: (m, ref) => offset(ref, 'day', 0) },
+    { lang: 'en', pattern: /\b(yesterday|last night)\b/gi, resolve: (m, ref) => offset(ref, 'day', -1) },
+    { lang: 'en', pattern: /\btomorrow\b/gi, resolve: (m, ref) => offset(ref, 'day', 1) },
+    {
+        lang: 'en',
+        pattern: /\b(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten) (day|week|month|year)s? ago\b/gi,
+        resolve: (m, ref) => offset(ref, m[2].toLowerCase(), -enNumber(m[1])),
+    },
+    {
+        lang: 'en',
+        pattern: /\bin (\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten) (day|week|month|year)s?\b/gi,
+        resolve: (m, ref, before) => (isDuration(before) ? null : offset(ref, m[2].toLowerCase(), enNumber(m[1]))),
+    },
+    {
+        lang: 'en',
+        pattern: new RegExp(`\\b(last|this|next) (${EN_WEEKDAYS.join('|')})\\b`, 'gi'),
+        resolve: (m, ref) => ({
+            date: addDays(weekStart(ref, SHIFT[m[1].toLowerCase()]), EN_WEEKDAYS.indexOf(m[2].toLowerCase())),
+            unit: 'day',
+        }),
+    },
+    { lang: 'en', pattern: /\b(last|this|next) week\b/gi, resolve: (m, ref) => ({ date: weekStart(ref, SHIFT[m[1].toLowerCase()]), unit: 'week' }) },
+    { lang: 'en', pattern: /\b(last|this|next) month\b/gi, resolve: (m, ref) => offset(ref, 'month', SHIFT[m[1].toLowerCase()]) },
+    { lang: 'en', pattern: /\b(last|this|next) year\b/gi, resolve: (m, ref) => offset(ref, 'year', SHIFT[m[1].toLowerCase()]) },
+
+    { lang: 'zh', pattern: /大前天/g, resolve: (m, ref) => offset(ref, 'day', -3) },
+    { lang: 'zh', pattern: /大[后後]天/g, resolve: (m, ref) => offset(ref, 'day', 3) },
+    { lang: 'zh', pattern: /前天/g, resolve: (m, ref) => offset(ref, 'day', -2) },
+    { lang: 'zh', pattern: /[后後]天/g, resolve: (m, ref) => offset(ref, 'day', 2) },
+    { lang: 'zh', pattern: /今[天日晚早]/g, resolve: (m, ref) => offset(ref, 'day', 0) },
+    { lang: 'zh', pattern: /昨[天日晚]/g, resolve: (m, ref) => offset(ref, 'day', -1) },
+    { lang: 'zh', pattern: /明[天日晚早]/g, resolve: (m, ref) => offset(ref, 'day', 1) },
+    {
+        lang: 'zh',
+        pattern: new RegExp(`${ZH_NUM}(天|个?(?:星期|礼拜|周)|个月|年)(?:以)?(前|[后後])`, 'g'),
+        resolve: (m, ref) => {
+            const unit = m[2] === '天' ? 'day' : m[2] === '个月' ? 'month' : m[2] === '年' ? 'year' : 'week';
+            return offset(ref, unit, m[3] === '前' ? -zhNumber(m[1]) : zhNumber(m[1]));
+        },
+    },
+    {
+        lang: 'zh',
+        pattern: /([上下这這本])个?(?:星期|礼拜|周)([一二三四五六日天])/g,
+        resolve: (m, ref) => ({ date: addDays(weekStart(ref, SHIFT[m[1]]), ZH_WEEKDAYS[m[2]]), unit: 'day' }),
+    },
+    { lang: 'zh', pattern: /([上下这這本])个?(?:星期|礼拜|周)/g, resolve: (m, ref) => ({ date: weekStart(ref, SHIFT[m[1]]), unit: 'week' }) },
+    { lang: 'zh', pattern: /([上下这這本])个?月/g, resolve: (m, ref) => offset(ref, 'month', SHIFT[m[1]]) },
+    { lang: 'zh', pattern: /(前|去|今|明|[后後])年/g, resolve: (m, ref) => offset(ref, 'year', { 前: -2, 去: -1, 今: 0, 明: 1, 后: 2, 後: 2 }[m[1]]) },
+];
+
+function describe({ date, unit }, lang) {
+    const text = formatDate(date, unit);
+    if (unit !== 'week') return text;
+    return lang === 'zh' ? `${text}那周` : `week of ${text}`;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * IANA time zone for local dates (digest-config.json dates.timezone), or
+ * undefined for the system zone.
+ */
+function loadTimeZone(config = loadConfig()) {
+    return config.dates?.timezone || undefined;
+}
+
+/**
+ * Replace every relative date expression in text.
+ * @param {string} text
+ * @param {string} timestamp - when the text was said (ISO)
+ * @param {Object} [opts]
+ * @param {string} [opts.timeZone] - IANA zone for the local date (default system)
+ * @returns {{ text: string, resolved: Array<{ original: string, date: string }> }}
+ */
+function resolveDates(text, timestamp, { timeZone } = {}) {
+    if (typeof text !== 'string' || !timestamp || Number.isNaN(Date.parse(timestamp))) {
+        return { text, resolved: [] };
+    }
+    const ref = referenceDate(timestamp, timeZone);
+    const resolved = [];
+    let out = text;
+    for (const rule of RULES) {
+        out = out.replace(rule.pattern, (...args) => {
+            const match = args.slice(0, -2);
+            const before = args.at(-1).slice(0, args.at(-2));
+            const result = rule.resolve(match, ref, before);
+            if (!result || Number.isNaN(result.date.getTime())) return match[0];
+            const date = describe(result, rule.lang);
+            resolved.push({ original: match[0], date });
+            return date;
+        });
+    }
+    return { text: out, resolved };
+}
+
+/**
+ * Resolve key segments that are wholly a relative date ("yesterday",
+ * "next_friday", "上周五"). Weeks resolve to their Monday.
+ * @returns {{ key: string, resolved: Array<{ original: string, date: string }> }}
+ */
+function resolveKeyDates(key, timestamp, { timeZone } = {}) {
+    const resolved = [];
+    const segments = String(key).split('.').map(segment => {
+        const phrase = segment.replace(/_/g, ' ');
+        const result = resolveDates(phrase, timestamp, { timeZone });
+        if (result.resolved.length !== 1 || result.resolved[0].original !== phrase) return segment;
+        const date = result.text.replace(/^week of /, '').replace(/那周$/, '');
+        resolved.push({ original: segment, date });
+        return date;
+    });
+    return { key: segments.join('.'), resolved };
+}
+
+/**
+ * Resolve a fact's key and (string) value against its message_timestamp.
+ * A changed fact keeps "<key> = <value>" as it was in original_text (an
+ * existing original_text is kept, so resolving twice is harmless).
+ * @param {Object} fact - { key, value, message_timestamp, ... }
+ * @param {Object} [opts]
+ * @param {string} [opts.timestamp] - reference time (default fact.message_timestamp)
+ * @param {string} [opts.timeZone]
+ * @returns {{ fact: Object, resolved: number }}
+ */
+function resolveFactDates(fact, { timestamp = fact.message_timestamp, timeZone } = {}) {
+    const key = resolveKeyDates(fact.key, timestamp, { timeZone });
+    const value = resolveDates(fact.value, timestamp, { timeZone });
+    const resolved = key.resolved.length + value.resolved.length;
+    if (resolved === 0) return { fact, resolved: 0 };
+    return {
+        fact: {
+            ...fact,
+            key: key.key,
+            value: value.text,
+            original_text: fact.original_text
+                || `${fact.key} = ${typeof fact.value === 'string' ? fact.value : JSON.stringify(fact.value)}`,
+        },
+        resolved,
+    };
+}
+
+module.exports = { resolveDates, resolveKeyDates, resolveFactDates, loadTimeZone };
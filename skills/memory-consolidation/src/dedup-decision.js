@@ -1,163 +1,169 @@
 /**
  * Dedup Decision - Skip/Create/Merge decision using vector similarity + LLM.
- * Uses Gemma 3 4B API (via OPENCLAW_API_GOOGLE2) to avoid creating fake sessions.
+ * Judgment model comes from digest-config.json llm.tasks.dedup
+ * (default: Gemma 3 4B via Gemini REST, which avoids creating fake sessions).
+ * With dedup.strategy 'rules' or 'hybrid', dedup-rules.js decides without the
+ * LLM (or before it), so offline runs and exhausted quotas still dedup.
+ * dedupDecisions() judges a batch: one embedding request for all candidates,
+ * and dedup.batch_size candidates per LLM request.
  *
- * Usage: const { dedupDecision } = require('./dedup-decision.js');
+ * Usage: const { dedupDecision, dedupDecisions } = require('./dedup-decision.js');
  */
 
-const { embedTexts, cosineSimilarity } = require('./embed.js');
-const { execSync } = require('child_process');
-const https = require('https');
-const fs = require('fs');
-const path = require('path');
+const { embedTexts, getEmbeddingModel } = require('./embed.js');
+const { searchVectors } = require('./ann-index.js');
+const { getProvider, parseJson } = require('./llm-provider.js');
+const { loadDedupSettings, ruleDecision } = require('./dedup-rules.js');
 
-const CONFIG_PATH = path.join(__dirname, '..', 'digest-config.json');
-const GEMMA_MODEL = 'gemma-3-4b-it';
-const API_TIMEOUT = 30000;
-let cachedApiKey = null;
-
-function loadConfig() {
-  try { return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')); }
-  catch { return { dedup: { enabled: false } }; }
-}
-
-function getApiKey() {
-  // Priority: GOOGLE_API_KEY2 > Secret Manager (KEY2)
-  if (process.env.GOOGLE_API_KEY2) return process.env.GOOGLE_API_KEY2;
-  if (cachedApiKey) return cachedApiKey;
-  try {
-    const key = execSync('gcloud secrets versions access latest --secret="OPENCLAW_API_GOOGLE2" 2>/dev/null', {
-      encoding: 'utf8', timeout: 10000
-    }).trim();
-    if (key) { cachedApiKey = key; return key; }
-  } catch {}
-  return null;
-}
-
-async function findSimilar(db, candidateVec, threshold, maxCount) {
-  const rows = db.prepare(`
-    SELECT key, value, embedding FROM memories
-    WHERE embedding IS NOT NULL AND end_time IS NULL
-  `).all();
-
-  const scored = [];
-  for (const r of rows) {
-    if (!r.embedding) continue;
-    const emb = new Float32Array(
-      r.embedding.buffer,
-      r.embedding.byteOffset,
-      r.embedding.byteLength / 4
-    );
-    const sim = cosineSimilarity(candidateVec, emb);
-    if (sim >= threshold) {
-      scored.push({ key: r.key, value: r.value, similarity: sim });
-    }
-  }
-  scored.sort((a, b) => b.similarity - a.similarity);
-  return scored.slice(0, maxCount);
+async function findSimilar(db, candidateVec, threshold, maxCount, model = getEmbeddingModel()) {
+  return searchVectors(db, candidateVec, { model, limit: maxCount, threshold })
+    .map(r => ({ key: r.key, value: r.value, similarity: r.similarity }));
 }
 
 /**
- * Call Gemma 3 4B via Google AI REST API. No fake sessions created.
+ * Ask the dedup provider to judge a batch of candidates in one request.
+ * Any failure degrades to 'create' for every candidate it leaves unjudged.
+ * @param {Array<{ candidate, similar }>} items
+ * @returns {Promise<Array<Object>>} - one { action, target?, reason } per item
  */
-async function callGemmaForDedup(prompt) {
-  const apiKey = getApiKey();
-  if (!apiKey) {
-    return { action: 'create', reason: 'API key not available' };
+async function callLlmForDedup(items) {
+  const failed = reason => items.map(() => ({ action: 'create', reason }));
+  let text;
+  try {
+    text = await getProvider('dedup').generate(dedupPrompt(items), {
+      maxOutputTokens: 100 * items.length, temperature: 0.1,
+    });
+  } catch (err) {
+    return failed(`LLM request failed: ${err.message.slice(0, 80)}`);
   }
 
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMMA_MODEL}:generateContent?key=${apiKey}`;
-  const body = JSON.stringify({
-    contents: [{ parts: [{ text: prompt }] }],
-    generationConfig: { maxOutputTokens: 100, temperature: 0.1 },
+  const parsed = parseJson(text);
+  if (parsed === undefined) return failed('JSON parse failed');
+  // An array of judgments; a lone object is accepted for a single candidate
+  const list = Array.isArray(parsed) ? parsed
+    : Array.isArray(parsed?.decisions) ? parsed.decisions
+    : items.length === 1 && parsed?.action ? [{ id: 1, ...parsed }]
+    : [];
+  return items.map((_, i) => {
+    const judged = list.find(d => Number(d?.id) === i + 1);
+    if (!judged) return { action: 'create', reason: 'no judgment in response' };
+    const { id, ...decision } = judged;
+    return decision;
   });
+}
 
-  return new Promise((resolve) => {
-    const timer = setTimeout(() => {
-      resolve({ action: 'create', reason: 'API timeout' });
-    }, API_TIMEOUT);
-
-    const req = https.request(url, { method: 'POST', headers: { 'Content-Type': 'application/json' } }, (res) => {
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => {
-        clearTimeout(timer);
-        try {
-          const json = JSON.parse(data);
-          const text = json.candidates?.[0]?.content?.parts?.[0]?.text || '';
-          const first = text.indexOf('{');
-          const last = text.lastIndexOf('}');
-          if (first !== -1 && last > first) {
-            resolve(JSON.parse(text.slice(first, last + 1)));
-          } else {
-            resolve({ action: 'create', reason: 'No JSON in response' });
-          }
-        } catch {
-          resolve({ action: 'create', reason: 'JSON parse failed' });
-        }
-      });
-    });
+function dedupPrompt(items) {
+  const facts = items.map(({ candidate, similar }, i) => `${i + 1}. NEW: ${candidate.key} = ${candidate.value}
+   EXISTING:
+${similar.map(s => `   - ${s.key} = ${s.value}${s.similarity != null ? ` (similarity: ${s.similarity.toFixed(3)})` : ''}`).join('\n')}`);
 
-    req.on('error', () => {
-      clearTimeout(timer);
-      resolve({ action: 'create', reason: 'API request failed' });
-    });
+  return `Compare each new fact with its existing similar facts:
 
-    req.write(body);
-    req.end();
-  });
+${facts.join('\n\n')}
+
+For each new fact decide:
+- "skip" if NEW is redundant (same info exists)
+- "merge" if NEW should update an existing fact (specify which key)
+- "create" if NEW is genuinely new info
+
+Output a JSON array only, one entry per new fact:
+[{ "id": 1, "action": "skip|merge|create", "target": "key to merge into or null", "reason": "brief reason" }]`;
+}
+
+// The similar facts, plus the key's active row (always compared by the rules,
+// even when embedding failed or the row has no vector yet)
+function withActiveRow(db, key, similar) {
+  if (similar.some(s => s.key === key)) return similar;
+  const active = db.prepare('SELECT key, value FROM memories WHERE key = ? AND end_time IS NULL').get(key);
+  return active ? [{ ...active, similarity: null }, ...similar] : similar;
 }
 
 /**
- * Make dedup decision for a candidate fact.
- * @param {Object} candidate - { key, value, source }
+ * Make dedup decisions for a batch of candidate facts.
+ * dedup.strategy picks the judge: 'llm' asks the dedup provider about every
+ * candidate with similar facts; 'rules' decides with dedup-rules.js alone
+ * (ambiguous → create); 'hybrid' runs the rules first and asks the LLM only
+ * about the cases they leave ambiguous.
+ * All candidates are embedded in one request, and the LLM judges up to
+ * dedup.batch_size candidates per request.
+ * @param {Array<Object>} candidates - { key, value, source }
  * @param {Database} db - better-sqlite3 database instance
- * @returns {Promise<Object>} - { action: 'skip'|'create'|'merge', target?, reason?, candidate, similar? }
+ * @param {Object} [settings] - loadDedupSettings()
+ * @returns {Promise<Array<Object>>} - per candidate, in order:
+ *   { action: 'skip'|'create'|'merge', target?, reason?, candidate, similar? }
  */
-async function dedupDecision(candidate, db) {
-  const config = loadConfig();
-
+async function dedupDecisions(candidates, db, settings = loadDedupSettings()) {
   // If dedup disabled, always create
-  if (!config.dedup?.enabled) {
-    return { action: 'create', candidate, reason: 'dedup disabled' };
+  if (!settings.enabled) {
+    return candidates.map(candidate => ({ action: 'create', candidate, reason: 'dedup disabled' }));
   }
+  if (candidates.length === 0) return [];
 
-  const threshold = config.dedup.similarity_threshold || 0.85;
-  const maxCandidates = config.dedup.max_candidates || 5;
+  const useRules = settings.strategy !== 'llm';
 
-  // 1. Embed candidate
-  let candidateVec;
+  // 1. Embed all candidates at once
+  let vectors = null;
   try {
-    [candidateVec] = await embedTexts([`${candidate.key}: ${candidate.value}`]);
+    vectors = await embedTexts(candidates.map(c => `${c.key}: ${c.value}`));
   } catch (err) {
     console.error('Embedding failed:', err.message);
-    return { action: 'create', candidate, reason: 'embed failed' };
   }
 
-  // 2. Find similar memories
-  const similar = await findSimilar(db, candidateVec, threshold, maxCandidates);
+  const decisions = new Array(candidates.length);
+  const ask = [];
+  for (let i = 0; i < candidates.length; i++) {
+    const candidate = candidates[i];
+    if (!vectors && !useRules) {
+      decisions[i] = { action: 'create', candidate, reason: 'embed failed' };
+      continue;
+    }
+    let similar = vectors
+      ? await findSimilar(db, vectors[i], settings.similarity_threshold, settings.max_candidates)
+      : [];
+
+    // 2. Rules decide what they can
+    if (useRules) {
+      similar = withActiveRow(db, candidate.key, similar);
+      const ruled = ruleDecision(candidate, similar, settings.rules);
+      if (ruled.action !== 'ambiguous') {
+        decisions[i] = { ...ruled, candidate, similar };
+        continue;
+      }
+      if (settings.strategy === 'rules') {
+        decisions[i] = { action: 'create', candidate, similar, reason: `ambiguous: ${ruled.reason}` };
+        continue;
+      }
+    }
 
-  if (similar.length === 0) {
-    return { action: 'create', candidate, reason: 'no similar facts' };
+    if (similar.length === 0) {
+      decisions[i] = { action: 'create', candidate, reason: 'no similar facts' };
+      continue;
+    }
+    ask.push({ i, candidate, similar });
   }
 
-  // 3. LLM decision via Gemma API (no fake sessions)
-  const prompt = `Compare this new fact with existing similar facts:
-
-NEW: ${candidate.key} = ${candidate.value}
-
-EXISTING:
-${similar.map(s => `- ${s.key} = ${s.value} (similarity: ${s.similarity.toFixed(3)})`).join('\n')}
-
-Decide:
-- "skip" if NEW is redundant (same info exists)
-- "merge" if NEW should update an existing fact (specify which key)
-- "create" if NEW is genuinely new info
-
-Output JSON only: { "action": "skip|merge|create", "target": "key to merge into or null", "reason": "brief reason" }`;
+  // 3. LLM decisions via the dedup provider, batch_size candidates per request
+  const batchSize = Math.max(1, settings.batch_size);
+  for (let start = 0; start < ask.length; start += batchSize) {
+    const batch = ask.slice(start, start + batchSize);
+    const judged = await callLlmForDedup(batch);
+    batch.forEach(({ i, candidate, similar }, k) => {
+      decisions[i] = { ...judged[k], candidate, similar };
+    });
+  }
+  return decisions;
+}
 
-  const decision = await callGemmaForDedup(prompt);
-  return { ...decision, candidate, similar };
+/**
+ * Make dedup decision for a single candidate fact (see dedupDecisions).
+ * @param {Object} candidate - { key, value, source }
+ * @param {Database} db - better-sqlite3 database instance
+ * @param {Object} [settings] - loadDedupSettings()
+ * @returns {Promise<Object>} - { action: 'skip'|'create'|'merge', target?, reason?, candidate, similar? }
+ */
+async function dedupDecision(candidate, db, settings = loadDedupSettings()) {
+  const [decision] = await dedupDecisions([candidate], db, settings);
+  return decision;
 }
 
-module.exports = { dedupDecision, findSimilar };
+module.exports = { dedupDecision, dedupDecisions, findSimilar };
@@ -0,0 +1,192 @@
+/**
+ * Dedup Rules - deterministic skip/create judgment for dedupDecision(), no LLM.
+ *
+ * Each existing fact is compared with the candidate, first rule that decides wins:
+ *   1. normalized values equal (case, whitespace, punctuation)  → same
+ *   2. both values numbers (with an optional unit)              → same if equal, else different
+ *   3. both values dates                                        → same if the same day, else different
+ *   4. token Jaccard of the values >= rules.jaccard_same        → same
+ *   5. token Jaccard <= rules.jaccard_different                 → different
+ *   6. cosine similarity >= rules.cosine_same                   → same
+ *   7. otherwise                                                → ambiguous
+ * Jaccard comes before cosine because the embedded text includes the key:
+ * 'user.city: Oslo' and 'user.city: Bergen' can sit very close.
+ * A candidate that is the same as its own key's fact is skipped (redundant);
+ * one that differs from all of them is created; anything else is ambiguous.
+ * The same value under another key is ambiguous, not a skip: 'done' under
+ * project.y.status says nothing about whether project.x.status is done.
+ *
+ * Settings (digest-config.json "dedup"): strategy ('llm' | 'rules' |
+ * 'hybrid'), batch_size (candidates per LLM request) and
+ * rules { jaccard_same, jaccard_different, cosine_same }.
+ *
+ * Usage:
+ *   const { ruleDecision } = require('./dedup-rules.js');
+ *   ruleDecision({ key: 'user.city', value: 'oslo' }, [{ key: 'user.city', value: 'Oslo', similarity: null }]);
+ *   // { action: 'skip', target: 'user.city', reason: 'same value after normalization as user.city' }
+ */
+
+const { loadConfig } = require('./config.js');
+
+const STRATEGIES = ['llm', 'rules', 'hybrid'];
+
+const DEFAULTS = {
+    enabled: false,
+    strategy: 'llm',
+    similarity_threshold: 0.85,
+    max_candidates: 5,
+    batch_size: 10,
+    rules: {
+        jaccard_same: 0.8,
+        jaccard_different: 0.3,
+        cosine_same: 0.97,
+    },
+};
+
+/**
+ * Dedup settings: DEFAULTS overlaid with config.dedup.
+ * @throws {Error} on an unknown strategy
+ */
+function loadDedupSettings(config = loadConfig()) {
+    const d = config.dedup || {};
+    const settings = { ...DEFAULTS, ...d, rules: { ...DEFAULTS.rules, ...(d.rules || {}) } };
+    if (!STRATEGIES.includes(settings.strategy)) {
+        throw new Error(`Unknown dedup strategy "${settings.strategy}" (expected one of: ${STRATEGIES.join(', ')})`);
+    }
+    return settings;
+}
+
+// ── Value parsing ───────────────────────────────────────────────────────────
+
+function asText(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Lowercase, punctuation to spaces, whitespace collapsed.
+ */
+function normalizeValue(value) {
+    return asText(value).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function tokens(value) {
+    return new Set(normalizeValue(value).split(' ').filter(Boolean));
+}
+
+/**
+ * Token-set Jaccard similarity of two values (1 for two empty values).
+ */
+function jaccard(a, b) {
+    const ta = tokens(a);
+    const tb = tokens(b);
+    if (ta.size === 0 && tb.size === 0) return 1;
+    let shared = 0;
+    for (const t of ta) if (tb.has(t)) shared++;
+    return shared / (ta.size + tb.size - shared);
+}
+
+/**
+ * A number with an optional unit ('8 GB', '3.5%', '1,200'), or null.
+ * @returns {{ n: number, unit: string }|null}
+ */
+function parseNumber(value) {
+    const m = asText(value).trim().match(/^[~≈]?\s*([-+]?\d[\d,]*(?:\.\d+)?)\s*([\p{L}%]*)$/u);
+    if (!m) return null;
+    return { n: Number(m[1].replace(/,/g, '')), unit: m[2].toLowerCase() };
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * The day a value names ('2026-03-01', '2026-03-01T10:00:00Z', 'March 1, 2026',
+ * '1 Mar 2026'), or null.
+ * @returns {string|null} - YYYY-MM-DD
+ */
+function parseDay(value) {
+    const text = asText(value).trim();
+    const iso = text.match(/^(\d{4}-\d{2}-\d{2})(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+    if (iso) return iso[1];
+
+    const m = text.match(/^(?:[a-z]+,?\s+)?(?:(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+)\.?|([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?),?\s+(\d{4})$/i);
+    if (!m) return null;
+    const month = MONTHS.indexOf((m[2] || m[3]).slice(0, 3).toLowerCase()) + 1;
+    const day = Number(m[1] || m[4]);
+    if (month === 0 || day < 1 || day > 31) return null;
+    return `${m[5]}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// ── Judgment ────────────────────────────────────────────────────────────────
+
+/**
+ * Compare a candidate value with one existing fact.
+ * @param {*} value - the candidate's value
+ * @param {{ value, similarity?: number|null }} existing - similarity: cosine, when embedded
+ * @param {Object} [rules] - loadDedupSettings().rules
+ * @returns {{ verdict: 'same'|'different'|'ambiguous', rule: string, reason: string }} - rule:
+ *   normalized | number | date | jaccard | cosine (null when ambiguous)
+ */
+function compareValues(value, existing, rules = DEFAULTS.rules) {
+    if (normalizeValue(value) === normalizeValue(existing.value)) {
+        return { verdict: 'same', rule: 'normalized', reason: 'same value after normalization' };
+    }
+
+    const [na, nb] = [parseNumber(value), parseNumber(existing.value)];
+    if (na && nb) {
+        return na.n === nb.n && na.unit === nb.unit
+            ? { verdict: 'same', rule: 'number', reason: 'same number' }
+            : { verdict: 'different', rule: 'number', reason: `numbers differ (${asText(existing.value)} → ${asText(value)})` };
+    }
+
+    const [da, db] = [parseDay(value), parseDay(existing.value)];
+    if (da && db) {
+        return da === db
+            ? { verdict: 'same', rule: 'date', reason: 'same date' }
+            : { verdict: 'different', rule: 'date', reason: `dates differ (${db} → ${da})` };
+    }
+
+    const overlap = jaccard(value, existing.value);
+    if (overlap >= rules.jaccard_same) {
+        return { verdict: 'same', rule: 'jaccard', reason: `token overlap ${overlap.toFixed(2)}` };
+    }
+    if (overlap <= rules.jaccard_different) {
+        return { verdict: 'different', rule: 'jaccard', reason: `token overlap ${overlap.toFixed(2)}` };
+    }
+    if (existing.similarity != null && existing.similarity >= rules.cosine_same) {
+        return { verdict: 'same', rule: 'cosine', reason: `cosine ${existing.similarity.toFixed(3)}` };
+    }
+    return { verdict: 'ambiguous', rule: null, reason: `token overlap ${overlap.toFixed(2)}` };
+}
+
+/**
+ * Rule-based decision for a candidate against existing facts.
+ * Only a match under the candidate's own key skips; a match under another
+ * key is left ambiguous (a merge is for the LLM to propose).
+ * @param {{ key, value }} candidate
+ * @param {Array<{ key, value, similarity?: number|null }>} existing - most similar first
+ * @param {Object} [rules] - loadDedupSettings().rules
+ * @returns {{ action: 'skip'|'create'|'ambiguous', target?: string, reason: string }}
+ */
+function ruleDecision(candidate, existing, rules = DEFAULTS.rules) {
+    const verdicts = existing.map(e => ({ e, ...compareValues(candidate.value, e, rules) }));
+
+    const same = verdicts.find(v => v.verdict === 'same' && v.e.key === candidate.key);
+    if (same) return { action: 'skip', target: same.e.key, reason: `${same.reason} as ${same.e.key}` };
+
+    const open = verdicts.filter(v => v.verdict === 'ambiguous' || v.verdict === 'same');
+    if (open.length === 0) {
+        return { action: 'create', reason: verdicts.length > 0 ? verdicts.map(v => v.reason).join('; ') : 'nothing to compare' };
+    }
+    return { action: 'ambiguous', reason: open.map(v => `${v.e.key}: ${v.reason}`).join('; ') };
+}
+
+module.exports = {
+    loadDedupSettings,
+    normalizeValue,
+    jaccard,
+    parseNumber,
+    parseDay,
+    compareValues,
+    ruleDecision,
+    STRATEGIES,
+    DEFAULTS,
+};
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+/**
+ * Dedup Sweep - merge near-duplicate active facts already in memory.db.
+ *
+ * Step 3 only dedups a fact against the key it arrives under, so the same
+ * thing stored under two keys (claude.* vs project.*, random-ID agent.case.*)
+ * stays twice. The sweep clusters active facts by embedding similarity within
+ * a category and merges each cluster into one fact.
+ *
+ * Categories: a key belongs to the dedup.sweep.groups entry with the longest
+ * matching prefix ("project": ["project.", "claude."]), else to its first
+ * segment. Only facts embedded with the current model take part. With an ANN
+ * index (ann-index.js), a kept fact is compared with the facts in the ann.nprobe
+ * IVF lists nearest it (searchVectors), and with facts not yet in any list.
+ *
+ * Clusters: facts are ranked by confidence, then access count, then recency.
+ * The best-ranked unclustered fact keeps every later fact within
+ * dedup.sweep.threshold (cosine) of it, up to dedup.sweep.max_cluster facts,
+ * except those the dedup rules (dedup-rules.js) find to differ in a number
+ * or date. The fact that leads a cluster is the one kept.
+ *
+ * Applying a plan, in one transaction: each duplicate's provenance is copied
+ * to the kept fact, and the duplicate's active row is closed. The sweep is a
+ * run in the ledger, so `memory-cli.js revert <run-id>` reopens the duplicates.
+ *
+ * Usage:
+ *   node src/dedup-sweep.js                  # preview: clusters and what would merge
+ *   node src/dedup-sweep.js --apply
+ *   node src/dedup-sweep.js --prefix agent.case. --threshold 0.95
+ */
+
+const fs = require('fs');
+const { loadConfig } = require('./config.js');
+const { openDatabase, DB_PATH } = require('./migrations.js');
+const { MemoryStore, newRunId } = require('./memory-store.js');
+const { cosineSimilarity, fromBlob, getEmbeddingModel } = require('./embed.js');
+const { searchVectors } = require('./ann-index.js');
+const { compareValues, loadDedupSettings } = require('./dedup-rules.js');
+const { startRun, recordStep, finishRun } = require('./run-ledger.js');
+
+const DEFAULTS = {
+    threshold: 0.92,
+    max_cluster: 20,
+    groups: {},
+};
+
+function getSweepSettings(config = loadConfig()) {
+    return { ...DEFAULTS, ...((config.dedup || {}).sweep || {}) };
+}
+
+/**
+ * Category a key is swept in: its longest matching group prefix, else its first segment.
+ */
+function groupOf(key, groups) {
+    let best = null;
+    for (const [name, prefixes] of Object.entries(groups)) {
+        for (const prefix of prefixes) {
+            if (key.startsWith(prefix) && (!best || prefix.length > best.prefix.length)) best = { name, prefix };
+        }
+    }
+    return best ? best.name : key.split('.')[0];
+}
+
+// Kept-fact order: most trusted, then most retrieved, then newest
+function byRank(a, b) {
+    return (b.confidence ?? 0) - (a.confidence ?? 0)
+        || (b.access_count ?? 0) - (a.access_count ?? 0)
+        || b.start_time.localeCompare(a.start_time);
+}
+
+/**
+ * Cluster the active facts. Read-only.
+ * @param {Database} db
+ * @param {Object} [opts]
+ * @param {Object} [opts.settings] - getSweepSettings()
+ * @param {string} [opts.prefix] - only sweep keys under this prefix
+ * @returns {{ scanned: number, groups: number, clusters: Array<{ group, keeper, duplicates: Array }> }}
+ */
+function planSweep(db, { settings = getSweepSettings(), prefix = null } = {}) {
+    settings = { ...DEFAULTS, ...settings };
+    const rules = loadDedupSettings().rules;
+    const model = getEmbeddingModel();
+    const rows = db.prepare(`
+        SELECT m.rowid, m.key, m.value, m.start_time, m.confidence, m.trust_class, m.access_count, m.embedding, a.list_id
+        FROM memories m
+        LEFT JOIN ann_lists a ON a.memory_rowid = m.rowid AND a.model = ?
+        WHERE m.end_time IS NULL AND m.embedding IS NOT NULL AND m.embedding_model = ?
+          ${prefix ? 'AND substr(m.key, 1, ?) = ?' : ''}
+    `).all(model, model, ...(prefix ? [prefix.length, prefix] : []));
+
+    // Facts are only compared within one category
+    const blocks = new Map();
+    for (const r of rows) {
+        const group = groupOf(r.key, settings.groups);
+        if (!blocks.has(group)) blocks.set(group, []);
+        blocks.get(group).push({ ...r, group, vector: fromBlob(r.embedding) });
+    }
+    const indexed = rows.some(r => r.list_id != null);
+
+    const clusters = [];
+    for (const members of blocks.values()) {
+        members.sort(byRank);
+        const taken = new Set();
+        for (let i = 0; i < members.length; i++) {
+            if (taken.has(i)) continue;
+            const keeper = members[i];
+            // Indexed neighbours come from the lists nearest the keeper; the rest are compared directly
+            const near = indexed && new Map(searchVectors(db, keeper.vector, {
+                model, limit: rows.length, threshold: settings.threshold,
+            }).map(hit => [hit.rowid, hit.similarity]));
+            const duplicates = [];
+            for (let j = i + 1; j < members.length && duplicates.length < settings.max_cluster - 1; j++) {
+                if (taken.has(j) || members[j].vector.length !== keeper.vector.length) continue;
+                const similarity = near && members[j].list_id != null
+                    ? near.get(members[j].rowid)
+                    : cosineSimilarity(keeper.vector, members[j].vector);
+                if (!(similarity >= settings.threshold)) continue;
+                // Close in meaning but a different number or date is a different fact
+                const { verdict, rule } = compareValues(members[j].value, { value: keeper.value, similarity }, rules);
+                if (verdict === 'different' && (rule === 'number' || rule === 'date')) continue;
+                duplicates.push({ ...strip(members[j]), similarity: Math.round(similarity * 1000) / 1000 });
+                taken.add(j);
+            }
+            if (duplicates.length > 0) clusters.push({ group: keeper.group, keeper: strip(keeper), duplicates });
+        }
+    }
+
+    clusters.sort((a, b) => a.group.localeCompare(b.group) || a.keeper.key.localeCompare(b.keeper.key));
+    return { scanned: rows.length, groups: blocks.size, clusters };
+}
+
+function strip({ embedding, vector, list_id, ...row }) {
+    return row;
+}
+
+/**
+ * Merge each cluster into its kept fact, in one transaction, as run runId.
+ * A fact that changed since planning is left alone.
+ * @returns {{ merged: number, provenance: number }}
+ */
+function applySweep(db, plan, { runId = newRunId() } = {}) {
+    const store = new MemoryStore(db, { runId });
+    const result = { merged: 0, provenance: 0 };
+
+    store.transaction(() => {
+        startRun(db, runId, { mode: 'dedup-sweep' });
+        for (const { keeper, duplicates } of plan.clusters) {
+            if (store.get(keeper.key)?.start_time !== keeper.start_time) continue;
+            for (const d of duplicates) {
+                if (store.get(d.key)?.start_time !== d.start_time) continue;
+                const stated = store.provenance(d.key, { startTime: d.start_time });
+                result.provenance += store.addProvenance(keeper.key, keeper.start_time, stated);
+                result.merged += store.delete(d.key);
+            }
+        }
+        recordStep(db, runId, 'sweep', {
+            scanned: plan.scanned, clusters: plan.clusters.length, merged: result.merged, provenance: result.provenance,
+        }, { llm: false });
+        finishRun(db, runId);
+    });
+    return result;
+}
+
+/**
+ * Plan a sweep and, unless previewing, apply it.
+ * @param {Database} db - writable unless preview
+ * @param {Object} [opts]
+ * @param {boolean} [opts.apply]
+ * @param {string} [opts.prefix]
+ * @param {number} [opts.threshold] - overrides dedup.sweep.threshold
+ * @param {string} [opts.runId]
+ * @param {Object} [opts.settings] - overrides digest-config.json dedup.sweep
+ * @returns {{ apply, plan, runId: string|null, merged: number, provenance: number }}
+ */
+function runSweep(db, { apply = false, prefix = null, threshold, runId, settings = getSweepSettings() } = {}) {
+    settings = { ...DEFAULTS, ...settings, ...(threshold != null ? { threshold } : {}) };
+    const plan = planSweep(db, { settings, prefix });
+    const report = { apply, plan, runId: null, merged: 0, provenance: 0 };
+    if (!apply || plan.clusters.length === 0) return report;
+
+    report.runId = runId || newRunId();
+    Object.assign(report, applySweep(db, plan, { runId: report.runId }));
+    return report;
+}
+
+function trust(row) {
+    return row.trust_class ? ` (${row.trust_class} ${row.confidence})` : '';
+}
+
+function printReport(report) {
+    const { plan } = report;
+    for (const { group, keeper, duplicates } of plan.clusters) {
+        console.log(`[${group}] keep ${keeper.key} = ${keeper.value}${trust(keeper)}`);
+        for (const d of duplicates) console.log(`  - ${d.key} = ${d.value}  (similarity ${d.similarity})`);
+    }
+    const toMerge = plan.clusters.reduce((n, c) => n + c.duplicates.length, 0);
+    console.log(`\n${plan.scanned} embedded fact(s) in ${plan.groups} categor${plan.groups === 1 ? 'y' : 'ies'}: ` +
+        `${plan.clusters.length} cluster(s), ${toMerge} duplicate(s).`);
+    if (!report.apply) {
+        if (toMerge > 0) console.log('Preview — nothing merged. Re-run with --apply to merge.');
+    } else if (report.runId) {
+        console.log(`Merged ${report.merged} fact(s), copied ${report.provenance} provenance entr${report.provenance === 1 ? 'y' : 'ies'} ` +
+            `(run ${report.runId}; undo with memory-cli.js revert ${report.runId}).`);
+    }
+}
+
+/**
+ * Parse --apply / --prefix <p> / --threshold <n>.
+ */
+function parseArgs(args) {
+    const opts = { apply: args.includes('--apply') };
+    const prefix = args.indexOf('--prefix');
+    if (prefix >= 0 && args[prefix + 1]) opts.prefix = args[prefix + 1];
+    const threshold = args.indexOf('--threshold');
+    if (threshold >= 0) {
+        opts.threshold = parseFloat(args[threshold + 1]);
+        if (!(opts.threshold > 0 && opts.threshold <= 1)) throw new Error('--threshold must be in (0, 1]');
+    }
+    return opts;
+}
+
+if (require.main === module) {
+    if (!fs.existsSync(DB_PATH)) {
+        console.error('Database not found:', DB_PATH);
+        process.exit(1);
+    }
+
+    let opts;
+    try {
+        opts = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+    const db = openDatabase(DB_PATH, { readonly: !opts.apply });
+    try {
+        printReport(runSweep(db, opts));
+    } finally {
+        db.close();
+    }
+}
+
+module.exports = { runSweep, planSweep, applySweep, groupOf, getSweepSettings, printReport, parseArgs };
@@ -1,19 +1,61 @@
 /**
- * Gemini embedding utility — zero npm deps.
+ * Embedding utility — pluggable backends, zero required npm deps.
  *
  * Provides:
  *   embedTexts(texts)        → Float32Array[]
+ *   getEmbeddingModel()      → model id stored in memories.embedding_model
  *   cosineSimilarity(a, b)   → number
+ *   toBlob(vec) / fromBlob(buf)
  *
- * Auth strategy (with try/catch fallback):
+ * Backends (digest-config.json → "embedding", env MEMORY_EMBED_* overrides):
+ *   gemini        gemini-embedding-001 via Gemini API, Vertex AI fallback (default)
+ *   http          local embedding server — OpenAI-compatible /embeddings
+ *                 (Ollama, llama.cpp, vLLM) or text-embeddings-inference /embed
+ *   transformers  in-process ONNX model via transformers.js (optional install:
+ *                 npm install @huggingface/transformers)
+ *
+ * Gemini auth strategy (with try/catch fallback):
  *   1. Gemini API key (KEY2 > KEY1 > Secret Manager) — fast, but has RPM/RPD limit
  *   2. Vertex AI via `gcloud auth print-access-token` — no limit, fallback if API 429s
  */
 
 const { execSync } = require("child_process");
+const { loadConfig } = require("./config.js");
 
-const EMBED_MODEL = "gemini-embedding-001";
+const DEFAULT_MODELS = {
+  gemini: "gemini-embedding-001",
+  http: "nomic-embed-text",
+  transformers: "Xenova/all-MiniLM-L6-v2",
+};
 const BATCH_SIZE = 100;
+const TIMEOUT_MS = 30000;
+
+/**
+ * Resolve embedding backend settings.
+ * @returns {{ backend: string, model: string, dim?: number, base_url?: string, api?: string, batch_size: number, timeout_ms: number }}
+ */
+function getEmbeddingSettings() {
+  const settings = { backend: "gemini", batch_size: BATCH_SIZE, timeout_ms: TIMEOUT_MS, ...(loadConfig().embedding || {}) };
+  const envBackend = process.env.MEMORY_EMBED_BACKEND;
+  if ((envBackend && envBackend !== settings.backend) || process.env.MEMORY_EMBED_MODEL) {
+    // Configured model + dim describe the configured backend only
+    settings.backend = envBackend || settings.backend;
+    settings.model = process.env.MEMORY_EMBED_MODEL;
+    delete settings.dim;
+  }
+  if (process.env.MEMORY_EMBED_BASE_URL) settings.base_url = process.env.MEMORY_EMBED_BASE_URL;
+  if (!settings.model) settings.model = DEFAULT_MODELS[settings.backend];
+  return settings;
+}
+
+/**
+ * Model id recorded alongside every stored vector. Vectors are only ever
+ * compared against vectors with the same id.
+ * @returns {string}
+ */
+function getEmbeddingModel() {
+  return getEmbeddingSettings().model;
+}
 
 // ── Auth helpers ────────────────────────────────────────────────────────────
 
@@ -79,14 +121,34 @@ function getApiKey() {
 
 // ── Embedding ───────────────────────────────────────────────────────────────
 
+const BACKENDS = {
+  gemini: embedViaGemini,
+  http: embedViaHttp,
+  transformers: embedViaTransformers,
+};
+
 /**
- * Batch-embed an array of strings.
+ * Batch-embed an array of strings with the configured backend.
  * @param {string[]} texts
  * @returns {Promise<Float32Array[]>}
  */
 async function embedTexts(texts) {
   if (texts.length === 0) return [];
 
+  const settings = getEmbeddingSettings();
+  const backend = BACKENDS[settings.backend];
+  if (!backend) {
+    throw new Error(`Unknown embedding backend "${settings.backend}" (expected one of: ${Object.keys(BACKENDS).join(", ")})`);
+  }
+
+  const vectors = await backend(texts, settings);
+  if (settings.dim && vectors.some((v) => v.length !== settings.dim)) {
+    throw new Error(`Embedding dim mismatch: ${settings.model} returned ${vectors[0].length}, config says ${settings.dim}`);
+  }
+  return vectors;
+}
+
+async function embedViaGemini(texts, settings) {
   const apiKey = getApiKey();
   const token = getGcloudToken();
   const project = getGcloudProject();
@@ -94,7 +156,7 @@ async function embedTexts(texts) {
   // Priority 1: Gemini API (faster, simpler auth)
   if (apiKey) {
     try {
-      return await embedViaGeminiApi(texts, apiKey);
+      return await embedViaGeminiApi(texts, apiKey, settings);
     } catch (e) {
       console.warn(`Gemini API failed (${e.message.slice(0, 80)}), falling back to Vertex AI...`);
     }
@@ -103,7 +165,7 @@ async function embedTexts(texts) {
   // Priority 2: Vertex AI (no RPM/RPD limit, fallback)
   if (token && project) {
     try {
-      return await embedViaVertexAi(texts, token, project);
+      return await embedViaVertexAi(texts, token, project, settings);
     } catch (e) {
       console.warn(`Vertex AI failed (${e.message.slice(0, 80)})`);
     }
@@ -114,14 +176,87 @@ async function embedTexts(texts) {
   );
 }
 
+// Local embedding server — OpenAI-compatible /embeddings or TEI /embed
+async function embedViaHttp(texts, settings) {
+  if (!settings.base_url) {
+    throw new Error("http embedding backend needs embedding.base_url (or MEMORY_EMBED_BASE_URL)");
+  }
+  const tei = settings.api === "tei";
+  const url = `${settings.base_url}${tei ? "/embed" : "/embeddings"}`;
+  const headers = { "Content-Type": "application/json" };
+  const apiKey = settings.api_key_env && process.env[settings.api_key_env];
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const results = [];
+  for (let i = 0; i < texts.length; i += settings.batch_size) {
+    const batch = texts.slice(i, i + settings.batch_size);
+
+    const res = await fetch(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(tei ? { inputs: batch } : { model: settings.model, input: batch }),
+      signal: AbortSignal.timeout(settings.timeout_ms),
+    });
+
+    if (!res.ok) {
+      throw new Error(`Embedding server error: ${res.status} ${await res.text()}`);
+    }
+
+    const data = await res.json();
+    const vectors = tei ? data : data.data.map((d) => d.embedding);
+    for (const values of vectors) {
+      results.push(new Float32Array(values));
+    }
+  }
+  return results;
+}
+
+// In-process ONNX model via transformers.js (loaded lazily, cached per model)
+const extractors = new Map();
+
+async function loadExtractor(settings) {
+  if (extractors.has(settings.model)) return extractors.get(settings.model);
+
+  let lib;
+  try {
+    lib = await import("@huggingface/transformers");
+  } catch {
+    try {
+      lib = await import("@xenova/transformers");
+    } catch {
+      throw new Error("transformers backend needs `npm install @huggingface/transformers` in src/");
+    }
+  }
+  if (settings.cache_dir) lib.env.cacheDir = settings.cache_dir;
+  if (settings.local_files_only) lib.env.allowRemoteModels = false;
+
+  const extractor = await lib.pipeline("feature-extraction", settings.model);
+  extractors.set(settings.model, extractor);
+  return extractor;
+}
+
+async function embedViaTransformers(texts, settings) {
+  const extractor = await loadExtractor(settings);
+
+  const results = [];
+  for (let i = 0; i < texts.length; i += settings.batch_size) {
+    const batch = texts.slice(i, i + settings.batch_size);
+    const output = await extractor(batch, { pooling: "mean", normalize: true });
+    for (const values of output.tolist()) {
+      results.push(new Float32Array(values));
+    }
+  }
+  return results;
+}
+
 // Vertex AI — no TPM limit, uses gcloud token
-async function embedViaVertexAi(texts, token, project) {
+async function embedViaVertexAi(texts, token, project, settings) {
   const region = process.env.VERTEX_REGION || "us-central1";
-  const url = `https://${region}-aiplatform.googleapis.com/v1/projects/${project}/locations/${region}/publishers/google/models/${EMBED_MODEL}:predict`;
+  const url = `https://${region}-aiplatform.googleapis.com/v1/projects/${project}/locations/${region}/publishers/google/models/${settings.model}:predict`;
 
   const results = [];
-  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
-    const batch = texts.slice(i, i + BATCH_SIZE);
+  for (let i = 0; i < texts.length; i += settings.batch_size) {
+    const batch = texts.slice(i, i + settings.batch_size);
 
     const res = await fetch(url, {
       method: "POST",
@@ -132,6 +267,7 @@ async function embedViaVertexAi(texts, token, project) {
       body: JSON.stringify({
         instances: batch.map((t) => ({ content: t })),
       }),
+      signal: AbortSignal.timeout(settings.timeout_ms),
     });
 
     if (!res.ok) {
@@ -149,22 +285,23 @@ async function embedViaVertexAi(texts, token, project) {
 }
 
 // Gemini API — has TPM limit, uses API key
-async function embedViaGeminiApi(texts, apiKey) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${EMBED_MODEL}:batchEmbedContents?key=${apiKey}`;
+async function embedViaGeminiApi(texts, apiKey, settings) {
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${settings.model}:batchEmbedContents?key=${apiKey}`;
 
   const results = [];
-  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
-    const batch = texts.slice(i, i + BATCH_SIZE);
+  for (let i = 0; i < texts.length; i += settings.batch_size) {
+    const batch = texts.slice(i, i + settings.batch_size);
 
     const res = await fetch(url, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
         requests: batch.map((t) => ({
-          model: `models/${EMBED_MODEL}`,
+          model: `models/${settings.model}`,
           content: { parts: [{ text: t }] },
         })),
       }),
+      signal: AbortSignal.timeout(settings.timeout_ms),
     });
 
     if (!res.ok) {
@@ -202,4 +339,35 @@ function cosineSimilarity(a, b) {
   return denom === 0 ? 0 : dot / denom;
 }
 
-module.exports = { embedTexts, cosineSimilarity };
+// ── BLOB helpers ────────────────────────────────────────────────────────────
+
+/**
+ * Serialize a vector for the memories.embedding column.
+ * @param {Float32Array} vec
+ * @returns {Buffer}
+ */
+function toBlob(vec) {
+  return Buffer.from(vec.buffer, vec.byteOffset, vec.byteLength);
+}
+
+/**
+ * View a memories.embedding BLOB as a Float32Array (no copy).
+ * @param {Buffer} buf
+ * @returns {Float32Array}
+ */
+function fromBlob(buf) {
+  if (buf.byteOffset % 4 !== 0) {
+    // Pooled small Buffers may be unaligned — copy instead of viewing
+    return new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+  }
+  return new Float32Array(buf.buffer, buf.byteOffset, buf.byteLength / 4);
+}
+
+module.exports = {
+  embedTexts,
+  getEmbeddingModel,
+  getEmbeddingSettings,
+  cosineSimilarity,
+  toBlob,
+  fromBlob,
+};
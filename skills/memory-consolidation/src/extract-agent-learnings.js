@@ -11,96 +11,37 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const readline = require('readline');
+const { readSession } = require('./session-adapters.js');
 
 function generateId() {
     return crypto.randomBytes(4).toString('hex');
 }
 
 /**
- * Read session JSONL and extract structured messages with tool usage info.
- * Handles both regular messages (type: "user"/"assistant") and progress messages.
+ * Read a session (any format session-adapters.js knows) into messages with
+ * tool usage info.
  */
 async function readSessionMessages(filePath) {
-    const rl = readline.createInterface({
-        input: fs.createReadStream(filePath),
-        crlfDelay: Infinity
-    });
-
-    const messages = [];
-
-    for await (const line of rl) {
-        if (!line.trim()) continue;
-
-        let record;
-        try {
-            record = JSON.parse(line);
-        } catch {
-            continue;
-        }
-
-        // Try to extract message from different record structures
-        let message = null;
-        let timestamp = record.timestamp;
-
-        if (record.type === 'user' || record.type === 'assistant') {
-            // Standard message format
-            message = record.message;
-        } else if (record.type === 'progress' && record.data?.message?.message) {
-            // Progress message format (nested)
-            message = record.data.message.message;
-            timestamp = record.data.message.timestamp || timestamp;
-        }
-
-        if (!message || !message.role) continue;
-
-        const role = message.role;
-        const content = message.content;
-        if (!content) continue;
-
-        const toolUses = [];
-        const texts = [];
-
-        if (Array.isArray(content)) {
-            for (const block of content) {
-                if (block.type === 'tool_use') {
-                    toolUses.push({
-                        type: 'call',
-                        name: block.name,
-                        input: block.input,
-                        id: block.id
-                    });
-                }
-                if (block.type === 'tool_result') {
-                    const contentStr = typeof block.content === 'string' ? block.content : '';
-                    // Mark as error if is_error flag is true, or Exit code is non-zero
-                    const hasError = block.is_error === true ||
-                        /Exit code [1-9]/.test(contentStr);
-                    toolUses.push({
-                        type: 'result',
-                        id: block.tool_use_id,
-                        error: hasError,
-                        content: contentStr.slice(0, 500)
-                    });
-                }
-                if (block.type === 'text') {
-                    texts.push(block.text);
-                }
-            }
-        } else if (typeof content === 'string') {
-            texts.push(content);
-        }
-
-        messages.push({
-            role,
-            texts,
-            toolUses,
-            timestamp,
-            uuid: record.uuid
-        });
-    }
-
-    return messages;
+    const { messages } = readSession(filePath);
+
+    return messages
+        .filter(m => m.text || m.toolCalls.length > 0 || m.toolResults.length > 0)
+        .map(m => ({
+            role: m.role,
+            texts: m.text ? [m.text] : [],
+            toolUses: [
+                ...m.toolCalls.map(t => ({ type: 'call', name: t.name, input: t.input, id: t.id })),
+                ...m.toolResults.map(t => ({
+                    type: 'result',
+                    id: t.id,
+                    // Mark as error if flagged, or Exit code is non-zero
+                    error: t.error || /Exit code [1-9]/.test(t.content),
+                    content: t.content.slice(0, 500),
+                })),
+            ],
+            timestamp: m.timestamp,
+            uuid: m.id,
+        }));
 }
 
 /**
@@ -400,37 +341,23 @@ if (require.main === module) {
 
 /**
  * Store learnings to memory database.
+ * @param {Object} [opts]
+ * @param {string} [opts.runId] - tag written rows (default MEMORY_RUN_ID)
  */
-function storeLearnings(learnings, dbPath) {
+function storeLearnings(learnings, dbPath, { runId } = {}) {
     if (learnings.length === 0) return;
 
-    const Database = require('better-sqlite3');
-    const db = new Database(dbPath);
-    db.pragma('journal_mode = WAL');
-    db.pragma('busy_timeout = 10000');
-
-    // Ensure table exists
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS memories (
-            key TEXT NOT NULL,
-            value TEXT,
-            source TEXT,
-            start_time TEXT NOT NULL,
-            end_time TEXT,
-            PRIMARY KEY (key, start_time)
-        )
-    `);
-
+    const { MemoryStore } = require('./memory-store.js');
+    const store = new MemoryStore(dbPath, runId ? { runId } : {});
     const now = new Date().toISOString();
-    const insert = db.prepare(
-        'INSERT OR REPLACE INTO memories (key, value, source, start_time, end_time) VALUES (?, ?, ?, ?, ?)'
-    );
 
-    for (const learning of learnings) {
-        insert.run(learning.key, learning.value, learning.source, now, null);
-    }
+    store.transaction(() => {
+        for (const learning of learnings) {
+            store.put(learning.key, learning.value, { source: learning.source, startTime: now });
+        }
+    });
 
-    db.close();
+    store.close();
     console.error(`Stored ${learnings.length} learning(s) to database.`);
 }
 
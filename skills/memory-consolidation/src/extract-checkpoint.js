@@ -3,8 +3,9 @@
  * Extract structured context checkpoint from a session transcript.
  *
  * Inspired by ReMe's context compaction format.
- * Uses Gemini flash-lite to produce a structured checkpoint that preserves
- * task progress, decisions, and critical context across compaction.
+ * Uses the checkpoint LLM provider (llm.tasks.checkpoint, default Gemini
+ * flash-lite) to produce a structured checkpoint that preserves task progress,
+ * decisions, and critical context across compaction.
  *
  * Usage:
  *   node extract-checkpoint.js <session.jsonl>
@@ -17,69 +18,16 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { spawnSync } = require('child_process');
+const { getProvider } = require('./llm-provider.js');
+const { readSession } = require('./session-adapters.js');
 
 const CHECKPOINT_DIR = path.join(os.homedir(), '.openclaw/workspace/data/checkpoints');
 const MAX_TRANSCRIPT_CHARS = 25000;
 
-// Headless HOME for gemini -p
-const HEADLESS_HOME = '/tmp/gemini-headless';
-const HEADLESS_GEMINI = path.join(HEADLESS_HOME, '.gemini');
-const REAL_GEMINI = path.join(os.homedir(), '.gemini');
-
-function ensureHeadless() {
-    if (!fs.existsSync(HEADLESS_GEMINI)) {
-        fs.mkdirSync(HEADLESS_GEMINI, { recursive: true });
-    }
-    fs.writeFileSync(path.join(HEADLESS_GEMINI, 'settings.json'),
-        '{"security":{"auth":{"selectedType":"oauth-personal"}},"hooks":{},"mcpServers":{}}');
-    for (const f of ['google_accounts.json', 'oauth_creds.json']) {
-        const src = path.join(REAL_GEMINI, f);
-        const dst = path.join(HEADLESS_GEMINI, f);
-        if (fs.existsSync(src)) {
-            try { fs.copyFileSync(src, dst); } catch {}
-        }
-    }
-}
-
 function extractMessages(jsonlPath) {
-    const content = fs.readFileSync(jsonlPath, 'utf8');
-    const lines = content.trim().split('\n');
-    const messages = [];
-
-    for (const line of lines) {
-        try {
-            const entry = JSON.parse(line);
-            // Claude Code format
-            if (entry.type === 'human' || entry.type === 'assistant') {
-                const role = entry.type === 'human' ? 'User' : 'Assistant';
-                let text = '';
-                if (typeof entry.message === 'string') {
-                    text = entry.message;
-                } else if (entry.message?.content) {
-                    if (typeof entry.message.content === 'string') {
-                        text = entry.message.content;
-                    } else if (Array.isArray(entry.message.content)) {
-                        text = entry.message.content
-                            .filter(b => b.type === 'text')
-                            .map(b => b.text)
-                            .join('\n');
-                    }
-                }
-                if (text.trim()) {
-                    messages.push(`${role}: ${text.slice(0, 3000)}`);
-                }
-            }
-            // Gemini format
-            if (entry.role === 'user' || entry.role === 'model') {
-                const role = entry.role === 'user' ? 'User' : 'Assistant';
-                const text = entry.parts?.map(p => p.text || '').join('\n') || '';
-                if (text.trim()) {
-                    messages.push(`${role}: ${text.slice(0, 3000)}`);
-                }
-            }
-        } catch {}
-    }
+    const messages = readSession(jsonlPath).messages
+        .filter(m => (m.role === 'user' || m.role === 'assistant') && m.text.trim())
+        .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.text.slice(0, 3000)}`);
 
     // Take the most recent messages that fit within char limit
     let total = 0;
@@ -93,27 +41,7 @@ function extractMessages(jsonlPath) {
     return recent.join('\n---\n');
 }
 
-function callGemini(prompt) {
-    ensureHeadless();
-
-    const result = spawnSync('gemini', [
-        '-m', 'gemini-2.5-flash-lite',
-        '-p', prompt
-    ], {
-        encoding: 'utf8',
-        timeout: 60000,
-        env: { ...process.env, HOME: HEADLESS_HOME },
-        stdio: ['pipe', 'pipe', 'pipe']
-    });
-
-    if (result.status !== 0) {
-        throw new Error(`Gemini failed: ${result.stderr?.slice(0, 200)}`);
-    }
-
-    return (result.stdout || '').trim();
-}
-
-function main() {
+async function main() {
     const args = process.argv.slice(2);
     const jsonlPath = args.find(a => !a.startsWith('--'));
     const agentArg = args.indexOf('--agent');
@@ -167,7 +95,7 @@ Transcript:
 ${transcript}`;
 
     console.error(`[Checkpoint] Extracting from session ${sessionId} (${transcript.length} chars, agent: ${agent})...`);
-    const checkpoint = callGemini(prompt);
+    const checkpoint = (await getProvider('checkpoint').generate(prompt)).trim();
 
     if (!checkpoint || checkpoint.length < 50) {
         console.error('[Checkpoint] Empty or too short result, skipping');
@@ -196,4 +124,7 @@ ${checkpoint}
     process.stdout.write(fullCheckpoint);
 }
 
-main();
+main().catch(err => {
+    console.error(`[Checkpoint] Error: ${err.message}`);
+    process.exit(1);
+});
@@ -1,17 +1,17 @@
 #!/usr/bin/env node
-// Extract error patterns from Claude Code session JSONL files
+// Extract error patterns from agent session files (any format
+// session-adapters.js knows: Claude Code, OpenClaw, Codex, ...)
 // Stores error.* facts in memory.db for future prevention
 
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
-const Database = require('better-sqlite3');
+const { MemoryStore } = require('./memory-store.js');
+const { readSession } = require('./session-adapters.js');
 
-const dbPath = process.env.MEMORY_DB_PATH || path.join(__dirname, '..', 'memory.db');
+// Shell tool names: Claude Code, OpenClaw, Codex CLI
+const SHELL_TOOLS = ['Bash', 'bash', 'exec', 'shell'];
 
-function openDb() {
-    return new Database(dbPath);
-}
+const dbPath = process.env.MEMORY_DB_PATH || path.join(__dirname, '..', 'memory.db');
 
 function normalizeCommand(cmd) {
     // Extract the base command pattern (remove specific paths/args)
@@ -57,49 +57,40 @@ async function extractErrorsFromSession(sessionPath) {
     }
 
     const errors = [];
-    const rl = readline.createInterface({
-        input: fs.createReadStream(sessionPath),
-        crlfDelay: Infinity
-    });
+    const { messages } = readSession(sessionPath);
 
     let lastCommand = null;
     let pendingError = null;
 
-    for await (const line of rl) {
-        if (!line.trim()) continue;
-
-        try {
-            const entry = JSON.parse(line);
-
-            // Track tool calls (especially Bash)
-            if (entry.type === 'tool_use' && entry.name === 'Bash') {
-                lastCommand = entry.input?.command;
+    for (const msg of messages) {
+        // Track tool calls (especially Bash)
+        for (const call of msg.toolCalls) {
+            const command = call.input?.command;
+            if (SHELL_TOOLS.includes(call.name)) {
+                lastCommand = Array.isArray(command) ? command.join(' ') : command;
             }
+        }
 
+        for (const result of msg.toolResults) {
             // Detect errors in tool results
-            if (entry.type === 'tool_result' && entry.is_error) {
+            if (result.error) {
                 if (lastCommand) {
                     const cmdCategory = normalizeCommand(lastCommand);
-                    const errorType = extractErrorPattern(entry.content);
+                    const errorType = extractErrorPattern(result.content);
 
                     pendingError = {
                         key: `error.${cmdCategory}.${errorType}`,
                         command: lastCommand,
-                        error: (entry.content || '').slice(0, 500), // Truncate long errors
+                        error: result.content.slice(0, 500), // Truncate long errors
                         timestamp: new Date().toISOString()
                     };
                 }
-            }
-
-            // If we have a pending error and next command succeeds, record solution
-            if (pendingError && entry.type === 'tool_result' && !entry.is_error && lastCommand) {
+            } else if (pendingError && lastCommand) {
+                // If we have a pending error and next command succeeds, record solution
                 pendingError.solution = lastCommand.slice(0, 500);
                 errors.push(pendingError);
                 pendingError = null;
             }
-
-        } catch (e) {
-            // Skip invalid JSON lines
         }
     }
 
@@ -117,22 +108,12 @@ function storeErrors(errors) {
         return;
     }
 
-    const db = openDb();
+    const store = new MemoryStore(dbPath);
     const now = new Date().toISOString();
 
-    const selectStmt = db.prepare(
-        'SELECT rowid, value FROM memories WHERE key = ? AND end_time IS NULL'
-    );
-    const updateEndStmt = db.prepare(
-        'UPDATE memories SET end_time = ? WHERE key = ? AND end_time IS NULL'
-    );
-    const insertStmt = db.prepare(
-        'INSERT INTO memories (key, value, source, start_time) VALUES (?, ?, ?, ?)'
-    );
-
     for (const err of errors) {
         // Check if this error pattern exists
-        const existing = selectStmt.get(err.key);
+        const existing = store.get(err.key);
 
         let newValue;
         if (existing) {
@@ -154,9 +135,6 @@ function storeErrors(errors) {
                     last_seen: err.timestamp
                 });
             }
-
-            // Close old record
-            updateEndStmt.run(now, err.key);
         } else {
             newValue = JSON.stringify({
                 pattern: err.command,
@@ -167,12 +145,12 @@ function storeErrors(errors) {
             });
         }
 
-        // Insert new record
-        insertStmt.run(err.key, newValue, 'auto:extract-errors', now);
+        // New version (closes the old record)
+        store.put(err.key, newValue, { source: 'auto:extract-errors', startTime: now });
         console.log(`Stored: ${err.key}`);
     }
 
-    db.close();
+    store.close();
     console.log(`Processed ${errors.length} error(s).`);
 }
 
@@ -7,12 +7,16 @@
  *
  * Key pattern: agent.instinct.<domain>.<id>
  * Domains: error, workflow, tool, coding, testing
+ *
+ * Each instinct lists the case/pattern keys it was derived from in
+ * evidence_keys; the prune job keeps those rows while the instinct is active.
  */
 
-const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const { MemoryStore } = require('./memory-store.js');
+const { openDatabase } = require('./migrations.js');
 
 const dbPath = process.env.MEMORY_DB_PATH || path.join(__dirname, '..', 'memory.db');
 
@@ -26,7 +30,7 @@ function generateId() {
 function loadAgentMemory() {
     if (!fs.existsSync(dbPath)) return { cases: [], patterns: [] };
 
-    const db = new Database(dbPath, { readonly: true });
+    const db = openDatabase(dbPath, { readonly: true });
 
     const cases = db.prepare(`
         SELECT key, value, start_time FROM memories
@@ -129,6 +133,7 @@ function extractInstinctsFromCases(cases) {
                 confidence,
                 domain: 'error',
                 evidence_count: group.length,
+                evidence_keys: group.map(c => c.key),
                 common_tools: commonTools,
                 last_observed: group[0].timestamp,
                 source: 'auto:case-aggregation'
@@ -178,6 +183,7 @@ function extractInstinctsFromPatterns(patterns) {
                     confidence: calculateConfidence(workflowPatterns.length),
                     domain: 'workflow',
                     evidence_count: workflowPatterns.length,
+                    evidence_keys: workflowPatterns.map(w => w.key),
                     tools: commonTools,
                     source: 'auto:pattern-aggregation'
                 }),
@@ -202,6 +208,7 @@ function extractInstinctsFromPatterns(patterns) {
                         confidence: calculateConfidence(Math.min(count / 2, 10)),
                         domain: 'tool',
                         evidence_count: count,
+                        evidence_keys: [p.key],
                         source: 'auto:frequency-analysis'
                     }),
                     source: 'auto:instinct-extraction'
@@ -212,11 +219,13 @@ function extractInstinctsFromPatterns(patterns) {
 
     // Sequence instincts
     const seqCounts = {};
+    const seqKeys = {};
     for (const p of sequencePatterns) {
         const match = p.value.match(/Common sequence: ([^(]+)/);
         if (match) {
             const seq = match[1].trim();
             seqCounts[seq] = (seqCounts[seq] || 0) + 1;
+            (seqKeys[seq] = seqKeys[seq] || []).push(p.key);
         }
     }
 
@@ -233,6 +242,7 @@ function extractInstinctsFromPatterns(patterns) {
                     confidence: calculateConfidence(count * 2),
                     domain: 'workflow',
                     evidence_count: count,
+                    evidence_keys: seqKeys[seq],
                     sequence: tools,
                     source: 'auto:sequence-analysis'
                 }),
@@ -250,7 +260,7 @@ function extractInstinctsFromPatterns(patterns) {
 function loadExistingInstincts() {
     if (!fs.existsSync(dbPath)) return new Set();
 
-    const db = new Database(dbPath, { readonly: true });
+    const db = openDatabase(dbPath, { readonly: true });
     db.pragma('busy_timeout = 5000');
     const rows = db.prepare(`
         SELECT key FROM memories WHERE key LIKE 'agent.instinct.%' AND end_time IS NULL
@@ -266,30 +276,17 @@ function loadExistingInstincts() {
 function storeInstincts(instincts) {
     if (instincts.length === 0) return;
 
-    const db = new Database(dbPath);
-    db.pragma('journal_mode = WAL');
-    db.pragma('busy_timeout = 10000'); // Wait up to 10s if DB is locked
+    const store = new MemoryStore(dbPath);
     const now = new Date().toISOString();
 
-    // Close old versions of instincts being updated
-    const closeOld = db.prepare(`
-        UPDATE memories SET end_time = ? WHERE key = ? AND end_time IS NULL
-    `);
-
-    const insert = db.prepare(`
-        INSERT INTO memories (key, value, source, start_time, end_time)
-        VALUES (?, ?, ?, ?, NULL)
-    `);
-
-    const transaction = db.transaction(() => {
+    // New versions close the old instincts being updated
+    store.transaction(() => {
         for (const instinct of instincts) {
-            closeOld.run(now, instinct.key);
-            insert.run(instinct.key, instinct.value, instinct.source, now);
+            store.put(instinct.key, instinct.value, { source: instinct.source, startTime: now });
         }
     });
 
-    transaction();
-    db.close();
+    store.close();
 }
 
 /**
@@ -0,0 +1,195 @@
+/**
+ * Fact Schema - what an extracted fact may look like, per category.
+ *
+ * The categories are the taxonomy's (taxonomy.js, digest-config.json
+ * taxonomy.categories): they make up both the category list in the
+ * extraction prompt (categoryPromptLines) and what validation (validateFact)
+ * accepts. A key may also start with an alias source ("workflow",
+ * "plugin"), which step 2 rewrites into its category. CATEGORIES adds a key
+ * form and a value schema for the parts of a category that need more than a
+ * scalar under <category>.* (entity, event, agent.case, agent.pattern), and
+ * the prompt description of each category.
+ *
+ * validateFact() checks a fact with a small JSON-schema subset (type, enum,
+ * required, properties, minLength) and returns readable errors, which
+ * 1-extract-facts.js sends back to the LLM in a repair prompt; facts that
+ * still fail go to the quarantine file (appendQuarantine), as do facts step 2
+ * finds outside the taxonomy.
+ *
+ * Usage:
+ *   const { validateFact, categoryPromptLines } = require('./fact-schema.js');
+ *   const { ok, errors, fact } = validateFact({ key: 'users.name', value: 'Ann' });
+ *   // ok: false, errors: ['category "users" is plural: use "user"']
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadTaxonomy } = require('./taxonomy.js');
+
+const QUARANTINE_FILE = process.env.MEMORY_QUARANTINE_FILE || path.join(__dirname, '..', 'quarantine.jsonl');
+
+// Lowercase letters of any script (plus caseless ones, e.g. CJK), digits, _ and -
+const SEGMENT = '[\\p{Ll}\\p{Lo}\\p{N}_-]+';
+const DATE = '\\d{4}-\\d{2}(?:-\\d{2})?';
+
+const SCALAR = { type: ['string', 'number', 'boolean'], minLength: 1 };
+
+const AGENT_CASE = {
+    type: 'object',
+    required: ['problem', 'solution', 'outcome'],
+    properties: {
+        problem: { type: 'string', minLength: 1 },
+        solution: { type: ['string', 'object'], minLength: 1 },
+        outcome: { enum: ['success', 'failure'] },
+    },
+};
+
+// Keys under scope must match key; their values, the value schema
+const CATEGORIES = [
+    { scope: 'user', form: 'user.*', describe: 'User identity and preferences' },
+    { scope: 'pref', form: 'pref.*', describe: 'User identity and preferences' },
+    { scope: 'entity', form: 'entity.<name>.*', key: `entity\\.${SEGMENT}(\\.${SEGMENT})+`, describe: 'Entity records (people, projects, organizations)' },
+    { scope: 'event', form: 'event.<date>.<topic>', key: `event\\.${DATE}(\\.${SEGMENT})+`, describe: 'Events/decisions (immutable)' },
+    { scope: 'agent.case', form: 'agent.case.<id>', value: AGENT_CASE, describe: 'Learned cases (problem + solution, as JSON object)' },
+    { scope: 'agent.pattern', form: 'agent.pattern.<name>', value: { type: 'string', minLength: 1 }, describe: 'Reusable patterns discovered' },
+    { scope: 'error', form: 'error.*', describe: 'Errors and corrections' },
+    { scope: 'correction', form: 'correction.*', describe: 'Errors and corrections' },
+].map(c => ({
+    ...c,
+    prefix: c.scope.split('.')[0],
+    value: c.value || SCALAR,
+    pattern: new RegExp(`^${c.key || `${c.scope.replace('.', '\\.')}(\\.${SEGMENT})+`}$`, 'u'),
+}));
+
+// Any other category: <category>.<segment>..., a scalar value
+const GENERIC = { value: SCALAR, pattern: new RegExp(`^${SEGMENT}(\\.${SEGMENT})+$`, 'u') };
+
+// Categories a key may start with: the taxonomy's, and the sources of its
+// prefix aliases, which step 2 rewrites into one of them
+function allowedPrefixes(taxonomy) {
+    const aliasSources = Object.keys(taxonomy.aliases).filter(a => !a.startsWith('*.')).map(a => a.split('.')[0]);
+    return new Set([...taxonomy.categories, ...aliasSources]);
+}
+
+/**
+ * "- user.* / pref.* - User identity and preferences" lines for the prompt,
+ * one per group of categories sharing a description, in taxonomy order.
+ * @param {Object} [taxonomy] - loadTaxonomy() result
+ */
+function categoryPromptLines(taxonomy = loadTaxonomy()) {
+    const groups = [];
+    for (const category of taxonomy.categories) {
+        const described = CATEGORIES.filter(c => c.prefix === category);
+        const forms = described.length > 0
+            ? described
+            : [{ form: `${category}.*`, describe: 'Standard categories', sep: ', ' }];
+        for (const c of forms) {
+            const last = groups[groups.length - 1];
+            if (last && last.describe === c.describe) last.forms.push(c.form);
+            else groups.push({ describe: c.describe, sep: c.sep || ' / ', forms: [c.form] });
+        }
+    }
+    return groups.map(g => `- ${g.forms.join(g.sep)} - ${g.describe}`).join('\n');
+}
+
+// ── JSON-schema subset ────────────────────────────────────────────────────────
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function checkSchema(value, schema, where, errors) {
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where} must be one of ${schema.enum.join('|')}`);
+        return;
+    }
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.includes(typeOf(value))) {
+            errors.push(`${where} must be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+    if (schema.minLength && typeof value === 'string' && value.trim().length < schema.minLength) {
+        errors.push(`${where} is empty`);
+    }
+    if (typeOf(value) !== 'object') return;
+    for (const field of schema.required || []) {
+        if (value[field] === undefined) errors.push(`${where} is missing "${field}"`);
+    }
+    for (const [field, sub] of Object.entries(schema.properties || {})) {
+        if (value[field] !== undefined) checkSchema(value[field], sub, `${where}.${field}`, errors);
+    }
+}
+
+// ── Validation ────────────────────────────────────────────────────────────────
+
+function keyErrors(key, taxonomy) {
+    if (typeof key !== 'string' || key.length === 0) return ['key must be a non-empty string'];
+    const errors = [];
+    if (/\s/.test(key)) errors.push('key must not contain spaces');
+    if (key !== key.toLowerCase()) errors.push('key must be lowercase');
+    const prefix = key.split('.')[0].toLowerCase();
+    const prefixes = allowedPrefixes(taxonomy);
+    if (!prefixes.has(prefix) && taxonomy.unknown !== 'keep') {
+        const hint = [prefix.replace(/ies$/, 'y'), prefix.replace(/es$/, ''), prefix.replace(/s$/, '')]
+            .find(p => p !== prefix && prefixes.has(p));
+        errors.push(hint
+            ? `category "${prefix}" is plural: use "${hint}"`
+            : `unknown category "${prefix}" (use one of: ${taxonomy.categories.join(', ')})`);
+    }
+    return errors;
+}
+
+/**
+ * Check one extracted fact against its category.
+ * @param {Object} fact - { key, value, ... }
+ * @param {Object} [taxonomy] - loadTaxonomy() result
+ * @returns {{ ok: boolean, errors: string[], fact: Object }} - fact: with an
+ *   agent.case value given as a JSON string parsed into an object
+ */
+function validateFact(fact, taxonomy = loadTaxonomy()) {
+    if (!fact || typeof fact !== 'object' || Array.isArray(fact)) {
+        return { ok: false, errors: ['fact must be an object with "key" and "value"'], fact };
+    }
+    const errors = keyErrors(fact.key, taxonomy);
+    if (errors.length > 0) return { ok: false, errors, fact };
+
+    const scoped = CATEGORIES.filter(c => fact.key === c.scope || fact.key.startsWith(`${c.scope}.`));
+    const category = scoped.length > 0 ? scoped.find(c => c.pattern.test(fact.key)) : GENERIC.pattern.test(fact.key) && GENERIC;
+    if (!category) {
+        const forms = scoped.length > 0 ? scoped.map(c => c.form) : ['<category>.<name>'];
+        return { ok: false, errors: [`key "${fact.key}" does not match ${forms.join(' or ')}`], fact };
+    }
+
+    let value = fact.value;
+    if (category.value.type === 'object' && typeof value === 'string') {
+        try { value = JSON.parse(value); } catch { /* reported below */ }
+    }
+    if (value === undefined) {
+        errors.push('value is missing');
+    } else {
+        checkSchema(value, category.value, 'value', errors);
+    }
+    return { ok: errors.length === 0, errors, fact: value === fact.value ? fact : { ...fact, value } };
+}
+
+// ── Quarantine ────────────────────────────────────────────────────────────────
+
+/**
+ * Append rejected facts to the quarantine file for manual review.
+ * @param {Array<{ fact, errors }>} entries
+ * @param {Object} [opts]
+ * @param {string} [opts.file]
+ * @param {Object} [opts.extra] - fields added to every entry (e.g. { session })
+ */
+function appendQuarantine(entries, { file = QUARANTINE_FILE, extra = {} } = {}) {
+    if (entries.length === 0) return;
+    const now = new Date().toISOString();
+    const lines = entries.map(e => JSON.stringify({ ...e, ...extra, quarantined_at: now }));
+    fs.appendFileSync(file, lines.join('\n') + '\n');
+}
+
+module.exports = { validateFact, categoryPromptLines, appendQuarantine, CATEGORIES, QUARANTINE_FILE };
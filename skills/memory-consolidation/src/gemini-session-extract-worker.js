@@ -12,6 +12,7 @@ const { spawnSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { getAdapter, toGenericLines } = require('./session-adapters.js');
 
 const MEMORY_ROOT = path.join(os.homedir(), '.openclaw/workspace/skills/memory-consolidation');
 const SRC_DIR = path.join(MEMORY_ROOT, 'src');
@@ -148,31 +149,9 @@ function convertToJsonl(sessionPath) {
     let session;
     try { session = JSON.parse(raw); } catch { return null; }
 
-    const messages = session.messages || [];
-    const startTime = session.startTime || new Date().toISOString();
-    const lines = [];
-
-    for (const msg of messages) {
-        if (msg.type !== 'user' && msg.type !== 'gemini') continue;
-
-        let content = msg.content;
-        if (Array.isArray(content)) {
-            content = content
-                .filter(p => p && typeof p.text === 'string')
-                .map(p => p.text)
-                .join('\n');
-        }
-
-        if (!content || typeof content !== 'string' || content.trim().length === 0) continue;
-
-        const role = msg.type === 'user' ? 'user' : 'assistant';
-        lines.push(JSON.stringify({
-            type: 'message',
-            message: { role, content },
-            timestamp: startTime,
-        }));
-    }
-
+    const gemini = getAdapter('gemini');
+    if (!gemini.detectDocument(session)) return null;
+    const lines = toGenericLines(gemini.parseDocument(session));
     return lines.length > 0 ? lines.join('\n') + '\n' : null;
 }
 
@@ -11,7 +11,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const Database = require('better-sqlite3');
+const { openDatabase } = require('./migrations.js');
 
 const { execSync } = require('child_process');
 
@@ -50,7 +50,7 @@ function readObservations() {
 function getPatterns() {
     if (!fs.existsSync(DB_PATH)) return { patterns: [], instincts: [] };
 
-    const db = new Database(DB_PATH, { readonly: true });
+    const db = openDatabase(DB_PATH, { readonly: true });
 
     const patterns = db.prepare(`
         SELECT key, value FROM memories
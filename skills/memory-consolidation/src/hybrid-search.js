@@ -8,7 +8,8 @@
  *   const results = hybridSearch(db, query, queryEmbedding, options);
  */
 
-const { cosineSimilarity } = require('./embed.js');
+const { getEmbeddingModel } = require('./embed.js');
+const { searchVectors } = require('./ann-index.js');
 
 // RRF constant (standard value)
 const RRF_K = 60;
@@ -28,15 +29,17 @@ const BM25_BONUS = 0.15;
  * @param {number} options.limit - Max results (default 50)
  * @param {number} options.vectorWeight - Weight for vector score (default 0.7)
  * @param {number} options.bm25Weight - Weight for BM25 score (default 0.3)
+ * @param {string} options.model - Embedding model of queryEmbedding (default: configured model)
  * @returns {Array} - Merged and ranked results
  */
 function hybridSearch(db, query, queryEmbedding, options = {}) {
     const limit = options.limit || 50;
     const vectorWeight = options.vectorWeight ?? 0.7;
     const bm25Weight = options.bm25Weight ?? 0.3;
+    const model = options.model || getEmbeddingModel();
 
     // 1. Vector search
-    const vectorResults = vectorSearch(db, queryEmbedding, limit * 2);
+    const vectorResults = vectorSearch(db, queryEmbedding, limit * 2, model);
 
     // 2. BM25 search (FTS5)
     const bm25Results = bm25Search(db, query, limit * 2);
@@ -50,40 +53,13 @@ function hybridSearch(db, query, queryEmbedding, options = {}) {
 }
 
 /**
- * Vector similarity search
+ * Vector similarity search. Only rows embedded by `model` are compared —
+ * vectors from different models live in different spaces. Uses the IVF index
+ * when one has been built (see ann-index.js), otherwise an exact scan.
  */
-function vectorSearch(db, queryEmbedding, limit) {
-    const rows = db.prepare(`
-        SELECT rowid, key, value, start_time, embedding
-        FROM memories
-        WHERE embedding IS NOT NULL AND end_time IS NULL
-    `).all();
-
-    const scored = [];
-    for (const r of rows) {
-        if (!r.embedding) continue;
-
-        const emb = new Float32Array(
-            r.embedding.buffer,
-            r.embedding.byteOffset,
-            r.embedding.byteLength / 4
-        );
-        const sim = cosineSimilarity(queryEmbedding, emb);
-
-        if (sim >= VECTOR_THRESHOLD) {
-            scored.push({
-                rowid: r.rowid,
-                key: r.key,
-                value: r.value,
-                start_time: r.start_time,
-                vectorScore: sim,
-            });
-        }
-    }
-
-    // Sort by similarity, return top N
-    scored.sort((a, b) => b.vectorScore - a.vectorScore);
-    return scored.slice(0, limit);
+function vectorSearch(db, queryEmbedding, limit, model = getEmbeddingModel()) {
+    return searchVectors(db, queryEmbedding, { model, limit, threshold: VECTOR_THRESHOLD })
+        .map(({ similarity, ...r }) => ({ ...r, vectorScore: similarity }));
 }
 
 /**
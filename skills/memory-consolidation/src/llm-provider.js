@@ -0,0 +1,364 @@
+/**
+ * LLM Provider - one text-generation interface for every LLM call in the pipeline.
+ *
+ * Providers:
+ *   gemini      Gemini REST API (generateContent), API key auth
+ *   gemini-cli  `gemini -p` under a headless HOME (OAuth, no hooks, no MCP)
+ *   anthropic   Anthropic Messages API
+ *   openai      Any OpenAI-compatible /chat/completions endpoint (vLLM, LM Studio, ...)
+ *   llamacpp    llama.cpp server (OpenAI-compatible, defaults to 127.0.0.1:8080)
+ *   ollama      Local Ollama /api/generate
+ *
+ * Selection (digest-config.json → "llm"), most specific wins:
+ *   built-in default (gemini-cli, gemini-2.5-flash-lite)
+ *   < llm.provider / llm.model / llm.timeout_ms
+ *   < llm.tasks.<task>            (tasks: extract, dedup, conflict, synthesis, checkpoint)
+ *   < MEMORY_LLM_PROVIDER / MEMORY_LLM_MODEL / MEMORY_LLM_BASE_URL env
+ * Per-provider connection settings live in llm.providers.<name> (base_url, api_key_env),
+ * as does rate_limit ({ rpm, tpm, rpd }, see rate-limiter.js).
+ *
+ * A 429 (HTTP, or a quota error from gemini-cli) pauses the provider and is
+ * retried with exponential backoff (llm.backoff: retries, base_ms, max_ms),
+ * honouring Retry-After when the server sends one.
+ *
+ * Usage:
+ *   const { getProvider } = require('./llm-provider.js');
+ *   const llm = getProvider('extract');
+ *   const text = await llm.generate(PROMPT, { input: transcript, maxOutputTokens: 2048 });
+ *   const parsed = parseJson(text);   // the JSON in the reply, or undefined
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn, execSync } = require('child_process');
+const { loadConfig } = require('./config.js');
+const { getRateLimiter, estimateTokens } = require('./rate-limiter.js');
+
+const DEFAULTS = {
+    provider: 'gemini-cli',
+    model: 'gemini-2.5-flash-lite',
+    timeout_ms: 45_000,
+};
+
+const BACKOFF_DEFAULTS = {
+    retries: 4,
+    base_ms: 2000,
+    max_ms: 60_000,
+};
+
+const DEFAULT_BASE_URLS = {
+    gemini: 'https://generativelanguage.googleapis.com/v1beta',
+    anthropic: 'https://api.anthropic.com',
+    openai: 'https://api.openai.com/v1',
+    llamacpp: 'http://127.0.0.1:8080/v1',
+    ollama: 'http://127.0.0.1:11434',
+};
+
+const DEFAULT_KEY_ENVS = {
+    anthropic: 'ANTHROPIC_API_KEY',
+    openai: 'OPENAI_API_KEY',
+};
+
+// Headless HOME for gemini -p: OAuth auth, no hooks, no MCP, no fake sessions
+const HEADLESS_HOME = '/tmp/gemini-headless';
+const HEADLESS_GEMINI = path.join(HEADLESS_HOME, '.gemini');
+const REAL_GEMINI = path.join(os.homedir(), '.gemini');
+
+// ── Settings ────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve provider settings for a task. Later layers win: built-in defaults,
+ * global llm settings, llm.providers.<provider>, llm.tasks.<task>, then env.
+ * @param {string} task - extract | dedup | conflict | synthesis | checkpoint
+ * @param {Object} [config] - parsed digest-config.json (loaded if omitted)
+ * @returns {Object} - { provider, model, timeout_ms, base_url, api_key_env, ... }
+ */
+function resolveSettings(task, config = loadConfig()) {
+    const llm = config.llm || {};
+    const { tasks, providers, ...base } = llm;
+    const taskSettings = (tasks || {})[task] || {};
+    const provider = process.env.MEMORY_LLM_PROVIDER || taskSettings.provider || base.provider || DEFAULTS.provider;
+
+    const merged = { ...DEFAULTS, ...base, ...((providers || {})[provider] || {}), ...taskSettings, provider };
+    if (process.env.MEMORY_LLM_MODEL) merged.model = process.env.MEMORY_LLM_MODEL;
+    if (process.env.MEMORY_LLM_BASE_URL) merged.base_url = process.env.MEMORY_LLM_BASE_URL;
+    if (!merged.base_url) merged.base_url = DEFAULT_BASE_URLS[merged.provider];
+    if (!merged.api_key_env) merged.api_key_env = DEFAULT_KEY_ENVS[merged.provider];
+    return merged;
+}
+
+// ── Auth helpers ────────────────────────────────────────────────────────────
+
+let cachedGoogleKey = null;
+
+function getGoogleApiKey() {
+    // Priority: env KEY2 > env KEY > Secret Manager KEY2 > Secret Manager KEY
+    if (process.env.GOOGLE_API_KEY2) return process.env.GOOGLE_API_KEY2;
+    if (process.env.GOOGLE_API_KEY) return process.env.GOOGLE_API_KEY;
+    if (cachedGoogleKey) return cachedGoogleKey;
+
+    for (const secret of ['OPENCLAW_API_GOOGLE2', 'OPENCLAW_API_GOOGLE']) {
+        try {
+            const key = execSync(
+                `gcloud secrets versions access latest --secret=${secret} 2>/dev/null`,
+                { encoding: 'utf8', timeout: 10000 }
+            ).trim();
+            if (key) { cachedGoogleKey = key; return key; }
+        } catch {
+            // Try next
+        }
+    }
+    return null;
+}
+
+function getApiKey(settings) {
+    if (settings.api_key) return settings.api_key;
+    if (settings.api_key_env) return process.env[settings.api_key_env] || null;
+    return null;
+}
+
+// ── HTTP ────────────────────────────────────────────────────────────────────
+
+async function postJson(settings, url, headers, body) {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(settings.timeout_ms),
+    });
+
+    if (!res.ok) {
+        const err = new Error(`${settings.provider} HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`);
+        err.status = res.status;
+        err.retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+        throw err;
+    }
+    return res.json();
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function joinPrompt(prompt, input) {
+    return input ? `${prompt}\n\n${input}` : prompt;
+}
+
+// ── Providers ───────────────────────────────────────────────────────────────
+
+async function generateGemini(settings, prompt, opts) {
+    const apiKey = getGoogleApiKey();
+    if (!apiKey) throw new Error('No Gemini API key available');
+
+    const url = `${settings.base_url}/models/${settings.model}:generateContent?key=${apiKey}`;
+    const json = await postJson(settings, url, {}, {
+        contents: [{ parts: [{ text: joinPrompt(prompt, opts.input) }] }],
+        generationConfig: { maxOutputTokens: opts.maxOutputTokens, temperature: opts.temperature },
+    });
+    return json.candidates?.[0]?.content?.parts?.[0]?.text || '';
+}
+
+function ensureHeadlessHome() {
+    if (!fs.existsSync(HEADLESS_GEMINI)) {
+        fs.mkdirSync(HEADLESS_GEMINI, { recursive: true });
+    }
+    // Always sync settings + OAuth creds from real HOME
+    fs.writeFileSync(path.join(HEADLESS_GEMINI, 'settings.json'),
+        '{"security":{"auth":{"selectedType":"oauth-personal"}},"hooks":{},"mcpServers":{}}');
+    for (const f of ['google_accounts.json', 'oauth_creds.json']) {
+        const src = path.join(REAL_GEMINI, f);
+        if (fs.existsSync(src)) {
+            try { fs.copyFileSync(src, path.join(HEADLESS_GEMINI, f)); } catch {}
+        }
+    }
+}
+
+function generateGeminiCli(settings, prompt, opts) {
+    ensureHeadlessHome();
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(settings.command || 'gemini', ['-p', prompt, '-m', settings.model], {
+            cwd: HEADLESS_HOME,
+            env: { ...process.env, HOME: HEADLESS_HOME },
+            stdio: ['pipe', 'pipe', 'pipe'],
+        });
+
+        let stdout = '';
+        let stderr = '';
+        const timer = setTimeout(() => child.kill('SIGKILL'), settings.timeout_ms);
+
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', (e) => { clearTimeout(timer); reject(e); });
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            // Log stderr separately (not mixed with stdout)
+            if (stderr.trim()) console.error('  Gemini stderr:', stderr.trim().slice(0, 200));
+            if (code !== 0) {
+                const err = new Error(signal ? `gemini-cli killed (${signal})` : `gemini-cli status ${code}`);
+                if (/\b429\b|RESOURCE_EXHAUSTED|quota/i.test(stderr)) err.status = 429;
+                reject(err);
+                return;
+            }
+            resolve(stdout.trim());
+        });
+
+        child.stdin.on('error', () => {});
+        child.stdin.end(opts.input || '');
+    });
+}
+
+async function generateAnthropic(settings, prompt, opts) {
+    const apiKey = getApiKey(settings);
+    if (!apiKey) throw new Error(`No Anthropic API key (set ${settings.api_key_env})`);
+
+    const body = {
+        model: settings.model,
+        max_tokens: opts.maxOutputTokens || 4096,
+        temperature: opts.temperature,
+        messages: [{ role: 'user', content: opts.input || prompt }],
+    };
+    if (opts.input) body.system = prompt;
+
+    const json = await postJson(settings, `${settings.base_url}/v1/messages`, {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+    }, body);
+    return (json.content || []).filter(b => b.type === 'text').map(b => b.text).join('');
+}
+
+async function generateOpenAi(settings, prompt, opts) {
+    const apiKey = getApiKey(settings);
+    const messages = opts.input
+        ? [{ role: 'system', content: prompt }, { role: 'user', content: opts.input }]
+        : [{ role: 'user', content: prompt }];
+
+    const json = await postJson(settings, `${settings.base_url}/chat/completions`,
+        apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, {
+            model: settings.model,
+            messages,
+            max_tokens: opts.maxOutputTokens,
+            temperature: opts.temperature,
+        });
+    return json.choices?.[0]?.message?.content || '';
+}
+
+async function generateOllama(settings, prompt, opts) {
+    const body = {
+        model: settings.model,
+        prompt: opts.input || prompt,
+        stream: false,
+        options: { temperature: opts.temperature, num_predict: opts.maxOutputTokens },
+    };
+    if (opts.input) body.system = prompt;
+
+    const json = await postJson(settings, `${settings.base_url}/api/generate`, {}, body);
+    return json.response || '';
+}
+
+const PROVIDERS = {
+    'gemini': generateGemini,
+    'gemini-cli': generateGeminiCli,
+    'anthropic': generateAnthropic,
+    'openai': generateOpenAi,
+    'llamacpp': generateOpenAi,
+    'ollama': generateOllama,
+};
+
+// ── Factory ─────────────────────────────────────────────────────────────────
+
+// Calls made by this process (all providers, retries included); read by run-ledger.js
+const callStats = { calls: 0, failures: 0 };
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function getCallStats() {
+    return { ...callStats };
+}
+
+/**
+ * Build a provider from resolved settings.
+ * @param {Object} settings - see resolveSettings()
+ * @returns {{ name: string, model: string, generate: Function }}
+ */
+function createProvider(settings) {
+    const impl = PROVIDERS[settings.provider];
+    if (!impl) {
+        throw new Error(`Unknown LLM provider "${settings.provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    const limiter = settings.rate_limit ? getRateLimiter(settings.provider, settings.rate_limit) : null;
+    const backoff = { ...BACKOFF_DEFAULTS, ...settings.backoff };
+
+    return {
+        name: settings.provider,
+        model: settings.model,
+        /**
+         * Generate text.
+         * @param {string} prompt - instruction (sent as system prompt when input is given)
+         * @param {Object} [opts]
+         * @param {string} [opts.input] - content to operate on (transcript, facts, ...)
+         * @param {number} [opts.maxOutputTokens]
+         * @param {number} [opts.temperature]
+         * @returns {Promise<string>} - raw model text; throws on transport/HTTP errors,
+         *   on a 429 that outlasts the retries, and (RateLimitError) when the daily limit is used up
+         */
+        async generate(prompt, opts = {}) {
+            for (let attempt = 0; ; attempt++) {
+                if (limiter) await limiter.acquire(estimateTokens(prompt, opts.input));
+                callStats.calls++;
+                try {
+                    return await impl(settings, prompt, {
+                        ...opts,
+                        maxOutputTokens: settings.max_output_tokens ?? opts.maxOutputTokens,
+                        temperature: settings.temperature ?? opts.temperature,
+                    });
+                } catch (err) {
+                    if (err.status === 429 && attempt < backoff.retries) {
+                        const delay = err.retryAfterMs ?? Math.min(backoff.max_ms, backoff.base_ms * 2 ** attempt);
+                        console.error(`  ${settings.provider} throttled (429), retrying in ${Math.round(delay / 1000)}s...`);
+                        // Throttling is provider-wide: hold every caller, not just this one
+                        if (limiter) limiter.pause(delay);
+                        else await sleep(delay);
+                        continue;
+                    }
+                    callStats.failures++;
+                    throw err;
+                }
+            }
+        },
+    };
+}
+
+/**
+ * Provider for a pipeline task, configured from digest-config.json + env.
+ * @param {string} task - extract | dedup | conflict | synthesis | checkpoint
+ */
+function getProvider(task) {
+    return createProvider(resolveSettings(task));
+}
+
+/**
+ * The outermost JSON array or object in a model reply (models wrap JSON in
+ * prose or code fences), or undefined when there is none that parses.
+ * @param {string} text
+ */
+function parseJson(text) {
+    for (const [open, close] of [['[', ']'], ['{', '}']]) {
+        const first = text.indexOf(open);
+        const last = text.lastIndexOf(close);
+        if (first === -1 || last <= first) continue;
+        try {
+            return JSON.parse(text.slice(first, last + 1));
+        } catch { /* try the other shape */ }
+    }
+    return undefined;
+}
+
+module.exports = { getProvider, createProvider, resolveSettings, getCallStats, parseJson, PROVIDERS, HEADLESS_HOME };
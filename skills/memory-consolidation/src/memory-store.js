@@ -0,0 +1,826 @@
+/**
+ * Memory Store - the one place that reads and writes memories rows.
+ *
+ * Every writer (pipeline step 3, MCP server, CLI, error/instinct/skill
+ * extractors) goes through put()/delete(), so the FTS5 index and the vector
+ * index can't drift from the memories table.
+ *
+ * Invariants:
+ *   - At most one active row (end_time IS NULL) per key; put() closes the
+ *     previous one at the new row's start_time.
+ *   - memories_fts holds exactly the active rows.
+ *   - A row's embedding belongs to its value: new rows start unembedded, and
+ *     embed() (or step 5) fills them in and updates the ANN index.
+ *   - Every row has a trust_class and confidence (trust.js): the caller's
+ *     score, or one derived from the row's source.
+ *   - Provenance (where a fact was stated) is keyed by (key, start_time), not
+ *     rowid, so it survives VACUUM and follows the row through rekey().
+ *     Conflicts queued for review (conflict-detector.js) name both versions
+ *     the same way.
+ *   - Writes made under a run ID (MEMORY_RUN_ID, set by the pipeline) are
+ *     tagged: inserted rows get run_id, rows they close get closed_by_run,
+ *     and rows they replace outright are kept in memories_archive, so
+ *     revertRun() can undo the whole run.
+ *
+ * Opening by path goes through migrations.js, so the schema is current.
+ *
+ * Usage:
+ *   const { MemoryStore } = require('./memory-store.js');
+ *   const store = new MemoryStore();              // MEMORY_DB_PATH or ../memory.db
+ *   const row = store.put('user.name', 'Jerry', { source: 'cli:memory_store' });
+ *   await store.embed([row]);
+ *   store.close();
+ */
+
+const { embedTexts, getEmbeddingModel, toBlob } = require('./embed.js');
+const { indexVectors, removeFromIndex, searchVectors } = require('./ann-index.js');
+const crypto = require('crypto');
+const { openDatabase, migrate, DB_PATH } = require('./migrations.js');
+const { hybridSearch, vectorSearch, VECTOR_THRESHOLD } = require('./hybrid-search.js');
+const { scoreSource, combineTrust } = require('./trust.js');
+const { applyVerdict, rankByTrust } = require('./verdict.js');
+
+// Quote each token to prevent FTS5 syntax errors (e.g. "-" as NOT operator)
+function toFtsQuery(text) {
+    return text
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(t => `"${t.replace(/"/g, '""')}"`)
+        .join(' ');
+}
+
+// Escape LIKE wildcards, for patterns used with ESCAPE '\'
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, c => '\\' + c);
+}
+
+// LIKE pattern for keys starting with prefix ('user.' must not match 'userX...')
+function likePrefix(prefix) {
+    return escapeLike(prefix) + '%';
+}
+
+/**
+ * Validate a user-supplied timestamp ('2026-03-01', ISO 8601) and return it
+ * as ISO 8601 UTC.
+ * @throws {Error} if it does not parse
+ */
+function normalizeTimestamp(value) {
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) throw new Error(`Invalid timestamp: ${value}`);
+    return new Date(ms).toISOString();
+}
+
+/**
+ * New pipeline run ID, e.g. '20261019T120102-3fa2'.
+ */
+function newRunId() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+    return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * One-line description of a provenance entry, e.g.
+ * 'session 3f2a…-9c1d (claude-code), message 7b1e…, 2026-10-19T09:00:00Z: "I moved to Oslo"'.
+ */
+function formatProvenance(p) {
+    const parts = [`session ${p.session_id || '?'}${p.agent ? ` (${p.agent})` : ''}`];
+    if (p.message_ids.length > 0) parts.push(`message ${p.message_ids.join(', ')}`);
+    if (p.stated_at) parts.push(p.stated_at);
+    return `${parts.join(', ')}${p.quote ? `: "${p.quote}"` : ''}`;
+}
+
+class MemoryStore {
+    /**
+     * @param {string|Database} [target] - DB path, or an open better-sqlite3 handle
+     * @param {Object} [opts]
+     * @param {boolean} [opts.readonly] - open read-only (path targets only)
+     * @param {string|null} [opts.runId] - tag writes with this run (default MEMORY_RUN_ID)
+     */
+    constructor(target = DB_PATH, { readonly = false, runId = process.env.MEMORY_RUN_ID || null } = {}) {
+        this.db = typeof target === 'string' ? openDatabase(target, { readonly }) : target;
+        this.readonly = this.db.readonly;
+        this.runId = runId;
+    }
+
+    close() {
+        if (this.db.open) this.db.close();
+    }
+
+    /**
+     * Run fn inside a transaction (synchronous fn only).
+     */
+    transaction(fn) {
+        return this.db.transaction(fn)();
+    }
+
+    // ── Reads ───────────────────────────────────────────────────────────────
+
+    /**
+     * Active row for a key.
+     * @returns {{rowid, key, value, source, start_time, end_time, confidence, trust_class}|undefined}
+     */
+    get(key) {
+        return this.db.prepare(`
+            SELECT rowid, key, value, source, start_time, end_time, confidence, trust_class
+            FROM memories WHERE key = ? AND end_time IS NULL
+        `).get(key);
+    }
+
+    /**
+     * Every version of a key, oldest first.
+     * @param {string} key
+     * @param {Object} [opts]
+     * @param {boolean} [opts.prefix] - treat key as a prefix ('user.') and
+     *   return every version of every matching key, grouped by key
+     * @param {number} [opts.limit]
+     * @returns {Array<{rowid, key, value, source, start_time, end_time, run_id, closed_by_run, original_text, confidence, trust_class}>}
+     */
+    history(key, { prefix = false, limit = -1 } = {}) {
+        return this.db.prepare(`
+            SELECT rowid, key, value, source, start_time, end_time, run_id, closed_by_run, original_text, confidence, trust_class
+            FROM memories WHERE ${prefix ? "key LIKE ? ESCAPE '\\'" : 'key = ?'}
+            ORDER BY key, start_time
+            LIMIT ?
+        `).all(prefix ? likePrefix(key) : key, limit);
+    }
+
+    /**
+     * Where a version of a key was stated, oldest sighting first.
+     * @param {string} key
+     * @param {Object} [opts]
+     * @param {string} [opts.startTime] - the version (default the active row)
+     * @returns {Array<{session_id, agent, message_ids: string[], quote, stated_at, run_id, created_at}>}
+     */
+    provenance(key, { startTime } = {}) {
+        const start = startTime ?? this.get(key)?.start_time;
+        if (!start) return [];
+        return this.db.prepare(`
+            SELECT session_id, agent, message_ids, quote, stated_at, run_id, created_at
+            FROM provenance WHERE key = ? AND start_time = ?
+            ORDER BY stated_at, id
+        `).all(key, start).map(p => ({ ...p, message_ids: JSON.parse(p.message_ids) }));
+    }
+
+    /**
+     * Search facts. Priority: keys > semantic > query > prefix > all.
+     * @param {Object} [opts]
+     * @param {string[]} [opts.keys] - exact keys
+     * @param {string} [opts.semantic] - meaning-based search (hybrid vector + BM25)
+     * @param {boolean} [opts.vectorOnly] - semantic search without BM25 fusion
+     * @param {string} [opts.query] - FTS5 full-text search
+     * @param {string} [opts.prefix] - key prefix, e.g. 'user.'
+     * @param {number} [opts.limit] - max rows (default 50)
+     * @param {string} [opts.asOf] - timestamp: search what memory believed then
+     *   (rows with start_time <= asOf < end_time) instead of the active rows.
+     *   FTS5 only indexes active rows, so query falls back to substring
+     *   matching, and semantic search is vector-only over rows that have an
+     *   embedding.
+     * @param {number} [opts.minConfidence] - only rows with at least this confidence
+     * @param {string[]} [opts.trustClasses] - only rows of these trust classes
+     * @param {boolean} [opts.rankByTrust] - order by trust (verdict.js rankByTrust)
+     *   over every match, not just the first page
+     * @returns {Promise<Array<{key, value, start_time, end_time?, similarity?, bm25Hit?, confidence, trust_class}>>}
+     */
+    async search(opts = {}) {
+        const { minConfidence, trustClasses, rankByTrust: byTrust } = opts;
+        if (!minConfidence && !(trustClasses && trustClasses.length > 0) && !byTrust) {
+            return this.withTrust(await this.find(opts));
+        }
+
+        // Filters and ranking apply before the limit: fetch more until enough
+        // rows pass (or, to rank, until every match is in)
+        const limit = opts.limit || 50;
+        const queryEmbedding = opts.semantic ? (await embedTexts([opts.semantic]))[0] : undefined;
+        for (let fetch = limit; ; fetch *= 4) {
+            const found = await this.find({ ...opts, limit: fetch, queryEmbedding });
+            const rows = applyVerdict(this.withTrust(found), { minConfidence, trustClasses });
+            if (found.length < fetch || (!byTrust && rows.length >= limit)) {
+                return (byTrust ? rankByTrust(rows) : rows).slice(0, limit);
+            }
+        }
+    }
+
+    // Each row's confidence and trust_class, looked up by (key, start_time)
+    withTrust(rows) {
+        const lookup = this.db.prepare('SELECT confidence, trust_class FROM memories WHERE key = ? AND start_time = ?');
+        return rows.map(r => ({ ...r, ...(lookup.get(r.key, r.start_time) || { confidence: null, trust_class: null }) }));
+    }
+
+    // search() without the trust columns
+    async find(opts) {
+        const limit = opts.limit || 50;
+        if (opts.asOf) return this.searchAsOf(opts, limit);
+
+        if (opts.keys && opts.keys.length > 0) {
+            return this.db.prepare(`
+                SELECT key, value, start_time FROM memories
+                WHERE end_time IS NULL AND key IN (${opts.keys.map(() => '?').join(',')})
+                ORDER BY start_time DESC
+                LIMIT ?
+            `).all(...opts.keys, limit);
+        }
+
+        if (opts.semantic) {
+            const queryEmb = opts.queryEmbedding || (await embedTexts([opts.semantic]))[0];
+            if (opts.vectorOnly) {
+                return vectorSearch(this.db, queryEmb, limit).map(r => ({
+                    key: r.key, value: r.value, start_time: r.start_time, similarity: r.vectorScore,
+                }));
+            }
+            return hybridSearch(this.db, opts.semantic, queryEmb, { limit }).map(r => ({
+                key: r.key, value: r.value, start_time: r.start_time, similarity: r.score, bm25Hit: r.bm25Hit,
+            }));
+        }
+
+        if (opts.query) {
+            const ftsQuery = toFtsQuery(opts.query);
+            if (!ftsQuery) return [];
+            return this.db.prepare(`
+                SELECT m.key, m.value, m.start_time
+                FROM memories m
+                JOIN memories_fts fts ON m.rowid = fts.rowid
+                WHERE memories_fts MATCH ? AND m.end_time IS NULL
+                ORDER BY rank
+                LIMIT ?
+            `).all(ftsQuery, limit);
+        }
+
+        if (opts.prefix) {
+            return this.db.prepare(`
+                SELECT key, value, start_time FROM memories
+                WHERE end_time IS NULL AND key LIKE ? ESCAPE '\\'
+                ORDER BY start_time DESC
+                LIMIT ?
+            `).all(likePrefix(opts.prefix), limit);
+        }
+
+        return this.db.prepare(`
+            SELECT key, value, start_time FROM memories
+            WHERE end_time IS NULL
+            ORDER BY start_time DESC
+            LIMIT ?
+        `).all(limit);
+    }
+
+    // search() over the rows that were active at opts.asOf
+    async searchAsOf(opts, limit) {
+        const asOf = normalizeTimestamp(opts.asOf);
+
+        if (opts.semantic) {
+            const queryEmb = opts.queryEmbedding || (await embedTexts([opts.semantic]))[0];
+            return searchVectors(this.db, queryEmb, { limit, threshold: VECTOR_THRESHOLD, asOf }).map(r => ({
+                key: r.key, value: r.value, start_time: r.start_time, end_time: r.end_time, similarity: r.similarity,
+            }));
+        }
+
+        const where = [
+            'julianday(start_time) <= julianday(?)',
+            '(end_time IS NULL OR julianday(end_time) > julianday(?))',
+        ];
+        const params = [asOf, asOf];
+
+        if (opts.keys && opts.keys.length > 0) {
+            where.push(`key IN (${opts.keys.map(() => '?').join(',')})`);
+            params.push(...opts.keys);
+        } else if (opts.query) {
+            const terms = opts.query.split(/\s+/).filter(Boolean);
+            if (terms.length === 0) return [];
+            for (const t of terms) {
+                where.push("(key LIKE ? ESCAPE '\\' OR value LIKE ? ESCAPE '\\')");
+                const like = `%${escapeLike(t)}%`;
+                params.push(like, like);
+            }
+        } else if (opts.prefix) {
+            where.push("key LIKE ? ESCAPE '\\'");
+            params.push(likePrefix(opts.prefix));
+        }
+
+        return this.db.prepare(`
+            SELECT key, value, start_time, end_time FROM memories
+            WHERE ${where.join(' AND ')}
+            ORDER BY start_time DESC
+            LIMIT ?
+        `).all(...params, limit);
+    }
+
+    // ── Writes ──────────────────────────────────────────────────────────────
+
+    /**
+     * Store a new version of a fact, closing the current active row.
+     * Only an open row newer than the active one replaces it; an older or
+     * already-closed one is stored as a closed historical version (ending
+     * where the next version of the key starts, if no endTime is given).
+     * @param {string} key
+     * @param {*} value - strings stored as-is, anything else JSON-encoded
+     * @param {Object} [opts]
+     * @param {string} [opts.source]
+     * @param {string} [opts.startTime] - ISO timestamp (default now)
+     * @param {string|null} [opts.endTime] - set to store an already-closed row
+     * @param {string|null} [opts.originalText] - the fact as stated, when step 2
+     *   rewrote a relative date in it
+     * @param {string} [opts.trustClass] - default: from source (trust.js)
+     * @param {number} [opts.confidence] - default: the trust class's base confidence
+     * @returns {{rowid, key, value, source, start_time, end_time, confidence, trust_class}} - the new row
+     */
+    put(key, value, {
+        source = null, startTime = new Date().toISOString(), endTime = null, originalText = null,
+        trustClass, confidence,
+    } = {}) {
+        const valStr = typeof value === 'string' ? value : JSON.stringify(value);
+        const derived = scoreSource(source, key);
+        const trust = {
+            trust_class: trustClass || derived.trust_class,
+            confidence: confidence ?? derived.confidence,
+        };
+
+        return this.transaction(() => {
+            const active = this.get(key);
+            const same = this.db.prepare(
+                'SELECT rowid, end_time FROM memories WHERE key = ? AND start_time = ?'
+            ).get(key, startTime);
+            const replaces = active && (active.rowid === same?.rowid || (endTime === null && startTime > active.start_time));
+
+            // Access stats belong to the key: carry them over to the new version
+            const stats = replaces
+                ? this.db.prepare('SELECT access_count, last_accessed FROM memories WHERE rowid = ?').get(active.rowid)
+                : null;
+
+            // History: an older version ends where the next one starts
+            if (endTime === null && active && !replaces) {
+                endTime = this.db.prepare('SELECT MIN(start_time) AS next FROM memories WHERE key = ? AND start_time > ?')
+                    .get(key, startTime).next;
+            }
+
+            // A row with the same (key, start_time) is replaced outright
+            // (kept in memories_archive when the write belongs to a run)
+            if (same) {
+                if (same.end_time === null) this.unindexFts(active);
+                if (this.runId) {
+                    this.db.prepare(`
+                        INSERT INTO memories_archive
+                            (key, value, source, start_time, end_time, access_count, last_accessed, pruned_at, policy, replaced_by_run, confidence, trust_class)
+                        SELECT key, value, source, start_time, end_time, access_count, last_accessed, ?, 'replaced', ?, confidence, trust_class
+                        FROM memories WHERE rowid = ?
+                    `).run(new Date().toISOString(), this.runId, same.rowid);
+                }
+                this.db.prepare('DELETE FROM memories WHERE rowid = ?').run(same.rowid);
+                removeFromIndex(this.db, [same.rowid]);
+            }
+
+            if (replaces && active.rowid !== same?.rowid) {
+                this.unindexFts(active);
+                this.db.prepare('UPDATE memories SET end_time = ?, closed_by_run = ? WHERE rowid = ?')
+                    .run(startTime, this.runId, active.rowid);
+            }
+
+            const { lastInsertRowid: rowid } = this.db.prepare(`
+                INSERT INTO memories
+                    (key, value, source, start_time, end_time, access_count, last_accessed, run_id, original_text, confidence, trust_class)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(key, valStr, source, startTime, endTime, stats?.access_count ?? 0, stats?.last_accessed ?? null,
+                this.runId, originalText, trust.confidence, trust.trust_class);
+
+            if (endTime === null) {
+                this.db.prepare('INSERT INTO memories_fts(rowid, key, value) VALUES (?, ?, ?)').run(rowid, key, valStr);
+            }
+
+            return { rowid: Number(rowid), key, value: valStr, source, start_time: startTime, end_time: endTime, ...trust };
+        });
+    }
+
+    /**
+     * Another sighting of a version's value: combine its trust with the
+     * sighting's (trust.js combineTrust).
+     * @param {string} key
+     * @param {string} startTime - the version's start_time
+     * @param {{ trust_class: string, confidence: number }} score
+     * @returns {{ trust_class: string, confidence: number }|null} - the new trust, or null if there is no such version
+     */
+    confirm(key, startTime, score) {
+        return this.transaction(() => {
+            const row = this.db.prepare(
+                'SELECT rowid, confidence, trust_class FROM memories WHERE key = ? AND start_time = ?'
+            ).get(key, startTime);
+            if (!row) return null;
+            const current = row.trust_class ? row : scoreSource(null, key);
+            const trust = combineTrust(current, score);
+            this.db.prepare('UPDATE memories SET confidence = ?, trust_class = ? WHERE rowid = ?')
+                .run(trust.confidence, trust.trust_class, row.rowid);
+            return trust;
+        });
+    }
+
+    /**
+     * Record where a version of a key was stated. Entries already recorded
+     * for the version (same session and message IDs) are skipped.
+     * @param {string} key
+     * @param {string} startTime - the version's start_time
+     * @param {Array<{session_id, agent, message_ids, quote, stated_at}>} entries
+     * @returns {number} - entries added
+     */
+    addProvenance(key, startTime, entries) {
+        if (!entries || entries.length === 0) return 0;
+        const now = new Date().toISOString();
+        const exists = this.db.prepare(`
+            SELECT 1 FROM provenance
+            WHERE key = ? AND start_time = ? AND session_id IS ? AND message_ids = ?
+        `);
+        const insert = this.db.prepare(`
+            INSERT INTO provenance (key, start_time, session_id, agent, message_ids, quote, stated_at, run_id, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        return this.transaction(() => {
+            let added = 0;
+            for (const e of entries) {
+                const sessionId = e.session_id ?? null;
+                const messageIds = JSON.stringify(e.message_ids ?? []);
+                if (exists.get(key, startTime, sessionId, messageIds)) continue;
+                insert.run(key, startTime, sessionId, e.agent ?? null, messageIds,
+                    e.quote ?? null, e.stated_at ?? null, this.runId, now);
+                added++;
+            }
+            return added;
+        });
+    }
+
+    /**
+     * Embed rows with the configured model and add them to the ANN index.
+     * @param {Array<{rowid, key, value}>} rows - e.g. the results of put()
+     * @param {Array<number[]>} [embeddings] - vectors already made for rows
+     *   (same model and text), stored instead of embedding them again
+     * @returns {Promise<number>} - rows embedded
+     */
+    async embed(rows, embeddings) {
+        if (rows.length === 0) return 0;
+        if (!embeddings) embeddings = await embedTexts(rows.map(r => `${r.key}: ${r.value}`));
+        const model = getEmbeddingModel();
+        const update = this.db.prepare(
+            'UPDATE memories SET embedding = ?, embedding_model = ?, embedding_dim = ? WHERE rowid = ?'
+        );
+
+        this.transaction(() => {
+            rows.forEach((r, i) => update.run(toBlob(embeddings[i]), model, embeddings[i].length, r.rowid));
+        });
+        indexVectors(this.db, rows.map((r, i) => ({ rowid: r.rowid, embedding: embeddings[i] })), model);
+        return rows.length;
+    }
+
+    /**
+     * Delete a fact. Soft delete closes the active row (history is kept);
+     * hard delete removes every version of the key, its provenance and its
+     * open conflicts.
+     * @param {string} key
+     * @param {Object} [opts]
+     * @param {boolean} [opts.hard]
+     * @param {boolean} [opts.keepProvenance] - hard delete of rows the caller
+     *   archived: keep their provenance, which memories_archive rows share
+     * @returns {number} - rows closed or removed
+     */
+    delete(key, { hard = false, keepProvenance = false } = {}) {
+        return this.transaction(() => {
+            const active = this.get(key);
+            if (active) this.unindexFts(active);
+
+            if (hard) {
+                const rowids = this.db.prepare('SELECT rowid FROM memories WHERE key = ?').pluck().all(key);
+                removeFromIndex(this.db, rowids);
+                if (!keepProvenance) this.db.prepare('DELETE FROM provenance WHERE key = ?').run(key);
+                this.db.prepare("DELETE FROM conflicts WHERE status = 'open' AND (key = ? OR other_key = ?)").run(key, key);
+                return this.db.prepare('DELETE FROM memories WHERE key = ?').run(key).changes;
+            }
+
+            if (!active) return 0;
+            this.db.prepare('UPDATE memories SET end_time = ?, closed_by_run = ? WHERE rowid = ?')
+                .run(new Date().toISOString(), this.runId, active.rowid);
+            return 1;
+        });
+    }
+
+    /**
+     * Move every version of a key to another key (taxonomy migration).
+     * Moved rows lose their embedding, since it was computed from the old key
+     * (step 5 re-embeds them). A version whose start_time the target key
+     * already has is archived with policy 'rekeyed' instead of moved. If both
+     * keys were active, the latest version stays active and the other is
+     * closed at its start_time. Provenance and conflicts move with the moved
+     * rows.
+     * @param {string} from
+     * @param {string} to
+     * @returns {{ moved: number, archived: number, closed: number }}
+     */
+    rekey(from, to) {
+        if (from === to) return { moved: 0, archived: 0, closed: 0 };
+        return this.transaction(() => {
+            const result = { moved: 0, archived: 0, closed: 0 };
+            for (const row of [this.get(from), this.get(to)]) {
+                if (row) this.unindexFts(row);
+            }
+
+            const rows = this.db.prepare('SELECT rowid, start_time FROM memories WHERE key = ?').all(from);
+            const taken = new Set(this.db.prepare('SELECT start_time FROM memories WHERE key = ?').pluck().all(to));
+            for (const row of rows) {
+                if (taken.has(row.start_time)) {
+                    this.db.prepare(`
+                        INSERT INTO memories_archive
+                            (key, value, source, start_time, end_time, access_count, last_accessed, pruned_at, policy, replaced_by_run, confidence, trust_class)
+                        SELECT key, value, source, start_time, end_time, access_count, last_accessed, ?, 'rekeyed', ?, confidence, trust_class
+                        FROM memories WHERE rowid = ?
+                    `).run(new Date().toISOString(), this.runId, row.rowid);
+                    this.db.prepare('DELETE FROM memories WHERE rowid = ?').run(row.rowid);
+                    result.archived++;
+                    continue;
+                }
+                this.db.prepare(`
+                    UPDATE memories SET key = ?, embedding = NULL, embedding_model = NULL, embedding_dim = NULL
+                    WHERE rowid = ?
+                `).run(to, row.rowid);
+                this.db.prepare('UPDATE provenance SET key = ? WHERE key = ? AND start_time = ?')
+                    .run(to, from, row.start_time);
+                this.db.prepare('UPDATE conflicts SET key = ? WHERE key = ? AND start_time = ?')
+                    .run(to, from, row.start_time);
+                this.db.prepare('UPDATE conflicts SET other_key = ? WHERE other_key = ? AND other_start_time = ?')
+                    .run(to, from, row.start_time);
+                result.moved++;
+            }
+            removeFromIndex(this.db, rows.map(r => r.rowid));
+
+            const active = this.db.prepare(`
+                SELECT rowid, key, value, start_time FROM memories
+                WHERE key = ? AND end_time IS NULL ORDER BY start_time DESC
+            `).all(to);
+            for (const stale of active.slice(1)) {
+                this.db.prepare('UPDATE memories SET end_time = ?, closed_by_run = ? WHERE rowid = ?')
+                    .run(active[0].start_time, this.runId, stale.rowid);
+                result.closed++;
+            }
+            if (active.length > 0) {
+                this.db.prepare('INSERT INTO memories_fts(rowid, key, value) VALUES (?, ?, ?)')
+                    .run(active[0].rowid, to, active[0].value);
+            }
+            return result;
+        });
+    }
+
+    // ── Conflicts ───────────────────────────────────────────────────────────
+
+    /**
+     * Queue a conflict for review (conflict-detector.js). A conflict already
+     * open for the same two versions is not queued again.
+     * @param {Object} c - { kind, key, value, start_time, other_key, other_value, other_start_time, reason?, similarity? }
+     * @returns {number|null} - the conflict's id, or null if it was already open
+     */
+    addConflict(c) {
+        return this.transaction(() => {
+            const open = this.db.prepare(`
+                SELECT 1 FROM conflicts
+                WHERE status = 'open' AND key = ? AND start_time = ? AND other_key = ? AND other_start_time = ?
+            `).get(c.key, c.start_time, c.other_key, c.other_start_time);
+            if (open) return null;
+            const { lastInsertRowid } = this.db.prepare(`
+                INSERT INTO conflicts
+                    (kind, key, value, start_time, other_key, other_value, other_start_time, reason, similarity, run_id, detected_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(c.kind, c.key, c.value, c.start_time, c.other_key, c.other_value, c.other_start_time,
+                c.reason ?? null, c.similarity ?? null, this.runId, new Date().toISOString());
+            return Number(lastInsertRowid);
+        });
+    }
+
+    /**
+     * Conflicts in the review queue, newest first.
+     * @param {Object} [opts]
+     * @param {string} [opts.status] - 'open' (default), 'kept', 'replaced', 'both' or 'all'
+     * @param {number} [opts.limit]
+     * @returns {Array<{id, kind, key, value, start_time, other_key, other_value, other_start_time, reason, similarity, status, run_id, detected_at, resolved_at}>}
+     */
+    conflicts({ status = 'open', limit = -1 } = {}) {
+        return this.db.prepare(`
+            SELECT * FROM conflicts
+            ${status === 'all' ? '' : 'WHERE status = ?'}
+            ORDER BY id DESC
+            LIMIT ?
+        `).all(...(status === 'all' ? [] : [status]), limit);
+    }
+
+    /**
+     * Resolve an open conflict between a new fact (key) and the one it
+     * disagrees with (other_key):
+     *   keep     keep the existing fact: a supersede is reverted so the
+     *            version it replaced is active again; a contradicting new
+     *            fact is closed
+     *   replace  keep the new fact: the contradicted fact is closed (a
+     *            supersede already replaced it)
+     *   both     both stand; the conflict is only marked resolved
+     * @param {number} id
+     * @param {'keep'|'replace'|'both'} action
+     * @returns {Object} - the resolved conflict
+     * @throws {Error} if the conflict is unknown or resolved, a fact it
+     *   names has changed since it was detected, or the version a supersede
+     *   replaced no longer exists
+     */
+    resolveConflict(id, action) {
+        const STATUS = { keep: 'kept', replace: 'replaced', both: 'both' };
+        if (!STATUS[action]) throw new Error(`Unknown resolution "${action}" (expected keep, replace or both)`);
+
+        return this.transaction(() => {
+            const c = this.db.prepare('SELECT * FROM conflicts WHERE id = ?').get(id);
+            if (!c) throw new Error(`No conflict ${id}`);
+            if (c.status !== 'open') throw new Error(`Conflict ${id} is already resolved (${c.status})`);
+
+            const isActive = (key, startTime) => this.get(key)?.start_time === startTime;
+            if (!isActive(c.key, c.start_time)) {
+                throw new Error(`Conflict ${id} is stale: ${c.key} has changed since it was detected`);
+            }
+            if (c.kind === 'contradiction' && !isActive(c.other_key, c.other_start_time)) {
+                throw new Error(`Conflict ${id} is stale: ${c.other_key} has changed since it was detected`);
+            }
+
+            if (action === 'keep' && c.kind === 'supersede') this.restoreVersion(c.key, c.other_start_time);
+            else if (action === 'keep') this.delete(c.key);
+            else if (action === 'replace' && c.kind === 'contradiction') this.delete(c.other_key);
+
+            const resolvedAt = new Date().toISOString();
+            this.db.prepare('UPDATE conflicts SET status = ?, resolved_at = ? WHERE id = ?')
+                .run(STATUS[action], resolvedAt, id);
+            return { ...c, status: STATUS[action], resolved_at: resolvedAt };
+        });
+    }
+
+    // ── Revert ──────────────────────────────────────────────────────────────
+
+    /**
+     * Undo everything a run wrote: remove the rows it inserted, restore the
+     * rows it replaced, reopen the versions it closed and drop the provenance
+     * and conflicts it recorded. A key whose
+     * run-inserted row has since been closed by another run is left alone and
+     * reported as a conflict.
+     * @param {string} runId
+     * @returns {{ keys: number, removed: number, reopened: number, conflicts: string[] }}
+     */
+    revertRun(runId) {
+        return this.transaction(() => {
+            const keys = this.db.prepare(`
+                SELECT key FROM memories WHERE run_id = ? OR closed_by_run = ?
+                UNION SELECT key FROM memories_archive WHERE replaced_by_run = ?
+                UNION SELECT key FROM provenance WHERE run_id = ?
+            `).pluck().all(runId, runId, runId, runId);
+
+            // What the run flagged for review goes with it
+            this.db.prepare('DELETE FROM conflicts WHERE run_id = ?').run(runId);
+
+            const result = { keys: 0, removed: 0, reopened: 0, conflicts: [] };
+            for (const key of keys) {
+                const laterChange = this.db.prepare(`
+                    SELECT 1 FROM memories
+                    WHERE key = ? AND run_id = ? AND closed_by_run IS NOT NULL AND closed_by_run != ?
+                `).get(key, runId, runId);
+                if (laterChange) {
+                    result.conflicts.push(key);
+                    continue;
+                }
+
+                const inserted = this.db.prepare(
+                    'SELECT rowid, key, value, end_time FROM memories WHERE key = ? AND run_id = ?'
+                ).all(key, runId);
+                result.removed += this.removeRows(inserted);
+                result.reopened += this.restoreReplaced(key, { runId });
+                this.db.prepare('DELETE FROM provenance WHERE key = ? AND run_id = ?').run(key, runId);
+
+                if (!this.get(key)) {
+                    const closed = this.db.prepare(`
+                        SELECT rowid, key, value FROM memories
+                        WHERE key = ? AND closed_by_run = ?
+                        ORDER BY start_time DESC LIMIT 1
+                    `).get(key, runId);
+                    if (closed) result.reopened += this.reopen(closed);
+                }
+                result.keys++;
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Undo the latest change to a key: drop its active version and reopen the
+     * one before it (or, if the key was deleted, reopen its last version).
+     * @param {string} key
+     * @returns {{ removed: number, reopened: number }}
+     */
+    revertKey(key) {
+        return this.transaction(() => {
+            const active = this.get(key);
+            const result = { removed: 0, reopened: 0 };
+
+            if (active) {
+                result.removed = this.dropActive(active);
+                // The active row may have replaced one with the same start_time
+                result.reopened = this.restoreReplaced(key, { startTime: active.start_time });
+                if (result.reopened > 0) return result;
+            }
+
+            const previous = this.db.prepare(`
+                SELECT rowid, key, value FROM memories
+                WHERE key = ? AND end_time IS NOT NULL
+                ORDER BY start_time DESC LIMIT 1
+            `).get(key);
+            if (previous) result.reopened = this.reopen(previous);
+            return result;
+        });
+    }
+
+    /**
+     * Drop a key's active version and make its version at startTime active
+     * again: a closed row, or the row the active one replaced in place.
+     * @param {string} key
+     * @param {string} startTime
+     * @returns {{ removed: number, reopened: number }}
+     * @throws {Error} if the key has no such version
+     */
+    restoreVersion(key, startTime) {
+        return this.transaction(() => {
+            const active = this.get(key);
+            const result = { removed: 0, reopened: 0 };
+            if (active?.start_time === startTime) {
+                result.removed = this.dropActive(active);
+                result.reopened = this.restoreReplaced(key, { startTime });
+            } else {
+                const version = this.db.prepare(`
+                    SELECT rowid, key, value FROM memories
+                    WHERE key = ? AND start_time = ? AND end_time IS NOT NULL
+                `).get(key, startTime);
+                if (version) {
+                    if (active) result.removed = this.dropActive(active);
+                    result.reopened = this.reopen(version);
+                }
+            }
+            if (result.reopened === 0) throw new Error(`${key} has no version from ${startTime} to restore`);
+            return result;
+        });
+    }
+
+    // Delete an active row with the provenance written with it (a restored row keeps its own)
+    dropActive(active) {
+        const runId = this.db.prepare('SELECT run_id FROM memories WHERE rowid = ?').pluck().get(active.rowid);
+        this.db.prepare('DELETE FROM provenance WHERE key = ? AND start_time = ? AND run_id IS ?')
+            .run(active.key, active.start_time, runId);
+        return this.removeRows([active]);
+    }
+
+    // Delete rows outright, keeping FTS and the ANN index in step
+    removeRows(rows) {
+        for (const r of rows) {
+            if (r.end_time === null) this.unindexFts(r);
+            this.db.prepare('DELETE FROM memories WHERE rowid = ?').run(r.rowid);
+        }
+        removeFromIndex(this.db, rows.map(r => r.rowid));
+        return rows.length;
+    }
+
+    // Make a closed row the active version again
+    reopen(row) {
+        this.db.prepare('UPDATE memories SET end_time = NULL, closed_by_run = NULL WHERE rowid = ?').run(row.rowid);
+        this.db.prepare('INSERT INTO memories_fts(rowid, key, value) VALUES (?, ?, ?)').run(row.rowid, row.key, row.value);
+        return 1;
+    }
+
+    // Move rows put() replaced back from memories_archive (unembedded: step 5 re-embeds them).
+    // By run: every row the run replaced. By start_time: the row the current one replaced.
+    restoreReplaced(key, { runId, startTime }) {
+        const archived = this.db.prepare(`
+            SELECT rowid AS archive_rowid, * FROM memories_archive
+            WHERE key = ? AND policy = 'replaced'
+              AND ${runId ? 'replaced_by_run = ? ORDER BY rowid' : 'start_time = ? ORDER BY rowid DESC LIMIT 1'}
+        `).all(key, runId || startTime);
+
+        const restored = new Set();
+        for (const a of archived) {
+            // Replaced more than once in the run: the oldest copy is the pre-run version
+            if (restored.has(a.start_time)) continue;
+            const { lastInsertRowid: rowid } = this.db.prepare(`
+                INSERT INTO memories (key, value, source, start_time, end_time, access_count, last_accessed, confidence, trust_class)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(a.key, a.value, a.source, a.start_time, a.end_time, a.access_count ?? 0, a.last_accessed,
+                a.confidence, a.trust_class);
+            if (a.end_time === null) {
+                this.db.prepare('INSERT INTO memories_fts(rowid, key, value) VALUES (?, ?, ?)').run(rowid, a.key, a.value);
+            }
+            restored.add(a.start_time);
+        }
+        if (archived.length > 0) {
+            this.db.prepare(
+                `DELETE FROM memories_archive WHERE rowid IN (${archived.map(() => '?').join(',')})`
+            ).run(...archived.map(a => a.archive_rowid));
+        }
+        return restored.size;
+    }
+
+    // Remove an active row from the external-content FTS index (must match indexed text)
+    unindexFts(row) {
+        this.db.prepare(
+            "INSERT INTO memories_fts(memories_fts, rowid, key, value) VALUES('delete', ?, ?, ?)"
+        ).run(row.rowid, row.key, row.value);
+    }
+}
+
+// ensureTable: pre-migrations name, kept for existing callers
+module.exports = { MemoryStore, ensureTable: migrate, toFtsQuery, normalizeTimestamp, newRunId, formatProvenance, DB_PATH };
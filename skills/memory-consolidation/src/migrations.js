@@ -0,0 +1,365 @@
+/**
+ * Schema Migrations - versioned, ordered schema changes for memory.db.
+ *
+ * schema_version records every migration applied. On open, each entry point
+ * (pipeline, MCP, CLIs, hooks) calls openDatabase(), which runs any pending
+ * migrations in order, each in its own IMMEDIATE transaction so concurrent
+ * openers can't apply one twice.
+ *
+ * Databases created before schema_version existed start at version 0; every
+ * migration is written to be a no-op on the parts such a DB already has.
+ *
+ * Adding a column: append a migration with the next version number. Never
+ * edit or reorder a migration that has shipped.
+ *
+ * Usage:
+ *   const { openDatabase } = require('./migrations.js');
+ *   const db = openDatabase(dbPath, { readonly: true });
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const { ensureAnnTables } = require('./ann-index.js');
+
+const DB_PATH = process.env.MEMORY_DB_PATH || path.join(__dirname, '..', 'memory.db');
+
+const LEGACY_EMBEDDING_MODEL = 'gemini-embedding-001';
+
+function hasTable(db, name) {
+    return !!db.prepare("SELECT 1 FROM sqlite_master WHERE name = ?").get(name);
+}
+
+function hasColumn(db, table, column) {
+    return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+/**
+ * ALTER TABLE ADD COLUMN unless it already exists.
+ * @returns {boolean} - true if the column was added
+ */
+function addColumn(db, table, column, type) {
+    if (hasColumn(db, table, column)) return false;
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    return true;
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'memories table + FTS5 index',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS memories (
+                    key TEXT NOT NULL,
+                    value TEXT,
+                    source TEXT,
+                    start_time TEXT NOT NULL,
+                    end_time TEXT,
+                    PRIMARY KEY (key, start_time)
+                )
+            `);
+            if (!hasTable(db, 'memories_fts')) {
+                db.exec(`
+                    CREATE VIRTUAL TABLE memories_fts
+                    USING fts5(key, value, content='memories', content_rowid='rowid')
+                `);
+                // memories_fts holds the active rows (see memory-store.js)
+                db.exec('INSERT INTO memories_fts(rowid, key, value) SELECT rowid, key, value FROM memories WHERE end_time IS NULL');
+            }
+        },
+    },
+    {
+        version: 2,
+        name: 'embedding column',
+        up(db) {
+            addColumn(db, 'memories', 'embedding', 'BLOB');
+        },
+    },
+    {
+        version: 3,
+        name: 'embedding_model / embedding_dim',
+        up(db) {
+            addColumn(db, 'memories', 'embedding_dim', 'INTEGER');
+            if (addColumn(db, 'memories', 'embedding_model', 'TEXT')) {
+                // Every vector stored before this column existed came from Gemini
+                db.prepare(`
+                    UPDATE memories SET embedding_model = ?, embedding_dim = length(embedding) / 4
+                    WHERE embedding IS NOT NULL
+                `).run(LEGACY_EMBEDDING_MODEL);
+            }
+        },
+    },
+    {
+        version: 4,
+        name: 'ANN index tables',
+        up(db) {
+            ensureAnnTables(db);
+        },
+    },
+    {
+        version: 5,
+        name: 'access_count / last_accessed',
+        up(db) {
+            addColumn(db, 'memories', 'access_count', 'INTEGER DEFAULT 0');
+            addColumn(db, 'memories', 'last_accessed', 'TEXT');
+        },
+    },
+    {
+        version: 6,
+        name: 'memories_archive (pruned rows)',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS memories_archive (
+                    key TEXT NOT NULL,
+                    value TEXT,
+                    source TEXT,
+                    start_time TEXT NOT NULL,
+                    end_time TEXT,
+                    access_count INTEGER,
+                    last_accessed TEXT,
+                    pruned_at TEXT NOT NULL,
+                    policy TEXT
+                );
+                CREATE INDEX IF NOT EXISTS idx_memories_archive_key ON memories_archive(key);
+            `);
+        },
+    },
+    {
+        version: 7,
+        name: 'run_id / closed_by_run (revertable runs)',
+        up(db) {
+            addColumn(db, 'memories', 'run_id', 'TEXT');
+            addColumn(db, 'memories', 'closed_by_run', 'TEXT');
+            addColumn(db, 'memories_archive', 'replaced_by_run', 'TEXT');
+            db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_memories_run_id ON memories(run_id);
+                CREATE INDEX IF NOT EXISTS idx_memories_closed_by_run ON memories(closed_by_run);
+            `);
+        },
+    },
+    {
+        version: 8,
+        name: 'pipeline_runs ledger',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS pipeline_runs (
+                    run_id TEXT PRIMARY KEY,
+                    mode TEXT,
+                    status TEXT NOT NULL DEFAULT 'running',
+                    started_at TEXT NOT NULL,
+                    finished_at TEXT,
+                    duration_ms INTEGER,
+                    sessions INTEGER DEFAULT 0,
+                    llm_calls INTEGER DEFAULT 0,
+                    failures INTEGER DEFAULT 0,
+                    steps TEXT NOT NULL DEFAULT '{}',
+                    error TEXT
+                );
+                CREATE INDEX IF NOT EXISTS idx_pipeline_runs_started ON pipeline_runs(started_at);
+            `);
+        },
+    },
+    {
+        version: 9,
+        name: 'pipeline_runs args / work_dir / last_step (resumable runs)',
+        up(db) {
+            addColumn(db, 'pipeline_runs', 'args', 'TEXT');
+            addColumn(db, 'pipeline_runs', 'work_dir', 'TEXT');
+            addColumn(db, 'pipeline_runs', 'last_step', 'TEXT');
+        },
+    },
+    {
+        version: 10,
+        name: 'sessions (extraction tracking)',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS sessions (
+                    session_id TEXT PRIMARY KEY,
+                    source TEXT,
+                    path TEXT,
+                    mtime TEXT,
+                    byte_offset INTEGER,
+                    fact_count INTEGER NOT NULL DEFAULT 0,
+                    status TEXT NOT NULL DEFAULT 'done',
+                    error TEXT,
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    updated_at TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status);
+            `);
+        },
+    },
+    {
+        version: 11,
+        name: 'sessions.last_message_uuid, context_offset (incremental extraction)',
+        up(db) {
+            addColumn(db, 'sessions', 'last_message_uuid', 'TEXT');
+            addColumn(db, 'sessions', 'context_offset', 'INTEGER');
+        },
+    },
+    {
+        version: 12,
+        name: 'memories.original_text (relative dates as stated)',
+        up(db) {
+            addColumn(db, 'memories', 'original_text', 'TEXT');
+        },
+    },
+    {
+        version: 13,
+        name: 'provenance (session, agent, message ids, quote per fact)',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS provenance (
+                    id INTEGER PRIMARY KEY,
+                    key TEXT NOT NULL,
+                    start_time TEXT NOT NULL,
+                    session_id TEXT,
+                    agent TEXT,
+                    message_ids TEXT NOT NULL DEFAULT '[]',
+                    quote TEXT,
+                    stated_at TEXT,
+                    run_id TEXT,
+                    created_at TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_provenance_key ON provenance(key, start_time);
+                CREATE INDEX IF NOT EXISTS idx_provenance_run ON provenance(run_id);
+            `);
+        },
+    },
+    {
+        version: 14,
+        name: 'memories.confidence / trust_class',
+        up(db) {
+            addColumn(db, 'memories_archive', 'confidence', 'REAL');
+            addColumn(db, 'memories_archive', 'trust_class', 'TEXT');
+            addColumn(db, 'memories', 'confidence', 'REAL');
+            if (addColumn(db, 'memories', 'trust_class', 'TEXT')) {
+                // Existing rows are classified by source, as trust.js did when this shipped
+                db.exec(`
+                    UPDATE memories SET trust_class = CASE
+                        WHEN key LIKE 'inferred.%' THEN 'assistant-inferred'
+                        WHEN source LIKE 'mcp:%' OR source LIKE 'cli:%' THEN 'manual'
+                        WHEN source LIKE 'auto:extract-errors%' OR source LIKE 'auto:session:%' THEN 'tool-observed'
+                        WHEN source LIKE 'auto:%' THEN 'rule-derived'
+                        ELSE 'assistant-inferred'
+                    END;
+                    UPDATE memories SET confidence = CASE trust_class
+                        WHEN 'manual' THEN 0.95
+                        WHEN 'tool-observed' THEN 0.75
+                        WHEN 'rule-derived' THEN 0.6
+                        ELSE 0.5
+                    END;
+                `);
+            }
+        },
+    },
+    {
+        version: 15,
+        name: 'conflicts (contradiction review queue)',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS conflicts (
+                    id INTEGER PRIMARY KEY,
+                    kind TEXT NOT NULL,
+                    key TEXT NOT NULL,
+                    value TEXT,
+                    start_time TEXT NOT NULL,
+                    other_key TEXT NOT NULL,
+                    other_value TEXT,
+                    other_start_time TEXT NOT NULL,
+                    reason TEXT,
+                    similarity REAL,
+                    status TEXT NOT NULL DEFAULT 'open',
+                    run_id TEXT,
+                    detected_at TEXT NOT NULL,
+                    resolved_at TEXT
+                );
+                CREATE INDEX IF NOT EXISTS idx_conflicts_status ON conflicts(status);
+                CREATE INDEX IF NOT EXISTS idx_conflicts_run ON conflicts(run_id);
+            `);
+        },
+    },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Current schema version (0 for DBs that predate schema_version).
+ */
+function getSchemaVersion(db) {
+    if (!hasTable(db, 'schema_version')) return 0;
+    return db.prepare('SELECT MAX(version) FROM schema_version').pluck().get() || 0;
+}
+
+/**
+ * Apply pending migrations.
+ * @param {Database} db - writable better-sqlite3 instance
+ * @returns {number[]} - versions applied by this call
+ */
+function migrate(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+
+    const applied = [];
+    for (const m of MIGRATIONS) {
+        if (m.version <= getSchemaVersion(db)) continue;
+
+        db.transaction(() => {
+            // Re-check under the write lock: another process may have won the race
+            if (m.version <= getSchemaVersion(db)) return;
+            m.up(db);
+            db.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)')
+                .run(m.version, m.name, new Date().toISOString());
+            applied.push(m.version);
+        }).immediate();
+    }
+    return applied;
+}
+
+/**
+ * Open memory.db at the current schema version.
+ * Read-only opens migrate through a short-lived writable handle first; if that
+ * fails (e.g. read-only filesystem) the DB is opened as-is with a warning.
+ * @param {string} [dbPath] - default MEMORY_DB_PATH or ../memory.db
+ * @param {Object} [opts]
+ * @param {boolean} [opts.readonly]
+ * @returns {Database}
+ */
+function openDatabase(dbPath = DB_PATH, { readonly = false } = {}) {
+    if (readonly) {
+        let db = new Database(dbPath, { readonly: true });
+        db.pragma('busy_timeout = 10000');
+        if (getSchemaVersion(db) >= SCHEMA_VERSION) return db;
+
+        db.close();
+        try {
+            openDatabase(dbPath).close();
+        } catch (err) {
+            console.error(`[migrations] could not migrate ${dbPath}: ${err.message}`);
+        }
+        db = new Database(dbPath, { readonly: true });
+        db.pragma('busy_timeout = 10000');
+        return db;
+    }
+
+    const db = new Database(dbPath);
+    db.pragma('busy_timeout = 10000');
+    db.pragma('journal_mode = WAL');
+    migrate(db);
+    return db;
+}
+
+module.exports = {
+    openDatabase,
+    migrate,
+    getSchemaVersion,
+    addColumn,
+    MIGRATIONS,
+    SCHEMA_VERSION,
+    DB_PATH,
+};
@@ -150,12 +150,12 @@ function filterConversation(conversationText, options = {}) {
     // Strip hook_context blocks before filtering (injected by SessionStart hooks)
     let cleaned = conversationText.replace(/<hook_context>[\s\S]*?<\/hook_context>/g, '');
 
-    // Split by message boundaries
-    const messages = cleaned.split(/\n\n(?=\[(user|assistant)\])/);
+    // Split by message boundaries ("[user] ..." or numbered "[#3 user] ...")
+    const messages = cleaned.split(/\n\n(?=\[(?:#\d+ )?(?:user|assistant)\])/);
 
     const filtered = messages.filter(msg => {
         // Extract content after role prefix
-        const content = msg.replace(/^\[(user|assistant)\]\s*/i, '');
+        const content = msg.replace(/^\[(?:#\d+ )?(user|assistant)\]\s*/i, '');
         return !isNoise(content, options);
     });
 
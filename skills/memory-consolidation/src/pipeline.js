@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/**
+ * Pipeline - runs steps 1-5 in-process for one pipeline run.
+ *
+ *   extract  - 1-extract-facts.js per session (+ agent learnings), into facts.jsonl
+ *   align    - 2-align-temporally.js → timed_facts.jsonl
+ *   commit   - 3-commit-to-db.js
+ *   digest   - 4-generate-digest.js
+ *   embed    - 5-embed-facts.js
+ *
+ * Each run gets its own work dir (MEMORY_RUNS_DIR or .pipeline-runs/, one
+ * sub-directory per run ID) for its intermediate files, so concurrent hook
+ * runs never share a facts.jsonl. The run ledger (run-ledger.js) records the
+ * run's arguments, work dir and last completed step; a failed run keeps its
+ * work dir and `--resume <run-id>` continues after the last completed step.
+ * Sessions already extracted are skipped via the sessions table
+ * (session-tracker.js), so a resumed extract picks up where the failed one
+ * stopped. The work dir is removed once
+ * a run succeeds.
+ *
+ * Sessions are extracted by a worker pool (pipeline.concurrency in
+ * digest-config.json, or MEMORY_EXTRACT_CONCURRENCY; default 1); LLM calls are
+ * rate-limited and retried on 429 per provider (see llm-provider.js). In
+ * multi-file modes no new session starts once free RAM drops below
+ * MIN_FREE_MB or a session fails, and the run carries on with what it has;
+ * gemini mode also caps a run at MAX_SESSIONS_PER_RUN sessions.
+ *
+ * Usage:
+ *   node src/pipeline.js <session.jsonl>
+ *   node src/pipeline.js --backfill <directory>
+ *   node src/pipeline.js --backfill-all-openclaw-agents
+ *   node src/pipeline.js --gemini
+ *   node src/pipeline.js --resume <run-id> [--force]   # --force: a run still marked running
+ *
+ *   const { runPipeline, resumePipeline } = require('./pipeline.js');
+ *   const { runId, status } = await runPipeline({ mode: 'single', input: file });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { loadConfig } = require('./config.js');
+const { openDatabase, DB_PATH } = require('./migrations.js');
+const { newRunId } = require('./memory-store.js');
+const { startRun, completeStep, recordStepForRun, finishRun, getRun } = require('./run-ledger.js');
+const { extractFacts } = require('./1-extract-facts.js');
+const { alignFile } = require('./2-align-temporally.js');
+const { commitFile } = require('./3-commit-to-db.js');
+const { generateDigest } = require('./4-generate-digest.js');
+const { embedFacts } = require('./5-embed-facts.js');
+const { extractAgentLearnings, storeLearnings } = require('./extract-agent-learnings.js');
+const { convertGeminiSessions } = require('./convert-gemini-sessions.js');
+const { runPool } = require('./worker-pool.js');
+
+const RUNS_DIR = process.env.MEMORY_RUNS_DIR || path.join(__dirname, '..', '.pipeline-runs');
+const DIGEST_PATH = process.env.MEMORY_DIGEST_PATH || path.join(__dirname, '..', 'memory_digest.json');
+const AGENTS_DIR = process.env.OPENCLAW_AGENTS_DIR || path.join(os.homedir(), '.openclaw', 'agents');
+
+// Anti-OOM: cap sessions per run and check RAM before each extraction
+const MAX_SESSIONS_PER_RUN = parseInt(process.env.MAX_SESSIONS_PER_RUN, 10) || 30;
+const MIN_FREE_MB = 800;
+
+function getConcurrency() {
+    const fromEnv = parseInt(process.env.MEMORY_EXTRACT_CONCURRENCY, 10);
+    return fromEnv > 0 ? fromEnv : (loadConfig().pipeline || {}).concurrency || 1;
+}
+
+const MODES = ['single', 'backfill', 'backfill-all', 'gemini'];
+const STEPS = ['extract', 'align', 'commit', 'digest', 'embed'];
+
+function jsonlFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(f => f.endsWith('.jsonl')).map(f => path.join(dir, f));
+}
+
+function agentSessionFiles(agentsDir) {
+    const files = [];
+    if (!fs.existsSync(agentsDir)) return files;
+    for (const agent of fs.readdirSync(agentsDir)) {
+        files.push(...jsonlFiles(path.join(agentsDir, agent, 'sessions')));
+    }
+    return files;
+}
+
+function hasFreeRam(minFreeMb) {
+    const freeMB = Math.round(os.freemem() / 1024 / 1024);
+    if (freeMB < minFreeMb) {
+        console.log(`  ⚠ Low RAM: ${freeMB}MB free (min ${minFreeMb}MB). Stopping early.`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Sessions a run extracts, in date (file name) order.
+ * @returns {string[]|null} - null when there is nothing to do
+ */
+function sessionFiles(run) {
+    const { mode, input } = run.args;
+    if (mode === 'single') return [input];
+    if (mode === 'backfill') {
+        const files = jsonlFiles(input);
+        if (files.length === 0) throw new Error(`No .jsonl files found in ${input}`);
+        return files.sort();
+    }
+
+    const files = mode === 'gemini'
+        ? jsonlFiles(path.join(run.workDir, 'gemini'))
+        : agentSessionFiles(run.args.agentsDir);
+    if (files.length === 0) return null;
+    files.sort();
+    if (mode === 'gemini' && files.length > run.maxSessions) {
+        console.log(`⚠ Capping at ${run.maxSessions} sessions (${files.length} available). Remaining will be processed next run.`);
+        return files.slice(0, run.maxSessions);
+    }
+    return files;
+}
+
+async function extractLearnings(run, file) {
+    // Agent learnings (cases/patterns) go straight to the DB; failures are not fatal
+    try {
+        storeLearnings(await extractAgentLearnings(file), run.dbPath, { runId: run.runId });
+    } catch (err) {
+        console.error(`  Agent learnings failed for ${file}: ${err.message}`);
+    }
+}
+
+// ── Steps ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Step 1. Returns false when there were no sessions, which ends the run early.
+ */
+async function extractStep(run) {
+    if (run.args.mode === 'gemini') {
+        console.log('Converting Gemini sessions to JSONL...');
+        convertGeminiSessions(path.join(run.workDir, 'gemini'), { dbPath: run.dbPath, legacyFile: run.legacyFile });
+    }
+
+    const files = sessionFiles(run);
+    if (!files) {
+        console.log('No new sessions to process.');
+        return false;
+    }
+
+    const single = run.args.mode === 'single';
+    const concurrency = Math.min(run.concurrency, files.length);
+    console.log(`Step 1: Extracting facts from ${files.length} session(s)${concurrency > 1 ? `, ${concurrency} at a time` : ''}...`);
+
+    const { error } = await runPool(files, async file => {
+        console.log(`  Extracting: ${file}`);
+        let metrics;
+        try {
+            metrics = await extractFacts(file, { factsFile: run.factsFile, dbPath: run.dbPath, legacyFile: run.legacyFile });
+        } catch (err) {
+            recordStepForRun('extract', { failures: 1 }, run);
+            throw err;
+        }
+        recordStepForRun('extract', metrics, run);
+        // A resumed run skips the sessions it already extracted, learnings included
+        if (!metrics.skipped) await extractLearnings(run, file);
+    }, { concurrency, canStart: () => single || hasFreeRam(run.minFreeMb) });
+
+    if (error && single) throw error;
+    if (error) console.log(`  Extraction stopped (${error.message}).`);
+    return true;
+}
+
+const STEP_RUNNERS = {
+    extract: extractStep,
+    align(run) {
+        console.log('Step 2: Aligning facts temporally...');
+        recordStepForRun('align', alignFile(run), run);
+    },
+    commit(run) {
+        console.log('Step 3: Committing to database...');
+        // Records its own ledger step, in the commit transaction
+        return commitFile(run);
+    },
+    digest(run) {
+        console.log('Step 4: Generating memory digest...');
+        recordStepForRun('digest', generateDigest(run), run);
+    },
+    async embed(run) {
+        console.log('Step 5: Embedding new facts...');
+        try {
+            recordStepForRun('embed', await embedFacts(run), run);
+        } catch (err) {
+            recordStepForRun('embed', { failures: 1 }, run);
+            throw err;
+        }
+    },
+};
+
+// ── Runs ──────────────────────────────────────────────────────────────────────
+
+function withDb(dbPath, fn) {
+    const db = openDatabase(dbPath);
+    try {
+        return fn(db);
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Run the steps after lastStep. On failure the run is marked failed (work dir
+ * kept for --resume) and the error is rethrown.
+ */
+async function execute(run, lastStep) {
+    fs.mkdirSync(run.workDir, { recursive: true });
+    withDb(run.dbPath, db => startRun(db, run.runId, { mode: run.args.mode, args: run.args, workDir: run.workDir }));
+
+    try {
+        for (const step of STEPS.slice(STEPS.indexOf(lastStep) + 1)) {
+            const more = await STEP_RUNNERS[step](run);
+            withDb(run.dbPath, db => completeStep(db, run.runId, step));
+            if (more === false) break;
+        }
+    } catch (err) {
+        console.error(`Run ${run.runId} failed: ${err.message}`);
+        console.error(`Resume with: node src/pipeline.js --resume ${run.runId}`);
+        withDb(run.dbPath, db => finishRun(db, run.runId, { status: 'failed', error: err.message }));
+        throw err;
+    }
+
+    withDb(run.dbPath, db => finishRun(db, run.runId));
+    fs.rmSync(run.workDir, { recursive: true, force: true });
+    console.log(`--- Finished at ${new Date().toISOString()} (run ${run.runId}) ---`);
+    return { runId: run.runId, status: 'ok' };
+}
+
+function newRun(runId, args, {
+    dbPath = DB_PATH, digestPath = DIGEST_PATH, workDir,
+    maxSessions = MAX_SESSIONS_PER_RUN, minFreeMb = MIN_FREE_MB, concurrency = getConcurrency(), legacyFile,
+} = {}) {
+    workDir = workDir || path.join(RUNS_DIR, runId);
+    return {
+        runId, args, dbPath, digestPath, workDir, maxSessions, minFreeMb, concurrency, legacyFile,
+        factsFile: path.join(workDir, 'facts.jsonl'),
+        timedFactsFile: path.join(workDir, 'timed_facts.jsonl'),
+    };
+}
+
+/**
+ * Start a pipeline run.
+ * @param {Object} opts
+ * @param {string} opts.mode - 'single' | 'backfill' | 'backfill-all' | 'gemini'
+ * @param {string} [opts.input] - session file (single) or directory (backfill)
+ * @param {string} [opts.agentsDir] - backfill-all root (default OPENCLAW_AGENTS_DIR or ~/.openclaw/agents)
+ * @param {string} [opts.runId] - default MEMORY_RUN_ID or a fresh one
+ * @param {string} [opts.dbPath]
+ * @param {string} [opts.digestPath]
+ * @param {string} [opts.workDir] - default <runs dir>/<run-id>
+ * @param {number} [opts.maxSessions] - gemini cap
+ * @param {number} [opts.minFreeMb]
+ * @param {number} [opts.concurrency] - sessions extracted at once
+ * @param {string} [opts.legacyFile] - .processed_sessions to import (default: the skill root's)
+ * @returns {Promise<{ runId: string, status: string }>}
+ */
+async function runPipeline({ mode, input, agentsDir = AGENTS_DIR, runId = process.env.MEMORY_RUN_ID || newRunId(), ...opts }) {
+    if (!MODES.includes(mode)) throw new Error(`Unknown pipeline mode "${mode}" (expected one of: ${MODES.join(', ')})`);
+    if ((mode === 'single' || mode === 'backfill') && !input) throw new Error(`${mode} mode needs an input path`);
+
+    const args = { mode, input: input ? path.resolve(input) : null };
+    if (mode === 'backfill-all') args.agentsDir = agentsDir;
+    console.log(`--- Pipeline ${mode}${input ? `: ${input}` : ''} at ${new Date().toISOString()} (run ${runId}) ---`);
+    return execute(newRun(runId, args, opts), null);
+}
+
+/**
+ * Continue a failed run after its last completed step. A run still marked
+ * running may be in progress elsewhere; only force resumes it (one that was
+ * killed, say).
+ * @param {string} runId
+ * @param {Object} [opts] - dbPath, digestPath, maxSessions, minFreeMb, concurrency, legacyFile as for runPipeline
+ * @param {boolean} [opts.force] - resume a run whose status is still running
+ */
+async function resumePipeline(runId, { dbPath = DB_PATH, force = false, ...opts } = {}) {
+    const row = withDb(dbPath, db => getRun(db, runId));
+    if (!row) throw new Error(`No run ${runId}`);
+    if (row.status === 'ok') throw new Error(`Run ${runId} already finished`);
+    if (row.status !== 'failed' && !force) {
+        throw new Error(`Run ${runId} is ${row.status}; if no other process is running it, resume with --force`);
+    }
+    if (!row.args || !row.work_dir) throw new Error(`Run ${runId} was not started by pipeline.js and cannot be resumed`);
+
+    console.log(`--- Resuming run ${runId} (${row.args.mode}) after ${row.last_step || 'nothing'} ---`);
+    return execute(newRun(runId, row.args, { ...opts, dbPath, workDir: row.work_dir }), row.last_step);
+}
+
+function parseArgs(argv) {
+    const [flag, value] = argv;
+    switch (flag) {
+        case '--resume': return value ? { resume: value, force: argv.includes('--force') } : null;
+        case '--gemini': return { mode: 'gemini' };
+        case '--backfill': return value ? { mode: 'backfill', input: value } : null;
+        case '--backfill-all-openclaw-agents': return { mode: 'backfill-all' };
+        case undefined: return null;
+        default: return flag.startsWith('--') ? null : { mode: 'single', input: flag };
+    }
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args) {
+        console.error('Usage: node pipeline.js <session.jsonl>');
+        console.error('       node pipeline.js --backfill <directory>');
+        console.error('       node pipeline.js --backfill-all-openclaw-agents');
+        console.error('       node pipeline.js --gemini');
+        console.error('       node pipeline.js --resume <run-id> [--force]');
+        process.exit(1);
+    }
+
+    (args.resume ? resumePipeline(args.resume, { force: args.force }) : runPipeline(args)).catch(err => {
+        console.error('Error:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { runPipeline, resumePipeline, STEPS };
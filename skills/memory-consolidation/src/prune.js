@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+/**
+ * Prune - retention engine for memory.db, driven by retention.policies in
+ * digest-config.json.
+ *
+ * Each policy governs the active keys under its prefix (the longest matching
+ * prefix wins). A key is pruned when every criterion the policy sets holds:
+ *   max_age_days      - active version started more than N days ago
+ *   min_access_count  - retrieved fewer than N times (see access-tracker.js)
+ * and no keep rule applies:
+ *   keep_latest        - the N most recent keys under the prefix are kept
+ *   keep_if_referenced - keys listed in an active instinct's evidence_keys
+ *
+ * Pruning removes every version of the key (memories, FTS, ANN) after copying
+ * the rows to retention.archive: "table" (memories_archive), "jsonl"
+ * (retention.archive_path) or "none". Spooled access hits are drained first
+ * so counts are current; a dry run only reads them and writes nothing.
+ * With retention.vacuum (or --vacuum) the DB is VACUUMed afterwards, and
+ * FTS/ANN are rebuilt since VACUUM may renumber rowids.
+ *
+ * Usage:
+ *   node src/prune.js --dry-run     # report only
+ *   node src/prune.js [--vacuum]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config.js');
+const { openDatabase, DB_PATH } = require('./migrations.js');
+const { MemoryStore } = require('./memory-store.js');
+const { drainAccessLog, readAccessLog, accessLogFor } = require('./access-tracker.js');
+const { buildIndex } = require('./ann-index.js');
+const { rebuildFts } = require('./3-commit-to-db.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+    archive: 'table',
+    archive_path: path.join(__dirname, '..', 'memory-archive.jsonl'),
+    vacuum: false,
+    policies: [],
+};
+
+function getRetentionSettings() {
+    return { ...DEFAULTS, ...(loadConfig().retention || {}) };
+}
+
+/**
+ * Keys referenced by active instincts (evidence_keys in the instinct value).
+ */
+function referencedKeys(db) {
+    const refs = new Set();
+    const values = db.prepare(
+        "SELECT value FROM memories WHERE key LIKE 'agent.instinct.%' AND end_time IS NULL"
+    ).pluck().all();
+    for (const v of values) {
+        let parsed;
+        try { parsed = JSON.parse(v); } catch { continue; }
+        for (const k of parsed?.evidence_keys || []) refs.add(k);
+    }
+    return refs;
+}
+
+function validatePolicy(p) {
+    if (!p || typeof p.prefix !== 'string' || !p.prefix) return 'missing prefix';
+    if (p.max_age_days == null && p.min_access_count == null && p.keep_latest == null) {
+        return 'needs max_age_days, min_access_count or keep_latest';
+    }
+    return null;
+}
+
+/**
+ * Decide what each policy would prune. Read-only.
+ * @param {Database} db
+ * @param {Array<Object>} policies
+ * @param {Object} [opts]
+ * @param {Date} [opts.now]
+ * @param {Map} [opts.pendingHits] - readAccessLog(): hits not yet in access_count
+ * @returns {Array<{ policy, candidates: number, kept: Object, keys: string[] }>}
+ */
+function planPrune(db, policies, { now = new Date(), pendingHits = new Map() } = {}) {
+    const valid = [];
+    for (const p of policies) {
+        const problem = validatePolicy(p);
+        if (problem) console.error(`[prune] skipping policy ${JSON.stringify(p)}: ${problem}`);
+        else valid.push(p);
+    }
+    if (valid.length === 0) return [];
+
+    // Longest prefix first, so a key lands in its most specific policy
+    const ordered = [...valid].sort((a, b) => b.prefix.length - a.prefix.length);
+    const buckets = new Map(ordered.map(p => [p, []]));
+    const rows = db.prepare(
+        'SELECT key, start_time, access_count FROM memories WHERE end_time IS NULL ORDER BY start_time DESC'
+    ).all();
+    for (const r of rows) {
+        const p = ordered.find(p => r.key.startsWith(p.prefix));
+        if (p) buckets.get(p).push(r);
+    }
+
+    const refs = valid.some(p => p.keep_if_referenced) ? referencedKeys(db) : new Set();
+
+    return valid.map(policy => {
+        const candidates = buckets.get(policy);
+        const kept = { latest: 0, recent: 0, accessed: 0, referenced: 0 };
+        const keys = [];
+        const cutoff = policy.max_age_days != null ? now.getTime() - policy.max_age_days * DAY_MS : null;
+
+        candidates.forEach((r, i) => {
+            if (policy.keep_latest != null && i < policy.keep_latest) kept.latest++;
+            else if (cutoff != null && !(Date.parse(r.start_time) < cutoff)) kept.recent++;
+            else if (policy.min_access_count != null
+                && (r.access_count || 0) + (pendingHits.get(r.key)?.count || 0) >= policy.min_access_count) kept.accessed++;
+            else if (policy.keep_if_referenced && refs.has(r.key)) kept.referenced++;
+            else keys.push(r.key);
+        });
+
+        return { policy, candidates: candidates.length, kept, keys };
+    });
+}
+
+/**
+ * Archive and delete every version of the planned keys.
+ * @returns {number} - rows removed
+ */
+function applyPrune(db, plan, { archive = DEFAULTS.archive, archivePath = DEFAULTS.archive_path } = {}) {
+    const store = new MemoryStore(db);
+    const prunedAt = new Date().toISOString();
+    const versions = db.prepare(`
+        SELECT key, value, source, start_time, end_time, access_count, last_accessed, confidence, trust_class
+        FROM memories WHERE key = ? ORDER BY start_time
+    `);
+    const insertArchive = db.prepare(`
+        INSERT INTO memories_archive
+            (key, value, source, start_time, end_time, access_count, last_accessed, pruned_at, policy, confidence, trust_class)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const lines = [];
+    let removed = 0;
+    store.transaction(() => {
+        for (const { policy, keys } of plan) {
+            for (const key of keys) {
+                for (const r of versions.all(key)) {
+                    if (archive === 'table') {
+                        insertArchive.run(r.key, r.value, r.source, r.start_time, r.end_time,
+                            r.access_count, r.last_accessed, prunedAt, policy.prefix, r.confidence, r.trust_class);
+                    } else if (archive === 'jsonl') {
+                        lines.push(JSON.stringify({ ...r, pruned_at: prunedAt, policy: policy.prefix }));
+                    }
+                }
+                removed += store.delete(key, { hard: true, keepProvenance: archive === 'table' });
+            }
+        }
+        // Write the cold file inside the transaction: a failure rolls the deletes back
+        if (lines.length > 0) fs.appendFileSync(archivePath, lines.join('\n') + '\n');
+    });
+    return removed;
+}
+
+/**
+ * VACUUM, then rebuild what is keyed by rowid.
+ */
+function vacuum(db) {
+    db.exec('VACUUM');
+    rebuildFts(db);
+    const models = db.prepare('SELECT model FROM ann_meta').pluck().all();
+    for (const model of models) buildIndex(db, { model });
+}
+
+/**
+ * Run the configured retention policies.
+ * @param {Database} db - writable, unless dryRun
+ * @param {Object} [opts]
+ * @param {boolean} [opts.dryRun]
+ * @param {boolean} [opts.vacuum] - overrides retention.vacuum
+ * @param {Object} [opts.settings] - overrides digest-config.json retention
+ * @returns {{ dryRun, plan, removed: number, vacuumed: boolean }}
+ */
+function runPrune(db, { dryRun = false, vacuum: doVacuum, settings = getRetentionSettings() } = {}) {
+    settings = { ...DEFAULTS, ...settings };
+    // Current access counts: a dry run counts the spooled hits without draining them
+    const spool = accessLogFor(db.name);
+    const pendingHits = dryRun ? readAccessLog(spool) : new Map();
+    if (!dryRun) drainAccessLog(db, spool);
+
+    const plan = planPrune(db, settings.policies || [], { pendingHits });
+    const report = { dryRun, plan, removed: 0, vacuumed: false };
+    if (dryRun) return report;
+
+    if (plan.some(p => p.keys.length > 0)) {
+        report.removed = applyPrune(db, plan, { archive: settings.archive, archivePath: settings.archive_path });
+    }
+    if (doVacuum ?? settings.vacuum) {
+        vacuum(db);
+        report.vacuumed = true;
+    }
+    return report;
+}
+
+function printReport(report) {
+    if (report.plan.length === 0) {
+        console.log('No retention policies configured (retention.policies in digest-config.json).');
+        return;
+    }
+    for (const { policy, candidates, kept, keys } of report.plan) {
+        const keptStr = Object.entries(kept).filter(([, n]) => n > 0).map(([why, n]) => `${n} ${why}`).join(', ');
+        console.log(`${policy.prefix}*  ${candidates} active, ${keys.length} to prune${keptStr ? ` (kept: ${keptStr})` : ''}`);
+        if (report.dryRun) {
+            for (const key of keys.slice(0, 20)) console.log(`  - ${key}`);
+            if (keys.length > 20) console.log(`  … ${keys.length - 20} more`);
+        }
+    }
+    if (report.dryRun) {
+        console.log('\nDry run — nothing deleted.');
+    } else {
+        console.log(`\nPruned ${report.removed} row(s).${report.vacuumed ? ' Database vacuumed.' : ''}`);
+    }
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    if (!fs.existsSync(DB_PATH)) {
+        console.error('Database not found:', DB_PATH);
+        process.exit(1);
+    }
+
+    const db = openDatabase(DB_PATH, { readonly: dryRun });
+    try {
+        printReport(runPrune(db, { dryRun, vacuum: args.includes('--vacuum') || undefined }));
+    } finally {
+        db.close();
+    }
+}
+
+module.exports = { runPrune, planPrune, applyPrune, getRetentionSettings };
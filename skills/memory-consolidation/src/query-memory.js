@@ -1,4 +1,6 @@
-const Database = require('better-sqlite3');
+const { openDatabase } = require('./migrations.js');
+const { AccessTracker } = require('./access-tracker.js');
+const { loadTrust } = require('./trust.js');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
@@ -12,6 +14,11 @@ function loadConfig() {
     catch { return { min_count_for_l0: 5, max_categories_in_l0: 15 }; }
 }
 
+// Facts injected by prefix or query must be at least this trusted (pinned keys always are)
+function minInjectionConfidence() {
+    return loadTrust(loadConfig()).min_injection_confidence;
+}
+
 function parseArgs() {
     const args = process.argv.slice(2);
     const opts = { keys: null, prefix: null, query: null, limit: 10, format: 'text' };
@@ -66,7 +73,7 @@ function mergeWithRRF(vectorResults, ftsResults, k = 60) {
 async function hybridQuery(query, limit = 10) {
     if (!fs.existsSync(dbPath) || !query) return [];
 
-    const db = new Database(dbPath, { readonly: true });
+    const db = openDatabase(dbPath, { readonly: true });
     db.pragma('busy_timeout = 5000');
 
     // FTS search
@@ -83,9 +90,10 @@ async function hybridQuery(query, limit = 10) {
                 SELECT m.key, m.value FROM memories m
                 JOIN memories_fts fts ON m.rowid = fts.rowid
                 WHERE memories_fts MATCH ? AND m.end_time IS NULL
+                  AND COALESCE(m.confidence, 0) >= ?
                 ORDER BY bm25(memories_fts)
                 LIMIT ?
-            `).all(safeQuery, limit * 2).map(r => {
+            `).all(safeQuery, minInjectionConfidence(), limit * 2).map(r => {
                 let value;
                 try { value = JSON.parse(r.value); } catch { value = r.value; }
                 return { key: r.key, value };
@@ -99,30 +107,20 @@ async function hybridQuery(query, limit = 10) {
     let vectorResults = [];
     try {
         const { embedTexts } = require('./embed.js');
+        const { searchVectors } = require('./ann-index.js');
         const queryEmbeddings = await embedTexts([query]);
         if (queryEmbeddings && queryEmbeddings[0]) {
-            const queryVec = queryEmbeddings[0];
-            const rows = db.prepare(`
-                SELECT key, value, embedding FROM memories
-                WHERE embedding IS NOT NULL AND end_time IS NULL
-            `).all();
-
-            vectorResults = rows
+            // Only compares against vectors from the same embedding model
+            const trusted = db.prepare('SELECT COALESCE(confidence, 0) >= ? FROM memories WHERE rowid = ?').pluck();
+            const floor = minInjectionConfidence();
+            vectorResults = searchVectors(db, queryEmbeddings[0], { limit: limit * 2 })
+                .filter(row => trusted.get(floor, row.rowid))
+                .slice(0, limit)
                 .map(row => {
-                    const stored = new Float32Array(row.embedding.buffer, row.embedding.byteOffset, row.embedding.byteLength / 4);
-                    let dot = 0, normA = 0, normB = 0;
-                    for (let i = 0; i < queryVec.length && i < stored.length; i++) {
-                        dot += queryVec[i] * stored[i];
-                        normA += queryVec[i] ** 2;
-                        normB += stored[i] ** 2;
-                    }
-                    const similarity = dot / (Math.sqrt(normA) * Math.sqrt(normB) || 1);
                     let value;
                     try { value = JSON.parse(row.value); } catch { value = row.value; }
-                    return { key: row.key, value, similarity };
-                })
-                .sort((a, b) => b.similarity - a.similarity)
-                .slice(0, limit);
+                    return { key: row.key, value, similarity: row.similarity };
+                });
         }
     } catch {
         // embed.js not available or embedding failed
@@ -141,7 +139,7 @@ async function hybridQuery(query, limit = 10) {
 
 function queryL1(opts) {
     if (!fs.existsSync(dbPath)) return [];
-    const db = new Database(dbPath, { readonly: true });
+    const db = openDatabase(dbPath, { readonly: true });
     let rows = [];
 
     if (opts.keys) {
@@ -152,12 +150,13 @@ function queryL1(opts) {
             LIMIT ?
         `).all(...opts.keys, opts.limit);
     } else if (opts.prefix) {
+        // Most trusted first, so the limit drops the least trusted
         rows = db.prepare(`
             SELECT key, value FROM memories
-            WHERE key LIKE ? AND end_time IS NULL
-            ORDER BY key
+            WHERE key LIKE ? AND end_time IS NULL AND COALESCE(confidence, 0) >= ?
+            ORDER BY confidence DESC, key
             LIMIT ?
-        `).all(opts.prefix + '%', opts.limit);
+        `).all(opts.prefix + '%', minInjectionConfidence(), opts.limit);
     }
 
     db.close();
@@ -170,7 +169,7 @@ function queryL1(opts) {
 
 function getTopErrors(limit = 5) {
     if (!fs.existsSync(dbPath)) return [];
-    const db = new Database(dbPath, { readonly: true });
+    const db = openDatabase(dbPath, { readonly: true });
 
     // Get top errors by count (stored in JSON value)
     // Use CASE to handle both JSON and non-JSON values
@@ -210,17 +209,17 @@ function getTopErrors(limit = 5) {
  */
 function getRelevantAgentMemory(limit = 5) {
     if (!fs.existsSync(dbPath)) return [];
-    const db = new Database(dbPath, { readonly: true });
+    const db = openDatabase(dbPath, { readonly: true });
 
     let rows;
     try {
         rows = db.prepare(`
             SELECT key, value FROM memories
             WHERE (key LIKE 'agent.case.%' OR key LIKE 'agent.pattern.%')
-              AND end_time IS NULL
-            ORDER BY start_time DESC
+              AND end_time IS NULL AND COALESCE(confidence, 0) >= ?
+            ORDER BY confidence DESC, start_time DESC
             LIMIT ?
-        `).all(limit);
+        `).all(minInjectionConfidence(), limit);
     } catch {
         rows = [];
     }
@@ -242,7 +241,7 @@ function getRelevantAgentMemory(limit = 5) {
  */
 function getInstincts(limit = 10, minConfidence = 0.6) {
     if (!fs.existsSync(dbPath)) return [];
-    const db = new Database(dbPath, { readonly: true });
+    const db = openDatabase(dbPath, { readonly: true });
 
     let rows;
     try {
@@ -304,9 +303,7 @@ function getLatestCheckpoint() {
  */
 function checkAndClearNudge() {
     if (!fs.existsSync(dbPath)) return null;
-    const db = new Database(dbPath);
-    db.pragma('journal_mode = WAL');
-    db.pragma('busy_timeout = 5000');
+    const db = openDatabase(dbPath);
 
     let nudge = null;
     try {
@@ -319,8 +316,8 @@ function checkAndClearNudge() {
         if (row) {
             try { nudge = JSON.parse(row.value); } catch { nudge = null; }
             // Clear the nudge after reading
-            const now = new Date().toISOString();
-            db.prepare(`UPDATE memories SET end_time = ? WHERE key = 'system.nudge.pending' AND end_time IS NULL`).run(now);
+            const { MemoryStore } = require('./memory-store.js');
+            new MemoryStore(db).delete('system.nudge.pending');
         }
     } catch {
         nudge = null;
@@ -442,6 +439,11 @@ async function main() {
     const checkpoint = isHookFormat ? getLatestCheckpoint() : null;
     const nudge = isHookFormat ? checkAndClearNudge() : null;
 
+    // Count every fact served from the DB (flushed to the access spool)
+    const tracker = new AccessTracker();
+    tracker.record([...l1Facts, ...topErrors, ...agentMemory, ...instincts]);
+    tracker.flush();
+
     if (opts.format === 'json') {
         process.stdout.write(JSON.stringify({
             digest,
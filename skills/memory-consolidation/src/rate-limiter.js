@@ -0,0 +1,185 @@
+/**
+ * Rate Limiter - token buckets per LLM provider, shared by every call in the
+ * process (see llm-provider.js).
+ *
+ * Limits come from llm.providers.<name>.rate_limit in digest-config.json
+ * (task settings may override), any subset of:
+ *   rpm  requests per minute
+ *   tpm  tokens per minute (estimated from prompt + input length)
+ *   rpd  requests per day
+ * Each limit is a bucket that refills continuously over its window. acquire()
+ * waits until the per-minute buckets have room, in FIFO order so concurrent
+ * workers take turns. Once the daily bucket is empty acquire() fails with a
+ * RateLimitError instead of trickling requests out for the rest of the day.
+ *
+ * The daily bucket outlives the process: its level is kept per provider in a
+ * state file (memory.db-ratelimit.json next to the DB, or MEMORY_RATE_STATE)
+ * and re-read before every request, so cron runs share one day's quota.
+ * Processes running at the same time may each spend a request the other
+ * already counted; the file is a budget, not a lock.
+ *
+ * pause() holds the provider for a while (a 429 from the server): every
+ * caller waits, not just the one that was throttled.
+ *
+ * Usage:
+ *   const { getRateLimiter } = require('./rate-limiter.js');
+ *   const limiter = getRateLimiter('gemini', { rpm: 15, tpm: 250000, rpd: 1000 });
+ *   await limiter.acquire(estimateTokens(prompt, input));
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DB_PATH = process.env.MEMORY_DB_PATH || path.join(__dirname, '..', 'memory.db');
+const STATE_FILE = process.env.MEMORY_RATE_STATE || `${DB_PATH}-ratelimit.json`;
+
+class RateLimitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RateLimitError';
+    }
+}
+
+/**
+ * Rough token count (~4 chars per token) for TPM accounting.
+ */
+function estimateTokens(...texts) {
+    return Math.ceil(texts.reduce((n, t) => n + (t ? t.length : 0), 0) / 4);
+}
+
+class TokenBucket {
+    constructor(capacity, windowMs, now) {
+        this.capacity = capacity;
+        this.rate = capacity / windowMs;   // tokens per ms
+        this.tokens = capacity;
+        this.updated = now;
+    }
+
+    refill(now) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updated) * this.rate);
+        this.updated = now;
+    }
+
+    // ms until `cost` tokens are available (0 = now)
+    waitFor(cost, now) {
+        this.refill(now);
+        const need = Math.min(cost, this.capacity) - this.tokens;
+        return need <= 0 ? 0 : Math.ceil(need / this.rate);
+    }
+
+    take(cost) {
+        this.tokens -= Math.min(cost, this.capacity);
+    }
+}
+
+class RateLimiter {
+    /**
+     * @param {string} name - provider name, for messages
+     * @param {Object} [limits] - { rpm, tpm, rpd }
+     * @param {Object} [opts]
+     * @param {Function} [opts.now] - clock (tests)
+     * @param {Function} [opts.sleep] - async (ms) => void (tests)
+     * @param {string|null} [opts.statePath] - where the daily bucket is kept
+     *   between processes (null: this process only)
+     */
+    constructor(name, { rpm, tpm, rpd } = {}, {
+        now = Date.now, sleep = ms => new Promise(r => setTimeout(r, ms)), statePath = null,
+    } = {}) {
+        this.name = name;
+        this.now = now;
+        this.sleep = sleep;
+        this.statePath = statePath;
+        const t = now();
+        this.requests = rpm ? new TokenBucket(rpm, MINUTE_MS, t) : null;
+        this.tokens = tpm ? new TokenBucket(tpm, MINUTE_MS, t) : null;
+        this.daily = rpd ? new TokenBucket(rpd, DAY_MS, t) : null;
+        this.pausedUntil = 0;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Wait for a slot for one request of ~tokens tokens.
+     * @throws {RateLimitError} when the daily limit is used up
+     */
+    acquire(tokens = 0) {
+        const turn = this.queue.then(() => this.waitForSlot(tokens));
+        // Later callers queue behind this one whether it succeeds or not
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    async waitForSlot(tokens) {
+        for (;;) {
+            const now = this.now();
+            this.loadDaily(now);
+            if (this.daily && this.daily.waitFor(1, now) > 0) {
+                throw new RateLimitError(`${this.name}: daily request limit reached`);
+            }
+            const wait = Math.max(0,
+                this.pausedUntil - now,
+                this.requests ? this.requests.waitFor(1, now) : 0,
+                this.tokens ? this.tokens.waitFor(tokens, now) : 0);
+            if (wait === 0) break;
+            await this.sleep(wait);
+        }
+        this.requests?.take(1);
+        this.tokens?.take(tokens);
+        this.daily?.take(1);
+        this.saveDaily();
+    }
+
+    // Other processes' requests today count too
+    loadDaily(now) {
+        if (!this.daily || !this.statePath) return;
+        const saved = readState(this.statePath)[this.name];
+        if (!saved) return;
+        this.daily.tokens = Math.min(this.daily.capacity, saved.tokens);
+        this.daily.updated = Math.min(saved.updated, now);
+    }
+
+    saveDaily() {
+        if (!this.daily || !this.statePath) return;
+        const state = readState(this.statePath);
+        state[this.name] = { tokens: this.daily.tokens, updated: this.daily.updated };
+        try {
+            const tmp = `${this.statePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(state));
+            fs.renameSync(tmp, this.statePath);
+        } catch (err) {
+            // Not fatal: the quota is then only enforced within this process
+            console.error(`Rate limit state not saved: ${err.message}`);
+        }
+    }
+
+    /**
+     * Hold every caller for ms (server-side throttling).
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, this.now() + ms);
+    }
+}
+
+function readState(statePath) {
+    try {
+        return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+// One limiter per provider per process
+const limiters = new Map();
+
+/**
+ * Shared limiter for a provider; created on first use with these limits.
+ * Its daily bucket is kept in STATE_FILE.
+ */
+function getRateLimiter(name, limits) {
+    if (!limiters.has(name)) limiters.set(name, new RateLimiter(name, limits, { statePath: STATE_FILE }));
+    return limiters.get(name);
+}
+
+module.exports = { RateLimiter, RateLimitError, getRateLimiter, estimateTokens };
@@ -0,0 +1,196 @@
+/**
+ * Run Ledger - one pipeline_runs row per pipeline run (MEMORY_RUN_ID).
+ *
+ * pipeline.js opens the row (startRun), marks each step it completes
+ * (completeStep, which is what --resume continues from) and closes it
+ * (finishRun); each step adds its counts with recordStep(). Counts are summed per step, so a
+ * step that runs once per session (step 1) accumulates across sessions. Every
+ * step also reports the LLM calls made since the last recordStep() in this
+ * process (llm-provider.js), so in-process runs attribute calls per step.
+ *
+ * steps JSON: { "<step>": { "<metric>": n, ..., "llm_calls": n, "llm_failures": n } }
+ * sessions, llm_calls and failures (any "failures"/"llm_failures" metric) are
+ * rolled up into columns when the run finishes.
+ *
+ * Usage:
+ *   const { recordStepForRun } = require('./run-ledger.js');
+ *   recordStepForRun('embed', { embedded: 12 });   // no-op outside a run
+ */
+
+const { openDatabase, DB_PATH } = require('./migrations.js');
+const { getCallStats } = require('./llm-provider.js');
+
+// LLM call counts already attributed to a step by this process
+const reported = { calls: 0, failures: 0 };
+
+function ensureRun(db, runId, mode = null) {
+    db.prepare(`
+        INSERT OR IGNORE INTO pipeline_runs (run_id, mode, started_at) VALUES (?, ?, ?)
+    `).run(runId, mode, new Date().toISOString());
+}
+
+/**
+ * Open a run. Re-starting a run (resume) keeps its started_at, steps and
+ * last_step and sets it running again.
+ * @param {Object} [opts]
+ * @param {string} [opts.mode]
+ * @param {Object} [opts.args] - what the run was started with, for resume
+ * @param {string} [opts.workDir] - the run's intermediate files
+ */
+function startRun(db, runId, { mode = null, args = null, workDir = null } = {}) {
+    ensureRun(db, runId, mode);
+    db.prepare(`
+        UPDATE pipeline_runs
+        SET mode = COALESCE(?, mode), args = COALESCE(?, args), work_dir = COALESCE(?, work_dir),
+            status = 'running', finished_at = NULL, error = NULL
+        WHERE run_id = ?
+    `).run(mode, args && JSON.stringify(args), workDir, runId);
+}
+
+/**
+ * Mark a step done; a resumed run starts after the last one marked.
+ */
+function completeStep(db, runId, step) {
+    db.prepare('UPDATE pipeline_runs SET last_step = ? WHERE run_id = ?').run(step, runId);
+}
+
+/**
+ * Add a step's metrics to the run. Numbers are summed with earlier calls for
+ * the same step; anything else replaces the previous value.
+ * @param {Database} db - writable
+ * @param {string} runId
+ * @param {string} step - e.g. 'extract', 'commit', 'embed'
+ * @param {Object} metrics
+ * @param {Object} [opts]
+ * @param {boolean} [opts.llm] - add the LLM calls made since the last record (default true)
+ */
+function recordStep(db, runId, step, metrics, { llm = true } = {}) {
+    const counts = { ...metrics };
+    if (llm) {
+        const stats = getCallStats();
+        counts.llm_calls = stats.calls - reported.calls;
+        counts.llm_failures = stats.failures - reported.failures;
+        Object.assign(reported, stats);
+    }
+
+    db.transaction(() => {
+        ensureRun(db, runId);
+        const steps = JSON.parse(db.prepare('SELECT steps FROM pipeline_runs WHERE run_id = ?').pluck().get(runId));
+        const current = steps[step] || {};
+        for (const [k, v] of Object.entries(counts)) {
+            current[k] = typeof v === 'number' && typeof current[k] === 'number' ? current[k] + v : v;
+        }
+        steps[step] = current;
+        db.prepare('UPDATE pipeline_runs SET steps = ? WHERE run_id = ?').run(JSON.stringify(steps), runId);
+    })();
+}
+
+/**
+ * recordStep() for the run in MEMORY_RUN_ID, opening memory.db itself.
+ * No-op outside a pipeline run; never throws (metrics must not fail a step).
+ */
+function recordStepForRun(step, metrics, { runId = process.env.MEMORY_RUN_ID, dbPath = DB_PATH } = {}) {
+    if (!runId) return;
+    let db;
+    try {
+        db = openDatabase(dbPath);
+        recordStep(db, runId, step, metrics);
+    } catch (err) {
+        console.error(`[run-ledger] could not record ${step}: ${err.message}`);
+    } finally {
+        db?.close();
+    }
+}
+
+/**
+ * Close a run and roll the step metrics up into its columns.
+ * @param {Object} [opts]
+ * @param {string} [opts.status] - 'ok' | 'failed'
+ * @param {string} [opts.error]
+ */
+function finishRun(db, runId, { status = 'ok', error = null } = {}) {
+    db.transaction(() => {
+        ensureRun(db, runId);
+        const run = db.prepare('SELECT started_at, steps FROM pipeline_runs WHERE run_id = ?').get(runId);
+        const steps = JSON.parse(run.steps);
+
+        let llmCalls = 0, failures = 0;
+        for (const m of Object.values(steps)) {
+            llmCalls += m.llm_calls || 0;
+            failures += (m.failures || 0) + (m.llm_failures || 0);
+        }
+        const finishedAt = new Date();
+
+        db.prepare(`
+            UPDATE pipeline_runs
+            SET status = ?, error = ?, finished_at = ?, duration_ms = ?,
+                sessions = ?, llm_calls = ?, failures = ?
+            WHERE run_id = ?
+        `).run(status, error, finishedAt.toISOString(), finishedAt - new Date(run.started_at),
+            steps.extract?.sessions || 0, llmCalls, failures, runId);
+    })();
+}
+
+function parseRun(row) {
+    return row && { ...row, steps: JSON.parse(row.steps), args: row.args && JSON.parse(row.args) };
+}
+
+/**
+ * Most recent runs first.
+ */
+function listRuns(db, { limit = 20 } = {}) {
+    return db.prepare('SELECT * FROM pipeline_runs ORDER BY started_at DESC LIMIT ?').all(limit).map(parseRun);
+}
+
+function getRun(db, runId) {
+    return parseRun(db.prepare('SELECT * FROM pipeline_runs WHERE run_id = ?').get(runId));
+}
+
+function formatDuration(ms) {
+    if (ms == null) return '—';
+    const s = Math.round(ms / 1000);
+    return s < 60 ? `${s}s` : `${Math.floor(s / 60)}m${String(s % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * One line per run, for the CLI and MCP server.
+ */
+function formatRunLine(run) {
+    const commit = run.steps.commit;
+    const facts = commit ? ` | +${commit.new || 0} ~${commit.updated || 0} ⇄${commit.merged || 0}` : '';
+    return `${run.run_id}  ${run.status.padEnd(7)} ${(run.mode || '?').padEnd(8)} ` +
+        `${run.started_at.slice(0, 16)}  ${formatDuration(run.duration_ms).padStart(6)}  ` +
+        `${run.sessions} sessions, ${run.llm_calls} LLM calls, ${run.failures} failures${facts}`;
+}
+
+/**
+ * Multi-line detail for one run, with every step's metrics.
+ */
+function formatRunDetail(run) {
+    const lines = [
+        `Run ${run.run_id} (${run.mode || '?'}) — ${run.status}`,
+        `  started ${run.started_at}, finished ${run.finished_at || '—'} (${formatDuration(run.duration_ms)})`,
+        `  sessions ${run.sessions}, LLM calls ${run.llm_calls}, failures ${run.failures}`,
+    ];
+    if (run.error) lines.push(`  error: ${run.error}`);
+    if (run.status === 'failed' && run.work_dir) {
+        lines.push(`  resume: node src/pipeline.js --resume ${run.run_id}  (after ${run.last_step || 'nothing'})`);
+    }
+    for (const [step, metrics] of Object.entries(run.steps)) {
+        const parts = Object.entries(metrics).map(([k, v]) => `${k}=${v}`).join(' ');
+        lines.push(`  ${step.padEnd(10)} ${parts}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    startRun,
+    completeStep,
+    recordStep,
+    recordStepForRun,
+    finishRun,
+    listRuns,
+    getRun,
+    formatRunLine,
+    formatRunDetail,
+};
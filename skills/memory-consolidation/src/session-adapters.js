@@ -0,0 +1,387 @@
+/**
+ * Session Adapters - one registry that turns any supported agent transcript
+ * into a common message model, so the extractors (1-extract-facts.js,
+ * extract-agent-learnings.js, extract-errors.js, extract-checkpoint.js, the
+ * Gemini converters) no longer each parse their own subset of formats.
+ *
+ * Message model:
+ *   { id, role: 'user'|'assistant'|'tool', text, timestamp,
+ *     toolCalls:   [{ id, name, input }],
+ *     toolResults: [{ id, error, content }] }
+ *
+ * Built-in adapters, tried in this order:
+ *   claude-code  type user|assistant|progress records, content blocks, uuid
+ *   openclaw     type "message" records with a nested message and an id
+ *   codex        Codex CLI rollouts (response_item payloads, function calls)
+ *   gemini       Gemini CLI session JSON ({ sessionId, messages }) and
+ *                { role: user|model, parts } records
+ *   generic      any { role, content|text } record, nested in "message" or not
+ *
+ * JSONL adapters implement detect(record) and parse(record) → message|null,
+ * so a slice of lines (a session tail) parses on its own. Whole-document
+ * formats implement detectDocument(doc) and parseDocument(doc) → messages.
+ * The format is detected from the first records of a file; the first adapter
+ * that recognises one of them wins, generic last.
+ *
+ * Plug-ins (Aider, Cursor exports, ...): modules listed in
+ * digest-config.json sessions.adapters (paths relative to the skill root)
+ * exporting an adapter or an array of them, or registerAdapter() at runtime.
+ * Plug-ins are tried before the built-ins.
+ *
+ * Usage:
+ *   const { readSession, detectFile, parseLines } = require('./session-adapters.js');
+ *   const { adapter, messages } = readSession('session.jsonl');
+ *   const tail = parseLines(lines, detectFile('session.jsonl'));
+ *   fs.writeFileSync(out, toGenericLines(messages).join('\n') + '\n');   // converters
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config.js');
+
+const SKILL_ROOT = path.join(__dirname, '..');
+const DETECT_BYTES = 64 * 1024;
+const DETECT_RECORDS = 20;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function message(fields) {
+    return { id: null, role: null, text: '', timestamp: null, toolCalls: [], toolResults: [], ...fields };
+}
+
+// String content, or the text parts of a list of blocks
+function textOf(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .filter(p => p && typeof p.text === 'string' && (!p.type || /text/.test(p.type)))
+        .map(p => p.text)
+        .join('\n');
+}
+
+function parseJson(value) {
+    if (typeof value !== 'string') return value;
+    try { return JSON.parse(value); } catch { return value; }
+}
+
+// ── Built-in adapters ─────────────────────────────────────────────────────────
+
+// Anthropic-style content blocks: text, tool_use, tool_result
+function fromAnthropicMessage(msg, fields) {
+    const content = msg.content;
+    if (!msg.role || !content) return null;
+    const out = message({ role: msg.role, ...fields });
+    if (typeof content === 'string') {
+        out.text = content;
+        return out;
+    }
+    if (!Array.isArray(content)) return null;
+    const texts = [];
+    for (const block of content) {
+        if (block.type === 'text' && block.text) texts.push(block.text);
+        else if (block.type === 'tool_use') out.toolCalls.push({ id: block.id, name: block.name, input: block.input });
+        else if (block.type === 'tool_result') {
+            out.toolResults.push({ id: block.tool_use_id, error: block.is_error === true, content: textOf(block.content) });
+        }
+    }
+    out.text = texts.join('\n');
+    return out;
+}
+
+const claudeCode = {
+    name: 'claude-code',
+    detect(record) {
+        return ['user', 'assistant', 'human', 'progress', 'summary'].includes(record.type) &&
+            (record.uuid !== undefined || record.sessionId !== undefined || record.type === 'human');
+    },
+    parse(record) {
+        const fields = { id: record.uuid || null, timestamp: record.timestamp || null };
+        if (record.type === 'progress' && record.data?.message?.message) {
+            // Sub-agent progress: the message is nested one level down
+            const nested = record.data.message;
+            return fromAnthropicMessage(nested.message, { ...fields, timestamp: nested.timestamp || fields.timestamp });
+        }
+        if (record.type === 'human' && typeof record.message === 'string') {
+            return message({ ...fields, role: 'user', text: record.message });
+        }
+        if (record.type !== 'user' && record.type !== 'assistant' && record.type !== 'human') return null;
+        return record.message ? fromAnthropicMessage(record.message, fields) : null;
+    },
+};
+
+const openclaw = {
+    name: 'openclaw',
+    detect(record) {
+        return record.type === 'message' && record.message?.role !== undefined && record.id !== undefined;
+    },
+    parse(record) {
+        if (record.type !== 'message' || !record.message) return null;
+        const msg = record.message;
+        const fields = { id: record.id || null, timestamp: record.timestamp || null };
+        if (msg.role === 'toolResult') {
+            return message({
+                ...fields,
+                role: 'tool',
+                toolResults: [{ id: msg.toolCallId, error: msg.isError === true, content: textOf(msg.content) }],
+            });
+        }
+        const out = fromAnthropicMessage(msg, fields);
+        if (out && Array.isArray(msg.content)) {
+            for (const block of msg.content) {
+                if (block.type === 'toolCall') out.toolCalls.push({ id: block.id, name: block.name, input: block.arguments });
+            }
+        }
+        return out;
+    },
+};
+
+const codex = {
+    name: 'codex',
+    detect(record) {
+        return record.type === 'session_meta' || record.type === 'response_item' ||
+            (record.type === 'message' && typeof record.role === 'string' && Array.isArray(record.content));
+    },
+    parse(record) {
+        // Newer rollouts wrap each item; older ones are the bare item
+        const item = record.type === 'response_item' ? record.payload : record;
+        if (!item) return null;
+        const fields = { id: item.id || null, timestamp: record.timestamp || null };
+        if (item.type === 'message') {
+            if (item.role !== 'user' && item.role !== 'assistant') return null;
+            return message({ ...fields, role: item.role, text: textOf(item.content) });
+        }
+        if (item.type === 'function_call' || item.type === 'local_shell_call') {
+            const input = item.type === 'function_call' ? parseJson(item.arguments) : item.action;
+            return message({ ...fields, role: 'assistant', toolCalls: [{ id: item.call_id, name: item.name || 'shell', input }] });
+        }
+        if (item.type === 'function_call_output') {
+            const output = parseJson(item.output);
+            const content = typeof output === 'string' ? output : output?.output ?? JSON.stringify(output);
+            const exitCode = output?.metadata?.exit_code;
+            return message({
+                ...fields,
+                role: 'tool',
+                toolResults: [{ id: item.call_id, error: typeof exitCode === 'number' && exitCode !== 0, content }],
+            });
+        }
+        return null;
+    },
+};
+
+const gemini = {
+    name: 'gemini',
+    // { role: 'user'|'model', parts: [{ text }] } records (API contents)
+    detect(record) {
+        return (record.role === 'user' || record.role === 'model') && Array.isArray(record.parts);
+    },
+    parse(record) {
+        if (!Array.isArray(record.parts)) return null;
+        const out = message({ role: record.role === 'model' ? 'assistant' : 'user', timestamp: record.timestamp || null });
+        out.text = textOf(record.parts);
+        for (const part of record.parts) {
+            if (part.functionCall) out.toolCalls.push({ id: part.functionCall.id, name: part.functionCall.name, input: part.functionCall.args });
+        }
+        return out;
+    },
+    // Gemini CLI chats/session-*.json
+    detectDocument(doc) {
+        return Array.isArray(doc?.messages) && doc.messages.some(m => m.type === 'user' || m.type === 'gemini');
+    },
+    parseDocument(doc) {
+        const startTime = doc.startTime || null;
+        const messages = [];
+        for (const msg of doc.messages) {
+            if (msg.type !== 'user' && msg.type !== 'gemini') continue;
+            const out = message({
+                id: msg.id || null,
+                role: msg.type === 'user' ? 'user' : 'assistant',
+                text: textOf(msg.content),
+                timestamp: msg.timestamp || startTime,
+            });
+            for (const call of msg.toolCalls || []) {
+                out.toolCalls.push({ id: call.id, name: call.name, input: call.args });
+                if (call.status) {
+                    out.toolResults.push({ id: call.id, error: call.status === 'error', content: textOf(call.resultDisplay) });
+                }
+            }
+            messages.push(out);
+        }
+        return messages;
+    },
+};
+
+const generic = {
+    name: 'generic',
+    detect(record) {
+        const msg = record.message && typeof record.message === 'object' ? record.message : record;
+        return typeof msg.role === 'string' && (msg.content !== undefined || typeof msg.text === 'string');
+    },
+    parse(record) {
+        const msg = record.message && typeof record.message === 'object' ? record.message : record;
+        if (typeof msg.role !== 'string') return null;
+        const out = fromAnthropicMessage({ role: msg.role, content: msg.content ?? msg.text }, {
+            id: record.id || record.uuid || null,
+            timestamp: record.timestamp || msg.timestamp || null,
+        });
+        if (out && (out.role === 'model' || out.role === 'ai')) out.role = 'assistant';
+        if (out && out.role === 'human') out.role = 'user';
+        return out;
+    },
+};
+
+const BUILTIN_ADAPTERS = [claudeCode, openclaw, codex, gemini, generic];
+
+// ── Registry ──────────────────────────────────────────────────────────────────
+
+const plugins = [];
+let configLoaded = false;
+
+/**
+ * Add an adapter ahead of the built-ins.
+ * @param {Object} adapter - { name, detect, parse } and/or { detectDocument, parseDocument }
+ */
+function registerAdapter(adapter) {
+    if (!adapter || !adapter.name || !((adapter.detect && adapter.parse) || (adapter.detectDocument && adapter.parseDocument))) {
+        throw new Error('A session adapter needs a name and detect/parse or detectDocument/parseDocument');
+    }
+    const existing = plugins.findIndex(a => a.name === adapter.name);
+    if (existing >= 0) plugins.splice(existing, 1);
+    plugins.unshift(adapter);
+}
+
+// sessions.adapters in digest-config.json, once per process
+function loadConfiguredAdapters() {
+    if (configLoaded) return;
+    configLoaded = true;
+    for (const modulePath of loadConfig().sessions?.adapters || []) {
+        const exported = require(path.resolve(SKILL_ROOT, modulePath));
+        for (const adapter of [].concat(exported)) registerAdapter(adapter);
+    }
+}
+
+function getAdapters() {
+    loadConfiguredAdapters();
+    return [...plugins, ...BUILTIN_ADAPTERS];
+}
+
+function getAdapter(name) {
+    const adapter = getAdapters().find(a => a.name === name);
+    if (!adapter) throw new Error(`Unknown session format "${name}" (expected one of: ${getAdapters().map(a => a.name).join(', ')})`);
+    return adapter;
+}
+
+// ── Detection & parsing ───────────────────────────────────────────────────────
+
+/**
+ * Adapter for a list of JSONL lines, from its first parseable records.
+ * @returns {Object|null}
+ */
+function detectLines(lines) {
+    const records = [];
+    for (const line of lines) {
+        if (records.length >= DETECT_RECORDS) break;
+        try {
+            const record = JSON.parse(line);
+            if (record && typeof record === 'object') records.push(record);
+        } catch { /* skip */ }
+    }
+    return getAdapters().find(a => a.detect && records.some(r => a.detect(r))) || null;
+}
+
+/**
+ * Adapter for a JSONL session file, from its head.
+ * @returns {Object|null}
+ */
+function detectFile(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    let head;
+    try {
+        const buf = Buffer.alloc(DETECT_BYTES);
+        head = buf.toString('utf8', 0, fs.readSync(fd, buf, 0, DETECT_BYTES, 0));
+    } finally {
+        fs.closeSync(fd);
+    }
+    return detectLines(head.split('\n').filter(Boolean));
+}
+
+/**
+ * Messages from JSONL lines. Unparseable and non-message lines are skipped.
+ * @param {string[]} lines
+ * @param {Object} [adapter] - default: detected from the lines
+ */
+function parseLines(lines, adapter = detectLines(lines)) {
+    if (!adapter) return [];
+    const messages = [];
+    for (const line of lines) {
+        let record;
+        try { record = JSON.parse(line); } catch { continue; }
+        if (!record || typeof record !== 'object') continue;
+        const msg = adapter.parse(record);
+        if (msg) messages.push(msg);
+    }
+    return messages;
+}
+
+/**
+ * Read a whole session file, JSONL or a whole-document format.
+ * @returns {{ adapter: Object|null, messages: Object[] }}
+ */
+function readSession(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const trimmed = content.trimStart();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        let doc;
+        try { doc = JSON.parse(content); } catch { /* JSONL */ }
+        if (doc !== undefined) {
+            const adapter = getAdapters().find(a => a.detectDocument && a.detectDocument(doc));
+            if (adapter) return { adapter, messages: adapter.parseDocument(doc) };
+        }
+    }
+    const lines = content.split('\n').filter(Boolean);
+    const adapter = detectLines(lines);
+    return { adapter, messages: parseLines(lines, adapter) };
+}
+
+/**
+ * The user/assistant messages that have text: what a transcript shows.
+ */
+function transcriptMessages(messages) {
+    return messages.filter(m => (m.role === 'user' || m.role === 'assistant') && m.text && m.text.trim());
+}
+
+/**
+ * "[user] ..." / "[assistant] ..." transcript of the messages with text.
+ * @param {Array} messages
+ * @param {Object} [opts]
+ * @param {boolean} [opts.numbered] - "[#1 user] ...": the Nth transcriptMessages() entry
+ */
+function formatTranscript(messages, { numbered = false } = {}) {
+    return transcriptMessages(messages)
+        .map((m, i) => (numbered ? `[#${i + 1} ${m.role}] ${m.text}` : `[${m.role}] ${m.text}`))
+        .join('\n\n');
+}
+
+/**
+ * Generic JSONL records for the messages with text (converters write these).
+ * Message IDs are kept, for provenance and the resume check in step 1.
+ * @returns {string[]}
+ */
+function toGenericLines(messages) {
+    return transcriptMessages(messages).map(m => JSON.stringify({
+        type: 'message', ...(m.id ? { id: m.id } : {}), message: { role: m.role, content: m.text }, timestamp: m.timestamp,
+    }));
+}
+
+module.exports = {
+    registerAdapter,
+    getAdapters,
+    getAdapter,
+    detectLines,
+    detectFile,
+    parseLines,
+    readSession,
+    formatTranscript,
+    transcriptMessages,
+    toGenericLines,
+    BUILTIN_ADAPTERS,
+};
@@ -0,0 +1,165 @@
+/**
+ * Session Tracker - the sessions table: what has been extracted from each
+ * session file (replaces the .processed_sessions text file).
+ *
+ * One row per session: source agent, path, mtime, the byte offset extracted
+ * so far, facts extracted, status (done | failed), last error and attempts.
+ * Session JSONL files are append-only, so a session that grew since it was
+ * last extracted is extracted again from byte_offset only; a file that shrank
+ * (rewritten) starts over. A failed session keeps its old offset and is
+ * retried on the next run, until it has failed MAX_ATTEMPTS times in a row
+ * (`memory-cli.js sessions retry <id>` resets that).
+ *
+ * Alongside the offset, a row keeps the ID of the last message extracted
+ * (last_message_uuid), which confirms the offset still points at the same
+ * place in the file, and context_offset, where the last few extracted
+ * messages start: the next extraction re-reads those as context for the LLM
+ * without extracting facts from them again.
+ *
+ * Whole-file sources (Gemini JSON sessions, before conversion) are tracked by
+ * mtime alone, with no offset.
+ *
+ * A legacy .processed_sessions file (skill root) is imported the
+ * first time an empty table is opened: those rows have no offset, so a
+ * session whose mtime changed is re-extracted in full, as before.
+ *
+ * Usage:
+ *   const { planSession, markSession } = require('./session-tracker.js');
+ *   const plan = planSession(db, id, { size, mtime });   // { skip, reason } | { offset }
+ *   markSession(db, id, { path, mtime, offset: end, facts: 3 });
+ *   markSession(db, id, { path, mtime, error: 'LLM failed' });
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEGACY_FILE = path.join(__dirname, '..', '.processed_sessions');
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Import .processed_sessions ("<id>|<mtime>" lines) into an empty table.
+ * @returns {number} - rows imported
+ */
+function importLegacy(db, file = LEGACY_FILE) {
+    if (!fs.existsSync(file)) return 0;
+    if (db.prepare('SELECT 1 FROM sessions LIMIT 1').get()) return 0;
+
+    const insert = db.prepare(`
+        INSERT OR REPLACE INTO sessions (session_id, source, mtime, status, updated_at)
+        VALUES (?, ?, ?, 'done', ?)
+    `);
+    const now = new Date().toISOString();
+    let imported = 0;
+    db.transaction(() => {
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+            const [id, mtime] = line.split('|');
+            if (!id || !mtime) continue;
+            insert.run(id, id.startsWith('gemini:') ? 'gemini-json' : null, mtime, now);
+            imported++;
+        }
+    })();
+    return imported;
+}
+
+function getSession(db, sessionId) {
+    return db.prepare('SELECT * FROM sessions WHERE session_id = ?').get(sessionId);
+}
+
+/**
+ * Decide what to extract from a session file.
+ * @param {Database} db
+ * @param {string} sessionId
+ * @param {Object} file
+ * @param {number} [file.size] - bytes; omit for whole-file sources
+ * @param {string} file.mtime
+ * @returns {{ skip: true, reason: string } | { offset: number, contextOffset?: number, lastUuid?: string }}
+ */
+function planSession(db, sessionId, { size, mtime }) {
+    const row = getSession(db, sessionId);
+    if (!row) return { offset: 0 };
+
+    const resume = { offset: row.byte_offset, contextOffset: row.context_offset, lastUuid: row.last_message_uuid };
+    if (row.status === 'failed') {
+        if (row.attempts >= MAX_ATTEMPTS) return { skip: true, reason: `gave up after ${row.attempts} failed attempts` };
+        return row.byte_offset ? resume : { offset: 0 };
+    }
+    // No offset (whole-file source or legacy row): mtime decides
+    if (row.byte_offset == null || size == null) {
+        return row.mtime === mtime ? { skip: true, reason: 'unchanged' } : { offset: 0 };
+    }
+    if (size < row.byte_offset) return { offset: 0 };
+    if (size === row.byte_offset) return { skip: true, reason: 'unchanged' };
+    return resume;
+}
+
+/**
+ * Record an extraction attempt. Success moves the offset forward and adds
+ * the facts; failure keeps the offset so the same tail is retried.
+ * @param {Object} result
+ * @param {string} [result.source] - e.g. 'claude-code', 'openclaw:<agent>', 'gemini'
+ * @param {string} [result.path]
+ * @param {string} [result.mtime]
+ * @param {number} [result.offset] - bytes extracted through (success only)
+ * @param {number} [result.contextOffset] - start of the messages to re-read as context
+ * @param {string} [result.lastUuid] - ID of the last message extracted
+ * @param {number} [result.facts]
+ * @param {boolean} [result.restart] - extracted from the start: replace fact_count, don't add
+ * @param {string} [result.error] - marks the attempt failed
+ */
+function markSession(db, sessionId, { source = null, path: filePath = null, mtime = null, offset = null, contextOffset = null, lastUuid = null, facts = 0, restart = false, error = null }) {
+    const now = new Date().toISOString();
+    if (error) {
+        db.prepare(`
+            INSERT INTO sessions (session_id, source, path, mtime, status, error, attempts, updated_at)
+            VALUES (?, ?, ?, ?, 'failed', ?, 1, ?)
+            ON CONFLICT(session_id) DO UPDATE SET
+                source = COALESCE(excluded.source, source), path = COALESCE(excluded.path, path),
+                status = 'failed', error = excluded.error, attempts = attempts + 1, updated_at = excluded.updated_at
+        `).run(sessionId, source, filePath, mtime, error, now);
+        return;
+    }
+
+    db.prepare(`
+        INSERT INTO sessions (session_id, source, path, mtime, byte_offset, context_offset, last_message_uuid,
+                              fact_count, status, attempts, updated_at)
+        VALUES (@id, @source, @path, @mtime, @offset, @contextOffset, @lastUuid, @facts, 'done', 0, @now)
+        ON CONFLICT(session_id) DO UPDATE SET
+            source = COALESCE(excluded.source, source), path = COALESCE(excluded.path, path),
+            mtime = excluded.mtime, byte_offset = excluded.byte_offset,
+            context_offset = excluded.context_offset, last_message_uuid = excluded.last_message_uuid,
+            fact_count = CASE WHEN @restart THEN excluded.fact_count ELSE fact_count + excluded.fact_count END,
+            status = 'done', error = NULL, attempts = 0, updated_at = excluded.updated_at
+    `).run({ id: sessionId, source, path: filePath, mtime, offset, contextOffset, lastUuid, facts, now, restart: restart ? 1 : 0 });
+}
+
+/**
+ * Let a session that ran out of attempts be retried.
+ * @returns {boolean} - false if there is no failed session with that id
+ */
+function retrySession(db, sessionId) {
+    return db.prepare("UPDATE sessions SET attempts = 0 WHERE session_id = ? AND status = 'failed'").run(sessionId).changes > 0;
+}
+
+/**
+ * Most recently updated first.
+ * @param {Object} [opts]
+ * @param {string} [opts.status] - 'done' | 'failed'
+ * @param {number} [opts.limit]
+ */
+function listSessions(db, { status = null, limit = 50 } = {}) {
+    return db.prepare(`
+        SELECT * FROM sessions WHERE (? IS NULL OR status = ?)
+        ORDER BY updated_at DESC LIMIT ?
+    `).all(status, status, limit);
+}
+
+module.exports = {
+    importLegacy,
+    getSession,
+    planSession,
+    markSession,
+    retrySession,
+    listSessions,
+    MAX_ATTEMPTS,
+    LEGACY_FILE,
+};
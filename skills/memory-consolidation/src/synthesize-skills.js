@@ -2,8 +2,9 @@
 /**
  * Synthesize skills from instincts.
  *
- * Reads high-confidence instincts grouped by domain prefix, calls Gemini to
- * generate SKILL.md files, and records synthesis metadata in memory.db.
+ * Reads high-confidence instincts grouped by domain prefix, calls the synthesis
+ * LLM provider (llm.tasks.synthesis) to generate SKILL.md files, and records
+ * synthesis metadata in memory.db.
  *
  * Usage:
  *   node synthesize-skills.js [--dry-run] [--min-count 3] [--min-confidence 0.6]
@@ -12,18 +13,15 @@
  * Key pattern: skill.synthesized.<name>
  */
 
-const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
-const https = require('https');
-const { execSync } = require('child_process');
+const { getProvider } = require('./llm-provider.js');
+const { MemoryStore } = require('./memory-store.js');
+const { openDatabase } = require('./migrations.js');
 
 const dbPath = process.env.MEMORY_DB_PATH || path.join(__dirname, '..', 'memory.db');
 const SKILLS_ROOT = path.join(require('os').homedir(), '.openclaw/workspace/skills');
 
-const GEMINI_MODEL = 'gemini-2.0-flash-lite';
-const API_TIMEOUT = 45000;
-
 // Category mapping: instinct domain -> skill directory
 const CATEGORY_MAP = {
     error: 'debugging',
@@ -33,75 +31,18 @@ const CATEGORY_MAP = {
     testing: 'testing',
 };
 
-// ── Auth ─────────────────────────────────────────────────────────────────────
-
-let cachedApiKey = null;
-
-function getApiKey() {
-    if (process.env.GOOGLE_API_KEY2) return process.env.GOOGLE_API_KEY2;
-    if (process.env.GOOGLE_API_KEY) return process.env.GOOGLE_API_KEY;
-    if (cachedApiKey) return cachedApiKey;
-    try {
-        const key = execSync(
-            'gcloud secrets versions access latest --secret="OPENCLAW_API_GOOGLE2" 2>/dev/null',
-            { encoding: 'utf8', timeout: 10000 }
-        ).trim();
-        if (key) { cachedApiKey = key; return key; }
-    } catch {}
-    try {
-        const key = execSync(
-            'gcloud secrets versions access latest --secret="OPENCLAW_API_GOOGLE" 2>/dev/null',
-            { encoding: 'utf8', timeout: 10000 }
-        ).trim();
-        if (key) { cachedApiKey = key; return key; }
-    } catch {}
-    return null;
-}
-
-// ── Gemini API ───────────────────────────────────────────────────────────────
-
-async function callGemini(prompt) {
-    const apiKey = getApiKey();
-    if (!apiKey) throw new Error('No Gemini API key available');
+// ── LLM ──────────────────────────────────────────────────────────────────────
 
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${apiKey}`;
-    const body = JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: { maxOutputTokens: 2048, temperature: 0.3 },
-    });
-
-    return new Promise((resolve, reject) => {
-        const timer = setTimeout(() => reject(new Error('Gemini API timeout')), API_TIMEOUT);
-
-        const req = https.request(url, { method: 'POST', headers: { 'Content-Type': 'application/json' } }, (res) => {
-            let data = '';
-            res.on('data', chunk => { data += chunk; });
-            res.on('end', () => {
-                clearTimeout(timer);
-                try {
-                    const json = JSON.parse(data);
-                    const text = json.candidates?.[0]?.content?.parts?.[0]?.text || '';
-                    if (!text) reject(new Error('Empty Gemini response'));
-                    else resolve(text);
-                } catch (e) {
-                    reject(new Error(`Gemini parse error: ${e.message}`));
-                }
-            });
-        });
-
-        req.on('error', (e) => { clearTimeout(timer); reject(e); });
-        req.write(body);
-        req.end();
-    });
+async function callLlm(prompt) {
+    const text = await getProvider('synthesis').generate(prompt, { maxOutputTokens: 2048, temperature: 0.3 });
+    if (!text) throw new Error('Empty LLM response');
+    return text;
 }
 
 // ── DB helpers ───────────────────────────────────────────────────────────────
 
 function openDb(readonly = false) {
-    const db = new Database(dbPath, { readonly });
-    db.pragma('journal_mode = WAL');
-    db.pragma('busy_timeout = 10000');
-    return db;
+    return openDatabase(dbPath, { readonly });
 }
 
 /**
@@ -266,34 +207,20 @@ function writeSkillFile(domain, content) {
  * Record synthesis in DB.
  */
 function recordSynthesis(domain, sourceInstincts, version, skillPath) {
-    const db = openDb();
+    const store = new MemoryStore(dbPath);
     const now = new Date().toISOString();
-    const skillKey = `skill.synthesized.${domain}`;
-
-    // Close old record if exists
-    db.prepare(`
-        UPDATE memories SET end_time = ? WHERE key = ? AND end_time IS NULL
-    `).run(now, skillKey);
-
-    // Insert new record
-    db.prepare(`
-        INSERT INTO memories (key, value, source, start_time, end_time)
-        VALUES (?, ?, ?, ?, NULL)
-    `).run(
-        skillKey,
-        JSON.stringify({
-            domain,
-            version,
-            skill_path: skillPath,
-            source_instincts: sourceInstincts.map(i => i.key),
-            instinct_count: sourceInstincts.length,
-            created_at: now,
-        }),
-        'auto:skill-synthesis',
-        now
-    );
 
-    db.close();
+    // New version closes the old record if one exists
+    store.put(`skill.synthesized.${domain}`, {
+        domain,
+        version,
+        skill_path: skillPath,
+        source_instincts: sourceInstincts.map(i => i.key),
+        instinct_count: sourceInstincts.length,
+        created_at: now,
+    }, { source: 'auto:skill-synthesis', startTime: now });
+
+    store.close();
 }
 
 // ── Main synthesis flow ──────────────────────────────────────────────────────
@@ -334,7 +261,7 @@ async function synthesize({ dryRun = false, minCount = 3, minConfidence = 0.6 })
 
         try {
             const prompt = buildSynthesisPrompt(prefix, groupInstincts);
-            const skillContent = await callGemini(prompt);
+            const skillContent = await callLlm(prompt);
 
             const skillPath = writeSkillFile(domain, skillContent);
             recordSynthesis(domain, groupInstincts, '1.0.0', skillPath);
@@ -403,7 +330,7 @@ async function patchExistingSkills({ dryRun = false }) {
             const newVersion = vParts.join('.');
 
             const prompt = buildPatchPrompt(existingContent, newInstincts);
-            const updatedContent = await callGemini(prompt);
+            const updatedContent = await callLlm(prompt);
 
             // Write updated SKILL.md
             fs.writeFileSync(skillPath, updatedContent, 'utf8');
@@ -0,0 +1,159 @@
+/**
+ * Taxonomy - canonical form of memory keys.
+ *
+ * Rules come from digest-config.json `taxonomy`:
+ *   categories  allowed top-level categories
+ *   aliases     "from": "to" rewrites of a dotted key prefix ("users": "user",
+ *               "agent.cases": "agent.case"), or of one segment at any depth
+ *               with a "*." prefix ("*.repos": "repo")
+ *   case        "snake" (default): segments lowercase snake_case; camelCase,
+ *               spaces and hyphens become "_" (date segments keep theirs).
+ *               "preserve" leaves segments alone.
+ *   entity      name normalization for entity.<name>.*: strip_suffixes
+ *               ("acme_inc" → "acme") and aliases ("jon" → "jon_smith")
+ *   unknown     "reject" (default) or "keep": what to do with a key whose
+ *               category is not allowed after canonicalization
+ * A plural category whose singular is allowed or aliased ("projects",
+ * "preferences") is singularized without needing an alias of its own.
+ *
+ * Applied in step 2 (off-taxonomy facts go to the quarantine file), in
+ * memory_store / `memory-cli.js store`, and by `memory-cli.js rekey` to move
+ * existing keys.
+ *
+ * Usage:
+ *   const { canonicalizeKey } = require('./taxonomy.js');
+ *   canonicalizeKey('Projects.memoryDB.engine');
+ *   // { key: 'project.memory_db.engine', changed: true, allowed: true }
+ */
+
+const { loadConfig } = require('./config.js');
+
+const DEFAULTS = {
+    categories: ['user', 'pref', 'entity', 'event', 'agent', 'error', 'correction', 'project', 'task', 'system', 'config'],
+    aliases: {},
+    case: 'snake',
+    entity: { strip_suffixes: [], aliases: {} },
+    unknown: 'reject',
+};
+
+const DATE_SEGMENT = /^\d{4}-\d{2}(-\d{2})?$/;
+const MAX_ALIAS_PASSES = 5;
+
+/**
+ * Taxonomy settings: DEFAULTS overlaid with config.taxonomy.
+ */
+function loadTaxonomy(config = loadConfig()) {
+    const t = config.taxonomy || {};
+    return {
+        ...DEFAULTS,
+        ...t,
+        entity: { ...DEFAULTS.entity, ...(t.entity || {}) },
+    };
+}
+
+function snakeSegment(segment) {
+    if (DATE_SEGMENT.test(segment)) return segment;
+    return segment
+        .replace(/([\p{Ll}\d])(\p{Lu})/gu, '$1_$2')
+        .toLowerCase()
+        .replace(/[\s-]+/g, '_')
+        .replace(/[^\p{L}\p{N}_]/gu, '')
+        .replace(/_+/g, '_')
+        .replace(/^_|_$/g, '');
+}
+
+// Longest dotted-prefix alias first, then "*." segment aliases
+function applyAliases(segments, aliases) {
+    const prefixAliases = Object.entries(aliases)
+        .filter(([from]) => !from.startsWith('*.'))
+        .map(([from, to]) => [from.split('.'), to.split('.')])
+        .sort((a, b) => b[0].length - a[0].length);
+    const segmentAliases = new Map(Object.entries(aliases)
+        .filter(([from]) => from.startsWith('*.'))
+        .map(([from, to]) => [from.slice(2), to]));
+
+    for (let pass = 0; pass < MAX_ALIAS_PASSES; pass++) {
+        const match = prefixAliases.find(([from]) => from.every((s, i) => segments[i] === s));
+        if (!match) break;
+        const next = [...match[1], ...segments.slice(match[0].length)];
+        if (next.join('.') === segments.join('.')) break;
+        segments = next;
+    }
+    return segments.map((s, i) => (i > 0 && segmentAliases.has(s) ? segmentAliases.get(s) : s));
+}
+
+// "projects" → "project" when the singular is a category or an alias
+function singularize(category, known) {
+    if (known.has(category)) return category;
+    return [category.replace(/ies$/, 'y'), category.replace(/es$/, ''), category.replace(/s$/, '')]
+        .find(c => c !== category && known.has(c)) || category;
+}
+
+function normalizeEntityName(name, { strip_suffixes: suffixes = [], aliases = {} }) {
+    for (const suffix of suffixes) {
+        if (name.endsWith(`_${suffix}`)) {
+            name = name.slice(0, -suffix.length - 1);
+            break;
+        }
+    }
+    return aliases[name] || name;
+}
+
+/**
+ * Canonical form of one key.
+ * @param {string} key
+ * @param {Object} [taxonomy] - loadTaxonomy() result
+ * @returns {{ key: string, changed: boolean, allowed: boolean }}
+ */
+function canonicalizeKey(key, taxonomy = loadTaxonomy()) {
+    const allowed = new Set(taxonomy.categories);
+    let segments = String(key).split('.');
+    if (taxonomy.case !== 'preserve') segments = segments.map(snakeSegment);
+    segments = segments.filter(Boolean);
+
+    const known = new Set([...allowed, ...Object.keys(taxonomy.aliases).map(a => a.split('.')[0])]);
+    if (segments.length > 0) segments[0] = singularize(segments[0], known);
+    segments = applyAliases(segments, taxonomy.aliases);
+    if (segments[0] === 'entity' && segments.length > 2) {
+        segments[1] = normalizeEntityName(segments[1], taxonomy.entity);
+    }
+
+    const canonical = segments.join('.');
+    return { key: canonical, changed: canonical !== key, allowed: allowed.has(segments[0]) };
+}
+
+/**
+ * Canonicalize a batch of facts; facts outside the taxonomy are split off
+ * when taxonomy.unknown is "reject".
+ * @param {Array<{key}>} facts
+ * @returns {{ facts: Array, rejected: Array<{ fact, errors }>, rekeyed: number }}
+ */
+function canonicalizeFacts(facts, taxonomy = loadTaxonomy()) {
+    const kept = [];
+    const rejected = [];
+    let rekeyed = 0;
+    for (const fact of facts) {
+        const canonical = canonicalizeKey(fact.key, taxonomy);
+        if (!canonical.allowed && taxonomy.unknown !== 'keep') {
+            rejected.push({ fact, errors: [`off-taxonomy category "${canonical.key.split('.')[0]}"`] });
+            continue;
+        }
+        if (canonical.changed) rekeyed++;
+        kept.push(canonical.changed ? { ...fact, key: canonical.key } : fact);
+    }
+    return { facts: kept, rejected, rekeyed };
+}
+
+/**
+ * Canonical key for a user-facing write (memory_store, CLI store).
+ * @throws {Error} when the key is off-taxonomy and taxonomy.unknown is "reject"
+ */
+function enforceKey(key, taxonomy = loadTaxonomy()) {
+    const canonical = canonicalizeKey(key, taxonomy);
+    if (!canonical.allowed && taxonomy.unknown !== 'keep') {
+        throw new Error(`Key "${key}" is outside the taxonomy (categories: ${taxonomy.categories.join(', ')})`);
+    }
+    return canonical.key;
+}
+
+module.exports = { loadTaxonomy, canonicalizeKey, canonicalizeFacts, enforceKey, DEFAULTS };
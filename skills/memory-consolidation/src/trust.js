@@ -0,0 +1,121 @@
+/**
+ * Trust - how far to believe a fact: a trust class for where it came from and
+ * a confidence score in [0, 1].
+ *
+ * Classes, most trusted first:
+ *   manual              stored by hand (memory_store, `memory-cli.js store`)
+ *   user-stated         extracted from a user message
+ *   tool-observed       recorded from tool calls and their results
+ *                       (extract-errors, extract-agent-learnings)
+ *   rule-derived        computed by a rule over other memories (instincts,
+ *                       observation analysis, synthesized skills)
+ *   assistant-inferred  extracted from an assistant message, from no message
+ *                       in particular (no "msg"), or under inferred.*
+ *
+ * Base confidences come from digest-config.json `trust.confidence`; a fact the
+ * LLM had to repair is scaled by `trust.repaired_factor`. Step 1 scores each
+ * fact from the role of the message it cites. Steps 2 and 3 combine sightings
+ * of the same value (noisy-or), so a fact confirmed by several messages gains
+ * confidence and keeps its most trusted class. MemoryStore.put() classifies
+ * writes that carry no score by their source.
+ *
+ * Usage:
+ *   const { scoreExtracted, combineTrust } = require('./trust.js');
+ *   const score = scoreExtracted({ key: 'user.city', role: 'user' });
+ *   // { trust_class: 'user-stated', confidence: 0.8 }
+ */
+
+const { loadConfig } = require('./config.js');
+
+const TRUST_CLASSES = ['manual', 'user-stated', 'tool-observed', 'rule-derived', 'assistant-inferred'];
+
+const DEFAULTS = {
+    confidence: {
+        manual: 0.95,
+        'user-stated': 0.8,
+        'tool-observed': 0.75,
+        'rule-derived': 0.6,
+        'assistant-inferred': 0.5,
+    },
+    repaired_factor: 0.9,
+    min_injection_confidence: 0.5,
+};
+
+// Sources written by extractors that record what tools did
+const TOOL_SOURCES = ['auto:extract-errors', 'auto:session:'];
+
+/**
+ * Trust settings: DEFAULTS overlaid with config.trust.
+ */
+function loadTrust(config = loadConfig()) {
+    const t = config.trust || {};
+    return { ...DEFAULTS, ...t, confidence: { ...DEFAULTS.confidence, ...(t.confidence || {}) } };
+}
+
+function round(confidence) {
+    return Math.round(confidence * 1000) / 1000;
+}
+
+/**
+ * Trust class of a write from its source (and key: inferred.* is always
+ * assistant-inferred).
+ * @param {string|null} source - e.g. 'mcp:memory_store', 'auto:extract-errors', 'session:<id>'
+ * @param {string} key
+ */
+function classifySource(source, key) {
+    if (key.startsWith('inferred.')) return 'assistant-inferred';
+    const s = source || '';
+    if (s.startsWith('mcp:') || s.startsWith('cli:')) return 'manual';
+    if (TOOL_SOURCES.some(prefix => s.startsWith(prefix))) return 'tool-observed';
+    if (s.startsWith('auto:')) return 'rule-derived';
+    // Extracted facts carry their own class; without one, nobody vouched for it
+    return 'assistant-inferred';
+}
+
+/**
+ * Score of a write from its source.
+ * @returns {{ trust_class: string, confidence: number }}
+ */
+function scoreSource(source, key, trust = loadTrust()) {
+    const trustClass = classifySource(source, key);
+    return { trust_class: trustClass, confidence: trust.confidence[trustClass] };
+}
+
+/**
+ * Score of a fact extracted in step 1.
+ * @param {Object} fact
+ * @param {string} fact.key
+ * @param {string|null} [fact.role] - role of the cited message (null when uncited)
+ * @param {boolean} [fact.repaired] - the LLM had to repair it
+ * @returns {{ trust_class: string, confidence: number }}
+ */
+function scoreExtracted({ key, role = null, repaired = false }, trust = loadTrust()) {
+    const trustClass = role === 'user' && !key.startsWith('inferred.') ? 'user-stated' : 'assistant-inferred';
+    const confidence = trust.confidence[trustClass] * (repaired ? trust.repaired_factor : 1);
+    return { trust_class: trustClass, confidence: round(confidence) };
+}
+
+/**
+ * Two independent sightings of the same value: the more trusted class, and
+ * the chance that at least one of them is right.
+ * @param {{ trust_class, confidence }} a
+ * @param {{ trust_class, confidence }} b
+ * @returns {{ trust_class: string, confidence: number }}
+ */
+function combineTrust(a, b) {
+    const rank = c => (TRUST_CLASSES.includes(c) ? TRUST_CLASSES.indexOf(c) : TRUST_CLASSES.length);
+    return {
+        trust_class: rank(a.trust_class) <= rank(b.trust_class) ? a.trust_class : b.trust_class,
+        confidence: round(1 - (1 - a.confidence) * (1 - b.confidence)),
+    };
+}
+
+module.exports = {
+    loadTrust,
+    classifySource,
+    scoreSource,
+    scoreExtracted,
+    combineTrust,
+    TRUST_CLASSES,
+    DEFAULTS,
+};
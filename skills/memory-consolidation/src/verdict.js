@@ -1,13 +1,18 @@
 // Four-Step Verdict: Filter low-quality/expired facts during memory retrieval
 // Implements MemOS-style memory quality control
+// Trust filters and ranking use each row's confidence / trust_class (trust.js)
+
+const { TRUST_CLASSES } = require('./trust.js');
 
 /**
  * Apply verdict filters to memory rows
- * @param {Array} rows - Array of memory objects with key, value, start_time
+ * @param {Array} rows - Array of memory objects with key, value, start_time (and confidence, trust_class)
  * @param {Object} options - Filter options
- * @param {boolean} options.sourceVerified - Exclude inferred.* keys
+ * @param {boolean} options.sourceVerified - Exclude inferred.* keys and assistant-inferred facts
  * @param {string} options.subject - Filter by subject (key must include this string)
  * @param {number} options.maxAgeDays - Filter by age (days since start_time)
+ * @param {number} options.minConfidence - Exclude facts below this confidence
+ * @param {string[]} options.trustClasses - Only these trust classes
  * @returns {Array} Filtered rows
  */
 function applyVerdict(rows, options = {}) {
@@ -16,6 +21,17 @@ function applyVerdict(rows, options = {}) {
         if (options.sourceVerified && r.key && r.key.startsWith('inferred.')) {
             return false;
         }
+        if (options.sourceVerified && r.trust_class === 'assistant-inferred') {
+            return false;
+        }
+
+        // Trust: minimum confidence, allowed classes
+        if (options.minConfidence && (r.confidence ?? 0) < options.minConfidence) {
+            return false;
+        }
+        if (options.trustClasses && options.trustClasses.length > 0 && !options.trustClasses.includes(r.trust_class)) {
+            return false;
+        }
 
         // 2. subject: filter by subject/topic
         if (options.subject && r.key && !r.key.includes(options.subject)) {
@@ -35,4 +51,16 @@ function applyVerdict(rows, options = {}) {
     });
 }
 
-module.exports = { applyVerdict };
+/**
+ * Order rows by trust: relevance (similarity, when the search produced one)
+ * times confidence, ties broken by trust class. Stable otherwise.
+ * @param {Array} rows
+ * @returns {Array} New sorted array
+ */
+function rankByTrust(rows) {
+    const classRank = r => (TRUST_CLASSES.includes(r.trust_class) ? TRUST_CLASSES.indexOf(r.trust_class) : TRUST_CLASSES.length);
+    const score = r => (r.similarity ?? 1) * (r.confidence ?? 0);
+    return [...rows].sort((a, b) => score(b) - score(a) || classRank(a) - classRank(b));
+}
+
+module.exports = { applyVerdict, rankByTrust };
@@ -0,0 +1,51 @@
+/**
+ * Worker Pool - run an async task over a list with bounded concurrency.
+ *
+ * Up to `concurrency` tasks run at once and items start in list order. Before
+ * each item starts, canStart() is consulted (e.g. a free-RAM check); once it
+ * says no, or a task throws, no further items start. Tasks already running
+ * are allowed to finish, and the first error is returned rather than thrown so
+ * the caller decides whether a partial result is good enough.
+ *
+ * Usage:
+ *   const { runPool } = require('./worker-pool.js');
+ *   const { completed, stopped, error } = await runPool(files, f => extract(f), { concurrency: 4 });
+ */
+
+/**
+ * @param {Array} items
+ * @param {Function} task - async (item, index) => any
+ * @param {Object} [opts]
+ * @param {number} [opts.concurrency] - default 1
+ * @param {Function} [opts.canStart] - () => boolean, checked before each item
+ * @returns {Promise<{ completed: number, stopped: boolean, error: Error|null }>}
+ */
+async function runPool(items, task, { concurrency = 1, canStart = () => true } = {}) {
+    let next = 0;
+    let completed = 0;
+    let stopped = false;
+    let error = null;
+
+    async function worker() {
+        while (!stopped && next < items.length) {
+            if (!canStart()) {
+                stopped = true;
+                break;
+            }
+            const index = next++;
+            try {
+                await task(items[index], index);
+                completed++;
+            } catch (err) {
+                if (!error) error = err;
+                stopped = true;
+            }
+        }
+    }
+
+    const workers = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+    return { completed, stopped, error };
+}
+
+module.exports = { runPool };
@@ -20,10 +20,10 @@ const Database  = require(DB_MODULE);
 const TEMP_TIMED = path.join(os.tmpdir(), `commit-test-timed-${process.pid}.jsonl`);
 const TEMP_DB    = path.join(os.tmpdir(), `commit-test-db-${process.pid}.db`);
 
-function run() {
+function run(env = {}) {
     const result = spawnSync('node', [SCRIPT], {
         encoding: 'utf8',
-        env: { ...process.env, TIMED_FACTS_FILE: TEMP_TIMED, MEMORY_DB_PATH: TEMP_DB },
+        env: { ...process.env, TIMED_FACTS_FILE: TEMP_TIMED, MEMORY_DB_PATH: TEMP_DB, ...env },
     });
     if (result.status !== 0) throw new Error(`Script failed: ${result.stderr}`);
     return result;
@@ -136,3 +136,36 @@ test('non-string values are JSON-stringified', () => {
     assert.equal(rows.find(r => r.key === 'config.debug').value, 'true');
     assert.equal(rows.find(r => r.key === 'config.ports').value, '[8080,3000]');
 });
+
+test('rows are tagged with the run ID and the run can be reverted', () => {
+    cleanup();
+    writeTimedFacts([
+        { key: 'user.city', value: 'Taipei', source: 'session:a', start_time: '2026-01-01T10:00:00Z', end_time: null },
+    ]);
+    run({ MEMORY_RUN_ID: 'run-a' });
+    writeTimedFacts([
+        { key: 'user.city', value: 'Hsinchu', source: 'session:b', start_time: '2026-01-02T10:00:00Z', end_time: null },
+        { key: 'user.pet', value: 'cat', source: 'session:b', start_time: '2026-01-02T10:00:00Z', end_time: null },
+    ]);
+    assert.match(run({ MEMORY_RUN_ID: 'run-b' }).stdout, /run run-b/);
+
+    const tagged = queryDb('SELECT key, value, run_id, closed_by_run FROM memories ORDER BY key, start_time');
+    assert.deepEqual(tagged.map(r => [r.value, r.run_id, r.closed_by_run]), [
+        ['Taipei', 'run-a', 'run-b'],
+        ['Hsinchu', 'run-b', null],
+        ['cat', 'run-b', null],
+    ]);
+
+    const { MemoryStore } = require(path.join(SRC_DIR, 'memory-store.js'));
+    const store = new MemoryStore(TEMP_DB);
+    const result = store.revertRun('run-b');
+    store.close();
+
+    assert.deepEqual(result, { keys: 2, removed: 2, reopened: 1, conflicts: [] });
+    const after = queryDb('SELECT key, value, end_time, closed_by_run FROM memories');
+    assert.deepEqual(after.map(r => ({ ...r })), [
+        { key: 'user.city', value: 'Taipei', end_time: null, closed_by_run: null },
+    ]);
+    const fts = queryDb("SELECT rowid FROM memories_fts WHERE memories_fts MATCH 'Taipei OR Hsinchu OR cat'");
+    assert.equal(fts.length, 1);
+});
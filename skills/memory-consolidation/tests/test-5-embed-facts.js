@@ -0,0 +1,131 @@
+/**
+ * Tests for Step 5: Embed facts (5-embed-facts.js) and model-versioned vectors
+ *
+ * Strategy: seed a temp DB (including a legacy row embedded before the
+ * embedding_model column existed), run the script against a stub
+ * OpenAI-compatible /embeddings server via MEMORY_EMBED_* env, then assert
+ * on the stored vectors and model ids.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+
+const SRC_DIR   = path.join(__dirname, '..', 'src');
+const SCRIPT    = path.join(SRC_DIR, '5-embed-facts.js');
+const DB_MODULE = path.join(SRC_DIR, 'node_modules', 'better-sqlite3');
+const Database  = require(DB_MODULE);
+const { vectorSearch } = require(path.join(SRC_DIR, 'hybrid-search.js'));
+const { fromBlob } = require(path.join(SRC_DIR, 'embed.js'));
+
+const TEMP_DB = path.join(os.tmpdir(), `embed-test-db-${process.pid}.db`);
+const TEMP_CONFIG = path.join(os.tmpdir(), `embed-test-config-${process.pid}.json`);
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', c => { data += c; });
+        req.on('end', () => {
+            if (req.url === '/stall/embeddings') return; // never answers
+            const { input } = JSON.parse(data);
+            // Deterministic 4-dim vectors: [length, 1, 0, 0]
+            const body = { data: input.map(t => ({ embedding: [t.length, 1, 0, 0] })) };
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+    for (const f of [TEMP_DB, TEMP_CONFIG]) {
+        if (fs.existsSync(f)) fs.unlinkSync(f);
+    }
+});
+
+function run(env = {}) {
+    return new Promise((resolve, reject) => {
+        execFile('node', [SCRIPT], {
+            env: {
+                ...process.env,
+                MEMORY_DB_PATH: TEMP_DB,
+                MEMORY_EMBED_BACKEND: 'http',
+                MEMORY_EMBED_MODEL: 'stub-embed',
+                MEMORY_EMBED_BASE_URL: baseUrl,
+                ...env,
+            },
+        }, (err, stdout, stderr) => err ? reject(new Error(stderr || err.message)) : resolve(stdout));
+    });
+}
+
+function seedLegacyDb() {
+    if (fs.existsSync(TEMP_DB)) fs.unlinkSync(TEMP_DB);
+    const db = new Database(TEMP_DB);
+    db.exec(`
+        CREATE TABLE memories (
+            key TEXT NOT NULL, value TEXT, source TEXT,
+            start_time TEXT NOT NULL, end_time TEXT, embedding BLOB,
+            PRIMARY KEY (key, start_time)
+        )
+    `);
+    const legacy = Buffer.from(new Float32Array(3072).fill(0.1).buffer);
+    db.prepare('INSERT INTO memories VALUES (?, ?, ?, ?, NULL, ?)')
+        .run('user.name', 'Jerry', 'session:a', '2026-01-01T00:00:00Z', legacy);
+    db.prepare('INSERT INTO memories VALUES (?, ?, ?, ?, NULL, NULL)')
+        .run('user.city', 'Hsinchu', 'session:a', '2026-01-01T00:00:00Z');
+    db.close();
+}
+
+// ── tests ─────────────────────────────────────────────────────────────────────
+
+test('legacy vectors are tagged, then re-embedded with the configured model', async () => {
+    seedLegacyDb();
+    const stdout = await run();
+    assert.match(stdout, /Embedding 2 facts with stub-embed \(1 re-embedded/);
+
+    const db = new Database(TEMP_DB, { readonly: true });
+    const rows = db.prepare('SELECT key, embedding, embedding_model, embedding_dim FROM memories ORDER BY key').all();
+    db.close();
+
+    for (const r of rows) {
+        assert.equal(r.embedding_model, 'stub-embed');
+        assert.equal(r.embedding_dim, 4);
+        assert.equal(fromBlob(r.embedding).length, 4);
+    }
+});
+
+test('re-running with the same model is a no-op', async () => {
+    const stdout = await run();
+    assert.match(stdout, /already have stub-embed embeddings/);
+});
+
+test('vectorSearch never compares vectors from a different model', () => {
+    const db = new Database(TEMP_DB);
+    db.prepare("UPDATE memories SET embedding_model = 'other-model' WHERE key = 'user.city'").run();
+
+    const query = new Float32Array([5, 1, 0, 0]);
+    const results = vectorSearch(db, query, 10, 'stub-embed');
+    db.close();
+
+    assert.deepEqual(results.map(r => r.key), ['user.name']);
+});
+
+test('a stalled embedding server fails after embedding.timeout_ms', async () => {
+    seedLegacyDb();
+    fs.writeFileSync(TEMP_CONFIG, JSON.stringify({ embedding: { timeout_ms: 200 } }));
+    const started = Date.now();
+    await assert.rejects(
+        run({ MEMORY_CONFIG_PATH: TEMP_CONFIG, MEMORY_EMBED_BASE_URL: baseUrl.replace(/\/v1$/, '/stall') }),
+        /aborted|timeout/i);
+    assert.ok(Date.now() - started < 10000);
+});
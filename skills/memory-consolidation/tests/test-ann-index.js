@@ -0,0 +1,134 @@
+/**
+ * Tests for the IVF vector index (ann-index.js)
+ *
+ * Strategy: seed a temp DB with clustered synthetic vectors, build the index
+ * with a small min_rows (via MEMORY_CONFIG_PATH), then compare ANN results
+ * against a forced exact scan.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const TEMP_DB     = path.join(os.tmpdir(), `ann-test-db-${process.pid}.db`);
+const TEMP_CONFIG = path.join(os.tmpdir(), `ann-test-config-${process.pid}.json`);
+
+fs.writeFileSync(TEMP_CONFIG, JSON.stringify({ ann: { min_rows: 200, nprobe: 4 } }));
+process.env.MEMORY_CONFIG_PATH = TEMP_CONFIG;
+
+const SRC_DIR  = path.join(__dirname, '..', 'src');
+const Database = require(path.join(SRC_DIR, 'node_modules', 'better-sqlite3'));
+const { ensureTable } = require(path.join(SRC_DIR, '3-commit-to-db.js'));
+const { toBlob } = require(path.join(SRC_DIR, 'embed.js'));
+const { searchVectors, refreshIndex, indexVectors } = require(path.join(SRC_DIR, 'ann-index.js'));
+
+const MODEL = 'stub-embed';
+const DIM = 16;
+
+let db;
+let seed = 42;
+function random() {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 0x100000000;
+}
+
+// Point near one of 12 cluster centres
+function clusteredVector(cluster) {
+    const v = new Float32Array(DIM);
+    for (let i = 0; i < DIM; i++) v[i] = (random() - 0.5) * 0.3;
+    v[cluster % DIM] += 1;
+    v[(cluster * 5 + 3) % DIM] += cluster >= DIM ? 1 : 0;
+    return v;
+}
+
+function insert(key, vec, { model = MODEL, endTime = null } = {}) {
+    return db.prepare(`
+        INSERT INTO memories (key, value, source, start_time, end_time, embedding, embedding_model, embedding_dim)
+        VALUES (?, ?, 'test', '2026-01-01T00:00:00Z', ?, ?, ?, ?)
+    `).run(key, key, endTime, toBlob(vec), model, vec.length).lastInsertRowid;
+}
+
+before(() => {
+    if (fs.existsSync(TEMP_DB)) fs.unlinkSync(TEMP_DB);
+    db = new Database(TEMP_DB);
+    ensureTable(db);
+    for (let i = 0; i < 150; i++) insert(`fact.${i}`, clusteredVector(i % 12));
+});
+
+after(() => {
+    db.close();
+    for (const f of [TEMP_DB, TEMP_CONFIG]) {
+        if (fs.existsSync(f)) fs.unlinkSync(f);
+    }
+});
+
+// ── tests ─────────────────────────────────────────────────────────────────────
+
+test('below min_rows the index is not built and search is exact', () => {
+    assert.equal(refreshIndex(db, MODEL), 'exact');
+    assert.equal(db.prepare('SELECT COUNT(*) FROM ann_centroids').pluck().get(), 0);
+
+    const hits = searchVectors(db, clusteredVector(3), { model: MODEL, limit: 5 });
+    assert.equal(hits.length, 5);
+    assert.ok(hits[0].similarity >= hits[4].similarity);
+});
+
+test('crossing min_rows builds the index; ANN results match exact scan', () => {
+    for (let i = 150; i < 400; i++) insert(`fact.${i}`, clusteredVector(i % 12));
+    assert.equal(refreshIndex(db, MODEL), 'built');
+
+    const nlist = db.prepare('SELECT nlist FROM ann_meta WHERE model = ?').pluck().get(MODEL);
+    assert.equal(nlist, 20);
+    assert.equal(db.prepare('SELECT COUNT(*) FROM ann_lists').pluck().get(), 400);
+
+    let overlap = 0;
+    for (let c = 0; c < 12; c++) {
+        const q = clusteredVector(c);
+        const ann = searchVectors(db, q, { model: MODEL, limit: 10 }).map(r => r.key);
+        const exact = searchVectors(db, q, { model: MODEL, limit: 10, exact: true }).map(r => r.key);
+        assert.equal(ann[0], exact[0]);
+        overlap += ann.filter(k => exact.includes(k)).length;
+    }
+    assert.ok(overlap / 120 >= 0.9, `recall@10 ${overlap / 120}`);
+});
+
+test('new vectors are searchable once indexed incrementally', () => {
+    const vec = new Float32Array(DIM).fill(-1);
+    const rowid = insert('fact.new', vec);
+    indexVectors(db, [{ rowid, embedding: vec }], MODEL);
+
+    const hits = searchVectors(db, vec, { model: MODEL, limit: 1 });
+    assert.equal(hits[0].key, 'fact.new');
+});
+
+test('refreshIndex picks up embedded rows that were never indexed', () => {
+    const vec = new Float32Array(DIM).fill(-1);
+    vec[0] = 1;
+    insert('fact.missed', vec);
+    assert.equal(refreshIndex(db, MODEL), 'updated');
+
+    const hits = searchVectors(db, vec, { model: MODEL, limit: 1 });
+    assert.equal(hits[0].key, 'fact.missed');
+});
+
+test('closed rows and other models are excluded', () => {
+    const vec = new Float32Array(DIM).fill(1);
+    insert('fact.closed', vec, { endTime: new Date().toISOString() });
+    insert('fact.other', vec, { model: 'other-model' });
+    refreshIndex(db, MODEL);
+
+    const keys = searchVectors(db, vec, { model: MODEL, limit: 50 }).map(r => r.key);
+    assert.ok(!keys.includes('fact.closed'));
+    assert.ok(!keys.includes('fact.other'));
+});
+
+test('asOf scans the rows that were active at that time', () => {
+    const vec = new Float32Array(DIM).fill(1);
+    const keys = searchVectors(db, vec, { model: MODEL, limit: 500, asOf: '2026-01-02T00:00:00Z' }).map(r => r.key);
+    assert.ok(keys.includes('fact.closed'));
+    assert.ok(!keys.includes('fact.other'));
+
+    assert.deepEqual(searchVectors(db, vec, { model: MODEL, asOf: '2025-12-31T00:00:00Z' }), []);
+});
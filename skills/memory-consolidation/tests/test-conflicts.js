@@ -0,0 +1,265 @@
+/**
+ * Tests for contradiction detection and the conflict review queue
+ * (conflict-detector.js, MemoryStore conflicts / resolveConflict)
+ *
+ * Strategy: point the LLM and embedding backends at a stub HTTP server via
+ * MEMORY_LLM_* / MEMORY_EMBED_* env. The stub embeds editor facts along one
+ * axis and everything else along another, and answers the conflict prompt
+ * with every editor key it lists. Facts are committed to a temp DB with
+ * commitFacts(); the queue is checked and resolved through MemoryStore.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { commitFacts } = require(path.join(SRC_DIR, '3-commit-to-db.js'));
+const { MemoryStore } = require(path.join(SRC_DIR, 'memory-store.js'));
+const { checkSupersede, formatConflict } = require(path.join(SRC_DIR, 'conflict-detector.js'));
+const { embedFacts } = require(path.join(SRC_DIR, '5-embed-facts.js'));
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'conflicts-test-'));
+let dbCount = 0;
+let server;
+let llmDown = false;
+let conflictPrompts = 0;
+let embedRequests = 0;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', c => { data += c; });
+        req.on('end', () => {
+            const body = JSON.parse(data);
+            let status = 200, json;
+            if (req.url === '/v1/chat/completions') {
+                const prompt = body.messages.map(m => m.content).join('\n');
+                let answer = { action: 'create', target: null, reason: 'new' };
+                if (prompt.includes('contradict')) {
+                    conflictPrompts++;
+                    // One answer per numbered new fact, naming its editor keys
+                    answer = prompt.split(/^\d+\. NEW: /m).slice(1).map((fact, i) => ({
+                        id: i + 1,
+                        contradicts: [...fact.matchAll(/^ *- (\S+) = /gm)].map(m => m[1]).filter(k => /editor|ide/.test(k)),
+                        reason: 'one editor',
+                    }));
+                }
+                if (llmDown) {
+                    status = 500;
+                    json = { error: 'down' };
+                } else {
+                    json = { choices: [{ message: { content: JSON.stringify(answer) } }] };
+                }
+            } else {
+                embedRequests++;
+                json = { data: body.input.map(t => ({ embedding: /editor|ide/.test(t) ? [1, 0.05, 0, 0] : [0, 1, 0, 0] })) };
+            }
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(json));
+        });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    Object.assign(process.env, {
+        MEMORY_LLM_PROVIDER: 'openai',
+        MEMORY_LLM_BASE_URL: baseUrl,
+        MEMORY_EMBED_BACKEND: 'http',
+        MEMORY_EMBED_MODEL: 'stub-embed',
+        MEMORY_EMBED_BASE_URL: baseUrl,
+    });
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+function openStore() {
+    return new MemoryStore(path.join(TEMP_DIR, `memory-${++dbCount}.db`), { runId: null });
+}
+
+function fact(key, value, startTime, trust = { trust_class: 'assistant-inferred', confidence: 0.5 }) {
+    return { key, value, source: 'session:aaaa', start_time: startTime, end_time: null, ...trust };
+}
+
+// ── supersede ─────────────────────────────────────────────────────────────────
+
+test('checkSupersede flags only a less trusted new value', () => {
+    const previous = { key: 'user.city', value: 'Oslo', start_time: 't1', confidence: 0.95, trust_class: 'manual' };
+    const weaker = { key: 'user.city', value: 'Bergen', start_time: 't2', confidence: 0.5, trust_class: 'assistant-inferred' };
+    assert.equal(checkSupersede(previous, weaker).kind, 'supersede');
+    assert.equal(checkSupersede(previous, { ...weaker, confidence: 0.95 }), null);
+    assert.equal(checkSupersede(previous, weaker, { enabled: false }), null);
+    assert.equal(checkSupersede(undefined, weaker), null);
+    assert.equal(checkSupersede(previous, { ...weaker, end_time: 't3' }), null, 'an older version replaced nothing');
+});
+
+test('a less trusted value is written but queued; keep brings the old value back', async () => {
+    const store = openStore();
+    try {
+        store.put('user.city', 'Oslo', { source: 'mcp:memory_store', startTime: '2026-01-01T00:00:00Z' });
+        const result = await commitFacts(store.db, [fact('user.city', 'Bergen', '2026-02-01T00:00:00Z')]);
+        assert.equal(result.conflictCount, 1);
+        assert.equal(store.get('user.city').value, 'Bergen');
+        // Nothing embedded yet: no contradiction check
+        assert.equal(conflictPrompts, 0);
+
+        const [conflict] = store.conflicts();
+        assert.deepEqual(
+            [conflict.kind, conflict.key, conflict.value, conflict.other_value, conflict.other_start_time, conflict.status],
+            ['supersede', 'user.city', 'Bergen', 'Oslo', '2026-01-01T00:00:00Z', 'open']);
+        assert.match(formatConflict(conflict), /^#\d+ supersede: user\.city = Bergen vs existing user\.city = Oslo/);
+
+        assert.equal(store.resolveConflict(conflict.id, 'keep').status, 'kept');
+        assert.equal(store.get('user.city').value, 'Oslo');
+        assert.deepEqual(store.conflicts(), []);
+        assert.equal(store.conflicts({ status: 'kept' }).length, 1);
+        assert.throws(() => store.resolveConflict(conflict.id, 'both'), /already resolved/);
+    } finally {
+        store.close();
+    }
+});
+
+test('keep reopens the version the supersede replaced, not a later closed one', async () => {
+    const store = openStore();
+    try {
+        store.put('user.editor', 'emacs', { source: 'mcp:memory_store', startTime: '2026-01-01T00:00:00Z' });
+        await commitFacts(store.db, [
+            { ...fact('user.editor', 'vim', '2026-02-01T00:00:00Z'), end_time: '2026-03-01T00:00:00Z' },
+            fact('user.editor', 'nano', '2026-04-01T00:00:00Z'),
+        ]);
+        const [conflict] = store.conflicts();
+        assert.deepEqual([conflict.kind, conflict.value, conflict.other_value], ['supersede', 'nano', 'emacs']);
+
+        store.resolveConflict(conflict.id, 'keep');
+        assert.equal(store.get('user.editor').value, 'emacs');
+        assert.deepEqual(store.history('user.editor').map(r => [r.value, r.end_time]), [
+            ['emacs', null],
+            ['vim', '2026-03-01T00:00:00Z'],
+        ]);
+    } finally {
+        store.close();
+    }
+});
+
+test('keep is refused when the replaced version no longer exists', async () => {
+    const store = openStore();
+    try {
+        store.put('user.editor', 'emacs', { source: 'mcp:memory_store', startTime: '2026-01-01T00:00:00Z' });
+        await commitFacts(store.db, [fact('user.editor', 'nano', '2026-04-01T00:00:00Z')]);
+        const [conflict] = store.conflicts();
+        store.db.prepare("DELETE FROM memories WHERE key = 'user.editor' AND value = 'emacs'").run();
+
+        assert.throws(() => store.resolveConflict(conflict.id, 'keep'), /no version from 2026-01-01T00:00:00Z/);
+        assert.equal(store.get('user.editor').value, 'nano');
+        assert.equal(store.conflicts().length, 1);
+    } finally {
+        store.close();
+    }
+});
+
+// ── contradiction ─────────────────────────────────────────────────────────────
+
+test('a similar fact under another key that the new one contradicts is queued', async () => {
+    const store = openStore();
+    try {
+        const rows = [
+            store.put('pref.ide', 'vscode', { startTime: '2026-01-01T00:00:00Z' }),
+            store.put('user.shell', 'zsh', { startTime: '2026-01-01T00:00:00Z' }),
+        ];
+        await store.embed(rows);
+
+        const result = await commitFacts(store.db, [
+            fact('user.editor', 'vim', '2026-02-01T00:00:00Z'),
+            fact('user.terminal', 'kitty', '2026-02-01T00:00:00Z'),
+        ]);
+        assert.equal(result.newCount, 2);
+        // user.terminal was asked about too (user.shell is near it), in the same request
+        assert.equal(result.conflictCount, 1);
+        assert.equal(conflictPrompts, 1);
+
+        const [conflict] = store.conflicts();
+        assert.deepEqual([conflict.kind, conflict.key, conflict.other_key, conflict.reason],
+            ['contradiction', 'user.editor', 'pref.ide', 'one editor']);
+        assert.ok(conflict.similarity >= 0.8);
+
+        // Committing the same facts again queues nothing new
+        await commitFacts(store.db, [fact('user.editor', 'vim', '2026-02-01T00:00:00Z')]);
+        assert.equal(store.conflicts().length, 1);
+
+        store.resolveConflict(conflict.id, 'replace');
+        assert.equal(store.get('pref.ide'), undefined);
+        assert.equal(store.get('user.editor').value, 'vim');
+    } finally {
+        store.close();
+    }
+});
+
+test('rows embedded for the contradiction check are stored, not embedded again in step 5', async () => {
+    const dbPath = path.join(TEMP_DIR, `memory-${++dbCount}.db`);
+    const store = new MemoryStore(dbPath, { runId: null });
+    try {
+        await store.embed([store.put('pref.ide', 'vscode', { startTime: '2026-01-01T00:00:00Z' })]);
+        embedRequests = 0;
+        await commitFacts(store.db, [fact('user.editor', 'vim', '2026-02-01T00:00:00Z')]);
+        assert.equal(embedRequests, 1);
+        assert.equal(store.db.prepare(
+            "SELECT embedding_model FROM memories WHERE key = 'user.editor'").pluck().get(), 'stub-embed');
+
+        const metrics = await embedFacts({ dbPath });
+        assert.equal(metrics.embedded, 0);
+        assert.equal(embedRequests, 1);
+    } finally {
+        store.close();
+    }
+});
+
+test('resolving a conflict whose facts changed since detection is refused', async () => {
+    const store = openStore();
+    try {
+        await store.embed([store.put('pref.ide', 'vscode', { startTime: '2026-01-01T00:00:00Z' })]);
+        await commitFacts(store.db, [fact('user.editor', 'vim', '2026-02-01T00:00:00Z')]);
+        const [conflict] = store.conflicts();
+
+        await store.embed([store.put('pref.ide', 'zed', { source: 'cli:memory_store' })]);
+        assert.throws(() => store.resolveConflict(conflict.id, 'replace'), /stale: pref\.ide has changed/);
+        assert.throws(() => store.resolveConflict(conflict.id, 'drop'), /Unknown resolution/);
+        assert.throws(() => store.resolveConflict(999, 'both'), /No conflict 999/);
+
+        // both: nothing changes but the status
+        await commitFacts(store.db, [fact('user.editor', 'nvim', '2026-03-01T00:00:00Z')]);
+        const [fresh] = store.conflicts();
+        assert.equal(fresh.other_value, 'zed');
+        store.resolveConflict(fresh.id, 'both');
+        assert.deepEqual([store.get('user.editor').value, store.get('pref.ide').value], ['nvim', 'zed']);
+    } finally {
+        store.close();
+    }
+});
+
+test('detection failures never block a commit; reverting a run drops its conflicts', async () => {
+    const store = openStore();
+    try {
+        await store.embed([store.put('pref.ide', 'vscode', { startTime: '2026-01-01T00:00:00Z' })]);
+
+        llmDown = true;
+        try {
+            const result = await commitFacts(store.db, [fact('user.editor', 'vim', '2026-02-01T00:00:00Z')], { runId: 'run-down' });
+            assert.deepEqual([result.newCount, result.conflictCount], [1, 0]);
+        } finally {
+            llmDown = false;
+        }
+
+        await commitFacts(store.db, [fact('user.editor', 'helix', '2026-03-01T00:00:00Z')], { runId: 'run-2' });
+        assert.equal(store.conflicts().length, 1);
+        store.revertRun('run-2');
+        assert.deepEqual(store.conflicts({ status: 'all' }), []);
+        assert.equal(store.get('user.editor').value, 'vim');
+    } finally {
+        store.close();
+    }
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for relative-date resolution (date-resolver.js) and its use in step 2
+ *
+ * Strategy: resolve English and Chinese expressions against a fixed Monday
+ * (2026-10-19) in UTC, then run alignFile() on a temp facts file and check
+ * that resolved facts keep what was stated in original_text through to the DB.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { resolveDates, resolveKeyDates, resolveFactDates } = require(path.join(SRC_DIR, 'date-resolver.js'));
+const { alignFile } = require(path.join(SRC_DIR, '2-align-temporally.js'));
+const { commitFacts } = require(path.join(SRC_DIR, '3-commit-to-db.js'));
+const { MemoryStore } = require(path.join(SRC_DIR, 'memory-store.js'));
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'date-resolver-test-'));
+const MONDAY = '2026-10-19T09:00:00Z';
+const UTC = { timeZone: 'UTC' };
+
+after(() => {
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+function resolve(text, timestamp = MONDAY) {
+    return resolveDates(text, timestamp, UTC).text;
+}
+
+// ── resolveDates ──────────────────────────────────────────────────────────────
+
+test('resolves English day expressions', () => {
+    assert.equal(resolve('deployed yesterday'), 'deployed 2026-10-18');
+    assert.equal(resolve('Today and tomorrow'), '2026-10-19 and 2026-10-20');
+    assert.equal(resolve('the day before yesterday'), '2026-10-17');
+    assert.equal(resolve('3 days ago, in two weeks'), '2026-10-16, 2026-11-02');
+});
+
+test('"in N days" after a past-tense verb is a duration and stays as written', () => {
+    for (const text of ['the build finished in 2 days', 'we did the migration in a week', 'the port was done in two weeks']) {
+        assert.deepEqual(resolveDates(text, MONDAY, UTC), { text, resolved: [] }, text);
+    }
+    assert.equal(resolve('the build finished in 2 days; the release ships in 2 weeks'),
+        'the build finished in 2 days; the release ships 2026-11-02');
+    assert.equal(resolve('we decided it will be released in a week'), 'we decided it will be released 2026-10-26');
+    assert.equal(resolve('I need it in 2 days'), 'I need it 2026-10-21');
+});
+
+test('resolves English weekdays within their Mon-Sun week, and weeks/months/years', () => {
+    assert.equal(resolve('deadline is next Friday'), 'deadline is 2026-10-30');
+    assert.equal(resolve('this sunday'), '2026-10-25');
+    assert.equal(resolve('last monday'), '2026-10-12');
+    assert.equal(resolve('next week'), 'week of 2026-10-26');
+    assert.equal(resolve('last month'), '2026-09');
+    assert.equal(resolve('a year ago'), '2025');
+    // Nothing relative: unchanged
+    assert.deepEqual(resolveDates('Friday standup at 10', MONDAY, UTC), { text: 'Friday standup at 10', resolved: [] });
+});
+
+test('resolves Chinese expressions', () => {
+    assert.equal(resolve('昨天部署了'), '2026-10-18部署了');
+    assert.equal(resolve('前天，大前天，后天'), '2026-10-17，2026-10-16，2026-10-21');
+    assert.equal(resolve('下周五截止'), '2026-10-30截止');
+    assert.equal(resolve('三天前 两周后 十五天后'), '2026-10-16 2026-11-02 2026-11-03');
+    assert.equal(resolve('上个月 去年 这周日'), '2026-09 2025 2026-10-25');
+    assert.equal(resolve('本周'), '2026-10-19那周');
+});
+
+test('uses the local date of the timestamp in the given time zone', () => {
+    const lateUtc = '2026-10-19T23:30:00Z';
+    assert.equal(resolveDates('yesterday', lateUtc, UTC).text, '2026-10-18');
+    assert.equal(resolveDates('yesterday', lateUtc, { timeZone: 'Asia/Taipei' }).text, '2026-10-19');
+});
+
+test('resolves whole key segments only', () => {
+    assert.equal(resolveKeyDates('event.yesterday.deploy', MONDAY, UTC).key, 'event.2026-10-18.deploy');
+    assert.equal(resolveKeyDates('event.next_friday.release', MONDAY, UTC).key, 'event.2026-10-30.release');
+    assert.equal(resolveKeyDates('event.next_week.launch', MONDAY, UTC).key, 'event.2026-10-26.launch');
+    assert.equal(resolveKeyDates('event.上周五.会议', MONDAY, UTC).key, 'event.2026-10-16.会议');
+    assert.equal(resolveKeyDates('task.today_list', MONDAY, UTC).key, 'task.today_list');
+});
+
+test('resolveFactDates keeps the fact as stated and is idempotent', () => {
+    const { fact, resolved } = resolveFactDates(
+        { key: 'event.yesterday.deploy', value: 'rolled back tomorrow', message_timestamp: MONDAY }, UTC);
+    assert.equal(resolved, 2);
+    assert.equal(fact.key, 'event.2026-10-18.deploy');
+    assert.equal(fact.value, 'rolled back 2026-10-20');
+    assert.equal(fact.original_text, 'event.yesterday.deploy = rolled back tomorrow');
+
+    const again = resolveFactDates(fact, UTC);
+    assert.equal(again.resolved, 0);
+    assert.equal(again.fact, fact);
+});
+
+// ── step 2 → step 3 ──────────────────────────────────────────────────────────
+
+test('alignFile resolves dates and step 3 stores original_text', async () => {
+    const factsFile = path.join(TEMP_DIR, 'facts.jsonl');
+    const timedFactsFile = path.join(TEMP_DIR, 'timed.jsonl');
+    fs.writeFileSync(factsFile, [
+        { key: 'project.alpha.deadline', value: 'next Friday', source: 's1', message_timestamp: MONDAY },
+        { key: 'project.alpha.deadline', value: 'next Friday', source: 's2', message_timestamp: '2026-10-26T09:00:00Z' },
+        { key: 'user.city', value: 'Oslo', source: 's1', message_timestamp: MONDAY },
+    ].map(f => JSON.stringify(f)).join('\n') + '\n');
+
+    const metrics = alignFile({ factsFile, timedFactsFile, timeZone: 'UTC' });
+    assert.equal(metrics.dates_resolved, 2);
+
+    const timed = fs.readFileSync(timedFactsFile, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    // The same words a week apart are two different deadlines
+    assert.deepEqual(timed.map(f => [f.key, f.value, f.original_text]), [
+        ['project.alpha.deadline', '2026-10-30', 'project.alpha.deadline = next Friday'],
+        ['project.alpha.deadline', '2026-11-06', 'project.alpha.deadline = next Friday'],
+        ['user.city', 'Oslo', undefined],
+    ]);
+
+    const store = new MemoryStore(path.join(TEMP_DIR, 'memory.db'));
+    try {
+        await commitFacts(store.db, timed);
+        const history = store.history('project.alpha.deadline');
+        assert.deepEqual(history.map(r => [r.value, r.original_text]), [
+            ['2026-10-30', 'project.alpha.deadline = next Friday'],
+            ['2026-11-06', 'project.alpha.deadline = next Friday'],
+        ]);
+        assert.equal(store.history('user.city')[0].original_text, null);
+    } finally {
+        store.close();
+    }
+});
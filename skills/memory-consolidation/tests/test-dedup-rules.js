@@ -0,0 +1,258 @@
+/**
+ * Tests for rule-based dedup (dedup-rules.js), the dedup.strategy switch
+ * in dedupDecision(), and batched decisions in dedupDecisions() / step 3
+ *
+ * Strategy: check the value rules directly, then run dedupDecision() against
+ * a temp DB with the LLM and embedding backends pointed at a stub HTTP server
+ * (MEMORY_LLM_* / MEMORY_EMBED_* env) that counts LLM and embedding calls and
+ * can take the embedding endpoint down to simulate an offline run.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { compareValues, ruleDecision, loadDedupSettings, parseDay } = require(path.join(SRC_DIR, 'dedup-rules.js'));
+const { dedupDecision, dedupDecisions } = require(path.join(SRC_DIR, 'dedup-decision.js'));
+const { commitFacts, planDecisions } = require(path.join(SRC_DIR, '3-commit-to-db.js'));
+const { MemoryStore } = require(path.join(SRC_DIR, 'memory-store.js'));
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dedup-rules-test-'));
+let dbCount = 0;
+let server;
+let llmCalls = 0;
+let embedCalls = 0;
+let embedDown = false;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', c => { data += c; });
+        req.on('end', () => {
+            const body = JSON.parse(data);
+            let status = 200, json;
+            if (req.url === '/v1/chat/completions') {
+                llmCalls++;
+                // A batch gets one judgment per numbered fact; a single fact, a bare object
+                const ids = [...body.messages[0].content.matchAll(/^(\d+)\. NEW: (\S+)/gm)];
+                const content = ids.length > 1
+                    ? JSON.stringify(ids.map(([, id, key]) => ({ id: Number(id), action: 'skip', target: key, reason: 'batch' })))
+                    : '{"action":"merge","target":"user.city","reason":"llm"}';
+                json = { choices: [{ message: { content } }] };
+            } else if (embedDown) {
+                status = 503;
+                json = { error: 'down' };
+            } else {
+                embedCalls++;
+                // Values with a comma sit a little apart: cosine 0.89, inside the dedup threshold
+                json = { data: body.input.map(t => ({ embedding: t.includes(',') ? [1, 0.5, 0, 0] : [1, 0, 0, 0] })) };
+            }
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(json));
+        });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    Object.assign(process.env, {
+        MEMORY_LLM_PROVIDER: 'openai',
+        MEMORY_LLM_BASE_URL: baseUrl,
+        MEMORY_EMBED_BACKEND: 'http',
+        MEMORY_EMBED_MODEL: 'stub-embed',
+        MEMORY_EMBED_BASE_URL: baseUrl,
+    });
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+function settings(strategy, extra = {}) {
+    return loadDedupSettings({ dedup: { enabled: true, strategy, ...extra } });
+}
+
+// ── rules ─────────────────────────────────────────────────────────────────────
+
+test('value rules: normalization, numbers, dates, token overlap and cosine bands', () => {
+    const verdict = (a, b, similarity = null) => compareValues(a, { value: b, similarity }).verdict;
+
+    assert.equal(verdict('Oslo, Norway.', 'oslo norway'), 'same');
+    assert.equal(verdict('8 GB', '8GB'), 'same');
+    assert.equal(verdict('8 GB', '16 GB'), 'different');
+    assert.equal(verdict('8080', '8081', 0.99), 'different', 'numbers decide before cosine');
+    assert.equal(verdict('March 1, 2026', '2026-03-01T09:00:00Z'), 'same');
+    assert.equal(verdict('2026-03-01', '2026-03-02'), 'different');
+    assert.equal(verdict('uses pnpm workspaces for the monorepo', 'uses pnpm workspaces for this monorepo'), 'ambiguous');
+    assert.equal(verdict('uses pnpm workspaces for the monorepo', 'uses pnpm workspaces for this monorepo', 0.98), 'same');
+    assert.equal(verdict('Oslo', 'Bergen', 0.99), 'different', 'token overlap decides before cosine');
+    assert.equal(verdict('uses pnpm workspaces in the monorepo', 'uses pnpm workspaces in the monorepo root'), 'same');
+
+    assert.equal(parseDay('Oslo 2026'), null);
+    assert.equal(parseDay('1st Mar 2026'), '2026-03-01');
+});
+
+test('ruleDecision skips a repeat, creates past clear differences, flags the rest', () => {
+    assert.deepEqual(ruleDecision({ key: 'user.city', value: 'oslo' }, [
+        { key: 'user.home', value: 'Bergen', similarity: 0.9 },
+        { key: 'user.city', value: 'Oslo', similarity: null },
+    ]), { action: 'skip', target: 'user.city', reason: 'same value after normalization as user.city' });
+
+    assert.equal(ruleDecision({ key: 'user.city', value: 'Oslo' }, [{ key: 'user.city', value: 'Bergen' }]).action, 'create');
+    assert.equal(ruleDecision({ key: 'user.city', value: 'Oslo' }, []).action, 'create');
+    assert.equal(ruleDecision({ key: 'user.city', value: 'Oslo, Norway' }, [{ key: 'user.city', value: 'Oslo' }]).action, 'ambiguous');
+});
+
+test('ruleDecision does not skip a same-key update because another key has the value', () => {
+    const decision = ruleDecision({ key: 'project.x.status', value: 'done' }, [
+        { key: 'project.y.status', value: 'done', similarity: 0.95 },
+        { key: 'project.x.status', value: 'in progress', similarity: null },
+    ]);
+    assert.equal(decision.action, 'ambiguous');
+    assert.match(decision.reason, /^project\.y\.status: same value/);
+});
+
+test('loadDedupSettings overlays rules and rejects unknown strategies', () => {
+    assert.equal(settings('rules').rules.jaccard_same, 0.8);
+    assert.equal(loadDedupSettings({ dedup: { rules: { cosine_same: 0.99 } } }).rules.cosine_same, 0.99);
+    assert.equal(loadDedupSettings({}).strategy, 'llm');
+    assert.throws(() => settings('vibes'), /Unknown dedup strategy "vibes"/);
+});
+
+// ── dedupDecision ─────────────────────────────────────────────────────────────
+
+test('rules strategy dedups offline against the key\'s active value without the LLM', async () => {
+    const store = new MemoryStore(path.join(TEMP_DIR, `memory-${++dbCount}.db`), { runId: null });
+    const calls = llmCalls;
+    embedDown = true;
+    try {
+        store.put('user.city', 'Oslo');
+
+        const repeat = await dedupDecision({ key: 'user.city', value: 'oslo.' }, store.db, settings('rules'));
+        assert.deepEqual([repeat.action, repeat.target], ['skip', 'user.city']);
+
+        const moved = await dedupDecision({ key: 'user.city', value: 'Bergen' }, store.db, settings('rules'));
+        assert.equal(moved.action, 'create');
+
+        const unsure = await dedupDecision({ key: 'user.city', value: 'Oslo, Norway' }, store.db, settings('rules'));
+        assert.equal(unsure.action, 'create');
+        assert.match(unsure.reason, /^ambiguous: /);
+
+        // The llm strategy has nothing to go on offline
+        const llm = await dedupDecision({ key: 'user.city', value: 'oslo.' }, store.db, settings('llm'));
+        assert.deepEqual([llm.action, llm.reason], ['create', 'embed failed']);
+        assert.equal(llmCalls, calls);
+    } finally {
+        embedDown = false;
+        store.close();
+    }
+});
+
+test('rules strategy writes a same-key update whose value another key already has', async () => {
+    const store = new MemoryStore(path.join(TEMP_DIR, `memory-${++dbCount}.db`), { runId: null });
+    try {
+        await store.embed([store.put('project.x.status', 'in progress'), store.put('project.y.status', 'done')]);
+
+        const decision = await dedupDecision({ key: 'project.x.status', value: 'done' }, store.db, settings('rules'));
+        assert.equal(decision.action, 'create');
+        assert.match(decision.reason, /^ambiguous: project\.y\.status: /);
+    } finally {
+        store.close();
+    }
+});
+
+test('hybrid strategy escalates only ambiguous cases to the LLM', async () => {
+    const store = new MemoryStore(path.join(TEMP_DIR, `memory-${++dbCount}.db`), { runId: null });
+    const calls = llmCalls;
+    try {
+        await store.embed([store.put('user.city', 'Oslo')]);
+
+        const repeat = await dedupDecision({ key: 'user.city', value: 'OSLO' }, store.db, settings('hybrid'));
+        assert.equal(repeat.action, 'skip');
+        assert.equal(llmCalls, calls);
+
+        const unsure = await dedupDecision({ key: 'user.city', value: 'Oslo, Norway' }, store.db, settings('hybrid'));
+        assert.deepEqual([unsure.action, unsure.reason], ['merge', 'llm']);
+        assert.equal(llmCalls, calls + 1);
+    } finally {
+        store.close();
+    }
+});
+
+// ── batching ──────────────────────────────────────────────────────────────────
+
+test('dedupDecisions embeds once and judges batch_size candidates per LLM request', async () => {
+    const store = new MemoryStore(path.join(TEMP_DIR, `memory-${++dbCount}.db`), { runId: null });
+    try {
+        await store.embed([store.put('user.city', 'Oslo'), store.put('user.home', 'Oslo')]);
+        const [calls, embeds] = [llmCalls, embedCalls];
+
+        const decisions = await dedupDecisions([
+            { key: 'user.city', value: 'Oslo, Norway' },
+            { key: 'user.home', value: 'Oslo, Norway' },
+            { key: 'user.town', value: 'Oslo, Norway' },
+        ], store.db, settings('llm', { batch_size: 2 }));
+
+        assert.deepEqual(decisions.map(d => [d.candidate.key, d.action, d.target, d.reason]), [
+            ['user.city', 'skip', 'user.city', 'batch'],
+            ['user.home', 'skip', 'user.home', 'batch'],
+            ['user.town', 'merge', 'user.city', 'llm'],
+        ]);
+        assert.equal(embedCalls, embeds + 1);
+        assert.equal(llmCalls, calls + 2);
+    } finally {
+        store.close();
+    }
+});
+
+test('commitFacts uses planned decisions and makes no call while writing', async () => {
+    const store = new MemoryStore(path.join(TEMP_DIR, `memory-${++dbCount}.db`), { runId: null });
+    const fact = { key: 'user.city', value: 'Oslo, Norway', source: 'test', start_time: '2026-02-01T00:00:00Z' };
+    try {
+        await store.embed([store.put('user.city', 'Oslo', { startTime: '2026-01-01T00:00:00Z' })]);
+        const [calls, embeds] = [llmCalls, embedCalls];
+
+        const decisions = await planDecisions(store.db, [fact]);
+        assert.equal(decisions.get(0).action, 'merge');
+        assert.deepEqual([llmCalls, embedCalls], [calls + 1, embeds + 1]);
+
+        const result = await commitFacts(store.db, [fact], { decisions, contradictions: false });
+        assert.equal(result.mergedCount, 1);
+        assert.deepEqual([llmCalls, embedCalls], [calls + 1, embeds + 1], 'no judgment made while writing');
+
+        // Planned against a row another writer has since replaced: written as a new version
+        const next = { ...fact, value: 'Bergen, Norway', start_time: '2026-04-01T00:00:00Z' };
+        const stale = await planDecisions(store.db, [next]);
+        const [calls2, embeds2] = [llmCalls, embedCalls];
+        store.put('user.city', 'Trondheim', { startTime: '2026-03-01T00:00:00Z' });
+        const rewritten = await commitFacts(store.db, [next], { decisions: stale, contradictions: false });
+        assert.equal(rewritten.updatedCount, 1);
+        assert.deepEqual([llmCalls, embedCalls], [calls2, embeds2]);
+        assert.equal(store.get('user.city').value, 'Bergen, Norway');
+    } finally {
+        store.close();
+    }
+});
+
+test('planDecisions judges a key once when the batch holds several open versions of it', async () => {
+    const store = new MemoryStore(path.join(TEMP_DIR, `memory-${++dbCount}.db`), { runId: null });
+    const fact = (value, start_time) => ({ key: 'user.city', value, source: 'test', start_time, end_time: null });
+    try {
+        await store.embed([store.put('user.city', 'Oslo', { startTime: '2026-01-01T00:00:00Z' })]);
+        const facts = [fact('Oslo, Norway', '2026-02-01T00:00:00Z'), fact('Bergen, Norway', '2026-03-01T00:00:00Z')];
+
+        const decisions = await planDecisions(store.db, facts);
+        assert.deepEqual([...decisions.keys()], [0]);
+
+        const calls = llmCalls;
+        const result = await commitFacts(store.db, facts, { decisions, contradictions: false });
+        assert.deepEqual([result.mergedCount, result.updatedCount], [1, 1]);
+        assert.equal(llmCalls, calls);
+        assert.equal(store.get('user.city').value, 'Bergen, Norway');
+    } finally {
+        store.close();
+    }
+});
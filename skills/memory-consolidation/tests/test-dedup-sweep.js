@@ -0,0 +1,140 @@
+/**
+ * Tests for the cross-key dedup sweep (dedup-sweep.js)
+ *
+ * Strategy: seed a temp DB with facts carrying hand-made vectors under a stub
+ * embedding model (MEMORY_EMBED_MODEL), plan a sweep and check the clusters,
+ * then apply it and check that duplicates are closed, their provenance moved
+ * to the kept fact, and that reverting the sweep's run undoes it.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+process.env.MEMORY_EMBED_BACKEND = 'http';
+process.env.MEMORY_EMBED_MODEL = 'stub-embed';
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { runSweep, groupOf } = require(path.join(SRC_DIR, 'dedup-sweep.js'));
+const { MemoryStore } = require(path.join(SRC_DIR, 'memory-store.js'));
+const { toBlob } = require(path.join(SRC_DIR, 'embed.js'));
+const { ensureAnnTables } = require(path.join(SRC_DIR, 'ann-index.js'));
+const { getRun } = require(path.join(SRC_DIR, 'run-ledger.js'));
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dedup-sweep-test-'));
+const SETTINGS = { threshold: 0.92, max_cluster: 20, groups: { project: ['project.', 'claude.'] } };
+
+after(() => {
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+function seed() {
+    const store = new MemoryStore(path.join(TEMP_DIR, `memory-${Date.now()}-${Math.random()}.db`), { runId: null });
+    const add = (key, value, vector, opts = {}) => {
+        const row = store.put(key, value, { startTime: '2026-01-01T00:00:00Z', ...opts });
+        store.db.prepare("UPDATE memories SET embedding = ?, embedding_model = 'stub-embed', embedding_dim = ? WHERE rowid = ?")
+            .run(toBlob(Float32Array.from(vector)), vector.length, row.rowid);
+        return row;
+    };
+
+    add('project.package_manager', 'pnpm', [1, 0, 0, 0], { trustClass: 'user-stated', confidence: 0.8 });
+    const dup = add('claude.pkg_manager', 'pnpm workspaces', [0.98, 0.1, 0, 0]);
+    store.addProvenance(dup.key, dup.start_time, [{ session_id: 'aaaa', agent: 'claude-code', message_ids: ['m1'], quote: 'we use pnpm' }]);
+    // Same meaning, other category: left alone
+    add('user.package_manager', 'pnpm', [1, 0, 0, 0]);
+    // Close vectors, different numbers: different facts
+    add('project.port', '8080', [0, 1, 0, 0]);
+    add('project.dev_port', '8081', [0, 0.99, 0.05, 0]);
+    // Random-ID cases: the newer of two equal ones is kept
+    add('agent.case.a1b2', 'retry the flaky test', [0, 0, 1, 0], { source: 'auto:session:x' });
+    add('agent.case.c3d4', 'retry flaky test', [0, 0, 1, 0.02], { source: 'auto:session:x', startTime: '2026-02-01T00:00:00Z' });
+    return store;
+}
+
+test('groupOf uses the longest group prefix, else the first key segment', () => {
+    assert.equal(groupOf('claude.pkg_manager', SETTINGS.groups), 'project');
+    assert.equal(groupOf('project.port', SETTINGS.groups), 'project');
+    assert.equal(groupOf('agent.case.x', SETTINGS.groups), 'agent');
+    assert.equal(groupOf('agent.case.x', { cases: ['agent.case.'], agent: ['agent.'] }), 'cases');
+});
+
+test('a preview clusters near-duplicates within a category and changes nothing', () => {
+    const store = seed();
+    try {
+        const report = runSweep(store.db, { settings: SETTINGS });
+        assert.equal(report.plan.scanned, 7);
+        assert.deepEqual(report.plan.clusters.map(c => [c.group, c.keeper.key, c.duplicates.map(d => d.key)]), [
+            ['agent', 'agent.case.c3d4', ['agent.case.a1b2']],
+            ['project', 'project.package_manager', ['claude.pkg_manager']],
+        ]);
+        assert.ok(report.plan.clusters[1].duplicates[0].similarity >= 0.92);
+        assert.equal(report.runId, null);
+        assert.ok(store.get('claude.pkg_manager'));
+
+        // A stricter threshold, or a prefix, narrows the sweep
+        assert.equal(runSweep(store.db, { settings: SETTINGS, threshold: 0.999 }).plan.clusters.length, 1);
+        assert.deepEqual(runSweep(store.db, { settings: SETTINGS, prefix: 'agent.' }).plan.scanned, 2);
+        // A prefix is literal: no LIKE wildcards
+        assert.equal(runSweep(store.db, { settings: SETTINGS, prefix: 'agent.case.a1b_' }).plan.scanned, 0);
+        assert.equal(runSweep(store.db, { settings: SETTINGS, prefix: 'agent.%' }).plan.scanned, 0);
+    } finally {
+        store.close();
+    }
+});
+
+test('applying merges into the kept fact with provenance, as a run that revert undoes', () => {
+    const store = seed();
+    try {
+        const report = runSweep(store.db, { settings: SETTINGS, apply: true, runId: 'sweep-1' });
+        assert.deepEqual([report.merged, report.provenance], [2, 1]);
+
+        assert.equal(store.get('claude.pkg_manager'), undefined);
+        assert.equal(store.get('agent.case.a1b2'), undefined);
+        assert.equal(store.get('user.package_manager').value, 'pnpm');
+        assert.deepEqual(store.provenance('project.package_manager').map(p => [p.session_id, p.quote, p.run_id]),
+            [['aaaa', 'we use pnpm', 'sweep-1']]);
+        // The closed duplicate keeps its own provenance
+        assert.equal(store.provenance('claude.pkg_manager', { startTime: '2026-01-01T00:00:00Z' }).length, 1);
+
+        const run = getRun(store.db, 'sweep-1');
+        assert.deepEqual([run.mode, run.status, run.steps.sweep.merged], ['dedup-sweep', 'ok', 2]);
+
+        // Nothing left to merge
+        assert.equal(runSweep(store.db, { settings: SETTINGS }).plan.clusters.length, 0);
+
+        store.revertRun('sweep-1');
+        assert.equal(store.get('claude.pkg_manager').value, 'pnpm workspaces');
+        assert.equal(store.get('agent.case.a1b2').value, 'retry the flaky test');
+        assert.deepEqual(store.provenance('project.package_manager'), []);
+    } finally {
+        store.close();
+    }
+});
+
+test('with an ANN index, duplicates in a neighbouring list or not yet indexed are still found', () => {
+    const store = seed();
+    try {
+        // Two lists; the package-manager pair straddles them and the agent cases are unindexed
+        ensureAnnTables(store.db);
+        store.db.prepare("INSERT INTO ann_meta VALUES ('stub-embed', 2, 7, '2026-01-01T00:00:00Z')").run();
+        const centroid = store.db.prepare("INSERT INTO ann_centroids VALUES ('stub-embed', ?, ?)");
+        centroid.run(0, toBlob(Float32Array.from([1, 0, 0, 0])));
+        centroid.run(1, toBlob(Float32Array.from([0, 1, 0, 0])));
+        const assign = store.db.prepare("INSERT INTO ann_lists SELECT rowid, 'stub-embed', ? FROM memories WHERE key = ?");
+        assign.run(0, 'project.package_manager');
+        assign.run(0, 'user.package_manager');
+        assign.run(1, 'claude.pkg_manager');
+        assign.run(1, 'project.port');
+        assign.run(1, 'project.dev_port');
+
+        const { clusters } = runSweep(store.db, { settings: SETTINGS }).plan;
+        assert.deepEqual(clusters.map(c => [c.keeper.key, c.duplicates.map(d => d.key)]), [
+            ['agent.case.c3d4', ['agent.case.a1b2']],
+            ['project.package_manager', ['claude.pkg_manager']],
+        ]);
+    } finally {
+        store.close();
+    }
+});
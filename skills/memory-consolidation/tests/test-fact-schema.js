@@ -0,0 +1,199 @@
+/**
+ * Tests for fact validation (fact-schema.js) and the repair / quarantine flow
+ * in 1-extract-facts.js
+ *
+ * Strategy: unit-test validateFact() per category, then run extractFacts()
+ * against a stub LLM that returns invalid facts first and scripted repairs
+ * second, and assert on the facts file, the quarantine file and the metrics.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fact-schema-test-'));
+// Sessions table and legacy .processed_sessions of the temp dir, not the skill root's
+const DB_OPTS = { dbPath: path.join(TEMP_DIR, 'memory.db'), legacyFile: path.join(TEMP_DIR, 'processed_sessions') };
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { validateFact, categoryPromptLines } = require(path.join(SRC_DIR, 'fact-schema.js'));
+const { extractFacts } = require(path.join(SRC_DIR, '1-extract-facts.js'));
+const { alignFile } = require(path.join(SRC_DIR, '2-align-temporally.js'));
+const { DEFAULTS: TAXONOMY } = require(path.join(SRC_DIR, 'taxonomy.js'));
+
+let server;
+let replies = [];
+let requests = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', c => { data += c; });
+        req.on('end', () => {
+            requests.push(JSON.parse(data).messages.map(m => m.content).join('\n'));
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ choices: [{ message: { content: JSON.stringify(replies.shift() ?? []) } }] }));
+        });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    Object.assign(process.env, {
+        MEMORY_LLM_PROVIDER: 'openai',
+        MEMORY_LLM_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+    });
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+function writeSession(name) {
+    const file = path.join(TEMP_DIR, `${name}.jsonl`);
+    fs.writeFileSync(file, JSON.stringify({
+        type: 'message', timestamp: '2026-03-01T10:00:00Z', message: { role: 'user', content: 'Yesterday I moved to Lisbon.' },
+    }) + '\n');
+    return file;
+}
+
+function readJsonl(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+}
+
+// ── validateFact ──────────────────────────────────────────────────────────────
+
+test('validateFact accepts each category in its documented form', () => {
+    for (const fact of [
+        { key: 'user.name', value: 'Ann' },
+        { key: 'pref.editor', value: 'vim' },
+        { key: 'entity.acme.founded', value: 1999 },
+        { key: 'event.2026-03-01.move', value: 'Moved to Lisbon' },
+        { key: 'agent.pattern.use_pnpm', value: 'Always use pnpm in this project' },
+        { key: 'project.memory.db_engine', value: 'sqlite' },
+        { key: 'config.debug', value: true },
+    ]) {
+        assert.deepEqual(validateFact(fact).errors, [], fact.key);
+    }
+});
+
+test('validateFact takes its categories and alias sources from the taxonomy', () => {
+    const taxonomy = { ...TAXONOMY, categories: [...TAXONOMY.categories, 'tool', 'skill'], aliases: { plugin: 'tool.plugin' } };
+    for (const key of ['tool.plugin.eslint', 'skill.deploy', 'agent.workflow.release', 'plugin.eslint']) {
+        assert.deepEqual(validateFact({ key, value: 'x' }, taxonomy).errors, [], key);
+    }
+    assert.match(validateFact({ key: 'tool.plugin.eslint', value: 'x' }, TAXONOMY).errors[0], /unknown category "tool"/);
+    assert.deepEqual(validateFact({ key: 'weather.today', value: 'rain' }, { ...TAXONOMY, unknown: 'keep' }).errors, []);
+});
+
+test('validateFact rejects plural, uppercase, spaced and unknown keys', () => {
+    assert.deepEqual(validateFact({ key: 'users.name', value: 'Ann' }).errors, ['category "users" is plural: use "user"']);
+    assert.deepEqual(validateFact({ key: 'entities.acme.ceo', value: 'Bo' }).errors, ['category "entities" is plural: use "entity"']);
+    assert.deepEqual(validateFact({ key: 'user.Name', value: 'Ann' }).errors, ['key must be lowercase']);
+    assert.deepEqual(validateFact({ key: 'user.home city', value: 'Lisbon' }).errors, ['key must not contain spaces']);
+    assert.match(validateFact({ key: 'weather.today', value: 'rain' }).errors[0], /unknown category "weather"/);
+    assert.match(validateFact({ key: 'event.yesterday.move', value: 'x' }).errors[0], /does not match event\.<date>\.<topic>/);
+    assert.match(validateFact({ key: 'user.name', value: { first: 'Ann' } }).errors[0], /value must be string or number or boolean/);
+    assert.equal(validateFact('user.name=Ann').ok, false);
+});
+
+test('validateFact checks agent.case values, parsing JSON strings', () => {
+    const ok = validateFact({ key: 'agent.case.test_failure.1', value: '{"problem":"tests fail","solution":"rebuild","outcome":"success"}' });
+    assert.equal(ok.ok, true);
+    assert.deepEqual(ok.fact.value, { problem: 'tests fail', solution: 'rebuild', outcome: 'success' });
+
+    assert.deepEqual(validateFact({ key: 'agent.case.x', value: { problem: 'p', outcome: 'maybe' } }).errors, [
+        'value is missing "solution"',
+        'value.outcome must be one of success|failure',
+    ]);
+});
+
+test('categoryPromptLines lists every category form for the prompt', () => {
+    const lines = categoryPromptLines(TAXONOMY);
+    assert.match(lines, /^- user\.\* \/ pref\.\* - User identity and preferences$/m);
+    assert.match(lines, /^- agent\.case\.<id> - Learned cases/m);
+    assert.match(lines, /^- project\.\*, task\.\*, system\.\*, config\.\* - Standard categories$/m);
+    assert.match(categoryPromptLines({ ...TAXONOMY, categories: [...TAXONOMY.categories, 'tool'] }),
+        /^- project\.\*, task\.\*, system\.\*, config\.\*, tool\.\* - Standard categories$/m);
+});
+
+// ── repair & quarantine ───────────────────────────────────────────────────────
+
+test('invalid facts are repaired once; what still fails is quarantined', async () => {
+    const factsFile = path.join(TEMP_DIR, 'facts.jsonl');
+    const quarantineFile = path.join(TEMP_DIR, 'quarantine.jsonl');
+    requests = [];
+    replies = [
+        // Extraction: one valid, one with a relative date (resolved without
+        // the LLM), two invalid
+        [
+            { key: 'user.city', value: 'Lisbon' },
+            { key: 'users.language', value: 'Portuguese' },
+            { key: 'event.yesterday.move', value: 'Moved to Lisbon' },
+            { key: 'agent.case.move', value: { problem: 'moving' } },
+        ],
+        // Repair: one per invalid item, in order
+        [
+            { key: 'user.language', value: 'Portuguese' },
+            null,
+        ],
+    ];
+
+    const metrics = await extractFacts(writeSession('repair'), { factsFile, quarantineFile, ...DB_OPTS });
+
+    assert.equal(requests.length, 2);
+    assert.match(requests[1], /The conversation took place on 2026-03-01/);
+    assert.match(requests[1], /category \\"users\\" is plural/);
+    assert.doesNotMatch(requests[1], /event\.yesterday/);
+    const facts = readJsonl(factsFile);
+    assert.deepEqual(facts.map(f => f.key), ['user.city', 'event.2026-02-28.move', 'user.language']);
+    assert.equal(facts[1].original_text, 'event.yesterday.move = Moved to Lisbon');
+
+    const quarantined = readJsonl(quarantineFile);
+    assert.equal(quarantined.length, 1);
+    assert.equal(quarantined[0].fact.key, 'agent.case.move');
+    assert.equal(quarantined[0].session, 'repair');
+    assert.deepEqual(quarantined[0].errors, [
+        'value is missing "solution"', 'value is missing "outcome"', 'repair: dropped as unfixable',
+    ]);
+    assert.deepEqual(
+        { invalid: metrics.invalid, repaired: metrics.repaired, quarantined: metrics.quarantined, facts: metrics.facts },
+        { invalid: 2, repaired: 1, quarantined: 1, facts: 3 },
+    );
+});
+
+test('a repair reply of the wrong length quarantines every invalid fact', async () => {
+    const factsFile = path.join(TEMP_DIR, 'facts-2.jsonl');
+    const quarantineFile = path.join(TEMP_DIR, 'quarantine-2.jsonl');
+    replies = [
+        [{ key: 'Users.Name', value: 'Ann' }, { key: 'tasks.next', value: 'pack' }],
+        [{ key: 'user.name', value: 'Ann' }],
+    ];
+
+    await extractFacts(writeSession('short-repair'), { factsFile, quarantineFile, ...DB_OPTS });
+    assert.deepEqual(readJsonl(factsFile), []);
+    const quarantined = readJsonl(quarantineFile);
+    assert.deepEqual(quarantined.map(q => q.fact.key), ['Users.Name', 'tasks.next']);
+    assert.ok(quarantined.every(q => q.errors.at(-1) === 'repair: wrong number of items'));
+});
+
+test('an extracted fact under an alias passes step 1 and reaches timed_facts.jsonl canonicalized', async () => {
+    const factsFile = path.join(TEMP_DIR, 'facts-alias.jsonl');
+    const timedFactsFile = path.join(TEMP_DIR, 'timed-alias.jsonl');
+    const quarantineFile = path.join(TEMP_DIR, 'quarantine-alias.jsonl');
+    requests = [];
+    replies = [[
+        { key: 'plugin.eslint', value: 'flat config' },
+        { key: 'skill.deploy', value: 'pnpm run release' },
+    ]];
+
+    await extractFacts(writeSession('alias'), { factsFile, quarantineFile, ...DB_OPTS });
+    assert.equal(requests.length, 1, 'no repair needed');
+    const taxonomy = { ...TAXONOMY, categories: [...TAXONOMY.categories, 'tool', 'skill'], aliases: { plugin: 'tool.plugin' } };
+    alignFile({ factsFile, timedFactsFile, quarantineFile, taxonomy });
+
+    assert.deepEqual(readJsonl(timedFactsFile).map(f => f.key).sort(), ['skill.deploy', 'tool.plugin.eslint']);
+    assert.equal(fs.existsSync(quarantineFile), false);
+});
@@ -0,0 +1,202 @@
+/**
+ * Tests for the LLM provider layer (llm-provider.js)
+ *
+ * Strategy: start a local stub HTTP server that speaks the OpenAI, Ollama,
+ * Anthropic and Gemini wire formats, point providers at it, and assert on
+ * both the request that was sent and the text returned. The last test runs
+ * 1-extract-facts.js end-to-end against the stub.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { createProvider, resolveSettings, getCallStats } = require(path.join(SRC_DIR, 'llm-provider.js'));
+
+const TEMP_SESSION   = path.join(os.tmpdir(), `llm-test-session-${process.pid}.jsonl`);
+const TEMP_FACTS     = path.join(os.tmpdir(), `llm-test-facts-${process.pid}.jsonl`);
+const TEMP_DB        = path.join(os.tmpdir(), `llm-test-db-${process.pid}.db`);
+
+let server;
+let baseUrl;
+const requests = [];
+let throttled = 0;
+
+function reply(req, body) {
+    if (req.url.startsWith('/v1/chat/completions')) {
+        if (body.model === 'fail') return [500, { error: 'boom' }];
+        if (body.model === 'busy' && throttled-- > 0) return [429, { error: 'slow down' }, { 'Retry-After': '0' }];
+        return [200, { choices: [{ message: { content: '[{"key":"user.name","value":"Jerry","msg":1}]' } }] }];
+    }
+    if (req.url === '/api/generate') return [200, { response: `ollama:${body.prompt}` }];
+    if (req.url === '/v1/messages') return [200, { content: [{ type: 'text', text: 'claude says hi' }] }];
+    if (req.url.startsWith('/models/')) return [200, { candidates: [{ content: { parts: [{ text: 'gemini says hi' }] } }] }];
+    return [404, {}];
+}
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', c => { data += c; });
+        req.on('end', () => {
+            const body = data ? JSON.parse(data) : {};
+            requests.push({ url: req.url, headers: req.headers, body });
+            const [status, json, headers] = reply(req, body);
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(JSON.stringify(json));
+        });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    for (const f of [TEMP_SESSION, TEMP_FACTS, TEMP_DB, `${TEMP_DB}-wal`, `${TEMP_DB}-shm`]) {
+        if (fs.existsSync(f)) fs.unlinkSync(f);
+    }
+});
+
+function provider(name, extra = {}) {
+    return createProvider({ provider: name, model: 'm', timeout_ms: 5000, ...extra });
+}
+
+// ── tests ─────────────────────────────────────────────────────────────────────
+
+test('openai provider sends system + user messages and returns content', async () => {
+    const llm = provider('openai', { base_url: `${baseUrl}/v1` });
+    const text = await llm.generate('Extract facts', { input: 'transcript' });
+    assert.match(text, /user\.name/);
+
+    const sent = requests.at(-1).body;
+    assert.deepEqual(sent.messages.map(m => m.role), ['system', 'user']);
+    assert.equal(sent.messages[1].content, 'transcript');
+});
+
+test('ollama provider uses /api/generate with system prompt', async () => {
+    const llm = provider('ollama', { base_url: baseUrl });
+    const text = await llm.generate('Extract facts', { input: 'transcript' });
+    assert.equal(text, 'ollama:transcript');
+    assert.equal(requests.at(-1).body.system, 'Extract facts');
+    assert.equal(requests.at(-1).body.stream, false);
+});
+
+test('anthropic provider sends api key header', async () => {
+    const llm = provider('anthropic', { base_url: baseUrl, api_key: 'sk-test' });
+    const text = await llm.generate('hello');
+    assert.equal(text, 'claude says hi');
+    assert.equal(requests.at(-1).headers['x-api-key'], 'sk-test');
+});
+
+test('gemini provider calls generateContent with API key', async () => {
+    process.env.GOOGLE_API_KEY2 = 'g-test';
+    try {
+        const llm = provider('gemini', { base_url: baseUrl });
+        const text = await llm.generate('hello', { maxOutputTokens: 10 });
+        assert.equal(text, 'gemini says hi');
+        assert.match(requests.at(-1).url, /\/models\/m:generateContent\?key=g-test/);
+        assert.equal(requests.at(-1).body.generationConfig.maxOutputTokens, 10);
+    } finally {
+        delete process.env.GOOGLE_API_KEY2;
+    }
+});
+
+test('HTTP errors reject with status', async () => {
+    const llm = createProvider({ provider: 'openai', model: 'fail', timeout_ms: 5000, base_url: `${baseUrl}/v1` });
+    const before = getCallStats();
+    await assert.rejects(llm.generate('x'), err => err.status === 500);
+    assert.deepEqual(getCallStats(), { calls: before.calls + 1, failures: before.failures + 1 });
+});
+
+test('429 is retried with backoff, honouring Retry-After', async () => {
+    const llm = createProvider({ provider: 'openai', model: 'busy', timeout_ms: 5000, base_url: `${baseUrl}/v1` });
+    const before = getCallStats();
+    throttled = 2;
+    assert.match(await llm.generate('x'), /user\.name/);
+    assert.deepEqual(getCallStats(), { calls: before.calls + 3, failures: before.failures });
+
+    const impatient = createProvider({
+        provider: 'openai', model: 'busy', timeout_ms: 5000, base_url: `${baseUrl}/v1`, backoff: { retries: 1 },
+    });
+    throttled = 2;
+    await assert.rejects(impatient.generate('x'), err => err.status === 429 && err.retryAfterMs === 0);
+});
+
+test('unknown provider is rejected', () => {
+    assert.throws(() => provider('nope'), /Unknown LLM provider/);
+});
+
+test('task settings override global, env overrides both', () => {
+    const config = {
+        llm: {
+            provider: 'gemini-cli', model: 'a',
+            tasks: { dedup: { provider: 'ollama', model: 'b' } },
+            providers: { ollama: { base_url: 'http://box:11434' } },
+        },
+    };
+    assert.equal(resolveSettings('extract', config).model, 'a');
+    const dedup = resolveSettings('dedup', config);
+    assert.equal(dedup.provider, 'ollama');
+    assert.equal(dedup.base_url, 'http://box:11434');
+
+    process.env.MEMORY_LLM_PROVIDER = 'llamacpp';
+    try {
+        const s = resolveSettings('dedup', config);
+        assert.equal(s.provider, 'llamacpp');
+        assert.equal(s.base_url, 'http://127.0.0.1:8080/v1');
+    } finally {
+        delete process.env.MEMORY_LLM_PROVIDER;
+    }
+});
+
+test('provider settings override the global defaults, task settings override the provider', () => {
+    const config = {
+        llm: {
+            provider: 'ollama', timeout_ms: 60000,
+            tasks: { dedup: { timeout_ms: 5000 } },
+            providers: { ollama: { timeout_ms: 300000, model: 'qwen' } },
+        },
+    };
+    assert.deepEqual([resolveSettings('extract', config).timeout_ms, resolveSettings('extract', config).model], [300000, 'qwen']);
+    assert.equal(resolveSettings('dedup', config).timeout_ms, 5000);
+    assert.equal(resolveSettings('extract', { llm: { timeout_ms: 60000 } }).timeout_ms, 60000);
+});
+
+test('1-extract-facts.js extracts against a stub OpenAI-compatible server', async () => {
+    fs.writeFileSync(TEMP_SESSION, [
+        { type: 'message', timestamp: '2026-01-01T10:00:00Z', message: { role: 'user', content: 'My name is Jerry and I live in Hsinchu.' } },
+        { type: 'message', timestamp: '2026-01-01T10:00:05Z', message: { role: 'assistant', content: 'Nice to meet you, Jerry.' } },
+    ].map(r => JSON.stringify(r)).join('\n') + '\n');
+
+    await new Promise((resolve, reject) => {
+        execFile('node', [path.join(SRC_DIR, '1-extract-facts.js'), TEMP_SESSION], {
+            env: {
+                ...process.env,
+                MEMORY_LLM_PROVIDER: 'openai',
+                MEMORY_LLM_BASE_URL: `${baseUrl}/v1`,
+                FACTS_FILE: TEMP_FACTS,
+                MEMORY_DB_PATH: TEMP_DB,
+                MEMORY_RUN_ID: 'run-extract',
+            },
+        }, (err, stdout, stderr) => err ? reject(new Error(stderr || err.message)) : resolve(stdout));
+    });
+
+    const facts = fs.readFileSync(TEMP_FACTS, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+    assert.equal(facts.length, 1);
+    assert.equal(facts[0].key, 'user.name');
+    assert.equal(facts[0].value, 'Jerry');
+    assert.equal(facts[0].message_timestamp, '2026-01-01T10:00:00Z');
+
+    // Step metrics land in the run ledger
+    const { openDatabase } = require(path.join(SRC_DIR, 'migrations.js'));
+    const { getRun } = require(path.join(SRC_DIR, 'run-ledger.js'));
+    const db = openDatabase(TEMP_DB, { readonly: true });
+    const run = getRun(db, 'run-extract');
+    db.close();
+    assert.deepEqual(run.steps.extract, { sessions: 1, chunks: 1, facts: 1, failures: 0, llm_calls: 1, llm_failures: 0 });
+});
@@ -0,0 +1,215 @@
+/**
+ * Tests for the shared memory repository (memory-store.js)
+ *
+ * Strategy: drive MemoryStore against a temp DB and assert on both the
+ * memories table and what the FTS5 index matches, since the point of the
+ * module is that the two never drift.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { MemoryStore } = require(path.join(SRC_DIR, 'memory-store.js'));
+const { rebuildFts } = require(path.join(SRC_DIR, '3-commit-to-db.js'));
+
+const TEMP_DB = path.join(os.tmpdir(), `store-test-db-${process.pid}.db`);
+
+let store;
+
+before(() => {
+    if (fs.existsSync(TEMP_DB)) fs.unlinkSync(TEMP_DB);
+    store = new MemoryStore(TEMP_DB);
+});
+
+after(() => {
+    store.close();
+    for (const suffix of ['', '-wal', '-shm']) {
+        if (fs.existsSync(TEMP_DB + suffix)) fs.unlinkSync(TEMP_DB + suffix);
+    }
+});
+
+// Raw FTS hits, without the end_time filter search() applies
+function ftsRowids(term) {
+    return store.db.prepare('SELECT rowid FROM memories_fts WHERE memories_fts MATCH ?').pluck().all(`"${term}"`);
+}
+
+// ── tests ─────────────────────────────────────────────────────────────────────
+
+test('put closes the previous active row and keeps FTS on the active value only', () => {
+    const first = store.put('user.city', 'Taipei', { source: 'test', startTime: '2026-01-01T00:00:00Z' });
+    const second = store.put('user.city', 'Hsinchu', { source: 'test', startTime: '2026-02-01T00:00:00Z' });
+
+    const history = store.history('user.city');
+    assert.deepEqual(history.map(r => [r.value, r.end_time]), [
+        ['Taipei', '2026-02-01T00:00:00Z'],
+        ['Hsinchu', null],
+    ]);
+    assert.equal(store.get('user.city').rowid, second.rowid);
+
+    assert.deepEqual(ftsRowids('Taipei'), []);
+    assert.deepEqual(ftsRowids('Hsinchu'), [second.rowid]);
+    assert.notEqual(first.rowid, second.rowid);
+});
+
+test('put with an existing (key, start_time) replaces that row', () => {
+    store.put('user.editor', 'vim', { startTime: '2026-03-01T00:00:00Z' });
+    const row = store.put('user.editor', 'helix', { startTime: '2026-03-01T00:00:00Z' });
+
+    assert.deepEqual(store.history('user.editor').map(r => r.value), ['helix']);
+    assert.deepEqual(ftsRowids('vim'), []);
+    assert.deepEqual(ftsRowids('helix'), [row.rowid]);
+});
+
+test('put of an older or closed version keeps the newer active row', () => {
+    store.put('user.os', 'Fedora', { startTime: '2026-03-01T00:00:00Z' });
+    const older = store.put('user.os', 'Ubuntu', { startTime: '2026-01-01T00:00:00Z' });
+    const closed = store.put('user.os', 'Arch', { startTime: '2026-04-01T00:00:00Z', endTime: '2026-04-02T00:00:00Z' });
+
+    assert.equal(older.end_time, '2026-03-01T00:00:00Z');
+    assert.equal(closed.end_time, '2026-04-02T00:00:00Z');
+    assert.deepEqual(store.history('user.os').map(r => [r.value, r.start_time, r.end_time]), [
+        ['Ubuntu', '2026-01-01T00:00:00Z', '2026-03-01T00:00:00Z'],
+        ['Fedora', '2026-03-01T00:00:00Z', null],
+        ['Arch', '2026-04-01T00:00:00Z', '2026-04-02T00:00:00Z'],
+    ]);
+    assert.equal(store.get('user.os').value, 'Fedora');
+    assert.deepEqual(ftsRowids('Ubuntu'), []);
+});
+
+test('non-string values are JSON-encoded', () => {
+    store.put('error.git.push', { count: 2 });
+    assert.equal(store.get('error.git.push').value, '{"count":2}');
+});
+
+test('search: keys > query > prefix > all', async () => {
+    store.put('user.name', 'Jerry');
+
+    assert.deepEqual((await store.search({ keys: ['user.name'], query: 'Hsinchu' })).map(r => r.key), ['user.name']);
+    assert.deepEqual((await store.search({ query: 'Hsinchu', prefix: 'error.' })).map(r => r.key), ['user.city']);
+    assert.deepEqual((await store.search({ prefix: 'error.' })).map(r => r.key), ['error.git.push']);
+    assert.equal((await store.search({ limit: 2 })).length, 2);
+});
+
+test('soft delete closes the row and removes it from FTS; history survives', () => {
+    assert.equal(store.delete('user.name'), 1);
+    assert.equal(store.get('user.name'), undefined);
+    assert.deepEqual(ftsRowids('Jerry'), []);
+    assert.equal(store.history('user.name').length, 1);
+    assert.equal(store.delete('user.name'), 0);
+});
+
+test('hard delete removes every version', () => {
+    assert.equal(store.delete('user.city', { hard: true }), 2);
+    assert.deepEqual(store.history('user.city'), []);
+    assert.deepEqual(ftsRowids('Hsinchu'), []);
+});
+
+test('rebuildFts indexes active rows only', () => {
+    store.put('project.stack', 'node');
+    store.put('project.stack', 'deno');
+    rebuildFts(store.db);
+
+    assert.deepEqual(ftsRowids('node'), []);
+    assert.deepEqual(ftsRowids('deno'), [store.get('project.stack').rowid]);
+});
+
+test('access stats carry over to the new version of a key', () => {
+    store.db.prepare("UPDATE memories SET access_count = 3, last_accessed = '2026-04-01T00:00:00Z' WHERE key = 'project.stack' AND end_time IS NULL").run();
+    store.put('project.stack', 'bun');
+
+    const row = store.db.prepare("SELECT access_count, last_accessed FROM memories WHERE key = 'project.stack' AND end_time IS NULL").get();
+    assert.deepEqual({ ...row }, { access_count: 3, last_accessed: '2026-04-01T00:00:00Z' });
+});
+
+test('history with prefix returns every version grouped by key', () => {
+    store.put('project.db', 'mysql', { startTime: '2026-01-01T00:00:00Z' });
+    store.put('project.db', 'postgres', { startTime: '2026-03-01T00:00:00Z' });
+
+    const rows = store.history('project.', { prefix: true });
+    assert.deepEqual(rows.filter(r => r.key === 'project.db').map(r => [r.value, r.end_time]), [
+        ['mysql', '2026-03-01T00:00:00Z'],
+        ['postgres', null],
+    ]);
+    assert.ok(rows.every(r => r.key.startsWith('project.')));
+});
+
+test('search asOf returns what was active at that time', async () => {
+    const at = asOf => store.search({ keys: ['project.db'], asOf }).then(rows => rows.map(r => r.value));
+
+    assert.deepEqual(await at('2026-02-15'), ['mysql']);
+    assert.deepEqual(await at('2026-03-01T00:00:00.000Z'), ['postgres']);
+    assert.deepEqual(await at('2025-12-01'), []);
+
+    const byQuery = await store.search({ query: 'mysq', asOf: '2026-02-15' });
+    assert.deepEqual(byQuery.map(r => [r.key, r.end_time]), [['project.db', '2026-03-01T00:00:00Z']]);
+    const byPrefix = await store.search({ prefix: 'project.', asOf: '2026-02-15' });
+    assert.deepEqual(byPrefix.map(r => r.value), ['mysql']);
+
+    await assert.rejects(store.search({ prefix: 'project.', asOf: 'yesterday-ish' }), /Invalid timestamp/);
+});
+
+test('a prefix matches literally: _ and % are not wildcards', async () => {
+    store.put('user.first_name', 'Ann', { startTime: '2026-01-01T00:00:00Z' });
+    store.put('user.firstXname', 'Bo', { startTime: '2026-01-01T00:00:00Z' });
+    store.put('user.100%', 'sure', { startTime: '2026-01-01T00:00:00Z' });
+
+    assert.deepEqual(store.history('user.first_', { prefix: true }).map(r => r.key), ['user.first_name']);
+    assert.deepEqual((await store.search({ prefix: 'user.first_' })).map(r => r.key), ['user.first_name']);
+    assert.deepEqual((await store.search({ prefix: 'user.first_', asOf: '2026-02-01' })).map(r => r.key), ['user.first_name']);
+    assert.deepEqual(store.history('user.1%', { prefix: true }), []);
+});
+
+test('revertRun restores replaced rows and skips keys a later run changed', () => {
+    const runA = new MemoryStore(store.db, { runId: 'run-a' });
+    const runB = new MemoryStore(store.db, { runId: 'run-b' });
+
+    store.put('user.shell', 'bash', { startTime: '2026-05-01T00:00:00Z' });
+    runA.put('user.shell', 'zsh', { startTime: '2026-05-01T00:00:00Z' });   // same start_time: replaced
+    runA.put('user.os', 'linux', { startTime: '2026-05-01T00:00:00Z' });
+    runB.put('user.os', 'macos', { startTime: '2026-06-01T00:00:00Z' });
+
+    const result = store.revertRun('run-a');
+    assert.deepEqual(result, { keys: 1, removed: 1, reopened: 1, conflicts: ['user.os'] });
+
+    assert.equal(store.get('user.shell').value, 'bash');
+    assert.deepEqual(ftsRowids('bash'), [store.get('user.shell').rowid]);
+    assert.deepEqual(ftsRowids('zsh'), []);
+    assert.equal(store.get('user.os').value, 'macos');
+});
+
+test('revertKey drops the active version and reopens the previous one', () => {
+    store.put('user.theme', 'light', { startTime: '2026-05-01T00:00:00Z' });
+    store.put('user.theme', 'dark', { startTime: '2026-06-01T00:00:00Z' });
+
+    assert.deepEqual(store.revertKey('user.theme'), { removed: 1, reopened: 1 });
+    assert.equal(store.get('user.theme').value, 'light');
+    assert.deepEqual(ftsRowids('light'), [store.get('user.theme').rowid]);
+    assert.deepEqual(ftsRowids('dark'), []);
+
+    // A soft delete is undone the same way
+    store.delete('user.theme');
+    assert.deepEqual(store.revertKey('user.theme'), { removed: 0, reopened: 1 });
+    assert.equal(store.get('user.theme').value, 'light');
+});
+
+test('rekey moves every version, archives start_time clashes and keeps one active row', () => {
+    store.put('users.pager', 'less', { startTime: '2026-07-01T00:00:00Z' });
+    store.put('users.pager', 'most', { startTime: '2026-08-01T00:00:00Z' });
+    store.put('user.pager', 'more', { startTime: '2026-07-01T00:00:00Z' });
+    store.db.prepare("UPDATE memories SET embedding = x'00000000' WHERE key = 'users.pager'").run();
+
+    assert.deepEqual(store.rekey('users.pager', 'user.pager'), { moved: 1, archived: 1, closed: 1 });
+    assert.deepEqual(store.history('users.pager'), []);
+    assert.deepEqual(store.history('user.pager').map(r => [r.value, r.end_time]), [
+        ['more', '2026-08-01T00:00:00Z'],
+        ['most', null],
+    ]);
+    assert.equal(store.db.prepare("SELECT embedding FROM memories WHERE key = 'user.pager' AND value = 'most'").pluck().get(), null);
+    assert.equal(store.db.prepare("SELECT policy FROM memories_archive WHERE key = 'users.pager'").pluck().get(), 'rekeyed');
+    assert.deepEqual(ftsRowids('most'), [store.get('user.pager').rowid]);
+    assert.deepEqual(ftsRowids('more'), []);
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for the schema migration framework (migrations.js)
+ *
+ * Strategy: build DBs in the shapes older versions left behind, open them
+ * through openDatabase(), and assert on schema_version and the resulting
+ * columns/data.
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const SRC_DIR  = path.join(__dirname, '..', 'src');
+const Database = require(path.join(SRC_DIR, 'node_modules', 'better-sqlite3'));
+const { openDatabase, migrate, getSchemaVersion, SCHEMA_VERSION } = require(path.join(SRC_DIR, 'migrations.js'));
+
+const TEMP_DB = path.join(os.tmpdir(), `migrations-test-db-${process.pid}.db`);
+
+function removeDb() {
+    for (const suffix of ['', '-wal', '-shm']) {
+        if (fs.existsSync(TEMP_DB + suffix)) fs.unlinkSync(TEMP_DB + suffix);
+    }
+}
+
+afterEach(removeDb);
+
+function columns(db) {
+    return db.prepare('PRAGMA table_info(memories)').all().map(c => c.name);
+}
+
+// v1.x layout: no FTS, no embedding columns
+function seedOriginalDb() {
+    removeDb();
+    const db = new Database(TEMP_DB);
+    db.exec(`
+        CREATE TABLE memories (
+            key TEXT NOT NULL, value TEXT, source TEXT,
+            start_time TEXT NOT NULL, end_time TEXT,
+            PRIMARY KEY (key, start_time)
+        )
+    `);
+    const insert = db.prepare('INSERT INTO memories VALUES (?, ?, ?, ?, ?)');
+    insert.run('user.city', 'Taipei', 's', '2026-01-01T00:00:00Z', '2026-02-01T00:00:00Z');
+    insert.run('user.city', 'Hsinchu', 's', '2026-02-01T00:00:00Z', null);
+    db.close();
+}
+
+// ── tests ─────────────────────────────────────────────────────────────────────
+
+test('fresh DB is created at the latest version', () => {
+    removeDb();
+    const db = openDatabase(TEMP_DB);
+    assert.equal(getSchemaVersion(db), SCHEMA_VERSION);
+    for (const col of ['embedding', 'embedding_model', 'embedding_dim', 'access_count', 'last_accessed']) {
+        assert.ok(columns(db).includes(col), col);
+    }
+    db.close();
+});
+
+test('original DB is migrated and FTS is populated with active rows', () => {
+    seedOriginalDb();
+    const db = openDatabase(TEMP_DB);
+
+    const versions = db.prepare('SELECT version FROM schema_version ORDER BY version').pluck().all();
+    assert.deepEqual(versions, Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1));
+
+    const hits = term => db.prepare('SELECT rowid FROM memories_fts WHERE memories_fts MATCH ?').pluck().all(term);
+    assert.equal(hits('Hsinchu').length, 1);
+    assert.equal(hits('Taipei').length, 0);
+    db.close();
+});
+
+test('pre-versioned DB keeps existing columns and data', () => {
+    seedOriginalDb();
+    const raw = new Database(TEMP_DB);
+    raw.exec('ALTER TABLE memories ADD COLUMN embedding BLOB');
+    raw.exec('ALTER TABLE memories ADD COLUMN embedding_model TEXT');
+    raw.exec('ALTER TABLE memories ADD COLUMN embedding_dim INTEGER');
+    raw.prepare("UPDATE memories SET embedding = ?, embedding_model = 'local-model', embedding_dim = 1 WHERE end_time IS NULL")
+        .run(Buffer.from(new Float32Array([1]).buffer));
+    raw.close();
+
+    const db = openDatabase(TEMP_DB);
+    const row = db.prepare('SELECT embedding_model, access_count FROM memories WHERE end_time IS NULL').get();
+    assert.equal(row.embedding_model, 'local-model');
+    assert.equal(row.access_count, 0);
+    db.close();
+});
+
+test('read-only open migrates first', () => {
+    seedOriginalDb();
+    const db = openDatabase(TEMP_DB, { readonly: true });
+    assert.equal(db.readonly, true);
+    assert.equal(getSchemaVersion(db), SCHEMA_VERSION);
+    assert.ok(columns(db).includes('last_accessed'));
+    db.close();
+});
+
+test('migrate is idempotent', () => {
+    removeDb();
+    const db = openDatabase(TEMP_DB);
+    assert.deepEqual(migrate(db), []);
+    db.close();
+});
+
+test('existing rows get a trust class and confidence from their source', () => {
+    seedOriginalDb();
+    const raw = new Database(TEMP_DB);
+    const insert = raw.prepare('INSERT INTO memories VALUES (?, ?, ?, ?, NULL)');
+    insert.run('user.editor', 'vim', 'mcp:memory_store', '2026-01-01T00:00:00Z');
+    insert.run('error.npm.enoent', '{}', 'auto:extract-errors', '2026-01-01T00:00:00Z');
+    insert.run('agent.instinct.x', '{}', 'auto:instinct-extraction', '2026-01-01T00:00:00Z');
+    insert.run('inferred.mood', 'calm', 'mcp:memory_store', '2026-01-01T00:00:00Z');
+    raw.close();
+
+    const db = openDatabase(TEMP_DB);
+    const trust = Object.fromEntries(db.prepare('SELECT key, trust_class, confidence FROM memories WHERE end_time IS NULL').all()
+        .map(r => [r.key, [r.trust_class, r.confidence]]));
+    assert.deepEqual(trust, {
+        'user.city': ['assistant-inferred', 0.5],
+        'user.editor': ['manual', 0.95],
+        'error.npm.enoent': ['tool-observed', 0.75],
+        'agent.instinct.x': ['rule-derived', 0.6],
+        'inferred.mood': ['assistant-inferred', 0.5],
+    });
+    db.close();
+});
@@ -0,0 +1,180 @@
+/**
+ * Tests for the in-process pipeline orchestrator (pipeline.js)
+ *
+ * Strategy: point the LLM and embedding backends at one stub HTTP server via
+ * MEMORY_LLM_* / MEMORY_EMBED_* env, run the pipeline through its programmatic
+ * API against temp DB / digest / runs dir, then assert on the DB, the run
+ * ledger and the work dir. Resume is exercised by failing the embed step once.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-test-'));
+const TEMP_DB  = path.join(TEMP_DIR, 'memory.db');
+const RUNS_DIR = path.join(TEMP_DIR, 'runs');
+// A legacy .processed_sessions of the temp dir, not the skill root's
+const DB_OPTS  = { dbPath: TEMP_DB, legacyFile: path.join(TEMP_DIR, 'processed_sessions') };
+
+// Read at module load by the step scripts
+process.env.MEMORY_RUNS_DIR = RUNS_DIR;
+process.env.MEMORY_DIGEST_PATH = path.join(TEMP_DIR, 'digest.json');
+delete process.env.MEMORY_RUN_ID;
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { runPipeline, resumePipeline } = require(path.join(SRC_DIR, 'pipeline.js'));
+const { openDatabase } = require(path.join(SRC_DIR, 'migrations.js'));
+const { getRun } = require(path.join(SRC_DIR, 'run-ledger.js'));
+
+let server;
+let llmCalls = 0;
+let embedDown = false;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', c => { data += c; });
+        req.on('end', () => {
+            const body = JSON.parse(data);
+            let status = 200, json;
+            if (req.url === '/v1/chat/completions') {
+                llmCalls++;
+                // One fact per session: the tool it mentions
+                const word = body.messages.map(m => m.content).join(' ').match(/I use (\w+)/)[1];
+                json = { choices: [{ message: { content: JSON.stringify([{ key: `project.${word}`, value: word }]) } }] };
+            } else if (embedDown) {
+                status = 503;
+                json = { error: 'down' };
+            } else {
+                json = { data: body.input.map(t => ({ embedding: [t.length, 1, 0, 0] })) };
+            }
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(json));
+        });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    Object.assign(process.env, {
+        MEMORY_LLM_PROVIDER: 'openai',
+        MEMORY_LLM_BASE_URL: baseUrl,
+        MEMORY_EMBED_BACKEND: 'http',
+        MEMORY_EMBED_MODEL: 'stub-embed',
+        MEMORY_EMBED_BASE_URL: baseUrl,
+    });
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+function writeSession(file, tool, timestamp) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+        type: 'message', timestamp, message: { role: 'user', content: `I use ${tool} for this project.` },
+    }) + '\n');
+    return file;
+}
+
+function withDb(fn) {
+    const db = openDatabase(TEMP_DB, { readonly: true });
+    try {
+        return fn(db);
+    } finally {
+        db.close();
+    }
+}
+
+// ── tests ─────────────────────────────────────────────────────────────────────
+
+test('single mode runs every step in-process and cleans up its work dir', async () => {
+    const session = writeSession(path.join(TEMP_DIR, 'single', 'a.jsonl'), 'pnpm', '2026-01-01T10:00:00Z');
+
+    const { runId, status } = await runPipeline({ mode: 'single', input: session, ...DB_OPTS, runId: 'run-single' });
+    assert.deepEqual({ runId, status }, { runId: 'run-single', status: 'ok' });
+
+    const row = withDb(db => db.prepare("SELECT value, run_id, embedding_model FROM memories WHERE key = 'project.pnpm'").get());
+    assert.deepEqual({ ...row }, { value: 'pnpm', run_id: 'run-single', embedding_model: 'stub-embed' });
+
+    const run = withDb(db => getRun(db, 'run-single'));
+    assert.equal(run.status, 'ok');
+    assert.equal(run.mode, 'single');
+    assert.equal(run.last_step, 'embed');
+    assert.equal(run.sessions, 1);
+    assert.equal(run.llm_calls, 1);
+    assert.deepEqual(run.steps.commit, { facts: 1, new: 1, updated: 0, merged: 0, skipped: 0, conflicts: 0, llm_calls: 0, llm_failures: 0 });
+    assert.equal(run.steps.extract.llm_calls, 1);
+
+    assert.ok(fs.existsSync(process.env.MEMORY_DIGEST_PATH));
+    assert.equal(fs.existsSync(path.join(RUNS_DIR, 'run-single')), false);
+});
+
+test('a failed run keeps its work dir and resumes after the last completed step', async () => {
+    const dir = path.join(TEMP_DIR, 'backfill');
+    writeSession(path.join(dir, '2026-02-01.jsonl'), 'vitest', '2026-02-01T10:00:00Z');
+    writeSession(path.join(dir, '2026-02-02.jsonl'), 'eslint', '2026-02-02T10:00:00Z');
+    const callsBefore = llmCalls;
+
+    embedDown = true;
+    await assert.rejects(runPipeline({ mode: 'backfill', input: dir, ...DB_OPTS, runId: 'run-resume', concurrency: 2 }), /503/);
+
+    let run = withDb(db => getRun(db, 'run-resume'));
+    assert.equal(run.status, 'failed');
+    assert.equal(run.last_step, 'digest');
+    assert.deepEqual(run.args, { mode: 'backfill', input: dir });
+    assert.equal(run.work_dir, path.join(RUNS_DIR, 'run-resume'));
+    assert.ok(fs.existsSync(path.join(run.work_dir, 'timed_facts.jsonl')));
+    assert.equal(llmCalls - callsBefore, 2);
+
+    embedDown = false;
+    assert.deepEqual(await resumePipeline('run-resume', DB_OPTS), { runId: 'run-resume', status: 'ok' });
+
+    run = withDb(db => getRun(db, 'run-resume'));
+    assert.equal(run.status, 'ok');
+    assert.equal(run.error, null);
+    assert.equal(run.last_step, 'embed');
+    assert.equal(run.steps.commit.new, 2);
+    assert.equal(run.steps.embed.failures, 1);
+    assert.equal(llmCalls - callsBefore, 2, 'resume must not re-extract');
+    assert.equal(fs.existsSync(run.work_dir), false);
+
+    const missing = withDb(db => db.prepare("SELECT COUNT(*) FROM memories WHERE run_id = 'run-resume' AND embedding IS NULL").pluck().get());
+    assert.equal(missing, 0);
+
+    await assert.rejects(resumePipeline('run-resume', DB_OPTS), /already finished/);
+});
+
+test('a run still marked running is resumed only with force', async () => {
+    const dir = path.join(TEMP_DIR, 'running');
+    writeSession(path.join(dir, '2026-02-03.jsonl'), 'prettier', '2026-02-03T10:00:00Z');
+    embedDown = true;
+    await assert.rejects(runPipeline({ mode: 'backfill', input: dir, ...DB_OPTS, runId: 'run-running' }), /503/);
+    embedDown = false;
+    // As if the process had been killed mid-run, or were still going
+    const db = openDatabase(TEMP_DB);
+    db.prepare("UPDATE pipeline_runs SET status = 'running' WHERE run_id = 'run-running'").run();
+    db.close();
+
+    await assert.rejects(resumePipeline('run-running', DB_OPTS), /is running; .* --force/);
+    assert.deepEqual(await resumePipeline('run-running', { ...DB_OPTS, force: true }), { runId: 'run-running', status: 'ok' });
+});
+
+test('single mode fails the run when the session file is missing', async () => {
+    await assert.rejects(
+        runPipeline({ mode: 'single', input: path.join(TEMP_DIR, 'nope.jsonl'), ...DB_OPTS, runId: 'run-missing' }),
+        /File not found/
+    );
+    const run = withDb(db => getRun(db, 'run-missing'));
+    assert.equal(run.status, 'failed');
+    assert.equal(run.last_step, null);
+    assert.equal(run.failures, 1);
+});
+
+test('rejects unknown modes', async () => {
+    await assert.rejects(runPipeline({ mode: 'weekly' }), /Unknown pipeline mode/);
+    await assert.rejects(runPipeline({ mode: 'backfill' }), /needs an input path/);
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for fact provenance (step 2 → step 3 → MemoryStore)
+ *
+ * Strategy: align facts carrying step 1's provenance, commit them to a temp
+ * DB, and check that each version lists every sighting, including ones seen
+ * again by a later run, and that rekey, revert and hard delete keep the
+ * provenance table in step with the rows.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { alignFacts } = require(path.join(SRC_DIR, '2-align-temporally.js'));
+const { commitFacts } = require(path.join(SRC_DIR, '3-commit-to-db.js'));
+const { MemoryStore, formatProvenance } = require(path.join(SRC_DIR, 'memory-store.js'));
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'provenance-test-'));
+let dbCount = 0;
+
+after(() => {
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+function openStore() {
+    return new MemoryStore(path.join(TEMP_DIR, `memory-${++dbCount}.db`), { runId: null });
+}
+
+function fact(key, value, session, messageId, timestamp, quote = null) {
+    return {
+        key, value, source: `session:${session}`, message_timestamp: timestamp,
+        provenance: { session_id: session, agent: 'claude-code', message_ids: [messageId], quote },
+    };
+}
+
+test('alignFacts keeps the provenance of every sighting of a value', () => {
+    const timed = alignFacts([
+        fact('user.city', 'Oslo', 'aaaa-1', 'm1', '2026-01-01T00:00:00Z', 'I live in Oslo'),
+        fact('user.city', 'Oslo', 'bbbb-2', 'm7', '2026-01-05T00:00:00Z', 'back home in Oslo'),
+        fact('user.city', 'Bergen', 'cccc-3', 'm2', '2026-02-01T00:00:00Z'),
+        { key: 'user.name', value: 'Ann', source: 'session:old', message_timestamp: '2026-01-01T00:00:00Z' },
+    ]);
+    assert.deepEqual(timed.map(f => [f.key, f.value, (f.provenance || []).map(p => p.session_id)]), [
+        ['user.city', 'Oslo', ['aaaa-1', 'bbbb-2']],
+        ['user.city', 'Bergen', ['cccc-3']],
+        ['user.name', 'Ann', []],
+    ]);
+    assert.equal(timed[0].provenance[1].stated_at, '2026-01-05T00:00:00Z');
+    assert.ok(!('provenance' in timed[2]), 'facts from before provenance carry none');
+});
+
+test('commitFacts records provenance on new rows and on the row a repeat confirms', async () => {
+    const store = openStore();
+    try {
+        await commitFacts(store.db, alignFacts([
+            fact('user.editor', 'vim', 'aaaa-1', 'm1', '2026-01-01T00:00:00Z', 'I use vim'),
+        ]), { runId: 'run-1' });
+        // A later run sees the same value again: the existing row gains a sighting
+        await commitFacts(store.db, alignFacts([
+            fact('user.editor', 'vim', 'bbbb-2', 'm9', '2026-03-01T00:00:00Z', 'still on vim'),
+        ]), { runId: 'run-2' });
+        // Recommitting the same file adds nothing
+        await commitFacts(store.db, alignFacts([
+            fact('user.editor', 'vim', 'bbbb-2', 'm9', '2026-03-01T00:00:00Z', 'still on vim'),
+        ]), { runId: 'run-3' });
+
+        assert.equal(store.history('user.editor').length, 1);
+        const provenance = store.provenance('user.editor');
+        assert.deepEqual(provenance.map(p => [p.session_id, p.agent, p.message_ids, p.quote, p.run_id]), [
+            ['aaaa-1', 'claude-code', ['m1'], 'I use vim', 'run-1'],
+            ['bbbb-2', 'claude-code', ['m9'], 'still on vim', 'run-2'],
+        ]);
+        assert.equal(formatProvenance(provenance[0]),
+            'session aaaa-1 (claude-code), message m1, 2026-01-01T00:00:00Z: "I use vim"');
+
+        // Reverting run 2 drops the sighting it recorded, not the row
+        store.revertRun('run-2');
+        assert.deepEqual(store.provenance('user.editor').map(p => p.session_id), ['aaaa-1']);
+        assert.deepEqual(store.provenance('user.missing'), []);
+    } finally {
+        store.close();
+    }
+});
+
+test('provenance follows rekey and goes with a hard delete', () => {
+    const store = openStore();
+    try {
+        const row = store.put('users.pager', 'less', { startTime: '2026-01-01T00:00:00Z' });
+        store.addProvenance(row.key, row.start_time, [{ session_id: 'aaaa-1', message_ids: ['m1'], quote: 'less is fine' }]);
+
+        store.rekey('users.pager', 'user.pager');
+        assert.deepEqual(store.provenance('users.pager'), []);
+        assert.deepEqual(store.provenance('user.pager').map(p => p.quote), ['less is fine']);
+
+        store.delete('user.pager', { hard: true });
+        assert.equal(store.db.prepare('SELECT COUNT(*) FROM provenance').pluck().get(), 0);
+    } finally {
+        store.close();
+    }
+});
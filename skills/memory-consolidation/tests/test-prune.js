@@ -0,0 +1,122 @@
+/**
+ * Tests for the retention engine (prune.js)
+ *
+ * Strategy: seed a temp DB with aged cases/patterns and an instinct that
+ * references some of them, then check the dry-run plan, the archive and that
+ * pruned rows leave memories, FTS and the access spool consistent.
+ */
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { MemoryStore } = require(path.join(SRC_DIR, 'memory-store.js'));
+const { runPrune } = require(path.join(SRC_DIR, 'prune.js'));
+
+const TEMP_DB = path.join(os.tmpdir(), `prune-test-db-${process.pid}.db`);
+const TEMP_ARCHIVE = path.join(os.tmpdir(), `prune-test-archive-${process.pid}.jsonl`);
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = n => new Date(Date.now() - n * DAY).toISOString();
+
+const POLICIES = [
+    { prefix: 'agent.case.', max_age_days: 30, min_access_count: 2, keep_if_referenced: true },
+    { prefix: 'agent.pattern.', keep_latest: 1 },
+];
+
+let store;
+
+function removeFiles() {
+    for (const f of [TEMP_DB, `${TEMP_DB}-wal`, `${TEMP_DB}-shm`, `${TEMP_DB}-access.jsonl`, TEMP_ARCHIVE]) {
+        if (fs.existsSync(f)) fs.unlinkSync(f);
+    }
+}
+
+beforeEach(() => {
+    if (store) store.close();
+    removeFiles();
+    store = new MemoryStore(TEMP_DB);
+    store.put('agent.case.test_failure.old', 'v1', { startTime: daysAgo(50) });
+    store.put('agent.case.test_failure.old', 'v2', { startTime: daysAgo(40) });
+    store.put('agent.case.test_failure.used', 'used often', { startTime: daysAgo(40) });
+    store.put('agent.case.test_failure.cited', 'cited', { startTime: daysAgo(40) });
+    store.put('agent.case.test_failure.fresh', 'fresh', { startTime: daysAgo(5) });
+    store.put('agent.pattern.workflow_a', 'a', { startTime: daysAgo(3) });
+    store.put('agent.pattern.workflow_b', 'b', { startTime: daysAgo(2) });
+    store.put('agent.instinct.error.test_failure', JSON.stringify({ evidence_keys: ['agent.case.test_failure.cited'] }));
+    store.db.prepare("UPDATE memories SET access_count = 5 WHERE key = 'agent.case.test_failure.used'").run();
+});
+
+after(() => {
+    store.close();
+    removeFiles();
+});
+
+const activeKeys = () => store.db.prepare('SELECT key FROM memories WHERE end_time IS NULL ORDER BY key').pluck().all();
+
+// ── tests ─────────────────────────────────────────────────────────────────────
+
+test('dry run reports the plan and deletes nothing', () => {
+    const before = activeKeys();
+    const report = runPrune(store.db, { dryRun: true, settings: { policies: POLICIES } });
+
+    const [cases, patterns] = report.plan;
+    assert.deepEqual(cases.keys, ['agent.case.test_failure.old']);
+    assert.deepEqual(cases.kept, { latest: 0, recent: 1, accessed: 1, referenced: 1 });
+    assert.deepEqual(patterns.keys, ['agent.pattern.workflow_a']);
+    assert.equal(report.removed, 0);
+    assert.deepEqual(activeKeys(), before);
+});
+
+test('prune archives every version to the cold table and clears FTS', () => {
+    const report = runPrune(store.db, { settings: { policies: POLICIES } });
+    assert.equal(report.removed, 3);
+
+    assert.ok(!activeKeys().includes('agent.case.test_failure.old'));
+    assert.equal(store.history('agent.case.test_failure.old').length, 0);
+    assert.deepEqual(store.db.prepare("SELECT rowid FROM memories_fts WHERE memories_fts MATCH '\"workflow_a\"'").all(), []);
+
+    const archived = store.db.prepare('SELECT key, value, policy FROM memories_archive ORDER BY key, start_time').all();
+    assert.deepEqual(archived.map(r => [r.key, r.value, r.policy]), [
+        ['agent.case.test_failure.old', 'v1', 'agent.case.'],
+        ['agent.case.test_failure.old', 'v2', 'agent.case.'],
+        ['agent.pattern.workflow_a', 'a', 'agent.pattern.'],
+    ]);
+});
+
+test('jsonl archive and vacuum keep FTS consistent', () => {
+    runPrune(store.db, {
+        vacuum: true,
+        settings: { policies: POLICIES, archive: 'jsonl', archive_path: TEMP_ARCHIVE },
+    });
+
+    const lines = fs.readFileSync(TEMP_ARCHIVE, 'utf8').trim().split('\n').map(JSON.parse);
+    assert.deepEqual(lines.map(l => l.key).sort(), [
+        'agent.case.test_failure.old', 'agent.case.test_failure.old', 'agent.pattern.workflow_a',
+    ]);
+    assert.equal(store.db.prepare('SELECT COUNT(*) FROM memories_archive').pluck().get(), 0);
+
+    const fresh = store.get('agent.case.test_failure.fresh');
+    assert.deepEqual(store.db.prepare("SELECT rowid FROM memories_fts WHERE memories_fts MATCH 'fresh'").pluck().all(), [fresh.rowid]);
+});
+
+test('spooled hits count before the policy is evaluated; only a real run drains them', () => {
+    const hits = { 'agent.case.test_failure.old': 2 };
+    fs.writeFileSync(`${TEMP_DB}-access.jsonl`, JSON.stringify({ at: new Date().toISOString(), hits }) + '\n');
+    const accessCount = () => store.db.prepare('SELECT access_count FROM memories WHERE key = ? AND end_time IS NULL')
+        .pluck().get('agent.case.test_failure.old');
+    const before = accessCount();
+
+    const preview = runPrune(store.db, { dryRun: true, settings: { policies: POLICIES } });
+    assert.deepEqual(preview.plan[0].keys, []);
+    assert.equal(fs.existsSync(`${TEMP_DB}-access.jsonl`), true, 'a dry run leaves the spool alone');
+    assert.equal(accessCount(), before);
+
+    const report = runPrune(store.db, { settings: { policies: POLICIES } });
+    assert.deepEqual(report.plan[0].keys, []);
+    assert.equal(fs.existsSync(`${TEMP_DB}-access.jsonl`), false);
+    assert.equal(accessCount(), before + 2);
+});
@@ -20,6 +20,7 @@ const Database      = require(DB_MODULE);
 
 const TEMP_DB     = path.join(os.tmpdir(), `qmem-test-db-${process.pid}.db`);
 const TEMP_DIGEST = path.join(os.tmpdir(), `qmem-test-digest-${process.pid}.json`);
+const TEMP_ACCESS = `${TEMP_DB}-access.jsonl`;
 
 const ENV = { ...process.env, MEMORY_DB_PATH: TEMP_DB, MEMORY_DIGEST_PATH: TEMP_DIGEST };
 
@@ -59,6 +60,7 @@ before(seedAndDigest);
 after(() => {
     if (fs.existsSync(TEMP_DB))     fs.unlinkSync(TEMP_DB);
     if (fs.existsSync(TEMP_DIGEST)) fs.unlinkSync(TEMP_DIGEST);
+    if (fs.existsSync(TEMP_ACCESS)) fs.unlinkSync(TEMP_ACCESS);
 });
 
 // ── tests ─────────────────────────────────────────────────────────────────────
@@ -116,3 +118,32 @@ test('--limit caps the number of L1 facts returned', () => {
     const lines = detailsSection.trim().split('\n').filter(l => l.trim());
     assert.equal(lines.length, 1, 'only 1 fact should be returned');
 });
+
+test('served facts are spooled as hits and drained into access_count', () => {
+    if (fs.existsSync(TEMP_ACCESS)) fs.unlinkSync(TEMP_ACCESS);
+    run(['--keys', 'user.name,user.city']);
+    run(['--keys', 'user.name']);
+
+    const { drainAccessLog, getAccessStats } = require(path.join(SRC_DIR, 'access-tracker.js'));
+    const db = new Database(TEMP_DB);
+    assert.deepEqual(drainAccessLog(db, TEMP_ACCESS), { keys: 2, hits: 3 });
+    const stats = getAccessStats(db);
+    db.close();
+
+    assert.equal(fs.existsSync(TEMP_ACCESS), false);
+    assert.equal(stats.accessed, 2);
+    assert.deepEqual(stats.top.map(r => [r.key, r.access_count]), [['user.name', 2], ['user.city', 1]]);
+});
+
+test('--prefix injects the most trusted facts first and leaves out untrusted ones', () => {
+    const db = new Database(TEMP_DB);
+    try {
+        db.prepare("UPDATE memories SET confidence = 0.95, trust_class = 'manual' WHERE key = 'user.lang'").run();
+        db.prepare("UPDATE memories SET confidence = 0.2 WHERE key = 'user.city'").run();
+        const lines = run(['--prefix', 'user.']).stdout.split('[Details]')[1].trim().split('\n');
+        assert.deepEqual(lines.map(l => l.split(' = ')[0]), ['user.lang', 'user.name']);
+    } finally {
+        db.prepare("UPDATE memories SET confidence = 0.5, trust_class = 'assistant-inferred' WHERE key LIKE 'user.%'").run();
+        db.close();
+    }
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for the per-provider rate limiter (rate-limiter.js)
+ *
+ * Strategy: drive RateLimiter with a fake clock whose sleep() just advances
+ * time, and assert on how long each acquire() had to wait.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { RateLimiter, RateLimitError, estimateTokens } = require(path.join(SRC_DIR, 'rate-limiter.js'));
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limiter-test-'));
+
+after(() => {
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+function fakeClock() {
+    const clock = { t: 0, slept: [] };
+    clock.now = () => clock.t;
+    clock.sleep = async ms => { clock.slept.push(ms); clock.t += ms; };
+    return clock;
+}
+
+// ── tests ─────────────────────────────────────────────────────────────────────
+
+test('rpm: a burst up to the limit, then one request per refill interval', async () => {
+    const clock = fakeClock();
+    const limiter = new RateLimiter('test', { rpm: 2 }, clock);
+
+    await limiter.acquire();
+    await limiter.acquire();
+    assert.deepEqual(clock.slept, []);
+
+    await limiter.acquire();
+    assert.deepEqual(clock.slept, [30_000]);
+});
+
+test('tpm: large requests wait for enough tokens', async () => {
+    const clock = fakeClock();
+    const limiter = new RateLimiter('test', { tpm: 1000 }, clock);
+
+    await limiter.acquire(800);
+    await limiter.acquire(500);   // 200 left, 300 more refill in 18s
+    assert.deepEqual(clock.slept, [18_000]);
+});
+
+test('rpd: fails once the daily bucket is empty instead of waiting', async () => {
+    const clock = fakeClock();
+    const limiter = new RateLimiter('test', { rpm: 100, rpd: 2 }, clock);
+
+    await limiter.acquire();
+    await limiter.acquire();
+    await assert.rejects(limiter.acquire(), RateLimitError);
+    // The failed turn does not block the queue
+    clock.t += 12 * 60 * 60 * 1000;
+    await limiter.acquire();
+});
+
+test('rpd: the daily bucket carries over to the next process through the state file', async () => {
+    const clock = fakeClock();
+    const statePath = path.join(TEMP_DIR, 'ratelimit.json');
+    const first = new RateLimiter('test', { rpd: 2 }, { ...clock, statePath });
+    await first.acquire();
+    await first.acquire();
+
+    // A later run starts with what is left of the day, not a full quota
+    const next = new RateLimiter('test', { rpd: 2 }, { ...clock, statePath });
+    await assert.rejects(next.acquire(), RateLimitError);
+    clock.t += 12 * 60 * 60 * 1000;
+    await next.acquire();
+    await assert.rejects(next.acquire(), RateLimitError);
+
+    // Other providers have their own quota
+    await new RateLimiter('other', { rpd: 2 }, { ...clock, statePath }).acquire();
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(statePath, 'utf8'))).sort(), ['other', 'test']);
+});
+
+test('pause holds every caller; concurrent callers are served in order', async () => {
+    const clock = fakeClock();
+    const limiter = new RateLimiter('test', { rpm: 60 }, clock);
+    limiter.pause(5000);
+
+    const order = [];
+    await Promise.all([1, 2, 3].map(i => limiter.acquire().then(() => order.push([i, clock.t]))));
+    assert.deepEqual(order, [[1, 5000], [2, 5000], [3, 5000]]);
+});
+
+test('estimateTokens counts ~4 characters per token', () => {
+    assert.equal(estimateTokens('a'.repeat(10), undefined, 'b'.repeat(6)), 4);
+});
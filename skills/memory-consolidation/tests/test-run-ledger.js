@@ -0,0 +1,70 @@
+/**
+ * Tests for the pipeline run ledger (run-ledger.js)
+ *
+ * Strategy: drive start/recordStep/finish against a temp DB and check the
+ * roll-up and the failure status.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { openDatabase } = require(path.join(SRC_DIR, 'migrations.js'));
+const {
+    startRun, recordStep, recordStepForRun, finishRun, listRuns, getRun, formatRunLine,
+} = require(path.join(SRC_DIR, 'run-ledger.js'));
+
+const TEMP_DB = path.join(os.tmpdir(), `ledger-test-db-${process.pid}.db`);
+
+let db;
+
+before(() => {
+    db = openDatabase(TEMP_DB);
+});
+
+after(() => {
+    db.close();
+    for (const suffix of ['', '-wal', '-shm']) {
+        if (fs.existsSync(TEMP_DB + suffix)) fs.unlinkSync(TEMP_DB + suffix);
+    }
+});
+
+// ── tests ─────────────────────────────────────────────────────────────────────
+
+test('step metrics accumulate and roll up when the run finishes', () => {
+    startRun(db, 'run-1', { mode: 'backfill' });
+    recordStep(db, 'run-1', 'extract', { sessions: 1, chunks: 3, failures: 1 }, { llm: false });
+    recordStep(db, 'run-1', 'extract', { sessions: 1, chunks: 2, failures: 0 }, { llm: false });
+    recordStep(db, 'run-1', 'commit', { new: 4, merged: 1, llm_calls: 2, llm_failures: 1 }, { llm: false });
+    recordStep(db, 'run-1', 'embed', { embedded: 4, index: 'exact' }, { llm: false });
+    finishRun(db, 'run-1');
+
+    const run = getRun(db, 'run-1');
+    assert.equal(run.mode, 'backfill');
+    assert.equal(run.status, 'ok');
+    assert.deepEqual(run.steps.extract, { sessions: 2, chunks: 5, failures: 1 });
+    assert.equal(run.sessions, 2);
+    assert.equal(run.llm_calls, 2);
+    assert.equal(run.failures, 2);
+    assert.ok(run.duration_ms >= 0);
+    assert.match(formatRunLine(run), /run-1 +ok +backfill .* 2 sessions, 2 LLM calls, 2 failures \| \+4 ~0 ⇄1/);
+});
+
+test('recordStepForRun is a no-op outside a run', () => {
+    recordStepForRun('extract', { sessions: 1 }, { runId: undefined, dbPath: TEMP_DB });
+    assert.deepEqual(listRuns(db).map(r => r.run_id), ['run-1']);
+});
+
+test('start/finish record mode and failure status', () => {
+    startRun(db, 'run-2', { mode: 'gemini' });
+    finishRun(db, 'run-2', { status: 'failed', error: 'exit code 3' });
+
+    const run = getRun(db, 'run-2');
+    assert.equal(run.mode, 'gemini');
+    assert.equal(run.status, 'failed');
+    assert.equal(run.error, 'exit code 3');
+    assert.ok(run.finished_at);
+});
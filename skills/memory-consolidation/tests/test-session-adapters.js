@@ -0,0 +1,144 @@
+/**
+ * Tests for the session adapter registry (session-adapters.js)
+ *
+ * Strategy: write one small transcript per supported format to a temp dir,
+ * check the detected format and the normalized messages, then register a
+ * plug-in adapter and check it takes precedence.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'session-adapters-test-'));
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const {
+    readSession, detectFile, parseLines, formatTranscript, toGenericLines, registerAdapter, getAdapters,
+} = require(path.join(SRC_DIR, 'session-adapters.js'));
+const { readSessionMessages } = require(path.join(SRC_DIR, 'extract-agent-learnings.js'));
+
+after(() => {
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+function writeJsonl(name, records) {
+    const file = path.join(TEMP_DIR, name);
+    fs.writeFileSync(file, records.map(r => JSON.stringify(r)).join('\n') + '\n');
+    return file;
+}
+
+const CLAUDE_CODE = [
+    { type: 'summary', summary: 'Earlier work', leafUuid: 'x' },
+    { type: 'user', uuid: 'u1', sessionId: 's', timestamp: '2026-03-01T10:00:00Z', message: { role: 'user', content: 'Run the tests' } },
+    {
+        type: 'assistant', uuid: 'a1', sessionId: 's', timestamp: '2026-03-01T10:00:05Z',
+        message: { role: 'assistant', content: [
+            { type: 'text', text: 'Running them.' },
+            { type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'npm test' } },
+        ] },
+    },
+    {
+        type: 'user', uuid: 'u2', sessionId: 's', timestamp: '2026-03-01T10:00:09Z',
+        message: { role: 'user', content: [
+            { type: 'tool_result', tool_use_id: 't1', is_error: true, content: [{ type: 'text', text: 'Exit code 1' }] },
+        ] },
+    },
+];
+
+// ── tests ─────────────────────────────────────────────────────────────────────
+
+test('claude-code: text, tool calls and results with ids and timestamps', () => {
+    const { adapter, messages } = readSession(writeJsonl('claude.jsonl', CLAUDE_CODE));
+    assert.equal(adapter.name, 'claude-code');
+    assert.deepEqual(messages.map(m => [m.id, m.role, m.text]), [
+        ['u1', 'user', 'Run the tests'],
+        ['a1', 'assistant', 'Running them.'],
+        ['u2', 'user', ''],
+    ]);
+    assert.deepEqual(messages[1].toolCalls, [{ id: 't1', name: 'Bash', input: { command: 'npm test' } }]);
+    assert.deepEqual(messages[2].toolResults, [{ id: 't1', error: true, content: 'Exit code 1' }]);
+    assert.equal(formatTranscript(messages), '[user] Run the tests\n\n[assistant] Running them.');
+});
+
+test('openclaw: type "message" records, toolCall blocks and toolResult messages', () => {
+    const file = writeJsonl('openclaw.jsonl', [
+        { type: 'session', id: 'sess', version: 3 },
+        { type: 'message', id: 'm1', timestamp: '2026-03-01T10:00:00Z', message: { role: 'user', content: [{ type: 'text', text: 'List files' }] } },
+        { type: 'message', id: 'm2', message: { role: 'assistant', content: [{ type: 'toolCall', id: 'c1', name: 'exec', arguments: { command: 'ls' } }] } },
+        { type: 'message', id: 'm3', message: { role: 'toolResult', toolCallId: 'c1', isError: false, content: [{ type: 'text', text: 'a.txt' }] } },
+    ]);
+    const { adapter, messages } = readSession(file);
+    assert.equal(adapter.name, 'openclaw');
+    assert.equal(messages[0].text, 'List files');
+    assert.deepEqual(messages[1].toolCalls, [{ id: 'c1', name: 'exec', input: { command: 'ls' } }]);
+    assert.deepEqual(messages[2], {
+        id: 'm3', role: 'tool', text: '', timestamp: null, toolCalls: [],
+        toolResults: [{ id: 'c1', error: false, content: 'a.txt' }],
+    });
+});
+
+test('codex: response_item messages, function calls and their exit codes', () => {
+    const file = writeJsonl('rollout.jsonl', [
+        { timestamp: '2026-03-01T10:00:00Z', type: 'session_meta', payload: { id: 'r1' } },
+        { timestamp: '2026-03-01T10:00:01Z', type: 'response_item', payload: { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Build it' }] } },
+        { timestamp: '2026-03-01T10:00:02Z', type: 'response_item', payload: { type: 'function_call', name: 'shell', call_id: 'f1', arguments: '{"command":["make"]}' } },
+        { timestamp: '2026-03-01T10:00:03Z', type: 'response_item', payload: { type: 'function_call_output', call_id: 'f1', output: '{"output":"make: *** Error 2","metadata":{"exit_code":2}}' } },
+        { timestamp: '2026-03-01T10:00:04Z', type: 'response_item', payload: { type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'The build failed.' }] } },
+    ]);
+    assert.equal(detectFile(file).name, 'codex');
+    const { messages } = readSession(file);
+    assert.equal(formatTranscript(messages), '[user] Build it\n\n[assistant] The build failed.');
+    assert.deepEqual(messages[1].toolCalls, [{ id: 'f1', name: 'shell', input: { command: ['make'] } }]);
+    assert.deepEqual(messages[2].toolResults, [{ id: 'f1', error: true, content: 'make: *** Error 2' }]);
+});
+
+test('gemini: session JSON documents convert to generic JSONL that parses back', () => {
+    const file = path.join(TEMP_DIR, 'session-1.json');
+    fs.writeFileSync(file, JSON.stringify({
+        sessionId: 'g1', startTime: '2026-03-01T09:00:00Z',
+        messages: [
+            { type: 'user', content: [{ text: 'I use fish shell' }] },
+            { type: 'info', content: 'ignored' },
+            { type: 'gemini', content: 'Noted.', timestamp: '2026-03-01T09:00:05Z' },
+        ],
+    }));
+    const { adapter, messages } = readSession(file);
+    assert.equal(adapter.name, 'gemini');
+    assert.deepEqual(messages.map(m => [m.role, m.text, m.timestamp]), [
+        ['user', 'I use fish shell', '2026-03-01T09:00:00Z'],
+        ['assistant', 'Noted.', '2026-03-01T09:00:05Z'],
+    ]);
+
+    const lines = toGenericLines(messages);
+    assert.equal(formatTranscript(parseLines(lines)), '[user] I use fish shell\n\n[assistant] Noted.');
+});
+
+test('generic: flat role/content records', () => {
+    const lines = [JSON.stringify({ role: 'human', content: 'hi' }), JSON.stringify({ role: 'ai', text: 'hello' })];
+    assert.equal(formatTranscript(parseLines(lines)), '[user] hi\n\n[assistant] hello');
+});
+
+test('extract-agent-learnings reads tool usage through the adapters', async () => {
+    const messages = await readSessionMessages(writeJsonl('learn.jsonl', CLAUDE_CODE));
+    assert.equal(messages.length, 3);
+    assert.deepEqual(messages[2].toolUses, [{ type: 'result', id: 't1', error: true, content: 'Exit code 1' }]);
+    assert.equal(messages[2].uuid, 'u2');
+});
+
+test('registerAdapter: plug-ins are detected before the built-ins', () => {
+    registerAdapter({
+        name: 'aider',
+        detect: record => record.aider === true,
+        parse: record => ({ id: null, role: record.who, text: record.says, timestamp: null, toolCalls: [], toolResults: [] }),
+    });
+    assert.equal(getAdapters()[0].name, 'aider');
+    const file = writeJsonl('aider.jsonl', [{ aider: true, who: 'user', says: 'refactor foo', role: 'user', content: 'x' }]);
+    const { adapter, messages } = readSession(file);
+    assert.equal(adapter.name, 'aider');
+    assert.equal(messages[0].text, 'refactor foo');
+
+    assert.throws(() => registerAdapter({ name: 'broken' }), /detect\/parse/);
+});
@@ -0,0 +1,238 @@
+/**
+ * Tests for session tracking (session-tracker.js, via 1-extract-facts.js)
+ *
+ * Strategy: point the extract LLM at a stub HTTP server that returns one fact
+ * per "I use <tool>" message, run extractFacts() against a temp session file
+ * and DB, and assert on the facts written and the sessions table.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'session-tracker-test-'));
+const TEMP_DB = path.join(TEMP_DIR, 'memory.db');
+const LEGACY = path.join(TEMP_DIR, 'processed');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { extractFacts } = require(path.join(SRC_DIR, '1-extract-facts.js'));
+const { openDatabase } = require(path.join(SRC_DIR, 'migrations.js'));
+const { importLegacy, getSession, planSession, retrySession, MAX_ATTEMPTS } = require(path.join(SRC_DIR, 'session-tracker.js'));
+const { getAdapter, toGenericLines } = require(path.join(SRC_DIR, 'session-adapters.js'));
+
+let server;
+let llmInputs = [];
+let llmDown = false;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', c => { data += c; });
+        req.on('end', () => {
+            const input = JSON.parse(data).messages.map(m => m.content).join(' ');
+            llmInputs.push(input);
+            if (llmDown) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'down' }));
+                return;
+            }
+            // Facts only from the new messages, as the prompt asks
+            const fresh = input.split('[new messages]').pop();
+            const facts = [...fresh.matchAll(/\[#(\d+) user\] I use (\w+)/g)]
+                .map(m => ({ key: `project.${m[2]}`, value: m[2], msg: Number(m[1]) }));
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ choices: [{ message: { content: JSON.stringify(facts) } }] }));
+        });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    Object.assign(process.env, {
+        MEMORY_LLM_PROVIDER: 'openai',
+        MEMORY_LLM_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+    });
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+function message(tool, id, timestamp = '2026-03-01T10:00:00Z') {
+    return JSON.stringify({
+        type: 'message', id, timestamp, message: { role: 'user', content: `I use ${tool} for this project.` },
+    }) + '\n';
+}
+
+function readFacts(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l).value);
+}
+
+function sessionRow(id) {
+    const db = openDatabase(TEMP_DB);
+    try { return getSession(db, id); } finally { db.close(); }
+}
+
+async function extract(session, factsFile) {
+    llmInputs = [];
+    return extractFacts(session, { factsFile, dbPath: TEMP_DB, legacyFile: LEGACY });
+}
+
+// ── tests ─────────────────────────────────────────────────────────────────────
+
+test('an appended session is re-extracted from its byte offset only', async () => {
+    const session = path.join(TEMP_DIR, 'append.jsonl');
+    const factsFile = path.join(TEMP_DIR, 'append-facts.jsonl');
+    fs.writeFileSync(session, message('vim'));
+
+    await extract(session, factsFile);
+    assert.deepEqual(readFacts(factsFile), ['vim']);
+    const first = sessionRow('append');
+    assert.equal(first.status, 'done');
+    assert.equal(first.byte_offset, fs.statSync(session).size);
+
+    // Unchanged: no LLM call at all
+    assert.deepEqual(await extract(session, factsFile), { skipped: 1 });
+    assert.equal(llmInputs.length, 0);
+
+    // Appended, with a half-written last line that must wait for the next run
+    fs.appendFileSync(session, message('tmux') + '{"type":"mess');
+    await extract(session, factsFile);
+    assert.equal(llmInputs.length, 1);
+    const [context, fresh] = llmInputs[0].split('[new messages]\n').slice(-2);
+    assert.match(context, /\[earlier context\]\n\[user\] I use vim/, 'extracted lines only come back as context');
+    assert.doesNotMatch(fresh, /vim/);
+    assert.deepEqual(readFacts(factsFile), ['vim', 'tmux']);
+    const second = sessionRow('append');
+    assert.equal(second.byte_offset, first.byte_offset + Buffer.byteLength(message('tmux')));
+    assert.equal(second.fact_count, 2);
+});
+
+test('each fact carries the timestamp and provenance of the message it was cited from', async () => {
+    const session = path.join(TEMP_DIR, 'multi-day.jsonl');
+    const factsFile = path.join(TEMP_DIR, 'multi-day-facts.jsonl');
+    fs.writeFileSync(session,
+        message('vim', 'd1', '2026-03-01T10:00:00Z')
+        + JSON.stringify({ type: 'message', id: 'd2', message: { role: 'user', content: 'I use zsh for this project.' } }) + '\n'
+        + message('helix', 'd3', '2026-03-04T09:00:00Z'));
+
+    const metrics = await extract(session, factsFile);
+    assert.match(llmInputs[0], /\[#1 user\] I use vim[\s\S]*\[#3 user\] I use helix/);
+    const facts = fs.readFileSync(factsFile, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    // A message without a timestamp takes the one before it
+    assert.deepEqual(facts.map(f => [f.value, f.message_timestamp]), [
+        ['vim', '2026-03-01T10:00:00Z'],
+        ['zsh', '2026-03-01T10:00:00Z'],
+        ['helix', '2026-03-04T09:00:00Z'],
+    ]);
+    assert.ok(facts.every(f => !('msg' in f)));
+    assert.equal(metrics.uncited, undefined);
+    // The stub sends no quote: the cited message stands in for one
+    assert.equal(facts[0].source, 'session:multi-day');
+    assert.deepEqual(facts.map(f => [f.provenance.session_id, f.provenance.message_ids, f.provenance.quote]), [
+        ['multi-day', ['d1'], 'I use vim for this project.'],
+        ['multi-day', ['d2'], 'I use zsh for this project.'],
+        ['multi-day', ['d3'], 'I use helix for this project.'],
+    ]);
+    assert.ok(facts.every(f => f.trust_class === 'user-stated' && f.confidence === 0.8));
+});
+
+test('a converted Gemini session keeps its message ids for provenance and resume', async () => {
+    const session = path.join(TEMP_DIR, 'gemini-conv.jsonl');
+    const factsFile = path.join(TEMP_DIR, 'gemini-conv-facts.jsonl');
+    const messages = getAdapter('gemini').parseDocument({
+        sessionId: 'g1', startTime: '2026-03-01T09:00:00Z',
+        messages: [
+            { id: 'g-m1', type: 'user', content: [{ text: 'I use nix for this project.' }], timestamp: '2026-03-01T09:00:00Z' },
+            { id: 'g-m2', type: 'gemini', content: 'Noted.', timestamp: '2026-03-01T09:00:05Z' },
+        ],
+    });
+    fs.writeFileSync(session, toGenericLines(messages).join('\n') + '\n');
+
+    await extract(session, factsFile);
+    const [fact] = fs.readFileSync(factsFile, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual([fact.value, fact.provenance.message_ids], ['nix', ['g-m1']]);
+    assert.equal(sessionRow('gemini-conv').last_message_uuid, 'g-m2');
+});
+
+test('a session changed in place resumes after its last extracted message', async () => {
+    const session = path.join(TEMP_DIR, 'moved.jsonl');
+    const factsFile = path.join(TEMP_DIR, 'moved-facts.jsonl');
+    fs.writeFileSync(session, message('git', 'm1') + message('hg', 'm2'));
+    await extract(session, factsFile);
+    assert.equal(sessionRow('moved').last_message_uuid, 'm2');
+
+    // A longer record now sits in front, so the stored offset is stale
+    const header = JSON.stringify({ type: 'summary', id: 's0', summary: 'x'.repeat(200) }) + '\n';
+    fs.writeFileSync(session, header + message('git', 'm1') + message('hg', 'm2') + message('svn', 'm3'));
+    await extract(session, factsFile);
+    assert.deepEqual(readFacts(factsFile), ['git', 'hg', 'svn']);
+    const row = sessionRow('moved');
+    assert.equal(row.byte_offset, fs.statSync(session).size);
+    assert.equal(row.last_message_uuid, 'm3');
+    assert.equal(row.fact_count, 3);
+});
+
+test('a rewritten (shorter) session is extracted again from the start', async () => {
+    const session = path.join(TEMP_DIR, 'rewrite.jsonl');
+    const factsFile = path.join(TEMP_DIR, 'rewrite-facts.jsonl');
+    fs.writeFileSync(session, message('emacs') + message('screen'));
+    await extract(session, factsFile);
+
+    fs.writeFileSync(session, message('nano'));
+    await extract(session, factsFile);
+    assert.deepEqual(readFacts(factsFile), ['emacs', 'screen', 'nano']);
+    assert.equal(sessionRow('rewrite').fact_count, 1);
+});
+
+test('failed chunks write no facts; the session is retried until it gives up', async () => {
+    const session = path.join(TEMP_DIR, 'flaky.jsonl');
+    const factsFile = path.join(TEMP_DIR, 'flaky-facts.jsonl');
+    fs.writeFileSync(session, message('make'));
+
+    llmDown = true;
+    try {
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            const metrics = await extract(session, factsFile);
+            assert.equal(metrics.failures, 1);
+            const row = sessionRow('flaky');
+            assert.equal(row.status, 'failed');
+            assert.equal(row.attempts, attempt);
+            assert.match(row.error, /1\/1 chunks failed/);
+        }
+        assert.deepEqual(readFacts(factsFile), []);
+
+        // Gave up: not even tried
+        assert.deepEqual(await extract(session, factsFile), { skipped: 1 });
+        assert.equal(llmInputs.length, 0);
+    } finally {
+        llmDown = false;
+    }
+
+    const db = openDatabase(TEMP_DB);
+    assert.equal(retrySession(db, 'flaky'), true);
+    db.close();
+    await extract(session, factsFile);
+    assert.deepEqual(readFacts(factsFile), ['make']);
+    const row = sessionRow('flaky');
+    assert.equal(row.status, 'done');
+    assert.equal(row.attempts, 0);
+    assert.equal(row.error, null);
+});
+
+test('importLegacy seeds an empty table from .processed_sessions', () => {
+    fs.writeFileSync(LEGACY, 'old-session|1700000000000\ngemini:abc|1700000000001\n');
+    const db = openDatabase(path.join(TEMP_DIR, 'legacy.db'));
+    try {
+        assert.equal(importLegacy(db, LEGACY), 2);
+        assert.equal(importLegacy(db, LEGACY), 0, 'only into an empty table');
+        assert.equal(getSession(db, 'gemini:abc').source, 'gemini-json');
+        // Legacy rows have no offset: mtime decides
+        assert.deepEqual(planSession(db, 'old-session', { size: 10, mtime: '1700000000000' }), { skip: true, reason: 'unchanged' });
+        assert.deepEqual(planSession(db, 'old-session', { size: 10, mtime: '1700000000999' }), { offset: 0 });
+    } finally {
+        db.close();
+    }
+});
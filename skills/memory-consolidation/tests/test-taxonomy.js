@@ -0,0 +1,111 @@
+/**
+ * Tests for key canonicalization (taxonomy.js) and its use in step 2
+ *
+ * Strategy: canonicalizeKey() against a fixed taxonomy (not the one in
+ * digest-config.json, so config edits don't break the tests), then alignFile()
+ * on a temp facts file, asserting on the timed facts, the quarantine file and
+ * the metrics.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { canonicalizeKey, canonicalizeFacts, enforceKey, loadTaxonomy } = require(path.join(SRC_DIR, 'taxonomy.js'));
+const { alignFile } = require(path.join(SRC_DIR, '2-align-temporally.js'));
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'taxonomy-test-'));
+
+const TAXONOMY = loadTaxonomy({
+    taxonomy: {
+        categories: ['user', 'pref', 'entity', 'event', 'agent', 'project', 'tool'],
+        aliases: {
+            preference: 'pref',
+            'agent.cases': 'agent.case',
+            skill: 'tool.skill',
+            '*.repos': 'repo',
+        },
+        entity: { strip_suffixes: ['inc', 'llc'], aliases: { jon: 'jon_smith' } },
+    },
+});
+
+after(() => {
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+// ── canonicalizeKey ───────────────────────────────────────────────────────────
+
+test('canonicalizeKey snake-cases segments and leaves canonical keys alone', () => {
+    assert.deepEqual(canonicalizeKey('project.memoryDB.engine', TAXONOMY),
+        { key: 'project.memory_db.engine', changed: true, allowed: true });
+    assert.equal(canonicalizeKey('User.Preferred Editor', TAXONOMY).key, 'user.preferred_editor');
+    assert.equal(canonicalizeKey('project.my-app..stack', TAXONOMY).key, 'project.my_app.stack');
+    assert.equal(canonicalizeKey('event.2026-03-01.launch', TAXONOMY).key, 'event.2026-03-01.launch');
+    assert.equal(canonicalizeKey('user.城市', TAXONOMY).key, 'user.城市');
+    assert.deepEqual(canonicalizeKey('user.name', TAXONOMY), { key: 'user.name', changed: false, allowed: true });
+});
+
+test('canonicalizeKey singularizes categories and applies aliases at any depth', () => {
+    assert.equal(canonicalizeKey('projects.stack', TAXONOMY).key, 'project.stack');
+    assert.equal(canonicalizeKey('preferences.theme', TAXONOMY).key, 'pref.theme');
+    assert.equal(canonicalizeKey('agent.cases.build_fix', TAXONOMY).key, 'agent.case.build_fix');
+    assert.equal(canonicalizeKey('skills.deploy', TAXONOMY).key, 'tool.skill.deploy');
+    assert.equal(canonicalizeKey('project.alpha.repos', TAXONOMY).key, 'project.alpha.repo');
+});
+
+test('canonicalizeKey normalizes entity names', () => {
+    assert.equal(canonicalizeKey('entity.Acme Inc.industry', TAXONOMY).key, 'entity.acme.industry');
+    assert.equal(canonicalizeKey('entity.jon.role', TAXONOMY).key, 'entity.jon_smith.role');
+    // The last segment is an attribute, not a name
+    assert.equal(canonicalizeKey('entity.inc', TAXONOMY).key, 'entity.inc');
+});
+
+test('canonicalizeKey flags categories outside the taxonomy', () => {
+    assert.deepEqual(canonicalizeKey('channels.main', TAXONOMY), { key: 'channels.main', changed: false, allowed: false });
+    assert.throws(() => enforceKey('channels.main', TAXONOMY), /outside the taxonomy/);
+    assert.equal(enforceKey('Users.Name', TAXONOMY), 'user.name');
+    assert.equal(enforceKey('channels.main', { ...TAXONOMY, unknown: 'keep' }), 'channels.main');
+});
+
+test('canonicalizeFacts splits off off-taxonomy facts and counts rekeys', () => {
+    const { facts, rejected, rekeyed } = canonicalizeFacts([
+        { key: 'user.name', value: 'Ann' },
+        { key: 'users.city', value: 'Oslo' },
+        { key: 'channels.main', value: 'general' },
+    ], TAXONOMY);
+    assert.deepEqual(facts.map(f => f.key), ['user.name', 'user.city']);
+    assert.equal(rekeyed, 1);
+    assert.equal(rejected.length, 1);
+    assert.equal(rejected[0].fact.key, 'channels.main');
+    assert.match(rejected[0].errors[0], /off-taxonomy category "channels"/);
+});
+
+// ── step 2 ────────────────────────────────────────────────────────────────────
+
+test('alignFile merges keys that canonicalize alike and quarantines off-taxonomy facts', () => {
+    const factsFile = path.join(TEMP_DIR, 'facts.jsonl');
+    const timedFactsFile = path.join(TEMP_DIR, 'timed.jsonl');
+    const quarantineFile = path.join(TEMP_DIR, 'quarantine.jsonl');
+    fs.writeFileSync(factsFile, [
+        { key: 'user.city', value: 'Oslo', source: 's1', message_timestamp: '2026-01-01T00:00:00Z' },
+        { key: 'Users.City', value: 'Bergen', source: 's2', message_timestamp: '2026-02-01T00:00:00Z' },
+        { key: 'channels.main', value: 'general', source: 's2', message_timestamp: '2026-02-01T00:00:00Z' },
+    ].map(f => JSON.stringify(f)).join('\n') + '\n');
+
+    const metrics = alignFile({ factsFile, timedFactsFile, quarantineFile, taxonomy: TAXONOMY });
+    assert.deepEqual(metrics, { facts_in: 3, facts_out: 2, rekeyed: 1, off_taxonomy: 1 });
+
+    const timed = fs.readFileSync(timedFactsFile, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(timed.map(f => [f.key, f.value, f.end_time]), [
+        ['user.city', 'Oslo', '2026-02-01T00:00:00Z'],
+        ['user.city', 'Bergen', null],
+    ]);
+
+    const quarantined = fs.readFileSync(quarantineFile, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+    assert.equal(quarantined.length, 1);
+    assert.equal(quarantined[0].fact.key, 'channels.main');
+    assert.ok(quarantined[0].quarantined_at);
+});
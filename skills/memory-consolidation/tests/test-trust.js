@@ -0,0 +1,148 @@
+/**
+ * Tests for confidence / trust scoring (trust.js) through the write and read paths
+ *
+ * Strategy: score facts with fixed settings, align sightings in step 2, commit
+ * them to a temp DB and check the stored trust, then filter and rank search
+ * results with applyVerdict() / rankByTrust().
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { scoreExtracted, scoreSource, combineTrust, loadTrust } = require(path.join(SRC_DIR, 'trust.js'));
+const { alignFacts } = require(path.join(SRC_DIR, '2-align-temporally.js'));
+const { commitFacts } = require(path.join(SRC_DIR, '3-commit-to-db.js'));
+const { MemoryStore } = require(path.join(SRC_DIR, 'memory-store.js'));
+const { applyVerdict, rankByTrust } = require(path.join(SRC_DIR, 'verdict.js'));
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'trust-test-'));
+const TRUST = loadTrust({});
+let dbCount = 0;
+
+after(() => {
+    fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+function openStore() {
+    return new MemoryStore(path.join(TEMP_DIR, `memory-${++dbCount}.db`), { runId: null });
+}
+
+function sighting(value, role, messageId, timestamp) {
+    return {
+        key: 'user.city', value, source: 'session:aaaa', message_timestamp: timestamp,
+        ...scoreExtracted({ key: 'user.city', role }, TRUST),
+        provenance: { session_id: 'aaaa', agent: 'claude-code', message_ids: [messageId], quote: null },
+    };
+}
+
+// ── trust.js ──────────────────────────────────────────────────────────────────
+
+test('extracted facts are scored by the role of the message they cite', () => {
+    assert.deepEqual(scoreExtracted({ key: 'user.city', role: 'user' }, TRUST),
+        { trust_class: 'user-stated', confidence: 0.8 });
+    assert.deepEqual(scoreExtracted({ key: 'user.city', role: 'assistant' }, TRUST),
+        { trust_class: 'assistant-inferred', confidence: 0.5 });
+    assert.equal(scoreExtracted({ key: 'user.city' }, TRUST).trust_class, 'assistant-inferred');
+    assert.equal(scoreExtracted({ key: 'inferred.mood', role: 'user' }, TRUST).trust_class, 'assistant-inferred');
+    assert.equal(scoreExtracted({ key: 'user.city', role: 'user', repaired: true }, TRUST).confidence, 0.72);
+});
+
+test('writes without a score are classified by source', () => {
+    assert.equal(scoreSource('mcp:memory_store', 'user.city', TRUST).trust_class, 'manual');
+    assert.equal(scoreSource('cli:memory_store', 'user.city', TRUST).trust_class, 'manual');
+    assert.equal(scoreSource('auto:extract-errors', 'error.x', TRUST).trust_class, 'tool-observed');
+    assert.equal(scoreSource('auto:session:abcd', 'agent.case.x', TRUST).trust_class, 'tool-observed');
+    assert.equal(scoreSource('auto:instinct-extraction', 'agent.instinct.x', TRUST).trust_class, 'rule-derived');
+    assert.equal(scoreSource('session:abcd', 'user.city', TRUST).trust_class, 'assistant-inferred');
+});
+
+test('combineTrust keeps the more trusted class and raises confidence', () => {
+    assert.deepEqual(
+        combineTrust({ trust_class: 'assistant-inferred', confidence: 0.5 }, { trust_class: 'user-stated', confidence: 0.8 }),
+        { trust_class: 'user-stated', confidence: 0.9 });
+});
+
+// ── steps 2 and 3 ─────────────────────────────────────────────────────────────
+
+test('sightings combine in step 2 and again when a later run confirms the row', async () => {
+    const store = openStore();
+    try {
+        const timed = alignFacts([
+            sighting('Oslo', 'assistant', 'm1', '2026-01-01T00:00:00Z'),
+            sighting('Oslo', 'user', 'm2', '2026-01-01T00:05:00Z'),
+        ]);
+        assert.deepEqual([timed[0].trust_class, timed[0].confidence], ['user-stated', 0.9]);
+
+        await commitFacts(store.db, timed);
+        assert.deepEqual([store.get('user.city').trust_class, store.get('user.city').confidence], ['user-stated', 0.9]);
+
+        await commitFacts(store.db, alignFacts([sighting('Oslo', 'assistant', 'm9', '2026-02-01T00:00:00Z')]));
+        assert.equal(store.get('user.city').confidence, 0.95);
+        // The same sighting again is no new evidence
+        await commitFacts(store.db, alignFacts([sighting('Oslo', 'assistant', 'm9', '2026-02-01T00:00:00Z')]));
+        assert.equal(store.get('user.city').confidence, 0.95);
+
+        // A new value starts from its own score
+        await commitFacts(store.db, alignFacts([sighting('Bergen', 'assistant', 'm10', '2026-03-01T00:00:00Z')]));
+        assert.deepEqual([store.get('user.city').trust_class, store.get('user.city').confidence], ['assistant-inferred', 0.5]);
+    } finally {
+        store.close();
+    }
+});
+
+// ── reads ─────────────────────────────────────────────────────────────────────
+
+test('search returns trust; applyVerdict filters and rankByTrust orders by it', async () => {
+    const store = openStore();
+    try {
+        store.put('user.editor', 'vim', { source: 'mcp:memory_store' });
+        store.put('user.shell', 'zsh', { source: 'session:aaaa', trustClass: 'user-stated', confidence: 0.8 });
+        store.put('user.theme', 'dark', { source: 'session:aaaa' });
+
+        const rows = await store.search({ prefix: 'user.' });
+        const byKey = Object.fromEntries(rows.map(r => [r.key, [r.trust_class, r.confidence]]));
+        assert.deepEqual(byKey, {
+            'user.editor': ['manual', 0.95],
+            'user.shell': ['user-stated', 0.8],
+            'user.theme': ['assistant-inferred', 0.5],
+        });
+
+        assert.deepEqual(applyVerdict(rows, { minConfidence: 0.7 }).map(r => r.key).sort(), ['user.editor', 'user.shell']);
+        assert.deepEqual(applyVerdict(rows, { trustClasses: ['user-stated'] }).map(r => r.key), ['user.shell']);
+        assert.ok(!applyVerdict(rows, { sourceVerified: true }).some(r => r.key === 'user.theme'));
+        assert.deepEqual(rankByTrust(rows).map(r => r.key), ['user.editor', 'user.shell', 'user.theme']);
+        // Similarity counts too
+        assert.deepEqual(rankByTrust([
+            { key: 'a', similarity: 0.9, confidence: 0.5 },
+            { key: 'b', similarity: 0.6, confidence: 0.95 },
+        ]).map(r => r.key), ['b', 'a']);
+    } finally {
+        store.close();
+    }
+});
+
+test('search applies trust filters and ranking before the limit', async () => {
+    const store = openStore();
+    try {
+        // The newest rows (first page by start_time) are the least trusted
+        store.put('user.editor', 'vim', { source: 'mcp:memory_store', startTime: '2026-01-01T00:00:00Z' });
+        store.put('user.shell', 'zsh', { source: 'session:aaaa', trustClass: 'user-stated', confidence: 0.8, startTime: '2026-01-02T00:00:00Z' });
+        for (let i = 0; i < 8; i++) {
+            store.put(`user.note_${i}`, `n${i}`, { source: 'session:aaaa', startTime: `2026-02-0${i + 1}T00:00:00Z` });
+        }
+
+        const manual = await store.search({ prefix: 'user.', limit: 2, trustClasses: ['manual'] });
+        assert.deepEqual(manual.map(r => r.key), ['user.editor']);
+        const confident = await store.search({ prefix: 'user.', limit: 2, minConfidence: 0.7 });
+        assert.deepEqual(confident.map(r => r.key), ['user.shell', 'user.editor']);
+        const ranked = await store.search({ prefix: 'user.', limit: 2, rankByTrust: true });
+        assert.deepEqual(ranked.map(r => r.key), ['user.editor', 'user.shell']);
+        assert.equal((await store.search({ query: 'vim', limit: 2, minConfidence: 0.9 }))[0].key, 'user.editor');
+    } finally {
+        store.close();
+    }
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for the bounded-concurrency worker pool (worker-pool.js)
+ *
+ * Strategy: run timer-based tasks and assert on peak concurrency, start
+ * order and how canStart() / a failing task stop new items from starting.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const { runPool } = require(path.join(SRC_DIR, 'worker-pool.js'));
+
+const tick = ms => new Promise(r => setTimeout(r, ms));
+
+// ── tests ─────────────────────────────────────────────────────────────────────
+
+test('runs at most `concurrency` tasks at once, starting items in order', async () => {
+    let running = 0, peak = 0;
+    const started = [];
+    const result = await runPool([1, 2, 3, 4, 5], async item => {
+        started.push(item);
+        peak = Math.max(peak, ++running);
+        await tick(5);
+        running--;
+    }, { concurrency: 2 });
+
+    assert.deepEqual(result, { completed: 5, stopped: false, error: null });
+    assert.equal(peak, 2);
+    assert.deepEqual(started, [1, 2, 3, 4, 5]);
+});
+
+test('a failing task stops new items; running ones finish', async () => {
+    const done = [];
+    const result = await runPool([1, 2, 3, 4], async item => {
+        if (item === 1) throw new Error('boom');
+        await tick(5);
+        done.push(item);
+    }, { concurrency: 2 });
+
+    assert.equal(result.error.message, 'boom');
+    assert.equal(result.stopped, true);
+    assert.deepEqual(done, [2]);
+});
+
+test('canStart() is checked before every item', async () => {
+    let budget = 2;
+    const result = await runPool(['a', 'b', 'c'], async () => {}, { canStart: () => budget-- > 0 });
+    assert.deepEqual(result, { completed: 2, stopped: true, error: null });
+});